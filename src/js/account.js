@@ -0,0 +1,334 @@
+// Student account page, served by the Express app at /account. Magic links
+// land here: ?token=… from the local provider, #access_token=… from Supabase.
+import { clearStudentSession, loadStudentSession, saveStudentSession } from "./studentSession.js";
+
+const API_URL = "";
+
+const STATUS_COLORS = {
+  pending: "#f59e0b",
+  paid: "#2563eb",
+  printing: "#7c3aed",
+  ready: "#059669",
+  claimed: "#6b7280",
+  cancelled: "#9ca3af",
+  rejected: "#dc2626",
+};
+const PAYMENT_LABELS = {
+  unpaid: "Not paid yet",
+  submitted: "Payment waiting for verification",
+  verified: "Paid",
+  rejected: "Payment rejected",
+  credit: "Paid with print credit",
+  voucher: "Covered by voucher",
+  free: "Nothing to pay",
+};
+const CREDIT_KIND_LABELS = {
+  top_up: "Top-up",
+  adjustment: "Adjustment",
+  order: "Order",
+  refund: "Refund",
+};
+
+// ================== STATE ==================
+let session = loadStudentSession();
+let orders = [];
+// { balance, ledger } from GET /account/credit.
+let credit = null;
+// Pickup station names by id, from GET /stations.
+let stationNames = {};
+
+// ================== HELPERS ==================
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, ch => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+  })[ch]);
+}
+
+function money(amount) {
+  return `₱${Number(amount || 0).toFixed(2)}`;
+}
+
+function showMessage(message) {
+  const el = document.getElementById("accountMessage");
+  el.textContent = message;
+  el.style.display = message ? "block" : "none";
+}
+
+async function api(path, options = {}) {
+  const response = await fetch(`${API_URL}${path}`, {
+    ...options,
+    headers: {
+      ...(options.body ? { "Content-Type": "application/json" } : {}),
+      ...(session ? { Authorization: `Bearer ${session.token}` } : {}),
+      ...options.headers
+    }
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 401 && session) {
+    signOut();
+    throw new Error("Your sign-in has expired, please sign in again.");
+  }
+  if (!response.ok) {
+    const err = new Error(data.error || `Request failed (status ${response.status})`);
+    err.status = response.status;
+    err.data = data;
+    throw err;
+  }
+  return data;
+}
+
+// ================== SIGN IN ==================
+// Exchanges the link in the address bar for a session, then removes it from
+// the address bar so a reload or a shared screenshot cannot reuse it.
+async function completeSignIn() {
+  const token = new URLSearchParams(location.search).get("token");
+  const accessToken = new URLSearchParams(location.hash.slice(1)).get("access_token");
+  if (!token && !accessToken) return;
+
+  history.replaceState(null, "", "/account");
+  try {
+    const data = await api("/auth/session", {
+      method: "POST",
+      body: JSON.stringify(token ? { token } : { access_token: accessToken })
+    });
+    session = { token: data.token, user: data.user };
+    saveStudentSession(session);
+    console.log(`🎓 Signed in as ${data.user.email}`);
+  } catch (err) {
+    console.error("❌ Sign-in error:", err);
+    showMessage(`❌ ${err.message}`);
+  }
+}
+
+document.getElementById("accountSignInForm").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const messageEl = document.getElementById("accountSignInMessage");
+  messageEl.textContent = "⏳ Sending…";
+  try {
+    await api("/auth/magic-link", {
+      method: "POST",
+      body: JSON.stringify({ email: document.getElementById("accountEmail").value })
+    });
+    messageEl.textContent = "📨 Check your inbox for the sign-in link.";
+  } catch (err) {
+    messageEl.textContent = `❌ ${err.message}`;
+  }
+});
+
+window.signOut = function () {
+  clearStudentSession();
+  session = null;
+  orders = [];
+  credit = null;
+  showPage();
+};
+
+// ================== ORDER HISTORY ==================
+function orderOptions(order) {
+  const options = [order.papersize, order.color];
+  if (order.duplex && order.duplex !== "none") options.push(`duplex (${order.duplex})`);
+  if (order.nup > 1) options.push(`${order.nup}-up`);
+  options.push(`${order.sheets} sheet${order.sheets === 1 ? "" : "s"}`);
+  return options.join(" · ");
+}
+
+function renderOrders() {
+  const listEl = document.getElementById("accountOrders");
+  if (orders.length === 0) {
+    listEl.innerHTML = `<div class="section payment-note">No orders yet. <a href="/">Print something</a>.</div>`;
+    return;
+  }
+
+  listEl.innerHTML = orders.map(order => `
+    <div class="section account-order">
+      <div class="track-heading">
+        <div>
+          <div class="section-title">🧾 ${escapeHtml(order.order_number)}
+            <span class="status-badge" style="background:${STATUS_COLORS[order.status] || "#6b7280"}">${escapeHtml(order.status)}</span>
+          </div>
+          <div class="payment-note" style="text-align:left;">
+            ${new Date(order.placed_at).toLocaleString()} · ${escapeHtml(PAYMENT_LABELS[order.payment] || order.payment)}
+          </div>
+        </div>
+        <div class="claim-code">
+          <div class="payment-note">Claim code</div>
+          <div class="claim-code-value">${escapeHtml(order.claim_code)}</div>
+        </div>
+      </div>
+      <ul class="status-history">
+        ${order.items.map(item => `
+          <li>${escapeHtml(item.filename)}: ${item.page_range ? `pages ${escapeHtml(item.page_range)}` : `${item.pagecount} page(s)`},
+            ${item.copies} cop${item.copies === 1 ? "y" : "ies"}, ${money(item.cost)}</li>`).join("")}
+      </ul>
+      <div class="payment-note" style="text-align:left;">${escapeHtml(orderOptions(order))}</div>
+      ${order.station_id ? `<div class="payment-note" style="text-align:left;">📍 Pick up at ${escapeHtml(stationNames[order.station_id] || order.station_id)}${order.pickup_at ? `, ${new Date(order.pickup_at).toLocaleString()}` : ""}</div>` : ""}
+      ${order.rush ? `<div class="payment-note" style="text-align:left;">⚡ Rush order</div>` : ""}
+      ${order.voucher_code ? `<div class="payment-note" style="text-align:left;">🎟️ Voucher ${escapeHtml(order.voucher_code)}: −${money(order.voucher_discount)}</div>` : ""}
+      <div class="cost-total">
+        <span>Total:</span>
+        <span>${money(order.total_cost)}</span>
+      </div>
+      <div class="account-actions">
+        <a class="option-button" href="/track/${encodeURIComponent(order.claim_code)}">Track</a>
+        <button type="button" class="option-button" onclick="showReceipt('${order.order_number}')">Receipt</button>
+        ${order.files_deleted_at ? "" : `<button type="button" class="option-button" onclick="reorder('${order.order_number}')">Reorder</button>`}
+        ${order.can_delete_files ? `<button type="button" class="option-button" onclick="deleteFiles('${order.order_number}')">🗑 Delete my files</button>` : ""}
+      </div>
+      ${order.files_deleted_at ? `<div class="payment-note" style="text-align:left;">🗑 Files deleted ${new Date(order.files_deleted_at).toLocaleString()}</div>` : ""}
+    </div>`).join("");
+}
+
+// Shown once the student has had credit; most never will.
+function renderCredit() {
+  const creditEl = document.getElementById("accountCredit");
+  creditEl.style.display = credit?.ledger.length ? "block" : "none";
+  if (!credit?.ledger.length) return;
+
+  creditEl.innerHTML = `
+    <div class="section-title">🪙 Print credit: ${money(credit.balance)}</div>
+    <table class="operator-table">
+      <tbody>
+        ${credit.ledger.map(row => `
+          <tr>
+            <td style="text-align:left;">${new Date(row.created_at).toLocaleString()}</td>
+            <td style="text-align:left;">${escapeHtml(CREDIT_KIND_LABELS[row.kind] || row.kind)}${row.order_number ? ` ${escapeHtml(row.order_number)}` : ""}${row.note ? `<br><small>${escapeHtml(row.note)}</small>` : ""}</td>
+            <td style="text-align:right;">${Number(row.amount) < 0 ? "−" : "+"}${money(Math.abs(row.amount))}</td>
+            <td style="text-align:right;">${money(row.balance_after)}</td>
+          </tr>`).join("")}
+      </tbody>
+    </table>`;
+}
+
+async function loadOrders() {
+  try {
+    const [history, stationData, creditData] = await Promise.all([
+      api("/account/orders"),
+      api("/stations").catch(() => ({ stations: [] })),
+      api("/account/credit").catch(() => null)
+    ]);
+    orders = history.orders;
+    credit = creditData;
+    stationNames = Object.fromEntries(stationData.stations.map(station => [station.id, station.name]));
+    renderOrders();
+    renderCredit();
+  } catch (err) {
+    console.error("❌ Order history error:", err);
+    showMessage(`❌ ${err.message}`);
+  }
+}
+
+// ================== RECEIPT ==================
+window.showReceipt = function (orderNumber) {
+  const order = orders.find(o => o.order_number === orderNumber);
+  if (!order) return;
+
+  const paid = order.receipt
+    ? `<p>Paid ${money(order.receipt.amount)} with GCash<br>Reference ${escapeHtml(order.receipt.reference)}<br>${new Date(order.receipt.paid_at).toLocaleString()}</p>`
+    : order.payment === "credit"
+      ? `<p>Paid ${money(order.credit_applied)} with print credit<br>${new Date(order.placed_at).toLocaleString()}</p>`
+      : `<p><strong>${escapeHtml(PAYMENT_LABELS[order.payment] || order.payment)}</strong></p>`;
+
+  document.getElementById("receiptBody").innerHTML = `
+    <div class="section-title">Print-Q Receipt</div>
+    <p>Order <strong>${escapeHtml(order.order_number)}</strong><br>
+      ${new Date(order.placed_at).toLocaleString()}<br>
+      ${escapeHtml(session.user.email)}</p>
+    <table class="operator-table">
+      <tbody>
+        ${order.items.map(item => `
+          <tr>
+            <td style="text-align:left;">${escapeHtml(item.filename)} × ${item.copies}</td>
+            <td style="text-align:right;">${money(item.cost)}</td>
+          </tr>`).join("")}
+        ${Number(order.discount) ? `
+          <tr>
+            <td style="text-align:left;">Discount</td>
+            <td style="text-align:right;">−${money(order.discount)}</td>
+          </tr>` : ""}
+        ${order.voucher_code ? `
+          <tr>
+            <td style="text-align:left;">Voucher ${escapeHtml(order.voucher_code)}</td>
+            <td style="text-align:right;">−${money(order.voucher_discount)}</td>
+          </tr>` : ""}
+      </tbody>
+    </table>
+    <div class="payment-note">${escapeHtml(orderOptions(order))}</div>
+    <div class="cost-total">
+      <span>Total:</span>
+      <span>${money(order.total_cost)}</span>
+    </div>
+    ${paid}`;
+  document.body.classList.add("showing-receipt");
+  document.getElementById("receiptOverlay").style.display = "flex";
+};
+
+window.closeReceipt = function () {
+  document.body.classList.remove("showing-receipt");
+  document.getElementById("receiptOverlay").style.display = "none";
+};
+
+// ================== REORDER ==================
+// Sends the old total along; if prices changed the server answers 409 with
+// the new quote and the student confirms that amount instead.
+window.reorder = async function (orderNumber) {
+  const order = orders.find(o => o.order_number === orderNumber);
+  if (!order || !confirm(`Print ${order.order_number} again for ${money(order.total_cost)}?`)) return;
+
+  let expectedTotal = Number(order.total_cost);
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const data = await api(`/account/orders/${encodeURIComponent(orderNumber)}/reorder`, {
+        method: "POST",
+        body: JSON.stringify({ expected_total: expectedTotal })
+      });
+      showMessage(`✅ New order ${data.order_number} placed for ${money(data.order.total_cost)}. Claim code ${data.claim_code}. Pay with GCash to start printing.`);
+      await loadOrders();
+      return;
+    } catch (err) {
+      if (err.status === 409 && err.data?.quote && attempt === 0
+        && confirm(`Prices have changed. Print it again for ${money(err.data.quote.total)}?`)) {
+        expectedTotal = err.data.quote.total;
+        continue;
+      }
+      if (err.status !== 409) {
+        console.error("❌ Reorder error:", err);
+        alert(`❌ ${err.message}`);
+      }
+      return;
+    }
+  }
+};
+
+// Files are deleted on their own after pickup (see the retention policy);
+// this does it right away. An unpaid order is cancelled along with them.
+window.deleteFiles = async function (orderNumber) {
+  const order = orders.find(o => o.order_number === orderNumber);
+  if (!order) return;
+  const warning = order.status === "pending"
+    ? `Delete the files of ${order.order_number}? The order has not been paid, so it will be cancelled.`
+    : `Delete the files of ${order.order_number}? You will not be able to reorder it.`;
+  if (!confirm(warning)) return;
+
+  try {
+    await api(`/account/orders/${encodeURIComponent(orderNumber)}/files`, { method: "DELETE" });
+    showMessage(`🗑 The files of ${order.order_number} were deleted.`);
+    await loadOrders();
+  } catch (err) {
+    console.error("❌ File delete error:", err);
+    alert(`❌ ${err.message}`);
+  }
+};
+
+// ================== INIT ==================
+function showPage() {
+  document.getElementById("signInSection").style.display = session ? "none" : "block";
+  document.getElementById("historySection").style.display = session ? "block" : "none";
+  if (session) {
+    document.getElementById("accountUser").textContent = session.user.email;
+    loadOrders();
+  }
+}
+
+console.log("🚀 PrintQ account page initialized");
+completeSignIn().then(showPage);
@@ -0,0 +1,246 @@
+import express from "express";
+import path from "path";
+import { requireStudent, signStudentSession } from "../auth.js";
+import { COLOR_LABELS, OrderValidationError, parseLayout, placeOrder } from "../orders.js";
+import { publicUrl } from "../notifications/index.js";
+import { RetentionError, studentCanDeleteFiles } from "../retention.js";
+import { paidAtCheckout } from "../credits.js";
+import { createAuthProvider, SignInError } from "./providers.js";
+
+// ================== CAMPUS DOMAINS ==================
+// PRINTQ_CAMPUS_DOMAINS="school.edu.ph,students.school.edu.ph". Subdomains
+// of a listed domain are accepted too.
+export function campusDomains(env = process.env) {
+  return (env.PRINTQ_CAMPUS_DOMAINS || "")
+    .split(",")
+    .map(domain => domain.trim().toLowerCase().replace(/^@/, ""))
+    .filter(Boolean);
+}
+
+export function normalizeEmail(value) {
+  return String(value ?? "").trim().toLowerCase();
+}
+
+export function isCampusEmail(email, domains) {
+  const domain = email.slice(email.lastIndexOf("@") + 1);
+  return domains.some(allowed => domain === allowed || domain.endsWith(`.${allowed}`));
+}
+
+// ================== USERS ==================
+// Orders placed before accounts existed carry only the email that was typed
+// in; they join the account the first time that address is verified.
+async function findOrCreateUser(store, email) {
+  const now = new Date().toISOString();
+  const [existing] = await store.find("users", { email });
+  if (existing) return store.update("users", existing.id, { last_sign_in_at: now });
+
+  const [user] = await store.insert("users", [{ email, last_sign_in_at: now }]);
+  const earlier = (await store.find("orders", { customer_email: email })).filter(order => !order.user_id);
+  for (const order of earlier) await store.update("orders", order.id, { user_id: user.id });
+  console.log(`👤 New student account ${email}${earlier.length ? ` with ${earlier.length} earlier order(s)` : ""}`);
+  return user;
+}
+
+// ================== ORDER HISTORY ==================
+function latestPayment(payments) {
+  return payments.filter(p => p.status !== "unmatched").pop() || null;
+}
+
+function accountOrderView(order, items, payments) {
+  const payment = latestPayment(payments);
+  return {
+    order_number: order.order_number,
+    claim_code: order.claim_code,
+    status: order.status,
+    placed_at: order.created_at,
+    station_id: order.station_id,
+    pickup_at: order.pickup_at || null,
+    rush: Boolean(order.rush),
+    papersize: order.papersize,
+    color: order.color,
+    duplex: order.duplex,
+    nup: order.nup,
+    orientation: order.orientation,
+    sheets: order.sheets,
+    subtotal: order.subtotal,
+    discount: order.discount,
+    voucher_code: order.voucher_code || null,
+    voucher_discount: order.voucher_discount || 0,
+    credit_applied: order.credit_applied || 0,
+    total_cost: order.total_cost,
+    payment: paidAtCheckout(order) || payment?.status || "unpaid",
+    files_deleted_at: order.files_purged_at || null,
+    can_delete_files: studentCanDeleteFiles(order),
+    // What the receipt shows: the verified GCash payment, if there is one.
+    receipt: payment?.status === "verified"
+      ? { reference: payment.reference, amount: payment.statement_amount ?? payment.amount, paid_at: payment.reviewed_at || payment.created_at }
+      : null,
+    items: items.map(item => ({
+      filename: item.filename,
+      page_range: item.page_range,
+      pagecount: item.pagecount,
+      copies: item.copies,
+      sides: item.sides,
+      cost: item.cost,
+    })),
+  };
+}
+
+async function loadAccountOrders(store, userId) {
+  const orders = await store.find("orders", { user_id: userId }, { orderBy: "created_at", ascending: false });
+  if (orders.length === 0) return [];
+  const ids = orders.map(order => order.id);
+  const [items, payments] = await Promise.all([
+    store.find("order_items", { order_id: ids }, { orderBy: "created_at" }),
+    store.find("payments", { order_id: ids }, { orderBy: "created_at" }),
+  ]);
+  return orders.map(order => accountOrderView(
+    order,
+    items.filter(item => item.order_id === order.id),
+    payments.filter(payment => payment.order_id === order.id)
+  ));
+}
+
+// The files and options of an earlier order, ready for placeOrder, or null
+// when one of its files is no longer stored. The layout is checked like a
+// new order's, as the stored one may predate today's rules.
+async function reorderInput(store, order) {
+  if (order.files_purged_at) return null;
+  const items = await store.find("order_items", { order_id: order.id }, { orderBy: "created_at" });
+  const files = [];
+  for (const item of items) {
+    try {
+      files.push({ originalname: item.filename, buffer: await store.files.download(item.file_path), mimetype: "application/octet-stream" });
+    } catch {
+      return null;
+    }
+  }
+
+  return {
+    papersize: order.papersize,
+    color: Object.keys(COLOR_LABELS).find(key => COLOR_LABELS[key] === order.color),
+    layout: parseLayout({ duplex: order.duplex ?? undefined, nup: order.nup ?? undefined, orientation: order.orientation ?? undefined }),
+    items: items.map(item => ({
+      page_range: item.page_range,
+      copies: item.copies,
+      image_fit: item.image_fit ?? undefined,
+      photos_per_sheet: item.photos_per_sheet ?? undefined,
+      auto_rotate: item.auto_rotate ?? undefined,
+      scale_to_fit: item.scale_to_fit === true,
+    })),
+    files,
+  };
+}
+
+// ================== ROUTES ==================
+export function createAccountRouter({ store, pricing, analyzer, stations, notifier, retention, frontendPath, env = process.env, provider = createAuthProvider({ store, notifier, env }) }) {
+  const router = express.Router();
+  const domains = campusDomains(env);
+  const redirectUrl = `${publicUrl(env)}/account`;
+  if (domains.length === 0) console.warn("⚠️ PRINTQ_CAMPUS_DOMAINS not set, students cannot sign in");
+  else console.log(`🎓 Student sign-in via ${provider.name} for ${domains.join(", ")}`);
+
+  function checkCampusEmail(email) {
+    if (domains.length === 0) throw new SignInError("Student sign-in is not available yet", 503);
+    if (!/^[^\s@]+@[^\s@]+$/.test(email)) throw new SignInError("Enter a valid email address");
+    if (!isCampusEmail(email, domains)) {
+      throw new SignInError(`Use your campus email (${domains.map(domain => `@${domain}`).join(", ")})`, 403);
+    }
+  }
+
+  function sendError(res, err, label) {
+    if (err instanceof SignInError) return res.status(err.status).json({ error: err.message });
+    console.error(`❌ ${label}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+
+  router.get("/account", (req, res) => {
+    res.sendFile(path.join(frontendPath, "account.html"));
+  });
+
+  // Always answers the same way for a campus address, so the form does not
+  // tell anyone which students have accounts.
+  router.post("/auth/magic-link", async (req, res) => {
+    try {
+      const email = normalizeEmail(req.body?.email);
+      checkCampusEmail(email);
+      await provider.requestLink(email, redirectUrl);
+      console.log(`🔗 Sign-in link sent to ${email}`);
+      res.status(202).json({ sent: true });
+    } catch (err) {
+      sendError(res, err, "Sign-in link error");
+    }
+  });
+
+  // Exchanges a verified link ({ token } locally, { access_token } from
+  // Supabase) for a Print-Q session token.
+  router.post("/auth/session", async (req, res) => {
+    try {
+      const email = normalizeEmail(await provider.verify(req.body || {}));
+      checkCampusEmail(email);
+      const user = await findOrCreateUser(store, email);
+      res.json({ token: signStudentSession(user), user: { id: user.id, email: user.email } });
+    } catch (err) {
+      sendError(res, err, "Sign-in error");
+    }
+  });
+
+  router.use("/account/", requireStudent);
+
+  router.get("/account/me", (req, res) => {
+    res.json({ user: req.student });
+  });
+
+  router.get("/account/orders", async (req, res) => {
+    try {
+      res.json({ orders: await loadAccountOrders(store, req.student.id) });
+    } catch (err) {
+      sendError(res, err, "Order history error");
+    }
+  });
+
+  // Places the same files with the same options as a new order at today's
+  // prices, for pickup at the same station unless station_id names another.
+  // With expected_total set, a changed price answers 409 and the new quote,
+  // like the cart does.
+  router.post("/account/orders/:orderNumber/reorder", async (req, res) => {
+    try {
+      const [order] = await store.find("orders", { order_number: req.params.orderNumber, user_id: req.student.id });
+      if (!order) return res.status(404).json({ error: "Order not found" });
+
+      const input = await reorderInput(store, order);
+      if (!input) return res.status(410).json({ error: "The files of this order are no longer stored. Please upload them again." });
+
+      const placed = await placeOrder({ store, pricing, analyzer, stations }, {
+        ...input,
+        user: req.student,
+        stationId: req.body?.station_id || order.station_id,
+        expectedTotal: req.body?.expected_total,
+      });
+      res.status(201).json({ order_number: placed.order_number, claim_code: placed.claim_code, order: placed });
+    } catch (err) {
+      if (err instanceof OrderValidationError) {
+        return res.status(err.quote ? 409 : 400).json({ error: err.message, quote: err.quote });
+      }
+      sendError(res, err, "Reorder error");
+    }
+  });
+
+  // Deletes the order's uploaded files now instead of waiting for the
+  // retention policy. The order itself stays in the history.
+  router.delete("/account/orders/:orderNumber/files", async (req, res) => {
+    try {
+      const [order] = await store.find("orders", { order_number: req.params.orderNumber, user_id: req.student.id });
+      if (!order) return res.status(404).json({ error: "Order not found" });
+
+      await retention.deleteForStudent(order, req.student);
+      const view = (await loadAccountOrders(store, req.student.id)).find(o => o.order_number === order.order_number);
+      res.json({ order: view });
+    } catch (err) {
+      if (err instanceof RetentionError) return res.status(err.status).json({ error: err.message });
+      sendError(res, err, "File delete error");
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,106 @@
+import { createClient } from "@supabase/supabase-js";
+import { createHash, randomBytes } from "crypto";
+import { signInEmail } from "../notifications/templates.js";
+import { withLock } from "../locks.js";
+
+const LINK_TTL_MINUTES = 15;
+// One link per address per minute, so the form cannot be used to spam.
+const LINK_COOLDOWN_MS = 60 * 1000;
+
+// A sign-in attempt the student can fix: wrong domain, expired link, too
+// many requests. `status` is the HTTP status the route answers with.
+export class SignInError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "SignInError";
+    this.status = status;
+  }
+}
+
+// Every provider exposes requestLink(email, redirectUrl) and
+// verify(credentials), which resolves to the verified email address.
+
+// ================== LOCAL ==================
+// Links are random tokens stored hashed in magic_links and emailed through
+// the notifier's transport in the background. Each works once: it is
+// checked and marked used under its own lock.
+export function createLocalAuthProvider({ store, notifier }) {
+  const hashToken = (token) => createHash("sha256").update(token).digest("hex");
+
+  return {
+    name: "local",
+
+    async requestLink(email, redirectUrl) {
+      const [recent] = await store.find("magic_links", { email }, { orderBy: "created_at", ascending: false, limit: 1 });
+      if (recent && Date.now() - new Date(recent.created_at).getTime() < LINK_COOLDOWN_MS) {
+        throw new SignInError("A sign-in link was just sent. Check your inbox, or try again in a minute.", 429);
+      }
+
+      const token = randomBytes(32).toString("base64url");
+      await store.insert("magic_links", [{
+        email,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + LINK_TTL_MINUTES * 60 * 1000).toISOString(),
+      }]);
+
+      const link = `${redirectUrl}?token=${encodeURIComponent(token)}`;
+      const { subject, text, html } = signInEmail({ link, minutes: LINK_TTL_MINUTES });
+      notifier.queueMessage({ to: email, subject, text, html });
+    },
+
+    async verify({ token }) {
+      if (!token) throw new SignInError("The sign-in link is missing its token");
+      const tokenHash = hashToken(String(token));
+      return withLock(`magic-link:${tokenHash}`, async () => {
+        const [link] = await store.find("magic_links", { token_hash: tokenHash });
+        if (!link || link.used_at) throw new SignInError("This sign-in link was already used or is not valid", 401);
+        if (new Date(link.expires_at).getTime() < Date.now()) throw new SignInError("This sign-in link has expired", 401);
+
+        await store.update("magic_links", link.id, { used_at: new Date().toISOString() });
+        return link.email;
+      });
+    },
+  };
+}
+
+// ================== SUPABASE ==================
+// Supabase Auth sends the email and redirects back with an access token in
+// the URL fragment; the account page posts that token to /auth/session.
+export function createSupabaseAuthProvider(env) {
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY, { auth: { persistSession: false } });
+
+  return {
+    name: "supabase",
+
+    async requestLink(email, redirectUrl) {
+      const { error } = await supabase.auth.signInWithOtp({
+        email,
+        options: { emailRedirectTo: redirectUrl, shouldCreateUser: true },
+      });
+      if (error?.status === 429) throw new SignInError("Too many sign-in links requested. Try again in a minute.", 429);
+      if (error) throw new Error(`Supabase sign-in: ${error.message}`);
+    },
+
+    async verify({ access_token: accessToken }) {
+      if (!accessToken) throw new SignInError("The sign-in link is missing its access token");
+      const { data, error } = await supabase.auth.getUser(accessToken);
+      if (error || !data?.user?.email) throw new SignInError("This sign-in link has expired or is not valid", 401);
+      return data.user.email;
+    },
+  };
+}
+
+// PRINTQ_AUTH=supabase|local picks the provider. Without it, Supabase Auth
+// is used whenever Supabase is configured and the local links otherwise.
+export function createAuthProvider({ store, notifier, env = process.env }) {
+  const kind = env.PRINTQ_AUTH || (env.SUPABASE_URL && env.SUPABASE_SERVICE_ROLE_KEY ? "supabase" : "local");
+
+  if (kind === "supabase") {
+    if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_ROLE_KEY) {
+      throw new Error("PRINTQ_AUTH=supabase needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY");
+    }
+    return createSupabaseAuthProvider(env);
+  }
+  if (kind === "local") return createLocalAuthProvider({ store, notifier });
+  throw new Error(`Unknown PRINTQ_AUTH: ${kind}`);
+}
@@ -0,0 +1,136 @@
+import express from "express";
+import { randomUUID } from "crypto";
+import { analysisResponse, documentErrorStatus } from "./analysis.js";
+import { megabytes, receiveUploads } from "./uploads.js";
+
+export const JOB_STATUSES = ["queued", "converting", "ready", "failed"];
+// Finished jobs stay readable this long, then are dropped on the next sweep.
+const FINISHED_JOB_TTL_MS = 15 * 60 * 1000;
+// Uploads held in memory while they wait; beyond this new jobs are refused.
+const MAX_OPEN_JOBS = 100;
+// A batch poll asks for every file in the cart at once.
+const MAX_POLL_IDS = 50;
+
+// Too large or unsupported files fail the same way every time.
+const FINAL_ERROR_STATUSES = [413, 415];
+
+export class JobLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "JobLimitError";
+  }
+}
+
+// ================== JOB STORE ==================
+// Runs analyzer.analyze in the background and keeps each job's progress in
+// memory: queued → converting → ready or failed. A restart loses the jobs;
+// the cart then sees "not found" and offers a retry.
+export function createAnalysisJobs({ analyzer, ttlMs = FINISHED_JOB_TTL_MS, maxOpen = MAX_OPEN_JOBS }) {
+  const jobs = new Map();
+
+  function sweep() {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && now - job.finishedAt > ttlMs) jobs.delete(id);
+    }
+  }
+
+  function update(job, changes) {
+    Object.assign(job, changes, { updatedAt: Date.now() });
+  }
+
+  function submit(buffer, name) {
+    sweep();
+    const open = [...jobs.values()].filter(job => !job.finishedAt).length;
+    if (open >= maxOpen) throw new JobLimitError("Too many files are being read right now, please try again in a minute");
+
+    const job = { id: randomUUID(), name, status: "queued", createdAt: Date.now(), updatedAt: Date.now() };
+    jobs.set(job.id, job);
+
+    analyzer.analyze(buffer, name, { onStart: () => update(job, { status: "converting" }) })
+      .then((analysis) => {
+        update(job, { status: "ready", result: analysisResponse(analysis, name), finishedAt: Date.now() });
+        console.log(`✅ Analysis job ${job.id} (${name}) ready`);
+      })
+      .catch((err) => {
+        const statusCode = documentErrorStatus(err);
+        if (!statusCode) console.error(`❌ Analysis job ${job.id} (${name}) failed:`, err);
+        update(job, {
+          status: "failed",
+          error: err.message,
+          statusCode: statusCode || 500,
+          finishedAt: Date.now(),
+        });
+      });
+
+    return job;
+  }
+
+  function get(id) {
+    sweep();
+    return jobs.get(id) || null;
+  }
+
+  return { submit, get };
+}
+
+// The job as the cart sees it.
+function jobView(job) {
+  return {
+    id: job.id,
+    name: job.name,
+    status: job.status,
+    result: job.result || null,
+    error: job.error || null,
+    retryable: job.status === "failed" ? !FINAL_ERROR_STATUSES.includes(job.statusCode) : null,
+    created_at: new Date(job.createdAt).toISOString(),
+    updated_at: new Date(job.updatedAt).toISOString(),
+  };
+}
+
+// ================== ROUTES ==================
+// POST /analyze/jobs takes one file and answers 202 with the job; the cart
+// then polls GET /analyze/jobs?ids=a,b,c (or /analyze/jobs/:id for one).
+export function createAnalysisJobRouter({ analyzer, jobs = createAnalysisJobs({ analyzer }) }) {
+  const router = express.Router();
+  const receiveFile = receiveUploads(
+    { maxBytes: analyzer.limits.maxBytes, tooLarge: `Files must be ${megabytes(analyzer.limits.maxBytes)} or smaller` },
+    upload => upload.single("file")
+  );
+
+  router.post("/analyze/jobs", receiveFile, (req, res) => {
+    try {
+      if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+
+      const job = jobs.submit(req.file.buffer, req.file.originalname);
+      res.status(202).json({ job: jobView(job) });
+    } catch (err) {
+      if (err instanceof JobLimitError) return res.status(503).json({ error: err.message });
+      console.error("❌ Analysis job error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Unknown or expired ids are listed in `missing` rather than failing the poll.
+  router.get("/analyze/jobs", (req, res) => {
+    const ids = String(req.query.ids || "").split(",").map(id => id.trim()).filter(Boolean);
+    if (ids.length === 0) return res.status(400).json({ error: "ids is required" });
+    if (ids.length > MAX_POLL_IDS) return res.status(400).json({ error: `At most ${MAX_POLL_IDS} ids per request` });
+
+    const found = ids.map(id => jobs.get(id));
+    res.set("Cache-Control", "no-store");
+    res.json({
+      jobs: found.filter(Boolean).map(jobView),
+      missing: ids.filter((id, i) => !found[i]),
+    });
+  });
+
+  router.get("/analyze/jobs/:id", (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    res.set("Cache-Control", "no-store");
+    res.json({ job: jobView(job) });
+  });
+
+  return router;
+}
@@ -0,0 +1,294 @@
+import { createHash } from "crypto";
+import { PDFDocument } from "pdf-lib";
+import { createCanvas } from "@napi-rs/canvas";
+import { ConversionError, createConverter } from "./convert.js";
+import { isPdf } from "./print-ready.js";
+import { IMAGE_KINDS, decodeImageFrames } from "./image-compose.js";
+import { preflightDocument } from "./preflight.js";
+
+export const OFFICE_EXTENSIONS = [".doc", ".docx", ".odt", ".rtf", ".txt", ".xls", ".xlsx", ".ods", ".ppt", ".pptx", ".odp"];
+export const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".webp", ".jfif", ".tif", ".tiff"];
+export const SUPPORTED_EXTENSIONS = [".pdf", ...OFFICE_EXTENSIONS, ...IMAGE_EXTENSIONS];
+
+export class UnsupportedDocumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UnsupportedDocumentError";
+  }
+}
+
+// A file over the upload size or page limit.
+export class DocumentLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DocumentLimitError";
+  }
+}
+
+// PRINTQ_MAX_UPLOAD_MB and PRINTQ_MAX_PAGES, read when called so values from
+// .env are seen.
+export function documentLimits(env = process.env) {
+  return {
+    maxBytes: Number(env.PRINTQ_MAX_UPLOAD_MB || 25) * 1024 * 1024,
+    maxPages: Number(env.PRINTQ_MAX_PAGES || 300),
+  };
+}
+
+// HTTP status for errors about the document itself, or null for anything
+// else (which is the server's fault).
+export function documentErrorStatus(err) {
+  if (err instanceof UnsupportedDocumentError) return 415;
+  if (err instanceof DocumentLimitError) return 413;
+  if (err instanceof ConversionError) return { busy: 503, timeout: 504 }[err.reason] || 422;
+  return null;
+}
+
+// What /analyze and finished analysis jobs send back to the cart.
+export function analysisResponse(analysis, originalName) {
+  return {
+    originalName,
+    hash: analysis.hash,
+    kind: analysis.kind,
+    pages: analysis.page_count,
+    page_sizes: analysis.pages,
+    orientation: analysis.orientation,
+    encrypted: analysis.encrypted,
+    images: analysis.images || null,
+    preflight: analysis.preflight || null,
+    pdf_ref: analysis.pdf_path,
+    cached: analysis.cached,
+  };
+}
+
+// ================== FORMAT DETECTION ==================
+function extensionOf(name) {
+  const match = /\.[^.]+$/.exec(name || "");
+  return match ? match[0].toLowerCase() : "";
+}
+
+// Decides how to read a file from its first bytes, using the extension only
+// to tell apart formats that share a container (ZIP for docx/xlsx/pptx/odt).
+export function detectKind(buffer, name) {
+  const head = buffer.subarray(0, 12);
+  const ext = extensionOf(name);
+
+  if (isPdf(buffer)) return "pdf";
+  if (head.subarray(0, 4).equals(Buffer.from([0x49, 0x49, 0x2a, 0x00]))
+    || head.subarray(0, 4).equals(Buffer.from([0x4d, 0x4d, 0x00, 0x2a]))) return "tiff";
+  if (head.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]))) return "png";
+  if (head.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]))) return "jpeg";
+  if (head.subarray(0, 4).toString("latin1") === "RIFF" && head.subarray(8, 12).toString("latin1") === "WEBP") return "webp";
+  if (head.subarray(0, 5).toString("latin1") === "{\\rtf") return "office";
+
+  const zip = head.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+  const ole = head.subarray(0, 4).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0]));
+  if ((zip || ole) && OFFICE_EXTENSIONS.includes(ext)) return "office";
+  if (ext === ".txt" && !buffer.includes(0)) return "office";
+
+  throw new UnsupportedDocumentError(`${name}: unsupported file type`);
+}
+
+// The extension LibreOffice should see for an "office" file. detectKind has
+// already checked it against the content.
+function officeExtension(buffer, name) {
+  if (buffer.subarray(0, 5).toString("latin1") === "{\\rtf") return ".rtf";
+  return extensionOf(name);
+}
+
+// ================== IMAGE → PDF ==================
+// One page per frame at the image's own size, for the page count and details.
+// Orders lay images out on paper with composeImagePages instead.
+async function imageToPdf(buffer, kind, frames) {
+  const output = await PDFDocument.create();
+  for (const frame of frames) {
+    let image;
+    // pdf-lib reads JPEG headers from the underlying ArrayBuffer and ignores
+    // the offset of small pooled Buffers, so embed a copy.
+    if (kind === "jpeg") image = await output.embedJpg(new Uint8Array(buffer));
+    else if (kind === "png") image = await output.embedPng(buffer);
+    else {
+      const canvas = createCanvas(frame.width, frame.height);
+      canvas.getContext("2d").drawImage(frame.source, 0, 0);
+      image = await output.embedPng(await canvas.encode("png"));
+    }
+
+    const scale = 72 / frame.dpi;
+    output.addPage([frame.width * scale, frame.height * scale]).drawImage(image, {
+      x: 0, y: 0, width: frame.width * scale, height: frame.height * scale,
+    });
+  }
+  return output.save();
+}
+
+// ================== PDF DETAILS ==================
+function orientationOf({ width, height }) {
+  if (width === height) return "square";
+  return width > height ? "landscape" : "portrait";
+}
+
+async function describePdf(pdfBuffer) {
+  const doc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true });
+  const pages = doc.getPages().map((page, i) => {
+    const { width, height } = page.getSize();
+    // /Rotate 90 or 270 turns the sheet sideways when printed.
+    const turned = page.getRotation().angle % 180 !== 0;
+    const size = turned ? { width: height, height: width } : { width, height };
+    return {
+      page: i + 1,
+      width: Math.round(size.width * 100) / 100,
+      height: Math.round(size.height * 100) / 100,
+      orientation: orientationOf(size),
+    };
+  });
+
+  const orientations = new Set(pages.map(p => p.orientation));
+  return {
+    page_count: pages.length,
+    pages,
+    orientation: orientations.size === 1 ? pages[0].orientation : "mixed",
+    encrypted: doc.isEncrypted,
+  };
+}
+
+// Blank pages, fonts and image resolution (see preflight.js). Photos and
+// scans get their own checks from the image options, and a check that fails
+// leaves the file unchecked rather than refusing it.
+async function preflightReport(pdf, kind, original, name) {
+  if (IMAGE_KINDS.includes(kind)) return null;
+  try {
+    return await preflightDocument(pdf, { kind, original, extension: kind === "office" ? officeExtension(original, name) : null });
+  } catch (err) {
+    console.error(`❌ Preflight of ${name} failed:`, err.message);
+    return null;
+  }
+}
+
+// ================== ANALYZER ==================
+// Analyses uploads into a page count, page sizes, orientation, encryption
+// flag and preflight report, converting everything that is not already a
+// PDF. Results and the converted PDF are kept in the store under the file's
+// SHA-256, so the same file is never converted twice. The upload itself is
+// kept too, so previews can be drawn without sending the file again, until
+// the retention purge drops it (see retention.js); the next upload of the
+// same file keeps it again. Files over the size or page
+// limit are refused with a DocumentLimitError.
+// Analyses cached before preflight existed have no report and go unchecked
+// until the retention purge drops them.
+export function createAnalyzer({ store, converter = createConverter(), limits = documentLimits() }) {
+  const inFlight = new Map();
+
+  function checkPages(name, pageCount) {
+    if (pageCount > limits.maxPages) {
+      throw new DocumentLimitError(`${name} has ${pageCount} pages; the limit is ${limits.maxPages}`);
+    }
+  }
+
+  async function storeOriginal(tx, hash, kind, buffer) {
+    const originalPath = `originals/${hash}`;
+    await tx.files.upload(originalPath, buffer, kind === "pdf" ? "application/pdf" : "application/octet-stream");
+    return originalPath;
+  }
+
+  // Analyses whose upload was not kept, or has expired, get it back the
+  // next time the same file comes in.
+  async function keepOriginal(cached, buffer) {
+    return store.transaction(async (tx) => {
+      const originalPath = await storeOriginal(tx, cached.hash, cached.kind, buffer);
+      return tx.update("document_analyses", cached.id, { original_path: originalPath, original_kept_at: new Date().toISOString() });
+    });
+  }
+
+  async function runAnalysis(buffer, name, hash, onStart) {
+    const kind = detectKind(buffer, name);
+    let pdf = buffer;
+    let images = null;
+    // Office files may wait for a converter; everything else starts now.
+    if (kind === "office") {
+      pdf = Buffer.from(await converter.convertToPdf(buffer, officeExtension(buffer, name), name, { onStart }));
+    } else {
+      onStart?.();
+    }
+    if (IMAGE_KINDS.includes(kind)) {
+      const frames = await decodeImageFrames(buffer, kind);
+      pdf = Buffer.from(await imageToPdf(buffer, kind, frames));
+      images = frames.map(({ width, height, dpi }) => ({ width, height, dpi: Math.round(dpi) }));
+    }
+
+    let details;
+    try {
+      details = await describePdf(pdf);
+    } catch (err) {
+      console.error(`❌ ${name} is not a readable PDF:`, err.message);
+      throw new UnsupportedDocumentError(`${name} is damaged or not a readable PDF`);
+    }
+    checkPages(name, details.page_count);
+    const report = await preflightReport(pdf, kind, buffer, name);
+    // Stored objects go again if the row cannot be saved, or the next upload
+    // of the same file would find them in the way.
+    const row = await store.transaction(async (tx) => {
+      const pdfPath = kind === "pdf" ? null : `converted/${hash}.pdf`;
+      if (pdfPath) await tx.files.upload(pdfPath, pdf, "application/pdf");
+      const originalPath = await storeOriginal(tx, hash, kind, buffer);
+
+      const [inserted] = await tx.insert("document_analyses", [{
+        hash,
+        original_name: name,
+        kind,
+        ...details,
+        images,
+        preflight: report,
+        pdf_path: pdfPath,
+        original_path: originalPath,
+        original_kept_at: new Date().toISOString(),
+      }]);
+      return inserted;
+    });
+    console.log(`🔎 Analyzed ${name} (${kind}): ${details.page_count} page(s)`);
+    return row;
+  }
+
+  // Returns the cached analysis for this content, running it if needed.
+  // `onStart` is called once the work actually begins (see analysis-jobs.js).
+  async function analyze(buffer, name, { onStart } = {}) {
+    if (buffer.length > limits.maxBytes) {
+      throw new DocumentLimitError(`${name} is larger than ${Math.round(limits.maxBytes / 1024 / 1024)} MB`);
+    }
+
+    const hash = createHash("sha256").update(buffer).digest("hex");
+    const [cached] = await store.find("document_analyses", { hash });
+    if (cached) {
+      checkPages(name, cached.page_count);
+      if (cached.original_path) return { ...cached, cached: true };
+      if (!inFlight.has(hash)) {
+        inFlight.set(hash, keepOriginal(cached, buffer).finally(() => inFlight.delete(hash)));
+      }
+      onStart?.();
+      return { ...(await inFlight.get(hash)), cached: true };
+    }
+
+    if (!inFlight.has(hash)) {
+      inFlight.set(hash, runAnalysis(buffer, name, hash, onStart).finally(() => inFlight.delete(hash)));
+    } else {
+      onStart?.();
+    }
+    return { ...(await inFlight.get(hash)), cached: false };
+  }
+
+  // The PDF the order should print: the upload itself or its conversion.
+  async function loadPdf(analysis, originalBuffer) {
+    return analysis.pdf_path ? store.files.download(analysis.pdf_path) : originalBuffer;
+  }
+
+  // A stored analysis by content hash, or null.
+  async function lookup(hash) {
+    const [analysis] = await store.find("document_analyses", { hash });
+    return analysis || null;
+  }
+
+  // The upload the analysis was made from, or null when it was not kept.
+  async function loadOriginal(analysis) {
+    return analysis.original_path ? store.files.download(analysis.original_path) : null;
+  }
+
+  return { analyze, loadPdf, lookup, loadOriginal, limits };
+}
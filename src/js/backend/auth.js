@@ -0,0 +1,115 @@
+import { createHmac, createHash, randomBytes, timingSafeEqual } from "crypto";
+
+// ================== SIGNING SECRET ==================
+// Tokens are signed with PRINTQ_SECRET. Without it a random secret is used,
+// which means every sign-in is lost when the server restarts.
+let secret = null;
+
+function signingSecret() {
+  if (!secret) {
+    secret = process.env.PRINTQ_SECRET;
+    if (!secret) {
+      secret = randomBytes(32).toString("hex");
+      console.warn("⚠️ PRINTQ_SECRET not set, sessions will not survive a restart");
+    }
+  }
+  return secret;
+}
+
+function sign(data) {
+  return createHmac("sha256", signingSecret()).update(data).digest("base64url");
+}
+
+function safeEqual(a, b) {
+  const hashA = createHash("sha256").update(String(a)).digest();
+  const hashB = createHash("sha256").update(String(b)).digest();
+  return timingSafeEqual(hashA, hashB);
+}
+
+// ================== TOKENS ==================
+export function signToken(payload, ttlSeconds = 12 * 60 * 60) {
+  const body = Buffer.from(JSON.stringify({
+    ...payload,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds,
+  })).toString("base64url");
+  return `${body}.${sign(body)}`;
+}
+
+// Returns the payload of a valid, unexpired token, or null.
+export function verifyToken(token) {
+  if (typeof token !== "string") return null;
+  const [body, signature] = token.split(".");
+  if (!body || !signature || !safeEqual(sign(body), signature)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    if (!payload.exp || payload.exp < Date.now() / 1000) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+function bearerToken(req) {
+  const header = req.get("authorization") || "";
+  return header.startsWith("Bearer ") ? header.slice(7) : null;
+}
+
+// ================== OPERATORS ==================
+// OPERATOR_ACCOUNTS="maria:secret1,jun:secret2"
+function operatorAccounts() {
+  return (process.env.OPERATOR_ACCOUNTS || "")
+    .split(",")
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const at = entry.indexOf(":");
+      return { username: entry.slice(0, at), password: entry.slice(at + 1) };
+    })
+    .filter(account => account.username && account.password);
+}
+
+// OPERATOR_STATIONS="maria:library,jun:engineering" ties an operator to
+// one pickup station. Operators not listed see every station.
+export function operatorStation(username) {
+  const entry = (process.env.OPERATOR_STATIONS || "")
+    .split(",")
+    .map(pair => pair.trim().split(":"))
+    .find(([name]) => name === username);
+  return entry?.[1]?.trim() || null;
+}
+
+export function loginOperator(username, password) {
+  const account = operatorAccounts().find(a => a.username === username);
+  if (!account || !safeEqual(account.password, password)) return null;
+  return signToken({ role: "operator", sub: account.username, station: operatorStation(account.username) });
+}
+
+// Sets req.operator to the username and req.operatorStation to the station
+// the operator works at, or null for operators who see every station.
+export function requireOperator(req, res, next) {
+  const payload = verifyToken(bearerToken(req));
+  if (!payload || payload.role !== "operator") {
+    return res.status(401).json({ error: "Operator sign-in required" });
+  }
+  req.operator = payload.sub;
+  req.operatorStation = payload.station || null;
+  next();
+}
+
+// ================== STUDENTS ==================
+// Issued once a magic link is verified (see accounts/index.js).
+const STUDENT_SESSION_SECONDS = 30 * 24 * 60 * 60;
+
+export function signStudentSession(user) {
+  return signToken({ role: "student", sub: user.id, email: user.email }, STUDENT_SESSION_SECONDS);
+}
+
+export function requireStudent(req, res, next) {
+  const payload = verifyToken(bearerToken(req));
+  if (!payload || payload.role !== "student") {
+    return res.status(401).json({ error: "Please sign in with your campus email" });
+  }
+  req.student = { id: payload.sub, email: payload.email };
+  next();
+}
@@ -0,0 +1,53 @@
+import { createCanvas, loadImage } from "@napi-rs/canvas";
+import { renderPdfPages } from "./pdf-render.js";
+import { isPdf } from "./print-ready.js";
+
+// A pixel counts as color ink when its channels differ by more than this
+// (0-255), which ignores gray anti-aliasing and slightly tinted scans.
+const CHROMA_THRESHOLD = 32;
+// A page is a color page once colored pixels cover this share of it, so a
+// stray colored dot or hyperlink underline does not flip a whole page.
+const MIN_COLOR_COVERAGE = 0.0005;
+// 0.5 = 36 dpi, plenty to spot a chart or photo.
+const RENDER_SCALE = 0.5;
+
+// ================== COLOR DETECTION ==================
+function colorCoverage(context, width, height) {
+  const { data } = context.getImageData(0, 0, width, height);
+  let colored = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    const max = Math.max(data[i], data[i + 1], data[i + 2]);
+    const min = Math.min(data[i], data[i + 1], data[i + 2]);
+    if (max - min > CHROMA_THRESHOLD) colored++;
+  }
+  return colored / (width * height);
+}
+
+function pageResult(page, coverage) {
+  return { page, color: coverage >= MIN_COLOR_COVERAGE, coverage: Math.round(coverage * 10000) / 10000 };
+}
+
+// Returns { pages: [{ page, color, coverage }], color_pages: [1-based page numbers] }
+// for a PDF or a single image.
+export async function analyzeColor(buffer) {
+  const pages = [];
+
+  if (isPdf(buffer)) {
+    await renderPdfPages(buffer, { scale: RENDER_SCALE }, (page, canvas, context) => {
+      pages.push(pageResult(page, colorCoverage(context, canvas.width, canvas.height)));
+    });
+  } else {
+    const image = await loadImage(buffer);
+    const scale = Math.min(1, 600 / Math.max(image.width, image.height));
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext("2d");
+    context.fillStyle = "white";
+    context.fillRect(0, 0, width, height);
+    context.drawImage(image, 0, 0, width, height);
+    pages.push(pageResult(1, colorCoverage(context, width, height)));
+  }
+
+  return { pages, color_pages: pages.filter(p => p.color).map(p => p.page) };
+}
@@ -0,0 +1,135 @@
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { isPdf } from "./print-ready.js";
+
+const STDERR_LIMIT = 4000;
+
+// reason: "busy" (queue full), "timeout" or "failed". The message is safe to
+// show to the customer; the details stay in the server log.
+export class ConversionError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = "ConversionError";
+    this.reason = reason;
+  }
+}
+
+// ================== WORKER POOL ==================
+// Runs at most `concurrency` jobs at once and queues up to `maxQueue` more;
+// anything beyond that is refused straight away instead of piling up.
+function createPool({ concurrency, maxQueue }) {
+  let running = 0;
+  const queue = [];
+
+  function next() {
+    if (running >= concurrency || queue.length === 0) return;
+    const { job, resolve, reject } = queue.shift();
+    running++;
+    job().then(resolve, reject).finally(() => {
+      running--;
+      next();
+    });
+  }
+
+  return {
+    run(job) {
+      if (running >= concurrency && queue.length >= maxQueue) {
+        return Promise.reject(new ConversionError("busy", "The converter is busy, please try again in a minute"));
+      }
+      return new Promise((resolve, reject) => {
+        queue.push({ job, resolve, reject });
+        next();
+      });
+    },
+    stats: () => ({ running, queued: queue.length }),
+  };
+}
+
+// ================== LIBREOFFICE ==================
+// Arguments are passed as an array (no shell) and every job gets its own
+// LibreOffice profile, since two soffice processes cannot share one.
+function runSoffice({ command, inputPath, outDir, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, [
+      `-env:UserInstallation=file://${path.join(outDir, "profile")}`,
+      "--headless",
+      "--norestore",
+      "--nolockcheck",
+      "--convert-to", "pdf",
+      "--outdir", outDir,
+      inputPath,
+    ], { detached: true, stdio: ["ignore", "ignore", "pipe"] });
+
+    let stderr = "";
+    let timedOut = false;
+    child.stderr.on("data", chunk => { stderr = (stderr + chunk).slice(-STDERR_LIMIT); });
+
+    // soffice starts helper processes, so the whole process group is killed.
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, "SIGKILL");
+      } catch {
+        child.kill("SIGKILL");
+      }
+    }, timeoutMs);
+
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      if (timedOut) reject(new ConversionError("timeout", "timed out"));
+      else if (code !== 0) reject(new Error(`soffice exited with ${code ?? signal}: ${stderr.trim()}`));
+      else resolve();
+    });
+  });
+}
+
+// PRINTQ_CONVERT_CONCURRENCY, PRINTQ_CONVERT_QUEUE and
+// PRINTQ_CONVERT_TIMEOUT_MS tune the pool; PRINTQ_SOFFICE overrides the
+// LibreOffice binary.
+export function createConverter(env = process.env) {
+  const command = env.PRINTQ_SOFFICE || "soffice";
+  const timeoutMs = Number(env.PRINTQ_CONVERT_TIMEOUT_MS || 60000);
+  const pool = createPool({
+    concurrency: Number(env.PRINTQ_CONVERT_CONCURRENCY || 2),
+    maxQueue: Number(env.PRINTQ_CONVERT_QUEUE || 20),
+  });
+
+  // Converts an office or text document to PDF bytes. `extension` must be
+  // one the caller has checked (e.g. ".docx"); the customer's file name is
+  // only used in messages, never on disk or on a command line. `onStart` is
+  // called when the job leaves the queue.
+  async function convertToPdf(buffer, extension, displayName, { onStart } = {}) {
+    return pool.run(async () => {
+      onStart?.();
+      const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "printq-convert-"));
+      const inputPath = path.join(workDir, `input${extension}`);
+      const started = Date.now();
+      try {
+        await fs.writeFile(inputPath, buffer);
+        await runSoffice({ command, inputPath, outDir: workDir, timeoutMs });
+
+        const pdf = await fs.readFile(path.join(workDir, "input.pdf")).catch(() => null);
+        if (!pdf || !isPdf(pdf)) throw new Error("LibreOffice did not produce a PDF");
+        console.log(`🔁 Converted ${displayName} in ${Date.now() - started} ms`);
+        return pdf;
+      } catch (err) {
+        if (err instanceof ConversionError && err.reason === "timeout") {
+          console.error(`❌ Conversion of ${displayName} killed after ${timeoutMs} ms`);
+          throw new ConversionError("timeout", `${displayName} took too long to convert. Try saving it as PDF first.`);
+        }
+        console.error(`❌ Conversion of ${displayName} failed:`, err.message);
+        throw new ConversionError("failed", `${displayName} could not be converted to PDF. Try saving it as PDF first.`);
+      } finally {
+        await fs.rm(workDir, { recursive: true, force: true });
+      }
+    });
+  }
+
+  return { convertToPdf, stats: pool.stats };
+}
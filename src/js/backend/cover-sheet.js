@@ -0,0 +1,184 @@
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import QRCode from "qrcode";
+import { PAPER_DIMENSIONS } from "../printLayout.js";
+import { paidAtCheckout } from "./credits.js";
+
+// ================== COVER SHEET ==================
+// A page printed in front of each order so a stack on the pickup shelf says
+// whose it is. It is added when the order is downloaded or sent to the
+// printer, never when it is priced: order.sheets and the total leave it out.
+
+const MARGIN = 48;
+const QR_SIZE = 150;
+const BLACK = rgb(0, 0, 0);
+const GREY = rgb(0.42, 0.45, 0.5);
+const RED = rgb(0.86, 0.15, 0.15);
+
+const PAYMENT_LINES = {
+  verified: "PAID",
+  submitted: "Payment submitted, not verified yet",
+  unpaid: "UNPAID",
+};
+
+// The standard PDF fonts only cover Latin-1, so anything else in a file name
+// or address prints as "?" instead of failing the whole sheet.
+function printable(font, text) {
+  return [...String(text ?? "")].map((ch) => {
+    try {
+      font.encodeText(ch);
+      return ch;
+    } catch {
+      return "?";
+    }
+  }).join("");
+}
+
+// Shortens `text` with "..." until it fits `width`.
+function fit(font, text, size, width) {
+  let shown = printable(font, text);
+  if (font.widthOfTextAtSize(shown, size) <= width) return shown;
+  while (shown.length > 1 && font.widthOfTextAtSize(`${shown}...`, size) > width) shown = shown.slice(0, -1);
+  return `${shown}...`;
+}
+
+// The claim code as a QR code, drawn module by module so it stays sharp.
+function drawQrCode(page, text, { x, y, size }) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: "M" });
+  // Four modules of white around it, as scanners expect.
+  const cell = size / (modules.size + 8);
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (!modules.get(row, col)) continue;
+      page.drawRectangle({
+        x: x + (col + 4) * cell,
+        y: y + size - (row + 5) * cell,
+        width: cell,
+        height: cell,
+        color: BLACK,
+      });
+    }
+  }
+}
+
+// Orders paid when placed have no payment rows; they say how instead.
+function paymentLine(order, payments) {
+  const checkout = paidAtCheckout(order);
+  if (checkout === "credit") return `${PAYMENT_LINES.verified} (print credit, PHP ${Number(order.credit_applied).toFixed(2)})`;
+  if (checkout === "voucher") return `${PAYMENT_LINES.verified} (voucher ${order.voucher_code})`;
+  if (checkout === "free") return `${PAYMENT_LINES.verified} (nothing to pay)`;
+  const verified = payments.find(payment => payment.status === "verified");
+  if (verified) return `${PAYMENT_LINES.verified} (GCash ref. ${verified.reference})`;
+  if (payments.some(payment => payment.status === "submitted")) return PAYMENT_LINES.submitted;
+  return PAYMENT_LINES.unpaid;
+}
+
+function optionsLine(order) {
+  const parts = [order.papersize, order.color];
+  parts.push(order.duplex && order.duplex !== "none" ? `duplex (${order.duplex})` : "single-sided");
+  if (order.nup > 1) parts.push(`${order.nup}-up`);
+  if (order.orientation && order.orientation !== "auto") parts.push(order.orientation);
+  return parts.join(", ");
+}
+
+function localTime(date, timeZone) {
+  return new Date(date).toLocaleString("en-US", {
+    timeZone,
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
+
+// One cover page on the order's paper. With duplex a blank back follows,
+// so the order itself still starts on a sheet of its own.
+// `items` and `payments` are the order's rows; `station` may be null.
+export async function buildCoverSheet({ order, items, payments, station, timeZone }) {
+  const output = await PDFDocument.create();
+  const [width, height] = PAPER_DIMENSIONS[order.papersize] || PAPER_DIMENSIONS.Letter;
+  const page = output.addPage([width, height]);
+  const regular = await output.embedFont(StandardFonts.Helvetica);
+  const bold = await output.embedFont(StandardFonts.HelveticaBold);
+  const textWidth = width - 2 * MARGIN - QR_SIZE - 16;
+  let y = height - MARGIN;
+
+  const line = (text, { size = 11, font = regular, color = BLACK, gap = 6, maxWidth = textWidth } = {}) => {
+    y -= size;
+    page.drawText(fit(font, text, size, maxWidth), { x: MARGIN, y, size, font, color });
+    y -= gap;
+  };
+
+  // Header, with the QR code in the top right corner.
+  line("PRINT-Q ORDER", { size: 12, font: bold, color: GREY, gap: 10 });
+  line(order.order_number, { size: 26, font: bold, gap: 10 });
+  if (order.rush) line("RUSH ORDER", { size: 16, font: bold, color: RED, gap: 8 });
+  line(`Claim code: ${order.claim_code}`, { size: 16, font: bold, gap: 14 });
+  drawQrCode(page, order.claim_code, { x: width - MARGIN - QR_SIZE, y: height - MARGIN - QR_SIZE, size: QR_SIZE });
+  page.drawText("Scan at pickup to mark claimed", {
+    x: width - MARGIN - QR_SIZE + (QR_SIZE - regular.widthOfTextAtSize("Scan at pickup to mark claimed", 8)) / 2,
+    y: height - MARGIN - QR_SIZE - 8,
+    size: 8,
+    font: regular,
+    color: GREY,
+  });
+
+  line(`Customer: ${order.customer_email}`);
+  line(`Placed: ${localTime(order.created_at, timeZone)}`);
+  if (station) line(`Pickup: ${station.name}, ${station.location}`);
+  if (order.pickup_at) line(`Pickup slot: ${localTime(order.pickup_at, timeZone)}`);
+  line(`Payment: ${paymentLine(order, payments)}`, { font: bold, gap: 18 });
+
+  line("Options", { size: 13, font: bold, gap: 6 });
+  line(optionsLine(order), { maxWidth: width - 2 * MARGIN });
+  line(`${order.sheets} sheet${order.sheets === 1 ? "" : "s"}, total PHP ${Number(order.total_cost).toFixed(2)}`, {
+    maxWidth: width - 2 * MARGIN,
+    gap: 18,
+  });
+
+  // Files, as many as fit above the footer.
+  line(`Files (${items.length})`, { size: 13, font: bold, gap: 6 });
+  const rowSize = 10;
+  const rowHeight = rowSize + 6;
+  const room = Math.floor((y - MARGIN - 30) / rowHeight);
+  const shown = items.length > room ? items.slice(0, Math.max(room - 1, 0)) : items;
+  for (const item of shown) {
+    const pages = item.page_range ? `pages ${item.page_range} of ${item.pagecount}` : `${item.pagecount} page${item.pagecount === 1 ? "" : "s"}`;
+    const detail = `${pages}, ${item.copies} cop${item.copies === 1 ? "y" : "ies"}${item.in_print_file === false ? ", PRINT BY HAND" : ""}`;
+    const detailWidth = regular.widthOfTextAtSize(detail, rowSize);
+    y -= rowSize;
+    page.drawText(fit(regular, item.filename, rowSize, width - 2 * MARGIN - detailWidth - 16), { x: MARGIN, y, size: rowSize, font: regular });
+    page.drawText(detail, { x: width - MARGIN - detailWidth, y, size: rowSize, font: regular, color: item.in_print_file === false ? RED : BLACK });
+    y -= rowHeight - rowSize;
+  }
+  if (shown.length < items.length) line(`...and ${items.length - shown.length} more file(s)`, { size: rowSize, color: GREY });
+
+  page.drawText("Cover sheet, not charged", { x: MARGIN, y: MARGIN, size: 9, font: regular, color: GREY });
+
+  if (order.duplex && order.duplex !== "none") output.addPage([width, height]);
+  return output.save();
+}
+
+// The order's cover sheet as it stands now (payment status included).
+export async function orderCoverSheet(store, stations, order) {
+  const [items, payments] = await Promise.all([
+    store.find("order_items", { order_id: order.id }, { orderBy: "created_at" }),
+    store.find("payments", { order_id: order.id }, { orderBy: "created_at" }),
+  ]);
+  return buildCoverSheet({
+    order,
+    items,
+    payments,
+    station: order.station_id ? stations.find(order.station_id) : null,
+    timeZone: stations.get().timezone,
+  });
+}
+
+// The order's cover sheet followed by its print-ready PDF (`document`).
+export async function withCoverSheet(store, stations, order, document) {
+  const cover = await PDFDocument.load(await orderCoverSheet(store, stations, order));
+  const print = await PDFDocument.load(document);
+  const pages = await cover.copyPages(print, print.getPageIndices());
+  pages.forEach(page => cover.addPage(page));
+  return Buffer.from(await cover.save());
+}
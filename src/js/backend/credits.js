@@ -0,0 +1,253 @@
+import express from "express";
+import { requireOperator, requireStudent } from "./auth.js";
+import { orderEvents } from "./order-status.js";
+import { withLock } from "./locks.js";
+import { roundMoney } from "../priceTable.js";
+import { campusDomains, isCampusEmail, normalizeEmail } from "./accounts/index.js";
+
+// ================== PRINT CREDIT ==================
+// A prepaid wallet per student, kept by campus email so an operator can top
+// up someone who has never signed in (e.g. members an organization
+// sponsors). Every movement is a row in credit_ledger with a signed amount
+// and the balance after it; the balance is the sum of the rows. Credit pays
+// an order in full when it is placed and goes back to the wallet when that
+// order is cancelled or rejected.
+export const CREDIT_KINDS = ["top_up", "adjustment", "order", "refund"];
+// Who order history names for orders paid when they were placed.
+export const CHECKOUT_ACTOR = "checkout";
+// Orders that give their credit back.
+const REFUND_STATUSES = ["cancelled", "rejected"];
+// The most one top-up may add, against a slipped extra zero.
+const MAX_TOP_UP = 5000;
+// Ledger rows returned at once, newest first.
+const LEDGER_LIMIT = 50;
+// How often refunds the listener missed are looked for.
+const REFUND_SWEEP_MS = 10 * 60 * 1000;
+// Order ids per ledger lookup, to keep each query short.
+const ID_BATCH_SIZE = 200;
+
+// `status` is the HTTP status the routes answer with.
+export class CreditError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "CreditError";
+    this.status = status;
+  }
+}
+
+function money(amount) {
+  return `₱${Number(amount).toFixed(2)}`;
+}
+
+// The lock every change to one wallet is made under (see locks.js).
+export function creditLock(email) {
+  return `credit:${email}`;
+}
+
+// How an order was paid when it was placed: "credit", "voucher" when the
+// voucher left nothing to pay, "free" when the price was zero anyway, or
+// null for orders paid with GCash.
+export function paidAtCheckout(order) {
+  if (Number(order.credit_applied) > 0) return "credit";
+  if (Number(order.total_cost) === 0) return order.voucher_code ? "voucher" : "free";
+  return null;
+}
+
+export async function creditBalance(store, email) {
+  const rows = await store.find("credit_ledger", { customer_email: email });
+  return roundMoney(rows.reduce((sum, row) => sum + Number(row.amount), 0));
+}
+
+// Adds one ledger row. The caller holds the wallet's lock, so the balance
+// it is checked against cannot change in between.
+async function record(store, entry) {
+  const balance = roundMoney(await creditBalance(store, entry.customer_email) + entry.amount);
+  if (balance < 0) {
+    throw new CreditError(`The print credit of ${entry.customer_email} (${money(balance - entry.amount)}) does not cover ${money(-entry.amount)}`, 409);
+  }
+  const [row] = await store.insert("credit_ledger", [{ ...entry, balance_after: balance }]);
+  console.log(`🪙 ${entry.customer_email}: ${entry.amount < 0 ? "−" : "+"}${money(Math.abs(entry.amount))} (${entry.kind}), balance ${money(balance)}`);
+  return row;
+}
+
+// Operators add credit (or, with a negative amount and a note, take some
+// off) for `email`.
+export function topUpCredit(store, { email, amount, note = null, by }) {
+  return withLock(creditLock(email), async () => {
+    const [user] = await store.find("users", { email });
+    return record(store, {
+      customer_email: email,
+      user_id: user?.id ?? null,
+      amount,
+      kind: amount > 0 ? "top_up" : "adjustment",
+      note,
+      created_by: by,
+    });
+  });
+}
+
+// Pays a new order's total from its customer's wallet. Runs inside the
+// order's transaction under creditLock(order.customer_email), so a failed
+// order takes the charge back with it.
+export function chargeOrder(tx, order) {
+  return record(tx, {
+    customer_email: order.customer_email,
+    user_id: order.user_id,
+    amount: -Number(order.total_cost),
+    kind: "order",
+    order_id: order.id,
+    order_number: order.order_number,
+    created_by: CHECKOUT_ACTOR,
+  });
+}
+
+// Puts an order's credit back once; later calls return the same refund.
+export function refundOrder(store, order, { by, note = null }) {
+  return withLock(creditLock(order.customer_email), async () => {
+    const [refunded] = await store.find("credit_ledger", { order_id: order.id, kind: "refund" });
+    if (refunded) return refunded;
+    return record(store, {
+      customer_email: order.customer_email,
+      user_id: order.user_id,
+      amount: Number(order.credit_applied),
+      kind: "refund",
+      order_id: order.id,
+      order_number: order.order_number,
+      note,
+      created_by: by,
+    });
+  });
+}
+
+function refundNote(order, note) {
+  return `Order ${order.order_number} ${order.status}${note ? `: ${note}` : ""}`;
+}
+
+// Refunds every cancelled or rejected credit-paid order that has not had
+// its credit back, e.g. because the write failed or the process stopped
+// right after the status changed. The order's status is what records that
+// a refund is owed, so nothing is lost in between. Returns the refunds.
+export async function sweepRefunds(store) {
+  const orders = (await store.find("orders", { status: REFUND_STATUSES }))
+    .filter(order => Number(order.credit_applied) > 0);
+  const refunded = new Set();
+  for (let i = 0; i < orders.length; i += ID_BATCH_SIZE) {
+    const ids = orders.slice(i, i + ID_BATCH_SIZE).map(order => order.id);
+    for (const row of await store.find("credit_ledger", { order_id: ids, kind: "refund" })) refunded.add(row.order_id);
+  }
+
+  const refunds = [];
+  for (const order of orders.filter(o => !refunded.has(o.id))) {
+    try {
+      refunds.push(await refundOrder(store, order, { by: order.status_changed_by, note: refundNote(order) }));
+    } catch (err) {
+      console.error(`❌ Credit refund for ${order.order_number} failed:`, err.message);
+    }
+  }
+  return refunds;
+}
+
+// Refunds credit-paid orders as they are cancelled or rejected, and sweeps
+// for any refund that did not happen then.
+export function listenForRefunds({ store, events = orderEvents, sweepMs = REFUND_SWEEP_MS }) {
+  events.on("status", ({ order, to, changedBy, note }) => {
+    if (!REFUND_STATUSES.includes(to) || !(Number(order.credit_applied) > 0)) return;
+    refundOrder(store, order, { by: changedBy, note: refundNote(order, note) })
+      .catch(err => console.error(`❌ Credit refund for ${order.order_number} failed, the next sweep retries it:`, err));
+  });
+  const sweep = () => sweepRefunds(store).catch(err => console.error("❌ Credit refund sweep error:", err));
+  setTimeout(sweep, 10 * 1000).unref();
+  setInterval(sweep, sweepMs).unref();
+}
+
+async function ledgerOf(store, where) {
+  return store.find("credit_ledger", where, { orderBy: "created_at", ascending: false, limit: LEDGER_LIMIT });
+}
+
+// ================== TOP-UP INPUT ==================
+// One address or several, separated by commas, spaces or new lines.
+function parseEmails(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(/[\s,;]+/);
+  return [...new Set(list.map(normalizeEmail).filter(Boolean))];
+}
+
+function parseTopUp(body, domains) {
+  const emails = parseEmails(body?.emails ?? body?.email);
+  if (emails.length === 0) throw new CreditError("Enter the student's campus email");
+  const notCampus = emails.filter(email => !/^[^\s@]+@[^\s@]+$/.test(email) || !isCampusEmail(email, domains));
+  if (notCampus.length) throw new CreditError(`Not a campus email: ${notCampus.join(", ")}`);
+
+  const amount = roundMoney(Number(body?.amount));
+  if (!Number.isFinite(amount) || amount === 0) throw new CreditError("Enter the amount of credit to add");
+  if (Math.abs(amount) > MAX_TOP_UP) throw new CreditError(`Top-ups are limited to ${money(MAX_TOP_UP)} at a time`);
+  const note = String(body?.note ?? "").trim() || null;
+  if (amount < 0 && (emails.length > 1 || !note)) {
+    throw new CreditError("Take credit off one student at a time, with a note saying why");
+  }
+  return { emails, amount, note };
+}
+
+// ================== ROUTES ==================
+export function createCreditRouter({ store, env = process.env }) {
+  const router = express.Router();
+  const domains = campusDomains(env);
+
+  function sendError(res, err, label) {
+    if (err instanceof CreditError) return res.status(err.status).json({ error: err.message });
+    console.error(`❌ ${label}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+
+  // The signed-in student's balance and latest movements.
+  router.get("/account/credit", requireStudent, async (req, res) => {
+    try {
+      const [balance, ledger] = await Promise.all([
+        creditBalance(store, req.student.email),
+        ledgerOf(store, { customer_email: req.student.email }),
+      ]);
+      res.json({
+        balance,
+        ledger: ledger.map(({ amount, balance_after, kind, order_number, note, created_at }) =>
+          ({ amount, balance_after, kind, order_number, note, created_at })),
+      });
+    } catch (err) {
+      sendError(res, err, "Credit lookup error");
+    }
+  });
+
+  router.use("/operator/credits", requireOperator);
+
+  // One student's balance and movements with ?email=, otherwise the latest
+  // movements of everyone.
+  router.get("/operator/credits", async (req, res) => {
+    try {
+      const email = normalizeEmail(req.query.email);
+      if (!email) return res.json({ email: null, balance: null, ledger: await ledgerOf(store, {}) });
+      const [balance, ledger] = await Promise.all([
+        creditBalance(store, email),
+        ledgerOf(store, { customer_email: email }),
+      ]);
+      res.json({ email, balance, ledger });
+    } catch (err) {
+      sendError(res, err, "Credit ledger error");
+    }
+  });
+
+  // { emails, amount, note }: the same amount for every address, so an
+  // organization's sponsorship can be entered at once. Every address is
+  // checked before any credit is added.
+  router.post("/operator/credits", async (req, res) => {
+    try {
+      const { emails, amount, note } = parseTopUp(req.body, domains);
+      const entries = [];
+      for (const email of emails) {
+        entries.push(await topUpCredit(store, { email, amount, note, by: req.operator }));
+      }
+      res.status(201).json({ entries });
+    } catch (err) {
+      sendError(res, err, "Credit top-up error");
+    }
+  });
+
+  return router;
+}
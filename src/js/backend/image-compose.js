@@ -0,0 +1,112 @@
+import { PDFDocument } from "pdf-lib";
+import { createCanvas, loadImage } from "@napi-rs/canvas";
+import UTIF from "utif";
+import { DEFAULT_IMAGE_DPI, composedPageCount, imageCells, placeImage } from "../imageLayout.js";
+
+export const IMAGE_KINDS = ["png", "jpeg", "webp", "tiff"];
+
+// Pixels beyond this resolution are not visible on paper and only make the
+// print-ready PDF bigger.
+const MAX_OUTPUT_DPI = 300;
+
+// ================== DECODING ==================
+// ResolutionUnit 2 is inches and 3 centimetres; 1 (or none) means the
+// resolution tag has no physical meaning.
+function dpiFromTiff(ifd) {
+  const resolution = ifd.t282?.[0];
+  const unit = ifd.t296?.[0] ?? 2;
+  if (!resolution || (unit !== 2 && unit !== 3)) return DEFAULT_IMAGE_DPI;
+  return unit === 3 ? resolution * 2.54 : resolution;
+}
+
+function canvasFromRgba(rgba, width, height) {
+  const canvas = createCanvas(width, height);
+  const context = canvas.getContext("2d");
+  const imageData = context.createImageData(width, height);
+  imageData.data.set(rgba);
+  context.putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+// Returns [{ source, width, height, dpi }]: one frame for PNG, JPEG and WebP,
+// one per page of a TIFF. `source` can be drawn onto a canvas.
+export async function decodeImageFrames(buffer, kind) {
+  if (kind !== "tiff") {
+    const image = await loadImage(buffer);
+    return [{ source: image, width: image.width, height: image.height, dpi: DEFAULT_IMAGE_DPI }];
+  }
+
+  return UTIF.decode(buffer).map(ifd => {
+    UTIF.decodeImage(buffer, ifd);
+    return {
+      source: canvasFromRgba(UTIF.toRGBA8(ifd), ifd.width, ifd.height),
+      width: ifd.width,
+      height: ifd.height,
+      dpi: dpiFromTiff(ifd),
+    };
+  });
+}
+
+// ================== COMPOSITION ==================
+// Draws the cropped (and possibly rotated) part of a frame onto a white
+// canvas at no more than MAX_OUTPUT_DPI and embeds it in `output`.
+async function embedPlacement(output, frame, kind, { rotate, crop, dpi }) {
+  const outScale = Math.min(1, MAX_OUTPUT_DPI / dpi);
+  const width = Math.max(1, Math.round(crop.width * outScale));
+  const height = Math.max(1, Math.round(crop.height * outScale));
+  const canvas = createCanvas(width, height);
+  const context = canvas.getContext("2d");
+  context.fillStyle = "white";
+  context.fillRect(0, 0, width, height);
+
+  context.scale(outScale, outScale);
+  context.translate(-crop.x, -crop.y);
+  if (rotate) {
+    // Quarter turn clockwise: the frame's height becomes the drawing's width.
+    context.translate(frame.height, 0);
+    context.rotate(Math.PI / 2);
+  }
+  context.drawImage(frame.source, 0, 0);
+
+  // Photos stay JPEG; screenshots and scans keep sharp edges as PNG.
+  return kind === "jpeg" || kind === "webp"
+    ? output.embedJpg(new Uint8Array(await canvas.encode("jpeg", 92)))
+    : output.embedPng(await canvas.encode("png"));
+}
+
+// Lays an image upload out on `paperSize` sheets, `perSheet` photos to a
+// sheet. A single image is repeated in every cell (ID-photo grids); a
+// multi-page TIFF fills the cells in page order.
+// Returns { pdf, page_count, min_dpi }.
+export async function composeImagePages(buffer, kind, paperSize, options) {
+  const frames = await decodeImageFrames(buffer, kind);
+  const { size, cells } = imageCells(paperSize, options.perSheet);
+  const output = await PDFDocument.create();
+  const pageCount = composedPageCount(frames.length, options.perSheet);
+  let minDpi = Infinity;
+
+  const placed = [];
+  for (const frame of frames) {
+    const placement = placeImage(frame, cells[0], options);
+    placed.push({ placement, image: await embedPlacement(output, frame, kind, placement) });
+    minDpi = Math.min(minDpi, placement.dpi);
+  }
+
+  for (let p = 0; p < pageCount; p++) {
+    const sheet = output.addPage(size);
+    cells.forEach((cell, c) => {
+      const entry = frames.length === 1 ? placed[0] : placed[p * cells.length + c];
+      if (!entry) return;
+      // Every cell has the same size, so only the offset differs from cells[0].
+      const { box } = entry.placement;
+      sheet.drawImage(entry.image, {
+        x: box.x - cells[0].x + cell.x,
+        y: box.y - cells[0].y + cell.y,
+        width: box.width,
+        height: box.height,
+      });
+    });
+  }
+
+  return { pdf: Buffer.from(await output.save()), page_count: pageCount, min_dpi: minDpi };
+}
@@ -0,0 +1,29 @@
+// ================== LOCKS ==================
+// Neither store can lock a row, so a check followed by a write (a wallet's
+// balance, a voucher's remaining uses) is serialized here instead. This
+// only holds while the API runs as a single process, which it does.
+const queues = new Map();
+
+// Runs `work` once every earlier call with the same key has finished.
+export async function withLock(key, work) {
+  const previous = queues.get(key) || Promise.resolve();
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  const tail = previous.then(() => done);
+  queues.set(key, tail);
+
+  await previous;
+  try {
+    return await work();
+  } finally {
+    release();
+    if (queues.get(key) === tail) queues.delete(key);
+  }
+}
+
+// Takes several locks, always in the same order so two callers never wait
+// on each other. Empty keys are skipped.
+export function withLocks(keys, work) {
+  const [first, ...rest] = [...new Set(keys.filter(Boolean))].sort();
+  return first ? withLock(first, () => withLocks(rest, work)) : work();
+}
@@ -0,0 +1,101 @@
+import fs from "fs/promises";
+import path, { dirname } from "path";
+import { fileURLToPath } from "url";
+import { loadOrder } from "../orders.js";
+import { orderEvents } from "../order-status.js";
+import { paidAtCheckout } from "../credits.js";
+import { renderTemplate, STATUS_TEMPLATES } from "./templates.js";
+import { createTransport } from "./transports.js";
+
+const GCASH_QR_PATH = path.join(dirname(fileURLToPath(import.meta.url)), "../../../img/GCash-MyQR.jpg");
+// Waits between attempts; a send is tried once more than there are delays.
+const RETRY_DELAYS_MS = [2000, 10000, 30000];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Where links in emails point, without a trailing slash.
+export function publicUrl(env = process.env) {
+  return (env.PRINTQ_PUBLIC_URL || "https://campusprintq.onrender.com").replace(/\/$/, "");
+}
+
+// ================== NOTIFIER ==================
+// Sends the order emails in templates.js through one transport, retrying
+// failed sends and recording every outcome in the notifications table.
+export function createNotifier({ store, stations = null, env = process.env, transport = createTransport(env), retryDelays = RETRY_DELAYS_MS }) {
+  const from = env.PRINTQ_MAIL_FROM || env.GMAIL_USER || "Print-Q <no-reply@printq.local>";
+  const baseUrl = publicUrl(env);
+
+  // Resolves to { id, attempts }, or throws the last error with `attempts` set.
+  async function deliver(message, label) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return { id: await transport.send({ from, ...message }), attempts: attempt };
+      } catch (err) {
+        console.error(`❌ ${label}: attempt ${attempt} via ${transport.name} failed: ${err.message}`);
+        if (attempt > retryDelays.length) {
+          err.attempts = attempt;
+          throw err;
+        }
+        await sleep(retryDelays[attempt - 1]);
+      }
+    }
+  }
+
+  async function notifyOrder(templateName, order, extra = {}) {
+    const trackUrl = order.claim_code ? `${baseUrl}/track/${order.claim_code}` : baseUrl;
+    const station = order.station_id ? stations?.find(order.station_id) : null;
+    const { subject, html, text, attachQr } = renderTemplate(templateName, { order, trackUrl, station, ...extra });
+    const attachments = attachQr ? [{ filename: "GCash-MyQR.jpg", content: await fs.readFile(GCASH_QR_PATH) }] : [];
+    const record = {
+      order_id: order.id,
+      template: templateName,
+      recipient: order.customer_email,
+      transport: transport.name,
+    };
+
+    try {
+      const { id, attempts } = await deliver(
+        { to: order.customer_email, subject, html, text, attachments },
+        `${templateName} for ${order.order_number}`
+      );
+      await store.insert("notifications", [{ ...record, status: "sent", attempts, message_id: id }]);
+      console.log(`📨 ${templateName} sent for ${order.order_number} to ${order.customer_email}`);
+    } catch (err) {
+      await store.insert("notifications", [{ ...record, status: "failed", attempts: err.attempts ?? 1, error: err.message }]);
+      console.error(`❌ ${templateName} for ${order.order_number} gave up: ${err.message}`);
+    }
+  }
+
+  // Loads the order with its items and sends in the background, so a slow
+  // mail server never holds up the request that changed the order.
+  function send(templateName, orderNumber, extra) {
+    loadOrder(store, orderNumber)
+      .then(order => order && notifyOrder(templateName, order, extra))
+      .catch(err => console.error(`❌ ${templateName} for ${orderNumber} failed:`, err));
+  }
+
+  // Sends a message the caller wrote itself, e.g. a sign-in link.
+  async function sendMessage({ to, subject, text, html, attachments = [] }) {
+    return (await deliver({ to, subject, text, html, attachments }, `Email to ${to}`)).id;
+  }
+
+  // The same in the background, for requests that should not wait out the
+  // retries (sign-in links).
+  function queueMessage(message) {
+    sendMessage(message).catch(err => console.error(`❌ Email to ${message.to} gave up: ${err.message}`));
+  }
+
+  function listen(events = orderEvents) {
+    events.on("created", ({ order }) => send("order_received", order.order_number));
+    events.on("status", ({ order, from, to, note }) => {
+      const templateName = STATUS_TEMPLATES[to];
+      // printing → paid only undoes a mistaken start and is not news, and
+      // orders paid when placed already said so in their confirmation.
+      if (!templateName || (to === "paid" && (from !== "pending" || paidAtCheckout(order)))) return;
+      send(templateName, order.order_number, { note });
+    });
+    console.log(`📨 Notifications via ${transport.name}`);
+  }
+
+  return { transport, notifyOrder, sendMessage, queueMessage, listen };
+}
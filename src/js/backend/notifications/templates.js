@@ -0,0 +1,207 @@
+import { paidAtCheckout } from "../credits.js";
+
+// ================== EMAIL TEMPLATES ==================
+// Each template turns { order, trackUrl, station } into { subject, html, text }.
+// `order` is a full order row with its `items`; `station` is its pickup
+// station from config/stations.json, or null for orders placed before
+// stations existed.
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, ch => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+  })[ch]);
+}
+
+function money(amount) {
+  return `₱${Number(amount || 0).toFixed(2)}`;
+}
+
+function itemLine(item) {
+  const pages = item.page_range ? `pages ${item.page_range} of ${item.pagecount}` : `${item.pagecount} page(s)`;
+  return `${item.filename}: ${pages}, ${item.copies} cop${item.copies === 1 ? "y" : "ies"}, ${money(item.cost)}`;
+}
+
+function itemsText(order) {
+  return order.items.map(item => `  - ${itemLine(item)}`).join("\n");
+}
+
+function itemsHtml(order) {
+  return `<ul>${order.items.map(item => `<li>${escapeHtml(itemLine(item))}</li>`).join("")}</ul>`;
+}
+
+// Shared frame so every email looks the same and carries the tracking link.
+function layout({ heading, bodyHtml, order, trackUrl }) {
+  return `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #111827; max-width: 560px; margin: 0 auto;">
+  <div style="background: #2563eb; color: white; padding: 16px 20px; font-size: 20px; font-weight: 600;">Print-Q</div>
+  <div style="padding: 20px;">
+    <h2 style="margin-top: 0;">${escapeHtml(heading)}</h2>
+    ${bodyHtml}
+    <p>Order <strong>${escapeHtml(order.order_number)}</strong> &middot; Claim code <strong>${escapeHtml(order.claim_code)}</strong></p>
+    <p><a href="${escapeHtml(trackUrl)}" style="color: #2563eb;">Track your order</a></p>
+  </div>
+</body>
+</html>`;
+}
+
+function pickupPlace(station) {
+  return station ? `${station.name} (${station.location})` : "the print station";
+}
+
+function voucherLine(order) {
+  return order.voucher_code ? `Voucher ${order.voucher_code}: −${money(order.voucher_discount)}` : null;
+}
+
+// What the order confirmation asks for: GCash, or nothing for orders paid
+// when they were placed.
+function paymentText(order) {
+  const prepaid = paidAtCheckout(order);
+  if (prepaid === "credit") return `Paid with your print credit. We'll email you again when it is ready for pickup.`;
+  if (prepaid === "voucher") return `Your voucher covers the total, so there is nothing to pay. We'll email you again when it is ready for pickup.`;
+  if (prepaid === "free") return `There is nothing to pay for this order. We'll email you again when it is ready for pickup.`;
+  return null;
+}
+
+// Credit goes back to the wallet by itself (see credits.js).
+function refundText(order) {
+  return paidAtCheckout(order) === "credit"
+    ? `The ${money(order.credit_applied)} you paid with print credit is back in your balance.`
+    : `If you already paid, please reply to this email or visit the print station.`;
+}
+
+function footerText(order, trackUrl) {
+  return `Order ${order.order_number} · Claim code ${order.claim_code}\nTrack your order: ${trackUrl}`;
+}
+
+export const TEMPLATES = {
+  order_received: ({ order, trackUrl }) => ({
+    subject: `Print-Q order ${order.order_number} received`,
+    // The GCash QR travels with this one email, since it asks for payment.
+    attachQr: !paymentText(order),
+    text: [
+      `We received your order.`,
+      ``,
+      itemsText(order),
+      ``,
+      `${order.papersize}, ${order.color}, ${order.sheets} sheet(s)`,
+      voucherLine(order),
+      `Total: ${money(order.total_cost)}`,
+      ``,
+      paymentText(order) || `Pay the total with GCash using the attached QR code, then submit your GCash reference number on the order page. We print once your payment is verified.`,
+      ``,
+      footerText(order, trackUrl),
+    ].filter(line => line !== null).join("\n"),
+    html: layout({
+      heading: "We received your order",
+      order,
+      trackUrl,
+      bodyHtml: `
+    ${itemsHtml(order)}
+    <p>${escapeHtml(order.papersize)}, ${escapeHtml(order.color)}, ${order.sheets} sheet(s)<br>
+    ${voucherLine(order) ? `${escapeHtml(voucherLine(order))}<br>` : ""}
+    <strong>Total: ${money(order.total_cost)}</strong></p>
+    ${paymentText(order) ? `<p>${escapeHtml(paymentText(order))}</p>` : `<p>Pay the total with GCash using the attached QR code, then submit your GCash reference number on the order page.
+    We print once your payment is verified.</p>`}`,
+    }),
+  }),
+
+  payment_verified: ({ order, trackUrl }) => ({
+    subject: `Payment received for Print-Q order ${order.order_number}`,
+    text: [
+      `Your GCash payment of ${money(order.total_cost)} is verified and your order is in the print queue.`,
+      `We'll email you again when it is ready for pickup.`,
+      ``,
+      footerText(order, trackUrl),
+    ].join("\n"),
+    html: layout({
+      heading: "Payment verified",
+      order,
+      trackUrl,
+      bodyHtml: `
+    <p>Your GCash payment of <strong>${money(order.total_cost)}</strong> is verified and your order is in the print queue.</p>
+    <p>We'll email you again when it is ready for pickup.</p>`,
+    }),
+  }),
+
+  ready_for_pickup: ({ order, trackUrl, station }) => ({
+    subject: `Print-Q order ${order.order_number} is ready for pickup`,
+    text: [
+      `Your printout is ready!`,
+      ``,
+      itemsText(order),
+      ``,
+      `Show claim code ${order.claim_code} at ${pickupPlace(station)} to pick it up.`,
+      ``,
+      footerText(order, trackUrl),
+    ].join("\n"),
+    html: layout({
+      heading: "Your printout is ready!",
+      order,
+      trackUrl,
+      bodyHtml: `
+    ${itemsHtml(order)}
+    <p>Show claim code <strong style="font-size: 20px; letter-spacing: 2px;">${escapeHtml(order.claim_code)}</strong>
+    at ${escapeHtml(pickupPlace(station))} to pick it up.</p>`,
+    }),
+  }),
+
+  cancelled: ({ order, trackUrl, note }) => ({
+    subject: `Print-Q order ${order.order_number} was ${order.status}`,
+    text: [
+      `Your order was ${order.status} and will not be printed.`,
+      note ? `Reason: ${note}` : null,
+      refundText(order),
+      ``,
+      footerText(order, trackUrl),
+    ].filter(line => line !== null).join("\n"),
+    html: layout({
+      heading: `Your order was ${order.status}`,
+      order,
+      trackUrl,
+      bodyHtml: `
+    <p>Your order will not be printed.</p>
+    ${note ? `<p>Reason: ${escapeHtml(note)}</p>` : ""}
+    <p>${escapeHtml(refundText(order))}</p>`,
+    }),
+  }),
+};
+
+// Not about an order, so it has its own frame. Sent by the local sign-in
+// provider (accounts/providers.js); Supabase sends its own.
+export function signInEmail({ link, minutes }) {
+  return {
+    subject: "Your Print-Q sign-in link",
+    text: [
+      `Open this link to sign in to Print-Q:`,
+      link,
+      ``,
+      `It works once and expires in ${minutes} minutes. If you did not ask for it, ignore this email.`,
+    ].join("\n"),
+    html: `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #111827; max-width: 560px; margin: 0 auto;">
+  <div style="background: #2563eb; color: white; padding: 16px 20px; font-size: 20px; font-weight: 600;">Print-Q</div>
+  <div style="padding: 20px;">
+    <h2 style="margin-top: 0;">Sign in to Print-Q</h2>
+    <p><a href="${escapeHtml(link)}" style="display: inline-block; background: #2563eb; color: white; padding: 10px 18px; border-radius: 6px; text-decoration: none;">Sign in</a></p>
+    <p style="color: #6b7280;">The link works once and expires in ${minutes} minutes. If you did not ask for it, ignore this email.</p>
+  </div>
+</body>
+</html>`,
+  };
+}
+
+// Which template each order status change sends, if any.
+export const STATUS_TEMPLATES = {
+  paid: "payment_verified",
+  ready: "ready_for_pickup",
+  cancelled: "cancelled",
+  rejected: "cancelled",
+};
+
+export function renderTemplate(name, data) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+  return template(data);
+}
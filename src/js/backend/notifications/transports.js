@@ -0,0 +1,86 @@
+import nodemailer from "nodemailer";
+import { Resend } from "resend";
+import fs from "fs/promises";
+import path from "path";
+
+// Every transport exposes send({ from, to, subject, html, text, attachments })
+// and resolves to a message id, or throws.
+// attachments: [{ filename, content: Buffer }]
+
+// ================== SMTP ==================
+// SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASSWORD, or the original Gmail account
+// (GMAIL_USER/GMAIL_PASSWORD) when no host is given.
+export function createSmtpTransport(env) {
+  const transporter = env.SMTP_HOST
+    ? nodemailer.createTransport({
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT || 587),
+      secure: Number(env.SMTP_PORT) === 465,
+      auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } : undefined,
+    })
+    : nodemailer.createTransport({
+      service: "gmail",
+      auth: { user: env.GMAIL_USER, pass: env.GMAIL_PASSWORD },
+    });
+
+  return {
+    name: "smtp",
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return info.messageId || info.response;
+    },
+  };
+}
+
+// ================== RESEND ==================
+export function createResendTransport(env) {
+  const resend = new Resend(env.RESEND_API_KEY);
+  return {
+    name: "resend",
+    async send({ from, to, subject, html, text, attachments = [] }) {
+      // The Resend client reports failures in `error` instead of throwing.
+      const { data, error } = await resend.emails.send({ from, to, subject, html, text, attachments });
+      if (error) throw new Error(`Resend: ${error.message || error.name}`);
+      return data.id;
+    },
+  };
+}
+
+// ================== OUTBOX ==================
+// Development and tests: each message is written as JSON to
+// PRINTQ_OUTBOX_DIR, or only logged when no directory is set.
+export function createOutboxTransport(env) {
+  const dir = env.PRINTQ_OUTBOX_DIR;
+  let count = 0;
+
+  return {
+    name: "outbox",
+    async send({ from, to, subject, html, text, attachments = [] }) {
+      const id = `${Date.now()}-${++count}`;
+      if (dir) {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({
+          id, from, to, subject, text, html,
+          attachments: attachments.map(a => ({ filename: a.filename, size: a.content.length })),
+        }, null, 2));
+      }
+      console.log(`📭 Outbox ${id} → ${to}: ${subject}`);
+      return id;
+    },
+  };
+}
+
+// PRINTQ_MAIL_TRANSPORT=smtp|resend|outbox picks the transport. Without it,
+// Resend is used when its key is set, then SMTP/Gmail, then the outbox.
+export function createTransport(env = process.env) {
+  const kind = env.PRINTQ_MAIL_TRANSPORT
+    || (env.RESEND_API_KEY ? "resend" : env.SMTP_HOST || env.GMAIL_USER ? "smtp" : "outbox");
+
+  if (kind === "smtp") return createSmtpTransport(env);
+  if (kind === "resend") {
+    if (!env.RESEND_API_KEY) throw new Error("PRINTQ_MAIL_TRANSPORT=resend needs RESEND_API_KEY");
+    return createResendTransport(env);
+  }
+  if (kind === "outbox") return createOutboxTransport(env);
+  throw new Error(`Unknown PRINTQ_MAIL_TRANSPORT: ${kind}`);
+}
@@ -0,0 +1,212 @@
+import express from "express";
+import path from "path";
+import { loginOperator, operatorStation, requireOperator } from "./auth.js";
+import { orderCoverSheet, withCoverSheet } from "./cover-sheet.js";
+import { ORDER_STATUSES, ORDER_TRANSITIONS, StatusTransitionError, transitionOrder } from "./order-status.js";
+import { normalizeClaimCode } from "./tracking.js";
+
+// ================== HELPERS ==================
+// Pending orders only become paid by verifying a payment (see payments.js),
+// so operators are not offered that move directly.
+function operatorNextStatuses(status) {
+  const next = ORDER_TRANSITIONS[status] || [];
+  return status === "pending" ? next.filter(to => to !== "paid") : next;
+}
+
+// Only the filters the queue offers are passed through to the store. An
+// operator tied to a station only ever sees that station's orders.
+function queueFilter(query, station) {
+  const where = {};
+  for (const key of ["status", "papersize", "color"]) {
+    if (query[key]) where[key] = String(query[key]).split(",");
+  }
+  if (station) where.station_id = station;
+  else if (query.station) where.station_id = String(query.station).split(",");
+  return where;
+}
+
+// Orders not yet printed whose due time has passed.
+const OVERDUE_STATUSES = ["paid", "printing"];
+
+// When the order should be done: its pickup slot or ready estimate, and for
+// orders from before due times existed, when it was placed.
+function dueTime(order) {
+  return order.due_at || order.created_at;
+}
+
+function isOverdue(order, now = Date.now()) {
+  return OVERDUE_STATUSES.includes(order.status) && Boolean(order.due_at) && Date.parse(order.due_at) < now;
+}
+
+// The order, or null if it does not exist or belongs to another station
+// than the operator's.
+export async function getOperatorOrder(store, req, id) {
+  const order = await store.get("orders", id);
+  if (!order || (req.operatorStation && order.station_id !== req.operatorStation)) return null;
+  return order;
+}
+
+async function loadOperatorOrder(store, req, id) {
+  const order = await getOperatorOrder(store, req, id);
+  if (!order) return null;
+  const [items, history] = await Promise.all([
+    store.find("order_items", { order_id: id }, { orderBy: "created_at" }),
+    store.find("order_status_events", { order_id: id }, { orderBy: "created_at" }),
+  ]);
+  return { ...order, items, history, next_statuses: operatorNextStatuses(order.status) };
+}
+
+// ================== ROUTES ==================
+export function createOperatorRouter({ store, stations }) {
+  const router = express.Router();
+
+  router.post("/operator/login", (req, res) => {
+    const { username, password } = req.body || {};
+    const token = username && password ? loginOperator(username, password) : null;
+    if (!token) return res.status(401).json({ error: "Invalid username or password" });
+    res.json({ token, username, station: operatorStation(username) });
+  });
+
+  router.use("/operator", requireOperator);
+
+  // Soonest due first, so the queue reads in the order it should be
+  // printed; rush orders are due first unless their slot is later.
+  router.get("/operator/orders", async (req, res) => {
+    try {
+      const orders = (await store.find("orders", queueFilter(req.query, req.operatorStation), { orderBy: "created_at" }))
+        .sort((a, b) => Date.parse(dueTime(a)) - Date.parse(dueTime(b)) || Number(Boolean(b.rush)) - Number(Boolean(a.rush)));
+      const ids = orders.map(o => o.id);
+      const [items, printJobs] = orders.length
+        ? await Promise.all([
+          store.find("order_items", { order_id: ids }),
+          store.find("print_jobs", { order_id: ids }, { orderBy: "created_at" }),
+        ])
+        : [[], []];
+      res.json({
+        statuses: ORDER_STATUSES,
+        station: req.operatorStation,
+        orders: orders.map(order => ({
+          ...order,
+          items: items.filter(item => item.order_id === order.id),
+          // The latest printer job, if the order was sent to a printer.
+          print_job: printJobs.filter(job => job.order_id === order.id).pop() || null,
+          overdue: isOverdue(order),
+          next_statuses: operatorNextStatuses(order.status),
+        })),
+      });
+    } catch (err) {
+      console.error("❌ Operator queue error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get("/operator/orders/:id", async (req, res) => {
+    try {
+      const order = await loadOperatorOrder(store, req, req.params.id);
+      if (!order) return res.status(404).json({ error: "Order not found" });
+      res.json({ order });
+    } catch (err) {
+      console.error("❌ Operator order error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.post("/operator/orders/:id/status", async (req, res) => {
+    try {
+      const { status, note } = req.body || {};
+      if (!ORDER_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${ORDER_STATUSES.join(", ")}` });
+      }
+
+      const order = await getOperatorOrder(store, req, req.params.id);
+      if (!order) return res.status(404).json({ error: "Order not found" });
+      if (order.status === "pending" && status === "paid") {
+        return res.status(409).json({ error: "Verify a payment to mark this order paid" });
+      }
+
+      await transitionOrder(store, order, status, { changedBy: req.operator, note: note || null });
+      res.json({ order: await loadOperatorOrder(store, req, order.id) });
+    } catch (err) {
+      if (err instanceof StatusTransitionError) return res.status(409).json({ error: err.message });
+      console.error("❌ Status update error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Pickup: the claim code typed in, or scanned from the order's cover
+  // sheet, marks a ready order claimed.
+  router.post("/operator/claims", async (req, res) => {
+    try {
+      const code = normalizeClaimCode(req.body?.claim_code);
+      if (!code) return res.status(400).json({ error: "claim_code is required" });
+      const [order] = await store.find("orders", { claim_code: code });
+      if (!order || (req.operatorStation && order.station_id !== req.operatorStation)) {
+        return res.status(404).json({ error: `No order with claim code ${code}${req.operatorStation ? " at this station" : ""}` });
+      }
+      if (order.status !== "ready") {
+        return res.status(409).json({ error: `${order.order_number} is ${order.status}, not ready for pickup`, order_number: order.order_number });
+      }
+
+      await transitionOrder(store, order, "claimed", { changedBy: req.operator, note: "Claim code scanned at pickup" });
+      console.log(`✅ ${order.order_number} claimed with code ${code} by ${req.operator}`);
+      res.json({ order: await loadOperatorOrder(store, req, order.id) });
+    } catch (err) {
+      if (err instanceof StatusTransitionError) return res.status(409).json({ error: err.message });
+      console.error("❌ Claim error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get("/operator/orders/:id/items/:itemId/file", async (req, res) => {
+    try {
+      const [order, item] = await Promise.all([
+        getOperatorOrder(store, req, req.params.id),
+        store.get("order_items", req.params.itemId),
+      ]);
+      if (!order || !item || item.order_id !== order.id) return res.status(404).json({ error: "File not found" });
+      if (order.files_purged_at) return res.status(410).json({ error: "This order's files were deleted under the retention policy" });
+
+      const buffer = await store.files.download(item.file_path);
+      res.attachment(path.basename(item.filename));
+      res.send(buffer);
+    } catch (err) {
+      console.error("❌ File download error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // The normalized PDF for the whole order, built when it was placed, behind
+  // a cover sheet made now so it shows the current payment status.
+  router.get("/operator/orders/:id/print-file", async (req, res) => {
+    try {
+      const order = await getOperatorOrder(store, req, req.params.id);
+      if (!order) return res.status(404).json({ error: "Order not found" });
+      if (order.files_purged_at) return res.status(410).json({ error: "This order's files were deleted under the retention policy" });
+      if (!order.print_file_path) return res.status(404).json({ error: "This order has no print-ready PDF" });
+
+      const buffer = await withCoverSheet(store, stations, order, await store.files.download(order.print_file_path));
+      res.attachment(`${order.order_number}.pdf`);
+      res.send(buffer);
+    } catch (err) {
+      console.error("❌ Print file download error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // The cover sheet on its own, for orders printed by hand.
+  router.get("/operator/orders/:id/cover-sheet", async (req, res) => {
+    try {
+      const order = await getOperatorOrder(store, req, req.params.id);
+      if (!order) return res.status(404).json({ error: "Order not found" });
+
+      res.attachment(`${order.order_number}-cover.pdf`);
+      res.type("application/pdf");
+      res.send(Buffer.from(await orderCoverSheet(store, stations, order)));
+    } catch (err) {
+      console.error("❌ Cover sheet error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,95 @@
+import { EventEmitter } from "events";
+import { withLock } from "./locks.js";
+
+// ================== STATUS WORKFLOW ==================
+// pending → paid → printing → ready → claimed, with cancelled/rejected as
+// exits. claimed, cancelled and rejected are final.
+export const ORDER_TRANSITIONS = {
+  pending: ["paid", "cancelled", "rejected"],
+  paid: ["printing", "cancelled", "rejected"],
+  printing: ["ready", "paid", "rejected"],
+  ready: ["claimed"],
+  claimed: [],
+  cancelled: [],
+  rejected: [],
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+export class StatusTransitionError extends Error {
+  constructor(from, to, message = `Cannot move an order from "${from}" to "${to}"`) {
+    super(message);
+    this.name = "StatusTransitionError";
+    this.from = from;
+    this.to = to;
+  }
+}
+
+// Emits "created" with { order } for every new order, "status" with
+// { order, from, to, changedBy, note } after every change, and "payment"
+// with { orderId, payment } when a payment for an order is submitted,
+// matched or rejected (verification also emits "status").
+export const orderEvents = new EventEmitter();
+
+// Pending orders older than this count as abandoned rather than unpaid.
+const DEFAULT_ABANDONED_HOURS = 48;
+
+// PRINTQ_ABANDONED_HOURS in milliseconds, shared by reports and clean-up.
+export function abandonedAfterMs(env = process.env) {
+  return Number(env.PRINTQ_ABANDONED_HOURS || DEFAULT_ABANDONED_HOURS) * 60 * 60 * 1000;
+}
+
+// A pending order nobody has paid for within `afterMs` of placing it. It
+// keeps its status; reports and clean-up just stop waiting for it.
+export function isAbandoned(order, afterMs, now = Date.now()) {
+  return order.status === "pending" && now - Date.parse(order.created_at) >= afterMs;
+}
+
+export function canTransition(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+// The lock every status change of an order is made under (see locks.js).
+export function orderLock(orderId) {
+  return `order:${orderId}`;
+}
+
+// Moves an order to `to`, recording who made the change and when in
+// order_status_events. Throws StatusTransitionError for disallowed moves,
+// and when the order's status is no longer the one the caller read: the
+// order is read again under its lock, so of two moves made at once only
+// the first applies.
+export async function transitionOrder(store, order, to, { changedBy, note = null } = {}) {
+  const from = order.status;
+  if (!canTransition(from, to)) throw new StatusTransitionError(from, to);
+
+  const updated = await withLock(orderLock(order.id), async () => {
+    const current = await store.get("orders", order.id);
+    if (!current) throw new Error(`Order ${order.order_number} not found`);
+    if (current.status !== from) {
+      throw new StatusTransitionError(current.status, to, `Order ${current.order_number} is already ${current.status}`);
+    }
+
+    const changedAt = new Date().toISOString();
+    return store.transaction(async (tx) => {
+      const row = await tx.update("orders", order.id, {
+        status: to,
+        status_changed_at: changedAt,
+        status_changed_by: changedBy,
+      });
+      await tx.insert("order_status_events", [{
+        order_id: order.id,
+        from_status: from,
+        to_status: to,
+        changed_by: changedBy,
+        note,
+        created_at: changedAt,
+      }]);
+      return row;
+    });
+  });
+
+  console.log(`🔁 Order ${updated.order_number}: ${from} → ${to} by ${changedBy}`);
+  orderEvents.emit("status", { order: updated, from, to, changedBy, note });
+  return updated;
+}
@@ -0,0 +1,521 @@
+import express from "express";
+import { randomBytes } from "crypto";
+import { parsePageRange, validateCopies } from "../pageRange.js";
+import { countColorSides, countSheets, DEFAULT_LAYOUT, validateLayout } from "../printLayout.js";
+import { quoteOrder } from "../priceTable.js";
+import { DEFAULT_IMAGE_OPTIONS, validateImageOptions } from "../imageLayout.js";
+import { preflightIssues } from "../preflight.js";
+import { buildOrderPdf } from "./print-ready.js";
+import { analyzeColor } from "./color-analysis.js";
+import { documentErrorStatus } from "./analysis.js";
+import { IMAGE_KINDS, composeImagePages } from "./image-compose.js";
+import { generateClaimCode } from "./tracking.js";
+import { orderEvents, transitionOrder } from "./order-status.js";
+import { megabytes, receiveUploads } from "./uploads.js";
+import { requireStudent } from "./auth.js";
+import { slotUnavailableReason, stationSupportError } from "../stationSchedule.js";
+import { newOrderReadyAt, slotLock, stationSlots } from "./stations.js";
+import { CHECKOUT_ACTOR, chargeOrder, creditBalance, creditLock, CreditError, paidAtCheckout } from "./credits.js";
+import { checkVoucher, voucherLock, VoucherError } from "./vouchers.js";
+import { withLocks } from "./locks.js";
+
+export const PAPER_SIZES = ["Letter", "Legal", "A4"];
+export const COLOR_LABELS = { bw: "Black & White", color: "Colored", auto: "Auto (color pages only)" };
+// Colors with their own rates; "auto" mixes the two per printed side.
+export const PRICED_COLORS = ["bw", "color"];
+// The order history note for each way an order is paid when placed (see
+// paidAtCheckout).
+const CHECKOUT_NOTES = {
+  credit: () => "Paid with print credit",
+  voucher: order => `Voucher ${order.voucher_code} covers the total`,
+  free: () => "Nothing to pay",
+};
+
+export class OrderValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "OrderValidationError";
+  }
+}
+
+// ================== HELPERS ==================
+function generateOrderNumber() {
+  const date = new Date().toISOString().slice(2, 10).replace(/-/g, "");
+  const suffix = randomBytes(3).toString("hex").toUpperCase();
+  return `PQ-${date}-${suffix}`;
+}
+
+function safeFileName(name) {
+  return name.replace(/[^\w.\-]+/g, "_").slice(-120);
+}
+
+// duplex, nup and orientation from a request (or a stored order), checked.
+export function parseLayout(body) {
+  try {
+    return validateLayout({
+      duplex: body.duplex ?? DEFAULT_LAYOUT.duplex,
+      nup: body.nup === undefined ? DEFAULT_LAYOUT.nup : Number(body.nup),
+      orientation: body.orientation ?? DEFAULT_LAYOUT.orientation,
+    });
+  } catch (err) {
+    throw new OrderValidationError(err.message);
+  }
+}
+
+function parseImageOptions(item, file) {
+  try {
+    return validateImageOptions({
+      fit: item.image_fit ?? DEFAULT_IMAGE_OPTIONS.fit,
+      perSheet: item.photos_per_sheet === undefined ? DEFAULT_IMAGE_OPTIONS.perSheet : Number(item.photos_per_sheet),
+      autoRotate: item.auto_rotate ?? DEFAULT_IMAGE_OPTIONS.autoRotate,
+    });
+  } catch (err) {
+    throw new OrderValidationError(`${file.originalname}: ${err.message}`);
+  }
+}
+
+// Uploaded files of the items, when the cart sent upload ids (see
+// upload-sessions.js) instead of the files themselves. Answers an error
+// message when the request mixes both or leaves an item without its id.
+function uploadIds(items, files) {
+  if (!items?.some(item => item.upload_id)) return { ids: null };
+  if (files.length) return { error: "Send either files or upload ids, not both" };
+  if (!items.every(item => typeof item.upload_id === "string" && item.upload_id)) {
+    return { error: "Every item needs an upload_id" };
+  }
+  return { ids: items.map(item => item.upload_id) };
+}
+
+function parseItems(raw) {
+  try {
+    const items = typeof raw === "string" ? JSON.parse(raw) : raw;
+    return Array.isArray(items) ? items : null;
+  } catch {
+    return null;
+  }
+}
+
+// Returns an error message unless `items` is a non-empty array of objects.
+function validateItems(items) {
+  if (!items || items.length === 0) return "items must be a non-empty array";
+  const i = items.findIndex(item => !item || typeof item !== "object" || Array.isArray(item));
+  return i >= 0 ? `items[${i}] must be an object` : null;
+}
+
+// Returns an error message for the first invalid field, or null.
+function validateOrder({ papersize, color, items, files }) {
+  if (!PAPER_SIZES.includes(papersize)) return `papersize must be one of ${PAPER_SIZES.join(", ")}`;
+  if (!COLOR_LABELS[color]) return `color must be one of ${Object.keys(COLOR_LABELS).join(", ")}`;
+  const invalidItems = validateItems(items);
+  if (invalidItems) return invalidItems;
+  if (items.length !== files.length) return `Got ${files.length} file(s) for ${items.length} item(s)`;
+
+  for (const [i, item] of items.entries()) {
+    if (item.copies !== undefined && !Number.isInteger(item.copies)) return `items[${i}].copies must be an integer`;
+  }
+  return null;
+}
+
+// The cached analysis (and converted PDF) for an upload, so the page count
+// comes from the server rather than the browser.
+async function analyzeUpload(analyzer, file) {
+  try {
+    const analysis = await analyzer.analyze(file.buffer, file.originalname);
+    return { analysis, pdfBuffer: await analyzer.loadPdf(analysis, file.buffer) };
+  } catch (err) {
+    if (documentErrorStatus(err)) throw new OrderValidationError(err.message);
+    throw new OrderValidationError(`${file.originalname}: could not be read (${err.message})`);
+  }
+}
+
+// Images are laid out on the order's paper size, so their page count comes
+// from the composed pages rather than from one page per image.
+async function composeUpload(file, kind, papersize, options) {
+  try {
+    return await composeImagePages(file.buffer, kind, papersize, options);
+  } catch (err) {
+    throw new OrderValidationError(`${file.originalname}: could not lay out the image (${err.message})`);
+  }
+}
+
+// The server's own per-page color map for "auto" orders; the browser's copy
+// from /analyze-color is only used for the estimate in the cart.
+async function detectColorPages(file, pdfBuffer) {
+  try {
+    return (await analyzeColor(pdfBuffer)).color_pages;
+  } catch (err) {
+    throw new OrderValidationError(`${file.originalname}: could not check pages for color (${err.message})`);
+  }
+}
+
+// The same preflight the cart shows. An error refuses the order; warnings
+// are kept on the item for the operator.
+function checkPreflight(file, analysis, options) {
+  const issues = preflightIssues({
+    kind: analysis.kind,
+    pageSizes: analysis.pages,
+    encrypted: analysis.encrypted,
+    images: analysis.images,
+    report: analysis.preflight,
+  }, options);
+  const blocking = issues.find(issue => issue.level === "error");
+  if (blocking) throw new OrderValidationError(`${file.originalname}: ${blocking.message}`);
+  return issues.map(({ code, message }) => ({ code, message }));
+}
+
+// Checks each item's page range and copies against the page count of its
+// file, and works out the sides and sheets it takes in the chosen layout.
+async function prepareItems(items, files, { papersize, layout, color, analyzer }) {
+  const prepared = [];
+  for (const [i, item] of items.entries()) {
+    const file = files[i];
+    const { analysis, pdfBuffer: analyzedPdf } = await analyzeUpload(analyzer, file);
+    let pdfBuffer = analyzedPdf;
+    let pagecount = analysis.page_count;
+    let imageOptions = null;
+    let imageDpi = null;
+    if (IMAGE_KINDS.includes(analysis.kind)) {
+      imageOptions = parseImageOptions(item, file);
+      ({ pdf: pdfBuffer, page_count: pagecount, min_dpi: imageDpi } =
+        await composeUpload(file, analysis.kind, papersize, imageOptions));
+    }
+
+    let pages, copies;
+    try {
+      pages = parsePageRange(item.page_range, pagecount);
+      copies = validateCopies(item.copies ?? 1);
+    } catch (err) {
+      throw new OrderValidationError(`${file.originalname}: ${err.message}`);
+    }
+    const scaleToFit = item.scale_to_fit === true;
+    const warnings = checkPreflight(file, analysis, { selection: pages, paperSize: papersize, nup: layout.nup, imageOptions, scaleToFit });
+
+    const colorPages = color === "auto" ? await detectColorPages(file, pdfBuffer) : null;
+
+    prepared.push({
+      file,
+      analysis,
+      pdfBuffer,
+      pages,
+      color_pages: colorPages,
+      color_sides: colorPages
+        ? countColorSides({ pages, colorPages, copies, nup: layout.nup })
+        : 0,
+      pagecount,
+      image_options: imageOptions,
+      image_dpi: imageDpi,
+      scale_to_fit: scaleToFit,
+      preflight_warnings: warnings.length ? warnings : null,
+      page_range: String(item.page_range ?? "").replace(/\s+/g, "") || null,
+      copies,
+      print_pages: pages.length * copies,
+      ...countSheets({ pages: pages.length, copies, nup: layout.nup, duplex: layout.duplex }),
+    });
+  }
+  return prepared;
+}
+
+// One normalized PDF for the whole order. Encrypted PDFs cannot be imposed,
+// so they are flagged on their line item for the operator instead.
+async function buildPrintReady(prepared, papersize, layout) {
+  const sources = prepared
+    .filter(item => !item.analysis.encrypted)
+    .map(item => ({ buffer: item.pdfBuffer, pages: item.pages, copies: item.copies }));
+  if (sources.length === 0) return null;
+
+  try {
+    return await buildOrderPdf(sources, { paperSize: papersize, ...layout });
+  } catch (err) {
+    throw new OrderValidationError(`Could not prepare the files for printing (${err.message})`);
+  }
+}
+
+// The pickup station, checked against what its printers and paper stock
+// can do before any file is read.
+function resolveStation(stations, { stationId, papersize, color }) {
+  const station = stationId ? stations.find(String(stationId)) : null;
+  if (!station) throw new OrderValidationError("Choose a pickup station");
+  const unsupported = stationSupportError(station, { papersize, color });
+  if (unsupported) throw new OrderValidationError(unsupported);
+  return station;
+}
+
+// The chosen pickup slot, if any, and when the order is due: the slot's
+// start, or otherwise when it should be ready if paid now. A slot must be
+// one the station offers, not full, and late enough for the order to be
+// printed by then (rush orders skip the regular queue).
+async function resolvePickup({ store, stations }, station, { pickupAt, rush, sheets }) {
+  const readyAt = await newOrderReadyAt(store, stations, station, { sheets, rush });
+  if (!pickupAt) return { pickup_at: null, due_at: readyAt ? readyAt.toISOString() : null };
+
+  const requested = Date.parse(pickupAt);
+  const slot = Number.isNaN(requested) ? null
+    : (await stationSlots(store, stations, station)).find(s => s.start.getTime() === requested);
+  if (!slot) throw new OrderValidationError(`${station.name} has no pickup slot at that time. Please choose another.`);
+
+  const unavailable = slotUnavailableReason(station, slot, { readyAt, taken: slot.taken });
+  if (unavailable === "full") throw new OrderValidationError("That pickup slot has just filled up. Please choose another.");
+  if (unavailable) {
+    throw new OrderValidationError(`Your order cannot be ready by that pickup slot. Please choose a later one${rush ? "" : " or rush the order"}.`);
+  }
+  return { pickup_at: slot.start.toISOString(), due_at: slot.start.toISOString() };
+}
+
+// The voucher the student entered, checked for this order, or null.
+async function resolveVoucher({ store, stations }, code, { user, station, color }) {
+  if (!code) return null;
+  try {
+    return await checkVoucher({ store, stations }, code, { email: user.email, station, color });
+  } catch (err) {
+    if (err instanceof VoucherError) throw new OrderValidationError(err.message);
+    throw err;
+  }
+}
+
+// Credit pays the whole order or none of it, so the student knows before
+// any file is stored. The order is charged under the wallet's lock.
+async function checkCredit(store, user, total) {
+  const balance = await creditBalance(store, user.email);
+  if (balance + 0.005 < total) {
+    throw new OrderValidationError(`Your print credit (₱${balance.toFixed(2)}) does not cover the total of ₱${total.toFixed(2)}`);
+  }
+}
+
+// ================== ORDER LOOKUP ==================
+export async function loadOrder(store, orderNumber) {
+  const [order] = await store.find("orders", { order_number: orderNumber });
+  if (!order) return null;
+  const items = await store.find("order_items", { order_id: order.id }, { orderBy: "created_at" });
+  return { ...order, items };
+}
+
+// ================== ROUTES ==================
+// Prices the order from the server's own table. Whatever the browser thinks
+// an item costs is ignored; if it sent the total it showed the customer and
+// that differs, the order is refused so nobody is charged a surprise amount.
+function priceOrder(pricing, { color, papersize, layout, prepared, rush, voucher, expectedTotal }) {
+  let quote;
+  try {
+    quote = quoteOrder(pricing.get(), { color, papersize, duplex: layout.duplex, items: prepared, rush, voucher });
+  } catch (err) {
+    throw new OrderValidationError(err.message);
+  }
+
+  if (expectedTotal === undefined || expectedTotal === null) return quote;
+  const expected = String(expectedTotal).trim() === "" ? NaN : Number(expectedTotal);
+  if (!Number.isFinite(expected)) throw new OrderValidationError("expected_total must be a number");
+  if (Math.abs(expected - quote.total) > 0.005) {
+    const err = new OrderValidationError(
+      `The total has changed to ₱${quote.total.toFixed(2)}. Please review your order and try again.`
+    );
+    err.quote = quote;
+    throw err;
+  }
+  return quote;
+}
+
+// Creates one order for a signed-in student with a line item per file, to
+// be picked up at `stationId`, optionally in the pickup slot starting at
+// `pickupAt` and as a rush order, with the voucher `voucherCode` off the
+// total and, with `useCredit`, paid from the student's print credit.
+// `files` are { originalname, buffer, mimetype } as multer gives them.
+// Files and rows are written inside a store transaction: if any upload or
+// insert fails, every object and row written so far is removed again.
+// Orders paid by credit, or with nothing left to pay, move to "paid" in the
+// same transaction, so a failed move takes the credit charge back with it.
+export async function placeOrder(
+  { store, pricing, analyzer, stations },
+  { user, stationId, pickupAt = null, rush = false, papersize, color, layout, items, files, voucherCode = null, useCredit = false, expectedTotal }
+) {
+  const station = resolveStation(stations, { stationId, papersize, color });
+  let voucher = await resolveVoucher({ store, stations }, voucherCode, { user, station, color });
+  const prepared = await prepareItems(items, files, { papersize, layout, color, analyzer });
+  const quote = priceOrder(pricing, { color, papersize, layout, prepared, rush, voucher, expectedTotal });
+  const payWithCredit = useCredit && quote.total > 0;
+  if (payWithCredit) await checkCredit(store, user, quote.total);
+  const pickupInput = { pickupAt, rush, sheets: prepared.reduce((sum, item) => sum + item.sheets, 0) };
+  let pickup = await resolvePickup({ store, stations }, station, pickupInput);
+  const printReady = await buildPrintReady(prepared, papersize, layout);
+
+  const locks = [
+    voucher && voucherLock(voucher),
+    payWithCredit && creditLock(user.email),
+    pickup.pickup_at && slotLock(station, pickup.pickup_at),
+  ];
+  const order = await withLocks(locks, async () => {
+    // Other orders may have taken the voucher's last use or the slot's last
+    // place meanwhile.
+    if (voucher) voucher = await resolveVoucher({ store, stations }, voucherCode, { user, station, color });
+    if (pickup.pickup_at) pickup = await resolvePickup({ store, stations }, station, pickupInput);
+    return store.transaction(async (tx) => {
+      const orderNumber = generateOrderNumber();
+      const printFilePath = printReady
+        ? await tx.files.upload(`print-ready/${orderNumber}.pdf`, Buffer.from(printReady), "application/pdf")
+        : null;
+
+      const [order] = await tx.insert("orders", [{
+        order_number: orderNumber,
+        claim_code: await generateClaimCode(tx),
+        user_id: user.id,
+        // Kept on the order so emails and the operator queue need no lookup.
+        customer_email: user.email,
+        station_id: station.id,
+        pickup_at: pickup.pickup_at,
+        due_at: pickup.due_at,
+        rush,
+        papersize,
+        color: COLOR_LABELS[color],
+        duplex: layout.duplex,
+        nup: layout.nup,
+        orientation: layout.orientation,
+        sides: prepared.reduce((sum, item) => sum + item.sides, 0),
+        sheets: prepared.reduce((sum, item) => sum + item.sheets, 0),
+        print_file_path: printFilePath,
+        subtotal: quote.subtotal,
+        discount: quote.discount,
+        rush_surcharge: quote.rush_surcharge,
+        voucher_id: voucher?.id ?? null,
+        voucher_code: voucher?.code ?? null,
+        voucher_discount: quote.voucher_discount,
+        credit_applied: payWithCredit ? quote.total : 0,
+        total_cost: quote.total,
+        status: "pending",
+      }]);
+      if (payWithCredit) {
+        await chargeOrder(tx, order).catch((err) => {
+          throw err instanceof CreditError ? new OrderValidationError(err.message) : err;
+        });
+      }
+
+      const rows = [];
+      for (const [i, item] of prepared.entries()) {
+        const filePath = await tx.files.upload(
+          `uploads/${order.order_number}/${i + 1}_${safeFileName(item.file.originalname)}`,
+          item.file.buffer,
+          item.file.mimetype
+        );
+
+        rows.push({
+          order_id: order.id,
+          filename: item.file.originalname,
+          file_path: filePath,
+          converted_path: item.analysis.pdf_path,
+          // Ties the item to its cached analysis, for the retention purge.
+          content_hash: item.analysis.hash,
+          in_print_file: !item.analysis.encrypted,
+          pagecount: item.pagecount,
+          image_fit: item.image_options?.fit ?? null,
+          photos_per_sheet: item.image_options?.perSheet ?? null,
+          auto_rotate: item.image_options?.autoRotate ?? null,
+          image_dpi: item.image_dpi,
+          scale_to_fit: item.scale_to_fit,
+          preflight_warnings: item.preflight_warnings,
+          page_range: item.page_range,
+          copies: item.copies,
+          print_pages: item.print_pages,
+          sides: item.sides,
+          sheets: item.sheets,
+          color_pages: item.color_pages,
+          color_sides: quote.items[i].color_sides,
+          papersize,
+          color: COLOR_LABELS[color],
+          cost: quote.items[i].amount,
+        });
+      }
+
+      const lineItems = await tx.insert("order_items", rows);
+      // Last, so the order is not announced as paid before it is complete.
+      const checkout = paidAtCheckout(order);
+      const saved = checkout
+        ? await transitionOrder(tx, order, "paid", { changedBy: CHECKOUT_ACTOR, note: CHECKOUT_NOTES[checkout](order) })
+        : order;
+      return { ...saved, items: lineItems };
+    });
+  });
+
+  console.log(`✅ Order ${order.order_number} created with ${order.items.length} file(s) for ${station.name}${rush ? " (rush)" : ""}`);
+  orderEvents.emit("created", { order });
+  return order;
+}
+
+export function createOrderRouter({ store, pricing, analyzer, stations, uploads }) {
+  const router = express.Router();
+  const receiveFiles = receiveUploads(
+    { maxBytes: analyzer.limits.maxBytes, tooLarge: `Each file must be ${megabytes(analyzer.limits.maxBytes)} or smaller` },
+    upload => upload.array("files")
+  );
+
+  // The order belongs to the signed-in student; its email comes from the
+  // account, not from the form. Files come either with the request or as
+  // the ids of uploads that are already stored; an upload that is not
+  // complete refuses the whole order with its id in `missing_uploads`.
+  router.post("/orders", requireStudent, receiveFiles, async (req, res) => {
+    let files = req.files || [];
+    const items = parseItems(req.body.items);
+    const { papersize, color } = req.body;
+    // Checked before the upload ids are read from the items.
+    const invalidItems = validateItems(items);
+    if (invalidItems) return res.status(400).json({ error: invalidItems });
+
+    const { ids, error } = uploadIds(items, files);
+    if (error) return res.status(400).json({ error });
+
+    try {
+      let stored = [];
+      if (ids) {
+        const loaded = await uploads.load(req.student, ids);
+        if (loaded.missing.length) {
+          return res.status(409).json({
+            error: `${loaded.missing.length} file(s) have not finished uploading`,
+            missing_uploads: loaded.missing,
+          });
+        }
+        ({ files, uploads: stored } = loaded);
+      }
+
+      const invalid = validateOrder({ papersize, color, items, files });
+      if (invalid) return res.status(400).json({ error: invalid });
+
+      const order = await placeOrder({ store, pricing, analyzer, stations }, {
+        user: req.student,
+        stationId: req.body.station_id,
+        pickupAt: req.body.pickup_at || null,
+        rush: req.body.rush === true || req.body.rush === "true",
+        papersize,
+        color,
+        layout: parseLayout(req.body),
+        items,
+        files,
+        voucherCode: req.body.voucher_code || null,
+        useCredit: req.body.use_credit === true || req.body.use_credit === "true",
+        expectedTotal: req.body.expected_total,
+      });
+      // The order keeps its own copy of each file.
+      Promise.all(stored.map(upload => uploads.discard(upload)))
+        .catch(err => console.error(`❌ Could not clear uploads of ${order.order_number}:`, err.message));
+      res.status(201).json({ order_number: order.order_number, claim_code: order.claim_code, order });
+    } catch (err) {
+      if (err instanceof OrderValidationError) {
+        return res.status(err.quote ? 409 : 400).json({ error: err.message, quote: err.quote });
+      }
+      console.error("❌ Order create error:", err);
+      res.status(500).json({ error: `Order was not saved: ${err.message}` });
+    }
+  });
+
+  // Only the student who placed the order may read it: order numbers are
+  // printed on cover sheets and sent with payments, and the order holds
+  // the claim code. Anyone else gets the same 404 as for a wrong number.
+  router.get("/orders/:orderNumber", requireStudent, async (req, res) => {
+    try {
+      const order = await loadOrder(store, req.params.orderNumber);
+      if (!order || order.user_id !== req.student.id) return res.status(404).json({ error: "Order not found" });
+      res.json({ order });
+    } catch (err) {
+      console.error("❌ Order lookup error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
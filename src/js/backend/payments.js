@@ -0,0 +1,456 @@
+import express from "express";
+import path from "path";
+import { randomUUID } from "crypto";
+import { requireOperator, requireStudent } from "./auth.js";
+import { canTransition, orderEvents, StatusTransitionError, transitionOrder } from "./order-status.js";
+import { detectKind, UnsupportedDocumentError } from "./analysis.js";
+import { receiveUploads } from "./uploads.js";
+import { withLock } from "./locks.js";
+
+export const PAYMENT_STATUSES = ["submitted", "unmatched", "verified", "rejected"];
+// Who verified a payment that matched the GCash statement by itself.
+export const AUTO_VERIFIER = "gcash-import";
+
+const MAX_SCREENSHOT_BYTES = 5 * 1024 * 1024;
+const MAX_STATEMENT_BYTES = 10 * 1024 * 1024;
+const SCREENSHOT_KINDS = { png: "png", jpeg: "jpg", webp: "webp" };
+const ORDER_NUMBER_PATTERN = /PQ-\d{6}-[0-9A-F]{6}/i;
+
+export class PaymentValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PaymentValidationError";
+  }
+}
+
+// A payment that cannot change in the requested way, e.g. a reference
+// number that is already used or an amount short of the order total.
+export class PaymentConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PaymentConflictError";
+  }
+}
+
+// ================== HELPERS ==================
+// GCash shows reference numbers in groups ("1234 567 890123"); store digits only.
+export function normalizeReference(value) {
+  return String(value ?? "").replace(/\D/g, "");
+}
+
+function parseAmount(value) {
+  const amount = Number(String(value ?? "").replace(/[₱,\s]/g, ""));
+  return Number.isFinite(amount) ? Math.round(amount * 100) / 100 : NaN;
+}
+
+function amountCovers(amount, total) {
+  return amount !== null && amount !== undefined && amount + 0.005 >= Number(total);
+}
+
+function sendPaymentError(res, err, label) {
+  if (err instanceof PaymentValidationError) return res.status(400).json({ error: err.message });
+  if (err instanceof PaymentConflictError || err instanceof StatusTransitionError) {
+    return res.status(409).json({ error: err.message });
+  }
+  console.error(`❌ ${label}:`, err);
+  res.status(500).json({ error: err.message });
+}
+
+// Operators tied to a station (OPERATOR_STATIONS) handle the payments for
+// that station's orders and the unmatched ones nobody has placed yet.
+function visibleToOperator(req, order) {
+  return !req.operatorStation || !order || order.station_id === req.operatorStation;
+}
+
+async function getOperatorPayment(store, req, id) {
+  const payment = await store.get("payments", id);
+  if (!payment?.order_id) return payment;
+  return visibleToOperator(req, await store.get("orders", payment.order_id)) ? payment : null;
+}
+
+// ================== CSV ==================
+// Minimal RFC 4180 reader: quoted fields, doubled quotes and CRLF.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.some(cell => cell.trim() !== "")) rows.push(row);
+      row = [];
+      field = "";
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some(cell => cell.trim() !== "")) rows.push(row);
+  return rows;
+}
+
+// Incoming transactions from a GCash transaction history export. Column
+// names vary between app versions, so they are found by keyword:
+// "Reference No.", "Credit" (or "Amount"), "Date and Time", "Description".
+export function readStatement(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!header) throw new PaymentValidationError("The statement is empty");
+
+  const names = header.map(name => name.trim().toLowerCase());
+  const column = (...keywords) => names.findIndex(name => keywords.some(k => name.includes(k)));
+  const reference = column("reference", "ref no");
+  const credit = column("credit") >= 0 ? column("credit") : column("amount");
+  const date = column("date");
+  const description = column("description", "details", "message");
+  if (reference < 0 || credit < 0) {
+    throw new PaymentValidationError("The statement needs a reference number column and a credit or amount column");
+  }
+
+  return rows
+    .map(cells => ({
+      reference: normalizeReference(cells[reference]),
+      amount: parseAmount(cells[credit]),
+      paid_at: date >= 0 ? cells[date]?.trim() || null : null,
+      description: description >= 0 ? cells[description]?.trim() || "" : "",
+    }))
+    // Debits leave the credit column empty.
+    .filter(entry => entry.reference && entry.amount > 0);
+}
+
+// ================== VERIFICATION ==================
+async function loadPaymentOrder(store, payment) {
+  return payment.order_id ? store.get("orders", payment.order_id) : null;
+}
+
+// The lock payments for one order are verified under (see locks.js).
+function verificationLock(orderId) {
+  return `payment-order:${orderId}`;
+}
+
+// The lock a GCash reference number is claimed under, so it is used once.
+function referenceLock(reference) {
+  return `payment-ref:${reference}`;
+}
+
+// Marks a payment verified and moves its order to "paid", together: if the
+// order cannot move, the payment stays as it was. This is the only way a
+// pending order becomes paid.
+export async function verifyPayment(store, payment, { reviewedBy, note = null }) {
+  if (!payment.order_id) throw new PaymentConflictError("Match this payment to an order before verifying it");
+
+  return withLock(verificationLock(payment.order_id), async () => {
+    // Another review may have finished while this one waited.
+    const current = await store.get("payments", payment.id);
+    if (current.status === "verified") throw new PaymentConflictError("This payment is already verified");
+    const order = await loadPaymentOrder(store, current);
+    if (!order) throw new PaymentConflictError("Match this payment to an order before verifying it");
+    if (!canTransition(order.status, "paid")) throw new StatusTransitionError(order.status, "paid");
+    if (order.files_purged_at) throw new PaymentConflictError(`The files of ${order.order_number} were deleted, so it cannot be printed`);
+
+    const received = current.statement_amount ?? current.amount;
+    if (!amountCovers(received, order.total_cost)) {
+      throw new PaymentConflictError(
+        `₱${Number(received).toFixed(2)} does not cover the order total of ₱${Number(order.total_cost).toFixed(2)}`
+      );
+    }
+
+    const verified = await store.transaction(async (tx) => {
+      const row = await tx.update("payments", current.id, {
+        status: "verified",
+        reviewed_by: reviewedBy,
+        reviewed_at: new Date().toISOString(),
+        note,
+      });
+      await transitionOrder(tx, order, "paid", {
+        changedBy: reviewedBy,
+        note: `GCash ref ${current.reference}`,
+      });
+      return row;
+    });
+    console.log(`💸 Payment ${current.reference} verified for ${order.order_number} by ${reviewedBy}`);
+    return verified;
+  });
+}
+
+// Verifies a customer's payment once the statement shows the same reference
+// with enough money. Anything less clear is left for an operator.
+async function autoVerify(store, payment) {
+  if (payment.status !== "submitted" || payment.statement_amount === null || payment.statement_amount === undefined) {
+    return payment;
+  }
+  const order = await loadPaymentOrder(store, payment);
+  if (!order || order.status !== "pending" || order.files_purged_at || !amountCovers(payment.statement_amount, order.total_cost)) return payment;
+  return verifyPayment(store, payment, { reviewedBy: AUTO_VERIFIER });
+}
+
+// ================== CUSTOMER SUBMISSION ==================
+// Only the student who placed the order may pay for it; to anyone else it
+// does not exist.
+async function submitPayment(store, { student, orderNumber, reference, amount, screenshot }) {
+  const [order] = await store.find("orders", { order_number: String(orderNumber).trim().toUpperCase() });
+  if (!order || order.user_id !== student.id) return null;
+  if (order.status !== "pending") {
+    throw new PaymentConflictError(`Order ${order.order_number} is already ${order.status}`);
+  }
+  // An abandoned order's files are deleted after a while (see retention.js).
+  if (order.files_purged_at) {
+    throw new PaymentConflictError(`Order ${order.order_number} went unpaid for too long and its files were deleted. Please place it again.`);
+  }
+
+  const ref = normalizeReference(reference);
+  if (ref.length !== 13) throw new PaymentValidationError("GCash reference numbers have 13 digits");
+  const paid = parseAmount(amount);
+  if (!(paid > 0)) throw new PaymentValidationError("Enter the amount you sent");
+
+  let screenshotKind = null;
+  if (screenshot) {
+    try {
+      screenshotKind = SCREENSHOT_KINDS[detectKind(screenshot.buffer, screenshot.originalname)];
+    } catch (err) {
+      if (!(err instanceof UnsupportedDocumentError)) throw err;
+    }
+    if (!screenshotKind) throw new PaymentValidationError("The screenshot must be a PNG, JPG or WEBP image");
+  }
+
+  // A statement row imported before the customer submitted can be claimed
+  // once; every other reuse of a reference is refused.
+  const payment = await withLock(referenceLock(ref), async () => {
+    const [existing] = await store.find("payments", { reference: ref });
+    if (existing && existing.status !== "unmatched") {
+      throw new PaymentConflictError("This reference number has already been submitted");
+    }
+
+    return store.transaction(async (tx) => {
+      const screenshotPath = screenshot
+        ? await tx.files.upload(
+          `payments/${order.order_number}/${randomUUID()}.${screenshotKind}`,
+          screenshot.buffer,
+          screenshot.mimetype
+        )
+        : null;
+      const fields = {
+        order_id: order.id,
+        order_number: order.order_number,
+        amount: paid,
+        screenshot_path: screenshotPath,
+        status: "submitted",
+      };
+      if (existing) return tx.update("payments", existing.id, fields);
+      const [row] = await tx.insert("payments", [{ method: "gcash", reference: ref, source: "customer", ...fields }]);
+      return row;
+    });
+  });
+
+  console.log(`💸 Payment ${ref} (₱${paid.toFixed(2)}) submitted for ${order.order_number}`);
+  orderEvents.emit("payment", { orderId: order.id, payment });
+  return autoVerify(store, payment);
+}
+
+// ================== STATEMENT IMPORT ==================
+// Records each incoming GCash transaction against the payment with the same
+// reference, or against the order number written in its message, and
+// verifies the ones that cover their order. The rest wait as "unmatched".
+export async function importStatement(store, entries) {
+  const summary = { rows: entries.length, verified: 0, confirmed: 0, unmatched: 0, already_imported: 0 };
+
+  for (const entry of entries) {
+    const statement = {
+      statement_amount: entry.amount,
+      statement_paid_at: entry.paid_at,
+      statement_description: entry.description,
+    };
+
+    // Null when this transaction was imported before.
+    const payment = await withLock(referenceLock(entry.reference), async () => {
+      const [existing] = await store.find("payments", { reference: entry.reference });
+      if (existing?.statement_amount !== null && existing?.statement_amount !== undefined) return null;
+      if (existing) return store.update("payments", existing.id, statement);
+
+      const orderNumber = ORDER_NUMBER_PATTERN.exec(entry.description)?.[0].toUpperCase();
+      const [order] = orderNumber ? await store.find("orders", { order_number: orderNumber }) : [];
+      const [row] = await store.insert("payments", [{
+        method: "gcash",
+        reference: entry.reference,
+        source: "statement",
+        order_id: order?.id ?? null,
+        order_number: order?.order_number ?? null,
+        amount: entry.amount,
+        status: order ? "submitted" : "unmatched",
+        ...statement,
+      }]);
+      return row;
+    });
+    if (!payment) {
+      summary.already_imported++;
+      continue;
+    }
+
+    const result = await autoVerify(store, payment);
+    if (result.status === "verified") summary.verified++;
+    else if (result.status === "unmatched") summary.unmatched++;
+    else summary.confirmed++;
+  }
+
+  console.log(`💸 Imported GCash statement: ${summary.verified} verified, ${summary.unmatched} unmatched`);
+  return summary;
+}
+
+// ================== ROUTES ==================
+export function createPaymentRouter({ store }) {
+  const router = express.Router();
+
+  router.post(
+    "/orders/:orderNumber/payments",
+    requireStudent,
+    receiveUploads(
+      { maxBytes: MAX_SCREENSHOT_BYTES, tooLarge: "The screenshot must be 5 MB or smaller" },
+      upload => upload.single("screenshot")
+    ),
+    async (req, res) => {
+      try {
+        const payment = await submitPayment(store, {
+          student: req.student,
+          orderNumber: req.params.orderNumber,
+          reference: req.body.reference,
+          amount: req.body.amount,
+          screenshot: req.file,
+        });
+        if (!payment) return res.status(404).json({ error: "Order not found" });
+        res.status(201).json({
+          payment: {
+            reference: payment.reference,
+            amount: payment.amount,
+            status: payment.status,
+            created_at: payment.created_at,
+          },
+        });
+      } catch (err) {
+        sendPaymentError(res, err, "Payment submit error");
+      }
+    }
+  );
+
+  router.use("/operator/payments", requireOperator);
+
+  // Newest first, with the order each payment is for so amounts can be compared.
+  router.get("/operator/payments", async (req, res) => {
+    try {
+      const where = req.query.status ? { status: String(req.query.status).split(",") } : {};
+      const payments = await store.find("payments", where, { orderBy: "created_at", ascending: false });
+      const orderIds = [...new Set(payments.map(p => p.order_id).filter(Boolean))];
+      const orders = orderIds.length ? await store.find("orders", { id: orderIds }) : [];
+
+      res.json({
+        statuses: PAYMENT_STATUSES,
+        payments: payments.flatMap(payment => {
+          const order = orders.find(o => o.id === payment.order_id) || null;
+          if (!visibleToOperator(req, order)) return [];
+          return {
+            ...payment,
+            order: order && {
+              order_number: order.order_number,
+              customer_email: order.customer_email,
+              total_cost: order.total_cost,
+              status: order.status,
+              station_id: order.station_id,
+            },
+            amount_matches: order ? amountCovers(payment.statement_amount ?? payment.amount, order.total_cost) : false,
+          };
+        }),
+      });
+    } catch (err) {
+      console.error("❌ Payment list error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.post("/operator/payments/:id/match", async (req, res) => {
+    try {
+      const payment = await getOperatorPayment(store, req, req.params.id);
+      if (!payment) return res.status(404).json({ error: "Payment not found" });
+      if (payment.status === "verified") throw new PaymentConflictError("A verified payment cannot be moved");
+
+      const orderNumber = String(req.body?.order_number || "").trim().toUpperCase();
+      const [order] = orderNumber ? await store.find("orders", { order_number: orderNumber }) : [];
+      if (!order || !visibleToOperator(req, order)) throw new PaymentValidationError(`No order ${orderNumber || "given"}`);
+
+      const updated = await store.update("payments", payment.id, {
+        order_id: order.id,
+        order_number: order.order_number,
+        status: "submitted",
+      });
+      orderEvents.emit("payment", { orderId: order.id, payment: updated });
+      res.json({ payment: updated });
+    } catch (err) {
+      sendPaymentError(res, err, "Payment match error");
+    }
+  });
+
+  router.post("/operator/payments/:id/verify", async (req, res) => {
+    try {
+      const payment = await getOperatorPayment(store, req, req.params.id);
+      if (!payment) return res.status(404).json({ error: "Payment not found" });
+      res.json({ payment: await verifyPayment(store, payment, { reviewedBy: req.operator, note: req.body?.note || null }) });
+    } catch (err) {
+      sendPaymentError(res, err, "Payment verify error");
+    }
+  });
+
+  router.post("/operator/payments/:id/reject", async (req, res) => {
+    try {
+      const payment = await getOperatorPayment(store, req, req.params.id);
+      if (!payment) return res.status(404).json({ error: "Payment not found" });
+      if (payment.status === "verified") throw new PaymentConflictError("A verified payment cannot be rejected");
+
+      const updated = await store.update("payments", payment.id, {
+        status: "rejected",
+        reviewed_by: req.operator,
+        reviewed_at: new Date().toISOString(),
+        note: req.body?.note || null,
+      });
+      console.log(`💸 Payment ${payment.reference} rejected by ${req.operator}`);
+      if (payment.order_id) orderEvents.emit("payment", { orderId: payment.order_id, payment: updated });
+      res.json({ payment: updated });
+    } catch (err) {
+      sendPaymentError(res, err, "Payment reject error");
+    }
+  });
+
+  router.get("/operator/payments/:id/screenshot", async (req, res) => {
+    try {
+      const payment = await getOperatorPayment(store, req, req.params.id);
+      if (!payment?.screenshot_path) return res.status(404).json({ error: "No screenshot for this payment" });
+      res.type(path.extname(payment.screenshot_path));
+      res.send(await store.files.download(payment.screenshot_path));
+    } catch (err) {
+      console.error("❌ Screenshot download error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.post(
+    "/operator/payments/import",
+    receiveUploads(
+      { maxBytes: MAX_STATEMENT_BYTES, tooLarge: "The statement must be 10 MB or smaller" },
+      upload => upload.single("statement")
+    ),
+    async (req, res) => {
+      try {
+        if (!req.file) throw new PaymentValidationError("No statement uploaded");
+        res.json(await importStatement(store, readStatement(req.file.buffer.toString("utf8"))));
+      } catch (err) {
+        sendPaymentError(res, err, "Statement import error");
+      }
+    }
+  );
+
+  return router;
+}
@@ -0,0 +1,44 @@
+import * as pdfjs from "pdfjs-dist/legacy/build/pdf.mjs";
+import { createRequire } from "module";
+import path from "path";
+
+const require = createRequire(import.meta.url);
+const pdfjsRoot = path.dirname(require.resolve("pdfjs-dist/package.json"));
+
+// ================== PAGE RENDERING ==================
+// Renders each page of a PDF to a canvas at `scale` (1 = 72 dpi) and hands it
+// to `onPage(pageNumber, canvas, context, page)`, `page` being pdf.js's own. Pages are rendered one at a time
+// and released straight after, so long documents do not pile up in memory.
+export async function renderPdfPages(buffer, { scale = 0.5, pages } = {}, onPage) {
+  const doc = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    standardFontDataUrl: path.join(pdfjsRoot, "standard_fonts") + path.sep,
+    cMapUrl: path.join(pdfjsRoot, "cmaps") + path.sep,
+    cMapPacked: true,
+    disableFontFace: true,
+    verbosity: 0,
+  }).promise;
+
+  try {
+    const pageNumbers = pages || Array.from({ length: doc.numPages }, (_, i) => i + 1);
+    for (const pageNumber of pageNumbers) {
+      const page = await doc.getPage(pageNumber);
+      const viewport = page.getViewport({ scale });
+      const { canvas, context } = doc.canvasFactory.create(
+        Math.max(1, Math.round(viewport.width)),
+        Math.max(1, Math.round(viewport.height))
+      );
+
+      context.fillStyle = "white";
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      await page.render({ canvasContext: context, viewport, canvas }).promise;
+      await onPage(pageNumber, canvas, context, page);
+
+      doc.canvasFactory.destroy({ canvas, context });
+      page.cleanup();
+    }
+    return doc.numPages;
+  } finally {
+    await doc.destroy();
+  }
+}
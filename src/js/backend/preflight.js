@@ -0,0 +1,163 @@
+import { spawn } from "child_process";
+import JSZip from "jszip";
+import { OPS, Util } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { renderPdfPages } from "./pdf-render.js";
+
+// A pixel counts as ink when darker than this (0-255), which leaves out the
+// faint gray of a scanned blank sheet.
+const INK_LUMINANCE = 230;
+// Pages with less ink than this share of their area count as blank: a page
+// number alone is less, a line of text more.
+const BLANK_MAX_COVERAGE = 0.0001;
+// 0.25 = 18 dpi, enough to tell a page of text from a blank one.
+const RENDER_SCALE = 0.25;
+// Images covering less of the page than this (logos, icons) are left out of
+// the resolution check.
+const MIN_IMAGE_SHARE = 0.05;
+// The standard PDF fonts, and the Windows names printers map onto them.
+const PRINTER_FONTS = ["helvetica", "times", "courier", "symbol", "zapfdingbats", "arial", "timesnewroman", "couriernew"];
+// Fonts LibreOffice swaps for a metric-compatible one, which keeps the layout.
+const METRIC_COMPATIBLE = {
+  "arial": "liberation sans",
+  "helvetica": "liberation sans",
+  "times new roman": "liberation serif",
+  "courier new": "liberation mono",
+  "calibri": "carlito",
+  "cambria": "caladea",
+};
+// Where each zipped office format names the fonts it uses.
+const OFFICE_FONTS = {
+  ".docx": { files: /^word\/(document|styles|theme\/theme1)\.xml$/, names: /(?:\bw:ascii|\bw:hAnsi|<a:latin typeface)="([^"+][^"]*)"/g },
+  ".pptx": { files: /^ppt\/(slides\/slide\d+|theme\/theme\d+)\.xml$/, names: /<a:latin typeface="([^"+][^"]*)"/g },
+  ".xlsx": { files: /^xl\/styles\.xml$/, names: /<name val="([^"]+)"/g },
+  ".odt": { files: /^(content|styles)\.xml$/, names: /<style:font-face\b[^>]*?\bsvg:font-family="([^"]+)"/g },
+};
+OFFICE_FONTS[".ods"] = OFFICE_FONTS[".odt"];
+OFFICE_FONTS[".odp"] = OFFICE_FONTS[".odt"];
+
+// ================== PAGES ==================
+function inkCoverage(context, width, height) {
+  const { data } = context.getImageData(0, 0, width, height);
+  let ink = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2] < INK_LUMINANCE) ink++;
+  }
+  return ink / (width * height);
+}
+
+// "ABCDEF+Calibri-Bold" and "Calibri,Bold" are both Calibri.
+function fontFamily(name) {
+  return name.replace(/^[A-Z]{6}\+/, "").split(/[,-]/)[0];
+}
+
+function isPrinterFont(family) {
+  return PRINTER_FONTS.includes(family.toLowerCase().replace(/(PS)?MT$|PS$/i, ""));
+}
+
+// Walks the page's drawing operators, following the transformation matrix,
+// for the lowest resolution an image is drawn at (null without images) and
+// the fonts used without being embedded.
+function inspectOperators(page, { fnArray, argsArray }) {
+  const [x1, y1, x2, y2] = page.view;
+  const pageArea = Math.abs((x2 - x1) * (y2 - y1));
+  const stack = [];
+  let matrix = [1, 0, 0, 1, 0, 0];
+  let dpi = null;
+  const fonts = new Set();
+
+  const image = (width, height) => {
+    const drawnWidth = Math.hypot(matrix[0], matrix[1]);
+    const drawnHeight = Math.hypot(matrix[2], matrix[3]);
+    if (!drawnWidth || !drawnHeight || drawnWidth * drawnHeight < pageArea * MIN_IMAGE_SHARE) return;
+    const imageDpi = Math.min(width / (drawnWidth / 72), height / (drawnHeight / 72));
+    dpi = dpi === null ? imageDpi : Math.min(dpi, imageDpi);
+  };
+
+  fnArray.forEach((fn, i) => {
+    const args = argsArray[i];
+    if (fn === OPS.save) stack.push(matrix);
+    else if (fn === OPS.restore || fn === OPS.paintFormXObjectEnd) matrix = stack.pop() || matrix;
+    else if (fn === OPS.transform) matrix = Util.transform(matrix, args);
+    else if (fn === OPS.paintFormXObjectBegin) {
+      stack.push(matrix);
+      if (args[0]) matrix = Util.transform(matrix, args[0]);
+    } else if (fn === OPS.paintImageXObject) image(args[1], args[2]);
+    else if (fn === OPS.paintInlineImageXObject) image(args[0].width, args[0].height);
+    else if (fn === OPS.setFont && page.commonObjs.has(args[0])) {
+      const font = page.commonObjs.get(args[0]);
+      if (font.missingFile && !font.isType3Font && font.name && !isPrinterFont(fontFamily(font.name))) fonts.add(fontFamily(font.name));
+    }
+  });
+  return { dpi: dpi === null ? null : Math.round(dpi), fonts };
+}
+
+// ================== OFFICE FONTS ==================
+let installedFonts = null;
+
+// Font families fontconfig offers LibreOffice, lowercased, or null when
+// fc-list is not available.
+function listInstalledFonts() {
+  installedFonts ??= new Promise((resolve) => {
+    const child = spawn("fc-list", [":", "family"], { stdio: ["ignore", "pipe", "ignore"] });
+    let output = "";
+    child.stdout.on("data", (chunk) => { output += chunk; });
+    child.on("error", () => resolve(null));
+    child.on("close", code => resolve(code === 0
+      ? new Set(output.split(/[\n,]/).map(name => name.trim().toLowerCase()).filter(Boolean))
+      : null));
+  });
+  return installedFonts;
+}
+
+function decodeXml(text) {
+  return text.replace(/&(amp|apos|quot|lt|gt);/g, (_, entity) => ({ amp: "&", apos: "'", quot: '"', lt: "<", gt: ">" })[entity]);
+}
+
+// The fonts a zipped office file asks for that the server has neither
+// itself nor as a metric-compatible stand-in, so LibreOffice drew the text
+// in something else. Empty for other formats or when fonts cannot be listed.
+async function missingOfficeFonts(buffer, extension) {
+  const source = OFFICE_FONTS[extension];
+  const installed = source && await listInstalledFonts();
+  if (!installed) return [];
+
+  const zip = await JSZip.loadAsync(buffer);
+  const wanted = new Set();
+  for (const file of zip.file(source.files)) {
+    for (const match of (await file.async("string")).matchAll(source.names)) {
+      wanted.add(decodeXml(match[1]).replace(/^['"]|['"]$/g, "").trim());
+    }
+  }
+  return [...wanted].filter((font) => {
+    const name = font.toLowerCase();
+    return name && !installed.has(name) && !installed.has(METRIC_COMPATIBLE[name]);
+  });
+}
+
+// ================== PREFLIGHT ==================
+// What the cart and the order check need to know about a document, found
+// once when it is analysed (see preflight.js for what each finding means):
+// { password, blank_pages, missing_fonts, image_dpi: [{ page, dpi }] }, the
+// dpi being at the page's own size. `pdf` is the document as it prints (the
+// upload or its conversion); office files also pass the `original` and its
+// `extension` for the font check.
+export async function preflightDocument(pdf, { kind, original, extension }) {
+  const report = { password: false, blank_pages: [], missing_fonts: [], image_dpi: [] };
+  const unembedded = new Set();
+  try {
+    await renderPdfPages(pdf, { scale: RENDER_SCALE }, async (pageNumber, canvas, context, page) => {
+      if (inkCoverage(context, canvas.width, canvas.height) < BLANK_MAX_COVERAGE) report.blank_pages.push(pageNumber);
+      const { dpi, fonts } = inspectOperators(page, await page.getOperatorList());
+      if (dpi !== null) report.image_dpi.push({ page: pageNumber, dpi });
+      fonts.forEach(font => unembedded.add(font));
+    });
+  } catch (err) {
+    if (err.name === "PasswordException") return { ...report, password: true };
+    throw err;
+  }
+
+  // LibreOffice embeds every font it uses, so converted files are checked
+  // against what the original asked for instead.
+  report.missing_fonts = kind === "office" ? await missingOfficeFonts(original, extension) : [...unembedded];
+  return report;
+}
@@ -0,0 +1,183 @@
+import express from "express";
+import { requireStudent } from "./auth.js";
+import { parsePageRange } from "../pageRange.js";
+import { DEFAULT_LAYOUT, PAPER_DIMENSIONS, validateLayout } from "../printLayout.js";
+import { DEFAULT_IMAGE_OPTIONS, validateImageOptions } from "../imageLayout.js";
+import { buildOrderPdf } from "./print-ready.js";
+import { renderPdfPages } from "./pdf-render.js";
+import { IMAGE_KINDS, composeImagePages } from "./image-compose.js";
+import { PAPER_SIZES } from "./orders.js";
+
+// Long edge of a thumbnail in pixels, whatever the paper size.
+const THUMBNAIL_LONG_EDGE = 240;
+// Only the first sides are drawn; the response says how many there are.
+const MAX_PREVIEW_SIDES = 12;
+// Recent previews kept in memory, so flipping an option back is instant.
+const CACHE_SIZE = 40;
+
+export class PreviewOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PreviewOptionsError";
+  }
+}
+
+// ================== OPTIONS ==================
+function parsePreviewOptions(query) {
+  try {
+    const papersize = query.papersize || "Letter";
+    if (!PAPER_SIZES.includes(papersize)) throw new Error(`papersize must be one of ${PAPER_SIZES.join(", ")}`);
+    const layout = validateLayout({
+      duplex: DEFAULT_LAYOUT.duplex,
+      nup: query.nup === undefined ? DEFAULT_LAYOUT.nup : Number(query.nup),
+      orientation: query.orientation || DEFAULT_LAYOUT.orientation,
+    });
+    const imageOptions = validateImageOptions({
+      fit: query.image_fit || DEFAULT_IMAGE_OPTIONS.fit,
+      perSheet: query.photos_per_sheet === undefined ? DEFAULT_IMAGE_OPTIONS.perSheet : Number(query.photos_per_sheet),
+      autoRotate: query.auto_rotate !== "false",
+    });
+    return {
+      papersize,
+      layout,
+      imageOptions,
+      pageRange: String(query.pages ?? "").replace(/\s+/g, ""),
+      // B&W is previewed in gray; "color" and "auto" as they are.
+      grayscale: query.color === "bw",
+    };
+  } catch (err) {
+    throw new PreviewOptionsError(err.message);
+  }
+}
+
+// ================== RENDERING ==================
+function toGrayscale(context, width, height) {
+  const imageData = context.getImageData(0, 0, width, height);
+  const { data } = imageData;
+  for (let i = 0; i < data.length; i += 4) {
+    const luma = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+    data[i] = data[i + 1] = data[i + 2] = luma;
+  }
+  context.putImageData(imageData, 0, 0);
+}
+
+// ================== PREVIEWER ==================
+// Thumbnails of the sides a file prints on: the same normalized PDF the
+// order would get (converted, laid out and fitted to the paper), drawn small.
+export function createPreviewer({ analyzer }) {
+  const cache = new Map();
+
+  // The pages the item prints from, and how many there are.
+  async function loadSource(analysis, { papersize, imageOptions }) {
+    if (IMAGE_KINDS.includes(analysis.kind)) {
+      const original = await analyzer.loadOriginal(analysis);
+      const { pdf, page_count } = await composeImagePages(original, analysis.kind, papersize, imageOptions);
+      return { pdf, pageCount: page_count };
+    }
+    const original = analysis.pdf_path ? null : await analyzer.loadOriginal(analysis);
+    return { pdf: await analyzer.loadPdf(analysis, original), pageCount: analysis.page_count };
+  }
+
+  async function render(analysis, options) {
+    const { papersize, layout, pageRange, grayscale } = options;
+    const { pdf, pageCount } = await loadSource(analysis, options);
+
+    let pages;
+    try {
+      pages = parsePageRange(pageRange, pageCount);
+    } catch (err) {
+      throw new PreviewOptionsError(err.message);
+    }
+
+    const totalSides = Math.ceil(pages.length / layout.nup);
+    const normalized = await buildOrderPdf(
+      [{ buffer: pdf, pages: pages.slice(0, MAX_PREVIEW_SIDES * layout.nup), copies: 1 }],
+      { paperSize: papersize, ...layout }
+    );
+
+    const sides = [];
+    const scale = THUMBNAIL_LONG_EDGE / PAPER_DIMENSIONS[papersize][1];
+    await renderPdfPages(normalized, { scale }, async (side, canvas, context) => {
+      if (grayscale) toGrayscale(context, canvas.width, canvas.height);
+      const jpeg = await canvas.encode("jpeg", 80);
+      sides.push({
+        side,
+        width: canvas.width,
+        height: canvas.height,
+        image: `data:image/jpeg;base64,${jpeg.toString("base64")}`,
+      });
+    });
+
+    return { total_sides: totalSides, sides, grayscale };
+  }
+
+  // Images only depend on the image options; documents ignore them.
+  async function preview(analysis, options) {
+    const key = JSON.stringify([
+      analysis.hash, options.papersize, options.layout, options.pageRange, options.grayscale,
+      IMAGE_KINDS.includes(analysis.kind) ? options.imageOptions : null,
+    ]);
+    if (cache.has(key)) {
+      const hit = cache.get(key);
+      cache.delete(key);
+      cache.set(key, hit);
+      return hit;
+    }
+
+    const result = await render(analysis, options);
+    cache.set(key, result);
+    if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+    return result;
+  }
+
+  return { preview };
+}
+
+// Whether the student sent the file with this content hash: one of their
+// finished uploads or order items has it (see upload-sessions.js).
+async function studentHasFile(store, student, hash) {
+  const [upload] = await store.find("upload_sessions", { user_id: student.id, sha256: hash, status: "stored" });
+  if (upload) return true;
+  const orderIds = [...new Set((await store.find("order_items", { content_hash: hash })).map(item => item.order_id))];
+  if (orderIds.length === 0) return false;
+  return (await store.find("orders", { id: orderIds, user_id: student.id })).length > 0;
+}
+
+// ================== ROUTES ==================
+// GET /analyze/:hash/preview?papersize=&color=&nup=&orientation=&pages=
+// (&image_fit=&photos_per_sheet=&auto_rotate= for images). The hash comes
+// from /analyze or an analysis job, so the file is not sent again; only a
+// student who uploaded the file may see it.
+export function createPreviewRouter({ store, analyzer, previewer = createPreviewer({ analyzer }) }) {
+  const router = express.Router();
+
+  router.get("/analyze/:hash/preview", requireStudent, async (req, res) => {
+    try {
+      if (!/^[0-9a-f]{64}$/.test(req.params.hash)) return res.status(400).json({ error: "Invalid hash" });
+      const options = parsePreviewOptions(req.query);
+
+      const analysis = await analyzer.lookup(req.params.hash);
+      if (!analysis || !await studentHasFile(store, req.student, analysis.hash)) {
+        return res.status(404).json({ error: "Unknown file, please upload it again" });
+      }
+      if (analysis.encrypted) {
+        return res.status(422).json({ error: `${analysis.original_name} is password-protected and cannot be previewed` });
+      }
+      // Images are laid out from the upload; PDFs are only stored as uploaded.
+      const needsOriginal = IMAGE_KINDS.includes(analysis.kind) || !analysis.pdf_path;
+      if (needsOriginal && !analysis.original_path) {
+        return res.status(404).json({ error: "This file is no longer stored, please upload it again" });
+      }
+
+      const result = await previewer.preview(analysis, options);
+      res.set("Cache-Control", "private, max-age=300");
+      res.json(result);
+    } catch (err) {
+      if (err instanceof PreviewOptionsError) return res.status(400).json({ error: err.message });
+      console.error("❌ Preview error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
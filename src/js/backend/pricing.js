@@ -0,0 +1,67 @@
+import express from "express";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { COLOR_LABELS, PAPER_SIZES, PRICED_COLORS } from "./orders.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_PRICING_FILE = path.join(__dirname, "../../../config/pricing.json");
+
+// ================== PRICE TABLE ==================
+// Throws if a rate is missing so a bad config fails at load, not at checkout.
+function validatePricing(table) {
+  for (const color of PRICED_COLORS) {
+    for (const size of PAPER_SIZES) {
+      const rates = table.rates?.[color]?.[size];
+      if (typeof rates?.single !== "number" || typeof rates?.duplex !== "number") {
+        throw new Error(`pricing: rates.${color}.${size} needs numeric "single" and "duplex"`);
+      }
+    }
+  }
+  for (const tier of table.quantity_tiers || []) {
+    if (typeof tier.min_sides !== "number" || typeof tier.discount_percent !== "number") {
+      throw new Error("pricing: every quantity tier needs numeric min_sides and discount_percent");
+    }
+  }
+  // Without "rush", rush orders are not offered.
+  if (table.rush !== undefined && !(table.rush?.flat >= 0 && table.rush?.percent >= 0)) {
+    throw new Error('pricing: rush needs "flat" and "percent", both 0 or more');
+  }
+  return table;
+}
+
+// Reads PRINTQ_PRICING_FILE (default config/pricing.json), re-reading it
+// whenever the file changes so price edits apply without a restart.
+export function createPricing(file = process.env.PRINTQ_PRICING_FILE || DEFAULT_PRICING_FILE) {
+  let cached = null;
+  let cachedMtime = 0;
+
+  function get() {
+    const { mtimeMs } = fs.statSync(file);
+    if (!cached || mtimeMs !== cachedMtime) {
+      cached = validatePricing(JSON.parse(fs.readFileSync(file, "utf8")));
+      cachedMtime = mtimeMs;
+      console.log(`💲 Loaded price table from ${file}`);
+    }
+    return cached;
+  }
+
+  get();
+  return { get };
+}
+
+// ================== ROUTES ==================
+export function createPricingRouter({ pricing }) {
+  const router = express.Router();
+
+  router.get("/pricing", (req, res) => {
+    try {
+      res.json({ ...pricing.get(), paper_sizes: PAPER_SIZES, colors: COLOR_LABELS });
+    } catch (err) {
+      console.error("❌ Pricing error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,110 @@
+import { PDFDocument, degrees } from "pdf-lib";
+import { PAPER_DIMENSIONS } from "../printLayout.js";
+
+// ================== PDF HELPERS ==================
+export function isPdf(buffer) {
+  return buffer.length >= 5 && buffer.subarray(0, 5).toString("latin1") === "%PDF-";
+}
+
+// Pages without a content stream are blank and cannot be embedded, so they
+// are kept as a placeholder with the page's size and nothing drawn.
+async function embedPage(output, page) {
+  if (!page.node.Contents()) {
+    const { width, height } = page.getSize();
+    return { blank: true, width, height };
+  }
+  return output.embedPage(page);
+}
+
+function isLandscape({ width, height }) {
+  return width > height;
+}
+
+// Sheet size for one side. 2-up turns the sheet sideways so two pages of
+// the content's orientation sit next to each other.
+function sheetSize(paperSize, contentLandscape, nup) {
+  const [short, long] = PAPER_DIMENSIONS[paperSize];
+  const landscape = nup === 2 ? !contentLandscape : contentLandscape;
+  return landscape ? [long, short] : [short, long];
+}
+
+// Cell boxes for N-up, in reading order (left to right, top to bottom).
+function cellBoxes([width, height], nup) {
+  const cols = nup === 1 ? 1 : nup === 4 ? 2 : width > height ? 2 : 1;
+  const rows = nup / cols;
+  const cellWidth = width / cols;
+  const cellHeight = height / rows;
+
+  const boxes = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      boxes.push({ x: col * cellWidth, y: height - (row + 1) * cellHeight, width: cellWidth, height: cellHeight });
+    }
+  }
+  return boxes;
+}
+
+// Scales an embedded page to fit a cell, centered. With `rotate` the page is
+// turned 90° first so a landscape page fills a portrait cell and vice versa.
+function drawInCell(sheet, embedded, cell, rotate) {
+  const pageWidth = rotate ? embedded.height : embedded.width;
+  const pageHeight = rotate ? embedded.width : embedded.height;
+  const scale = Math.min(cell.width / pageWidth, cell.height / pageHeight);
+  const drawnWidth = pageWidth * scale;
+  const drawnHeight = pageHeight * scale;
+  const x = cell.x + (cell.width - drawnWidth) / 2;
+  const y = cell.y + (cell.height - drawnHeight) / 2;
+
+  if (rotate) {
+    // Rotating 90° counter-clockwise around the origin swings the page to the
+    // left of x, so shift right by its drawn width.
+    sheet.drawPage(embedded, {
+      x: x + drawnWidth,
+      y,
+      xScale: scale,
+      yScale: scale,
+      rotate: degrees(90),
+    });
+  } else {
+    sheet.drawPage(embedded, { x, y, xScale: scale, yScale: scale });
+  }
+}
+
+// ================== ORDER PDF ==================
+// Builds the single print-ready PDF for an order. Each source is
+// { buffer, pages, copies } with 1-based `pages` in print order. Every page is
+// scaled to `paperSize`, imposed `nup` to a side, and with duplex each copy is
+// padded to an even number of sides so the next one starts on a new sheet.
+export async function buildOrderPdf(sources, { paperSize, duplex = "none", nup = 1, orientation = "auto" }) {
+  const output = await PDFDocument.create();
+
+  for (const { buffer, pages, copies = 1 } of sources) {
+    const input = await PDFDocument.load(buffer);
+    const sourcePages = input.getPages();
+    const embedded = [];
+    for (const page of pages) embedded.push(await embedPage(output, sourcePages[page - 1]));
+
+    const contentLandscape = orientation === "auto"
+      ? isLandscape(embedded[0])
+      : orientation === "landscape";
+    const size = sheetSize(paperSize, contentLandscape, nup);
+    const cells = cellBoxes(size, nup);
+
+    for (let copy = 0; copy < copies; copy++) {
+      let sides = 0;
+      for (let i = 0; i < embedded.length; i += nup) {
+        const sheet = output.addPage(size);
+        sides++;
+        embedded.slice(i, i + nup).forEach((page, slot) => {
+          if (page.blank) return;
+          const cell = cells[slot];
+          const rotate = orientation === "auto" && isLandscape(page) !== isLandscape(cell);
+          drawInCell(sheet, page, cell, rotate);
+        });
+      }
+      if (duplex !== "none" && sides % 2 === 1) output.addPage(size);
+    }
+  }
+
+  return output.save();
+}
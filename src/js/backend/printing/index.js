@@ -0,0 +1,228 @@
+import express from "express";
+import { requireOperator } from "../auth.js";
+import { withCoverSheet } from "../cover-sheet.js";
+import { COLOR_LABELS } from "../orders.js";
+import { getOperatorOrder } from "../operator.js";
+import { canTransition, orderEvents, StatusTransitionError, transitionOrder } from "../order-status.js";
+import { withLock } from "../locks.js";
+import { configuredPrinters, MEDIA, SIDES } from "./printers.js";
+
+// Jobs the printer has not finished with yet; these are polled.
+export const OPEN_JOB_STATES = ["pending", "pending-held", "processing", "processing-stopped"];
+const FAILED_JOB_STATES = ["canceled", "aborted"];
+// Who the order history shows for moves the dispatcher makes by itself.
+export const PRINTER_ACTOR = "printer";
+const POLL_MS = 5000;
+
+// A dispatch that cannot happen as asked. `status` is the HTTP status the
+// route answers with.
+export class DispatchError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = "DispatchError";
+    this.status = status;
+  }
+}
+
+// Media, color mode and sides from the order. Each file's copies are
+// already laid out in the print-ready PDF (padded per copy for duplex), so
+// the job itself is printed once.
+export function printTicket(order) {
+  return {
+    media: MEDIA[order.papersize],
+    colorMode: order.color === COLOR_LABELS.bw ? "monochrome" : "color",
+    sides: SIDES[order.duplex] || SIDES.none,
+    copies: 1,
+  };
+}
+
+function jobNote(job) {
+  const detail = job.message || job.reasons.join(", ");
+  return `Printer job ${job.job_id} ${job.state}${detail ? `: ${detail}` : ""}`;
+}
+
+// ================== DISPATCHER ==================
+// Sends paid orders to their station's printer (see PRINTQ_PRINTERS), each
+// behind its cover sheet, and follows each job: the order moves to
+// "printing" when the job is sent, to "ready" when the printer completes
+// it, and back to "paid" with the printer's reason when the job is aborted
+// or cancelled.
+export function createDispatcher({ store, stations, env = process.env, printers = configuredPrinters(env), pollMs = POLL_MS }) {
+  // PRINTQ_AUTO_DISPATCH=false leaves sending to the operator's button.
+  const autoDispatch = env.PRINTQ_AUTO_DISPATCH !== "false";
+  let polling = false;
+
+  // Under the order's dispatch lock, so the automatic dispatch and the
+  // operator's button cannot both send it. The order is read again inside,
+  // and moved to "printing" before the job is sent: if it changed meanwhile
+  // (e.g. it was cancelled) nothing is printed, and if the printer refuses
+  // the job it goes back to "paid".
+  function dispatch(order, { by }) {
+    return withLock(`dispatch:${order.id}`, async () => {
+      order = (await store.get("orders", order.id)) || order;
+      const printer = printers[order.station_id];
+      if (!printer) throw new DispatchError("No printer is set up for this order's station");
+      if (order.status !== "paid") throw new DispatchError(`Only paid orders can be sent to the printer (this one is ${order.status})`);
+      if (!order.print_file_path) throw new DispatchError("This order has no print-ready PDF; print its files by hand");
+      const [open] = await store.find("print_jobs", { order_id: order.id, state: OPEN_JOB_STATES });
+      if (open) throw new DispatchError(`This order is already at the printer as job ${open.job_id}`);
+
+      const [printFile, items] = await Promise.all([
+        store.files.download(order.print_file_path),
+        store.find("order_items", { order_id: order.id }),
+      ]);
+      const document = await withCoverSheet(store, stations, order, printFile);
+      let printing;
+      try {
+        printing = await transitionOrder(store, order, "printing", { changedBy: by, note: `Sent to ${printer.name}` });
+      } catch (err) {
+        throw err instanceof StatusTransitionError ? new DispatchError(err.message) : err;
+      }
+      const record = {
+        order_id: order.id,
+        station_id: order.station_id,
+        printer: printer.name,
+        sent_by: by,
+        // Files left out of the print-ready PDF (encrypted ones) still need
+        // an operator, so such an order is not marked ready by the printer.
+        manual_items: items.filter(item => !item.in_print_file).length,
+      };
+
+      let jobId;
+      try {
+        ({ jobId } = await printer.submit({
+          document,
+          title: order.order_number,
+          user: order.customer_email || "printq",
+          ticket: printTicket(order),
+        }));
+      } catch (err) {
+        await store.insert("print_jobs", [{ ...record, job_id: null, state: "failed", reasons: [], message: err.message }]);
+        console.error(`❌ Printer ${printer.name} refused ${order.order_number}:`, err.message);
+        await transitionOrder(store, printing, "paid", { changedBy: by, note: `The printer did not take the job: ${err.message}` })
+          .catch(undoErr => console.error(`❌ ${order.order_number} could not go back to paid:`, undoErr.message));
+        throw new DispatchError(`The printer did not take the job: ${err.message}`, 502);
+      }
+
+      const [job] = await store.insert("print_jobs", [{ ...record, job_id: String(jobId), state: "pending", reasons: [], message: null }]);
+      console.log(`🖨️ ${order.order_number} sent to ${printer.name} as job ${jobId} by ${by}`);
+      return job;
+    });
+  }
+
+  async function settleOrder(job) {
+    const order = await store.get("orders", job.order_id);
+    if (!order || order.status !== "printing") return;
+
+    if (job.state === "completed") {
+      if (job.manual_items > 0) {
+        console.log(`🖨️ ${order.order_number}: job ${job.job_id} done, ${job.manual_items} file(s) still to print by hand`);
+        return;
+      }
+      await transitionOrder(store, order, "ready", { changedBy: PRINTER_ACTOR, note: `Printer job ${job.job_id} completed` });
+    } else if (FAILED_JOB_STATES.includes(job.state) && canTransition(order.status, "paid")) {
+      await transitionOrder(store, order, "paid", { changedBy: PRINTER_ACTOR, note: jobNote(job) });
+    }
+  }
+
+  // Checks every open job once. A printer that cannot be reached keeps its
+  // jobs open with the error recorded, and is asked again next time.
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      const jobs = await store.find("print_jobs", { state: OPEN_JOB_STATES });
+      for (const job of jobs) {
+        const printer = printers[job.station_id];
+        if (!printer) continue;
+
+        let status;
+        try {
+          status = await printer.jobStatus(job.job_id);
+        } catch (err) {
+          if (job.error !== err.message) {
+            await store.update("print_jobs", job.id, { error: err.message });
+            console.error(`❌ Printer ${printer.name} unreachable for job ${job.job_id}:`, err.message);
+          }
+          continue;
+        }
+
+        const changed = status.state !== job.state || status.message !== job.message
+          || status.reasons.join(",") !== (job.reasons || []).join(",") || job.error;
+        if (!changed) continue;
+        const updated = await store.update("print_jobs", job.id, {
+          ...status,
+          error: null,
+          finished_at: OPEN_JOB_STATES.includes(status.state) ? null : new Date().toISOString(),
+        });
+        console.log(`🖨️ Job ${job.job_id}: ${job.state} → ${status.state}${status.reasons.length ? ` (${status.reasons.join(", ")})` : ""}`);
+        await settleOrder(updated);
+      }
+    } finally {
+      polling = false;
+    }
+  }
+
+  // Each configured printer's own state, e.g. stopped with "media-empty-error".
+  async function printerStatus(stationIds = Object.keys(printers)) {
+    return Promise.all(stationIds.filter(id => printers[id]).map(async (stationId) => {
+      try {
+        return { station_id: stationId, printer: printers[stationId].name, ...(await printers[stationId].status()) };
+      } catch (err) {
+        return { station_id: stationId, printer: printers[stationId].name, state: "unreachable", reasons: [], message: err.message };
+      }
+    }));
+  }
+
+  function listen(events = orderEvents) {
+    const stations = Object.keys(printers);
+    if (stations.length === 0) {
+      console.log("🖨️ No printers configured, orders are printed by hand");
+      return;
+    }
+
+    if (autoDispatch) {
+      events.on("status", ({ order, from, to }) => {
+        // Only a fresh payment; printing → paid is a failed job or an undo.
+        if (to !== "paid" || from !== "pending" || !printers[order.station_id]) return;
+        dispatch(order, { by: PRINTER_ACTOR })
+          .catch(err => console.error(`❌ Dispatch of ${order.order_number} failed:`, err.message));
+      });
+    }
+    setInterval(() => poll().catch(err => console.error("❌ Print job poll error:", err)), pollMs).unref();
+    console.log(`🖨️ Printers for ${stations.join(", ")}${autoDispatch ? ", paid orders are sent automatically" : ""}`);
+  }
+
+  return { printers, dispatch, poll, printerStatus, listen };
+}
+
+// ================== ROUTES ==================
+export function createPrintRouter({ store, dispatcher }) {
+  const router = express.Router();
+
+  router.get("/operator/printers", requireOperator, async (req, res) => {
+    try {
+      const stationIds = Object.keys(dispatcher.printers)
+        .filter(id => !req.operatorStation || id === req.operatorStation);
+      res.json({ printers: await dispatcher.printerStatus(stationIds) });
+    } catch (err) {
+      console.error("❌ Printer status error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Sends (or, after a failed job, re-sends) a paid order to its printer.
+  router.post("/operator/orders/:id/dispatch", requireOperator, async (req, res) => {
+    try {
+      const order = await getOperatorOrder(store, req, req.params.id);
+      if (!order) return res.status(404).json({ error: "Order not found" });
+      res.status(201).json({ job: await dispatcher.dispatch(order, { by: req.operator }) });
+    } catch (err) {
+      if (err instanceof DispatchError) return res.status(err.status).json({ error: err.message });
+      console.error("❌ Dispatch error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,146 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { groupAttributes, ippRequest, JOB_STATES, PRINTER_STATES } from "./ipp.js";
+
+// Every printer exposes
+//   submit({ document, title, user, ticket }) → { jobId }
+//   jobStatus(jobId) → { state, reasons, message }
+//   status() → { state, reasons, message, queued }
+// where `ticket` is { media, colorMode, sides, copies } and job states use
+// the IPP names (pending, processing, processing-stopped, completed, …).
+
+// IPP keywords for the order options.
+export const MEDIA = { Letter: "na_letter_8.5x11in", Legal: "na_legal_8.5x14in", A4: "iso_a4_210x297mm" };
+export const SIDES = { none: "one-sided", "long-edge": "two-sided-long-edge", "short-edge": "two-sided-short-edge" };
+
+function asList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// "none" is the printer's way of saying there is nothing to report.
+function reasonList(value) {
+  return asList(value).filter(reason => reason && reason !== "none");
+}
+
+// ================== IPP ==================
+// A CUPS queue (ipp://cups-host:631/printers/library) or a network printer
+// that speaks IPP itself (ipp://printer-host/ipp/print).
+export function createIppPrinter(uri) {
+  const display = new URL(uri);
+  display.username = "";
+  display.password = "";
+
+  return {
+    name: display.toString(),
+
+    async submit({ document, title, user, ticket }) {
+      const response = await ippRequest(uri, {
+        operation: "Print-Job",
+        operationAttributes: [
+          ["name", "requesting-user-name", user],
+          ["name", "job-name", title],
+          ["mimeMediaType", "document-format", "application/pdf"],
+        ],
+        jobAttributes: [
+          ["keyword", "media", ticket.media],
+          ["keyword", "print-color-mode", ticket.colorMode],
+          ["keyword", "sides", ticket.sides],
+          ["integer", "copies", ticket.copies],
+        ],
+        document,
+        timeoutMs: 120000,
+      });
+      const jobId = groupAttributes(response, "job")["job-id"];
+      if (!Number.isInteger(jobId)) throw new Error("The printer accepted the job but sent no job id");
+      return { jobId };
+    },
+
+    async jobStatus(jobId) {
+      const response = await ippRequest(uri, {
+        operation: "Get-Job-Attributes",
+        operationAttributes: [
+          ["integer", "job-id", Number(jobId)],
+          ["keyword", "requested-attributes", ["job-state", "job-state-reasons", "job-state-message"]],
+        ],
+      });
+      const job = groupAttributes(response, "job");
+      return {
+        state: JOB_STATES[job["job-state"]] || "pending",
+        reasons: reasonList(job["job-state-reasons"]),
+        message: job["job-state-message"] || null,
+      };
+    },
+
+    async status() {
+      const response = await ippRequest(uri, {
+        operation: "Get-Printer-Attributes",
+        operationAttributes: [
+          ["keyword", "requested-attributes", ["printer-state", "printer-state-reasons", "printer-state-message", "queued-job-count"]],
+        ],
+      });
+      const printer = groupAttributes(response, "printer");
+      return {
+        state: PRINTER_STATES[printer["printer-state"]] || "unknown",
+        reasons: reasonList(printer["printer-state-reasons"]),
+        message: printer["printer-state-message"] || null,
+        queued: printer["queued-job-count"] ?? null,
+      };
+    },
+  };
+}
+
+// ================== VIRTUAL PDF QUEUE ==================
+// Development and tests: file:///some/dir writes each job's PDF there with
+// its ticket next to it, like a CUPS-PDF queue. A job is complete once its
+// PDF is on disk, and reported aborted if the file has been removed.
+export function createDirectoryPrinter(uri) {
+  const dir = fileURLToPath(uri);
+  const pdfPath = (jobId) => path.join(dir, `job-${jobId}.pdf`);
+
+  return {
+    name: uri,
+
+    async submit({ document, title, user, ticket }) {
+      await fs.mkdir(dir, { recursive: true });
+      const jobId = Date.now();
+      await fs.writeFile(pdfPath(jobId), document);
+      await fs.writeFile(path.join(dir, `job-${jobId}.json`), JSON.stringify({ jobId, title, user, ...ticket }, null, 2));
+      console.log(`🖨️ Virtual printer ${dir}: job ${jobId} (${title})`);
+      return { jobId };
+    },
+
+    async jobStatus(jobId) {
+      try {
+        await fs.access(pdfPath(jobId));
+        return { state: "completed", reasons: [], message: null };
+      } catch {
+        return { state: "aborted", reasons: ["job-canceled-at-device"], message: "The job file is gone" };
+      }
+    },
+
+    async status() {
+      return { state: "idle", reasons: [], message: null, queued: 0 };
+    },
+  };
+}
+
+export function createPrinter(uri) {
+  const { protocol } = new URL(uri);
+  if (["ipp:", "ipps:", "http:", "https:"].includes(protocol)) return createIppPrinter(uri);
+  if (protocol === "file:") return createDirectoryPrinter(uri);
+  throw new Error(`Unsupported printer address: ${uri}`);
+}
+
+// PRINTQ_PRINTERS="library=ipp://cups.local:631/printers/library,admin=file:///tmp/printq-printer"
+// maps station ids to printers. Stations without one are printed by hand.
+export function configuredPrinters(env = process.env) {
+  const printers = {};
+  for (const entry of (env.PRINTQ_PRINTERS || "").split(",").map(item => item.trim()).filter(Boolean)) {
+    const at = entry.indexOf("=");
+    if (at < 1) throw new Error(`PRINTQ_PRINTERS: "${entry}" should look like station=ipp://host/printers/name`);
+    printers[entry.slice(0, at).trim()] = createPrinter(entry.slice(at + 1).trim());
+  }
+  return printers;
+}
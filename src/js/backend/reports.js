@@ -0,0 +1,270 @@
+import express from "express";
+import { requireOperator } from "./auth.js";
+import { abandonedAfterMs as abandonedAfter, isAbandoned } from "./order-status.js";
+
+export const REPORT_GROUPS = ["day", "week", "month", "station", "papersize", "color"];
+const PERIOD_GROUPS = ["day", "week", "month"];
+// Orders that were paid for, whatever happened to them afterwards.
+const PAID_STATUSES = ["paid", "printing", "ready", "claimed"];
+const CANCELLED_STATUSES = ["cancelled", "rejected"];
+// Ledger rows that sell credit (or correct a sale), see credits.js.
+const CREDIT_SALE_KINDS = ["top_up", "adjustment"];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+// Order ids per status-history lookup, to keep each query short.
+const ID_BATCH_SIZE = 200;
+
+export class ReportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ReportError";
+  }
+}
+
+// ================== DATES ==================
+// Days are counted in the campus time zone (config/stations.json), so an
+// order placed at 7:30 a.m. Manila time lands on that day, not the UTC one.
+function localDate(date, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" })
+    .format(new Date(date));
+}
+
+function addDays(day, count) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + count);
+  return date.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+// Weeks start on Monday and are named by that day.
+function mondayOf(day) {
+  const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+  return addDays(day, -((weekday + 6) % 7));
+}
+
+function periodKey(group, day) {
+  if (group === "week") return mondayOf(day);
+  if (group === "month") return day.slice(0, 7);
+  return day;
+}
+
+function periodLabel(group, key) {
+  return group === "week" ? `Week of ${key}` : key;
+}
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD, both inclusive; the last 30 days by default.
+function parseRange(query, timeZone) {
+  const isDay = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+  const to = query.to ? String(query.to) : localDate(new Date(), timeZone);
+  const from = query.from ? String(query.from) : addDays(to, -(DEFAULT_RANGE_DAYS - 1));
+  if (!isDay(from) || !isDay(to)) throw new ReportError("from and to must be dates like 2026-10-01");
+  if (from > to) throw new ReportError("from must not be after to");
+  if (daysBetween(from, to) >= MAX_RANGE_DAYS) throw new ReportError(`Reports cover at most ${MAX_RANGE_DAYS} days`);
+  return { from, to };
+}
+
+// ================== REPORT ==================
+function emptyRow(key, label) {
+  return {
+    key,
+    label,
+    orders: 0,
+    paid_orders: 0,
+    pages: 0,
+    sheets: 0,
+    revenue: 0,
+    credit_payments: 0,
+    discounts: 0,
+    voucher_discounts: 0,
+    avg_turnaround_minutes: null,
+    unpaid_orders: 0,
+    unpaid_amount: 0,
+    abandoned_orders: 0,
+    abandoned_amount: 0,
+    cancelled_orders: 0,
+    turnarounds: [],
+  };
+}
+
+// Pages are printed sides, the way the price table counts them. Pages,
+// sheets and revenue only count orders that were paid for. Revenue is
+// counted when printing is sold: an order paid with print credit counts in
+// full, and credit_payments says how much of it came from credit. Selling
+// the credit itself is not revenue (see creditSold), or it would count twice.
+// discounts are quantity tiers; voucher_discounts what vouchers took off.
+function addOrder(row, order, readyAt, { abandonedAfterMs, now }) {
+  row.orders++;
+  if (PAID_STATUSES.includes(order.status)) {
+    row.paid_orders++;
+    row.pages += order.sides || 0;
+    row.sheets += order.sheets || 0;
+    row.revenue += Number(order.total_cost) || 0;
+    row.credit_payments += Number(order.credit_applied) || 0;
+    row.discounts += Number(order.discount) || 0;
+    row.voucher_discounts += Number(order.voucher_discount) || 0;
+  } else if (order.status === "pending") {
+    const bucket = isAbandoned(order, abandonedAfterMs, now) ? "abandoned" : "unpaid";
+    row[`${bucket}_orders`]++;
+    row[`${bucket}_amount`] += Number(order.total_cost) || 0;
+  } else if (CANCELLED_STATUSES.includes(order.status)) {
+    row.cancelled_orders++;
+  }
+  if (readyAt) row.turnarounds.push((Date.parse(readyAt) - Date.parse(order.created_at)) / 60000);
+}
+
+function finishRow(row) {
+  const { turnarounds, ...rest } = row;
+  const money = value => Math.round(value * 100) / 100;
+  return {
+    ...rest,
+    revenue: money(row.revenue),
+    credit_payments: money(row.credit_payments),
+    discounts: money(row.discounts),
+    voucher_discounts: money(row.voucher_discounts),
+    unpaid_amount: money(row.unpaid_amount),
+    abandoned_amount: money(row.abandoned_amount),
+    avg_turnaround_minutes: turnarounds.length
+      ? Math.round(turnarounds.reduce((sum, minutes) => sum + minutes, 0) / turnarounds.length)
+      : null,
+  };
+}
+
+// When each order first became ready, by order id.
+async function readyTimes(store, orders) {
+  const times = {};
+  for (let i = 0; i < orders.length; i += ID_BATCH_SIZE) {
+    const ids = orders.slice(i, i + ID_BATCH_SIZE).map(order => order.id);
+    const events = await store.find("order_status_events", { order_id: ids, to_status: "ready" });
+    for (const event of events) {
+      if (!times[event.order_id] || event.created_at < times[event.order_id]) times[event.order_id] = event.created_at;
+    }
+  }
+  return times;
+}
+
+// Print credit added by operators between `from` and `to` (campus dates),
+// less what they took back off. It is money taken in ahead of printing,
+// so it is reported next to revenue rather than in it.
+async function creditSold(store, { from, to, timezone }) {
+  const rows = (await store.find("credit_ledger", {
+    kind: CREDIT_SALE_KINDS,
+    created_at: { gte: `${addDays(from, -1)}T00:00:00Z`, lt: `${addDays(to, 2)}T00:00:00Z` },
+  })).filter(row => {
+    const day = localDate(row.created_at, timezone);
+    return day >= from && day <= to;
+  });
+  return Math.round(rows.reduce((sum, row) => sum + Number(row.amount), 0) * 100) / 100;
+}
+
+// Orders placed between `from` and `to` (campus dates, inclusive), grouped
+// by `group`, with a totals row. Periods without orders are listed too so
+// a week with no sales shows as zero rather than missing. Credit is not
+// sold at a station, so credit_sold is null for a station's report.
+export async function buildReport(store, stations, { group, from, to, station = null, abandonedAfterMs, now = Date.now() }) {
+  if (!REPORT_GROUPS.includes(group)) throw new ReportError(`group must be one of ${REPORT_GROUPS.join(", ")}`);
+  const { timezone } = stations.get();
+
+  // A day on either side covers any UTC offset; the exact cut is by campus date.
+  const where = { created_at: { gte: `${addDays(from, -1)}T00:00:00Z`, lt: `${addDays(to, 2)}T00:00:00Z` } };
+  if (station) where.station_id = station;
+  const orders = (await store.find("orders", where, { orderBy: "created_at" }))
+    .map(order => ({ order, day: localDate(order.created_at, timezone) }))
+    .filter(({ day }) => day >= from && day <= to);
+  const ready = await readyTimes(store, orders.map(({ order }) => order));
+
+  const rows = new Map();
+  const rowFor = (key, label) => {
+    if (!rows.has(key)) rows.set(key, emptyRow(key, label));
+    return rows.get(key);
+  };
+  if (PERIOD_GROUPS.includes(group)) {
+    for (let day = from; day <= to; day = addDays(day, 1)) rowFor(periodKey(group, day), periodLabel(group, periodKey(group, day)));
+  }
+
+  const totals = emptyRow("total", "Total");
+  for (const { order, day } of orders) {
+    let row;
+    if (PERIOD_GROUPS.includes(group)) row = rowFor(periodKey(group, day), periodLabel(group, periodKey(group, day)));
+    else if (group === "station") row = rowFor(order.station_id || "none", stations.find(order.station_id)?.name || order.station_id || "No station");
+    else row = rowFor(order[group] || "none", order[group] || "Not set");
+    addOrder(row, order, ready[order.id], { abandonedAfterMs, now });
+    addOrder(totals, order, ready[order.id], { abandonedAfterMs, now });
+  }
+
+  const sorted = [...rows.values()].sort((a, b) => (PERIOD_GROUPS.includes(group)
+    ? a.key.localeCompare(b.key)
+    : b.revenue - a.revenue || a.label.localeCompare(b.label)));
+  const credit = station ? null : await creditSold(store, { from, to, timezone });
+  return { group, from, to, timezone, station, rows: sorted.map(finishRow), totals: finishRow(totals), credit_sold: credit };
+}
+
+// ================== CSV ==================
+const GROUP_TITLES = { day: "Day", week: "Week", month: "Month", station: "Station", papersize: "Paper size", color: "Color" };
+const CSV_COLUMNS = [
+  ["orders", "Orders"],
+  ["paid_orders", "Paid orders"],
+  ["pages", "Pages"],
+  ["sheets", "Sheets"],
+  ["revenue", "Revenue (PHP)"],
+  ["credit_payments", "Paid with credit (PHP)"],
+  ["discounts", "Quantity discounts (PHP)"],
+  ["voucher_discounts", "Voucher discounts (PHP)"],
+  ["avg_turnaround_minutes", "Avg. order to ready (min)"],
+  ["unpaid_orders", "Unpaid orders"],
+  ["unpaid_amount", "Unpaid (PHP)"],
+  ["abandoned_orders", "Abandoned orders"],
+  ["abandoned_amount", "Abandoned (PHP)"],
+  ["cancelled_orders", "Cancelled/rejected"],
+];
+
+const MONEY_COLUMNS = ["revenue", "credit_payments", "discounts", "voucher_discounts", "unpaid_amount", "abandoned_amount"];
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180 with CRLF line ends and a BOM, so Excel opens it as UTF-8. The
+// credit sold follows the table on a line of its own.
+export function reportCsv(report) {
+  const header = [GROUP_TITLES[report.group], ...CSV_COLUMNS.map(([, title]) => title)];
+  const lines = [header, ...[...report.rows, report.totals].map(row => [
+    row.label,
+    ...CSV_COLUMNS.map(([key]) => (MONEY_COLUMNS.includes(key) ? row[key].toFixed(2) : row[key])),
+  ])];
+  if (report.credit_sold !== null) lines.push([], ["Print credit sold, not in revenue (PHP)", report.credit_sold.toFixed(2)]);
+  return `\uFEFF${lines.map(cells => cells.map(csvCell).join(",")).join("\r\n")}\r\n`;
+}
+
+// ================== ROUTES ==================
+// GET /operator/reports/:group?from=&to=&station=&format=csv. Operators tied
+// to a station only ever get that station's numbers.
+export function createReportRouter({ store, stations, env = process.env }) {
+  const router = express.Router();
+  const abandonedAfterMs = abandonedAfter(env);
+
+  router.get("/operator/reports/:group", requireOperator, async (req, res) => {
+    try {
+      const { from, to } = parseRange(req.query, stations.get().timezone);
+      const station = req.operatorStation || (req.query.station ? String(req.query.station) : null);
+      const report = await buildReport(store, stations, { group: req.params.group, from, to, station, abandonedAfterMs });
+
+      if (req.query.format === "csv") {
+        res.attachment(`printq-${report.group}-${from}-to-${to}${station ? `-${station}` : ""}.csv`);
+        res.type("text/csv; charset=utf-8");
+        return res.send(reportCsv(report));
+      }
+      res.set("Cache-Control", "no-store");
+      res.json({ report });
+    } catch (err) {
+      if (err instanceof ReportError) return res.status(400).json({ error: err.message });
+      console.error("❌ Report error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,258 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { abandonedAfterMs, isAbandoned, transitionOrder } from "./order-status.js";
+
+// ================== RETENTION POLICY ==================
+// Uploads are theses, IDs and the like, so files are only kept while the
+// order needs them. The order rows stay for receipts and reports.
+//   PRINTQ_RETENTION_HOURS           after an order is claimed, cancelled or rejected (24)
+//   PRINTQ_RETENTION_ABANDONED_DAYS  after an unpaid order counts as abandoned (7)
+//   PRINTQ_RETENTION_UNUSED_HOURS    for files analysed but never ordered, and for
+//                                    the uploads kept for previews of ordered ones (24)
+//   PRINTQ_PURGE_INTERVAL_MINUTES    between purge runs (60)
+export const FINISHED_STATUSES = ["claimed", "cancelled", "rejected"];
+// The printer still needs these orders' files.
+const PRINTING_STATUSES = ["paid", "printing"];
+// Who deletion records and order history name for scheduled purges.
+export const PURGE_ACTOR = "retention";
+const HOUR_MS = 60 * 60 * 1000;
+// convert.js removes its folder when a conversion ends; these are left over
+// from a crash or restart in the middle of one.
+const TEMP_PREFIXES = ["printq-convert-", "printq-temp"];
+const TEMP_MAX_AGE_MS = HOUR_MS;
+// The old cart uploaded straight to the bucket as uploads/<timestamp>_<name>,
+// and no order row points at those objects.
+const LEGACY_UPLOAD = /^uploads\/\d+_/;
+// Values per IN (...) lookup, to keep each query short.
+const ID_BATCH_SIZE = 200;
+
+// The files cannot be deleted right now. `status` is the HTTP status the
+// route answers with.
+export class RetentionError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = "RetentionError";
+    this.status = status;
+  }
+}
+
+export function retentionPolicy(env = process.env) {
+  return {
+    finishedMs: Number(env.PRINTQ_RETENTION_HOURS || 24) * HOUR_MS,
+    abandonedMs: Number(env.PRINTQ_RETENTION_ABANDONED_DAYS || 7) * 24 * HOUR_MS,
+    abandonedAfterMs: abandonedAfterMs(env),
+    unusedMs: Number(env.PRINTQ_RETENTION_UNUSED_HOURS || 24) * HOUR_MS,
+    intervalMs: Number(env.PRINTQ_PURGE_INTERVAL_MINUTES || 60) * 60 * 1000,
+  };
+}
+
+// Whether the account page offers to delete the order's files.
+export function studentCanDeleteFiles(order) {
+  return !order.files_purged_at && !PRINTING_STATUSES.includes(order.status);
+}
+
+function isoBefore(now, ms) {
+  return new Date(now.getTime() - ms).toISOString();
+}
+
+async function findInBatches(store, table, column, values, where = {}) {
+  const rows = [];
+  for (let i = 0; i < values.length; i += ID_BATCH_SIZE) {
+    rows.push(...await store.find(table, { ...where, [column]: values.slice(i, i + ID_BATCH_SIZE) }));
+  }
+  return rows;
+}
+
+// ================== PURGE ==================
+// Deletes the files of finished and abandoned orders, uploads that never
+// became an order and left-over temp folders. Every deletion is recorded in
+// file_purges with the object keys (or temp paths) it removed.
+export function createRetention({ store, uploads, env = process.env, policy = retentionPolicy(env), tempDir = os.tmpdir() }) {
+  let running = false;
+
+  async function record({ order = null, reason, by, paths }) {
+    await store.insert("file_purges", [{
+      order_id: order?.id ?? null,
+      order_number: order?.order_number ?? null,
+      reason,
+      requested_by: by,
+      paths,
+    }]);
+  }
+
+  // Of `hashes`, the ones used by an order that still holds its files,
+  // leaving out `exceptOrderId`.
+  async function hashesInUse(hashes, exceptOrderId = null) {
+    const items = (await findInBatches(store, "order_items", "content_hash", hashes))
+      .filter(item => item.order_id !== exceptOrderId);
+    const orderIds = [...new Set(items.map(item => item.order_id))];
+    const holding = new Set((await findInBatches(store, "orders", "id", orderIds, { files_purged_at: null })).map(order => order.id));
+    return new Set(items.filter(item => holding.has(item.order_id)).map(item => item.content_hash));
+  }
+
+  // Removes the cached analyses (originals/ and converted/) of `hashes` that
+  // no other order needs. With `keepAfter`, ones made since then are kept as
+  // they may still be in someone's cart. Returns the removed object keys.
+  async function dropAnalyses(hashes, { exceptOrderId = null, keepAfter = null } = {}) {
+    if (hashes.length === 0) return [];
+    const inUse = await hashesInUse(hashes, exceptOrderId);
+    const analyses = (await findInBatches(store, "document_analyses", "hash", hashes.filter(hash => !inUse.has(hash))))
+      .filter(analysis => !keepAfter || analysis.created_at < keepAfter);
+    const keys = analyses.flatMap(analysis => [analysis.original_path, analysis.pdf_path]).filter(Boolean);
+    await store.files.remove(keys);
+    if (analyses.length) await store.remove("document_analyses", analyses.map(analysis => analysis.id));
+    return keys;
+  }
+
+  // Deletes every file of one order: the uploads, the print-ready PDF, the
+  // payment screenshots and the cached analyses only it used.
+  async function purgeOrder(order, { reason, by, now = new Date(), keepRecentAnalyses = true }) {
+    const [items, payments] = await Promise.all([
+      store.find("order_items", { order_id: order.id }),
+      store.find("payments", { order_id: order.id }),
+    ]);
+    const keys = [
+      ...items.map(item => item.file_path),
+      order.print_file_path,
+      ...payments.map(payment => payment.screenshot_path),
+    ].filter(Boolean);
+    await store.files.remove(keys);
+    for (const payment of payments.filter(p => p.screenshot_path)) {
+      await store.update("payments", payment.id, { screenshot_path: null });
+    }
+    keys.push(...await dropAnalyses([...new Set(items.map(item => item.content_hash).filter(Boolean))], {
+      exceptOrderId: order.id,
+      keepAfter: keepRecentAnalyses ? isoBefore(now, policy.unusedMs) : null,
+    }));
+
+    const purged = await store.update("orders", order.id, { files_purged_at: now.toISOString(), print_file_path: null });
+    await record({ order, reason, by, paths: keys });
+    console.log(`🧹 ${order.order_number}: ${keys.length} file(s) deleted (${reason})`);
+    return purged;
+  }
+
+  // Orders whose files are due for deletion at `now`.
+  async function dueOrders(now) {
+    const [finished, pending] = await Promise.all([
+      store.find("orders", {
+        files_purged_at: null,
+        status: FINISHED_STATUSES,
+        status_changed_at: { lt: isoBefore(now, policy.finishedMs) },
+      }),
+      store.find("orders", {
+        files_purged_at: null,
+        status: "pending",
+        created_at: { lt: isoBefore(now, policy.abandonedAfterMs + policy.abandonedMs) },
+      }),
+    ]);
+    return [
+      ...finished.map(order => ({ order, reason: order.status })),
+      ...pending
+        .filter(order => isAbandoned(order, policy.abandonedAfterMs + policy.abandonedMs, now.getTime()))
+        .map(order => ({ order, reason: "abandoned" })),
+    ];
+  }
+
+  // The uploads analyses keep for previews (see analysis.js), once they were
+  // last sent longer ago than the unused-file limit. The analysis and its
+  // converted PDF stay cached; orders hold their own copy of each file.
+  async function expireOriginals(now) {
+    const cutoff = isoBefore(now, policy.unusedMs);
+    const expired = (await store.find("document_analyses", { created_at: { lt: cutoff } }))
+      .filter(analysis => analysis.original_path && (analysis.original_kept_at || analysis.created_at) < cutoff);
+    for (const analysis of expired) {
+      await store.files.remove([analysis.original_path]);
+      await store.update("document_analyses", analysis.id, { original_path: null, original_kept_at: null });
+    }
+    return expired.map(analysis => analysis.original_path);
+  }
+
+  // Analyses and chunked uploads that never made it into an order, and the
+  // kept uploads of those that did.
+  async function sweepUnused(now) {
+    const stale = await store.find("document_analyses", { created_at: { lt: isoBefore(now, policy.unusedMs) } });
+    const keys = await dropAnalyses(stale.map(analysis => analysis.hash));
+    keys.push(...await expireOriginals(now));
+    keys.push(...(await uploads.sweepExpired(now)).keys);
+    if (keys.length) await record({ reason: "unused upload", by: PURGE_ACTOR, paths: keys });
+    return keys.length;
+  }
+
+  async function sweepLegacyUploads(now) {
+    const before = isoBefore(now, policy.abandonedAfterMs + policy.abandonedMs);
+    const keys = (await store.files.list("uploads"))
+      .filter(object => LEGACY_UPLOAD.test(object.key) && object.created_at && object.created_at < before)
+      .map(object => object.key);
+    await store.files.remove(keys);
+    if (keys.length) await record({ reason: "legacy upload", by: PURGE_ACTOR, paths: keys });
+    return keys.length;
+  }
+
+  async function sweepTemp(now) {
+    const removed = [];
+    const entries = await fs.readdir(tempDir).catch(() => []);
+    for (const name of entries.filter(entry => TEMP_PREFIXES.some(prefix => entry.startsWith(prefix)))) {
+      const target = path.join(tempDir, name);
+      const stat = await fs.stat(target).catch(() => null);
+      if (!stat || now.getTime() - stat.mtimeMs < TEMP_MAX_AGE_MS) continue;
+      await fs.rm(target, { recursive: true, force: true });
+      removed.push(target);
+    }
+    if (removed.length) await record({ reason: "temp files", by: PURGE_ACTOR, paths: removed });
+    return removed.length;
+  }
+
+  // One purge run. A failing order is logged and retried on the next run.
+  async function run(now = new Date()) {
+    if (running) return null;
+    running = true;
+    try {
+      const summary = { orders: 0, unused: 0, legacy: 0, temp: 0 };
+      for (const { order, reason } of await dueOrders(now)) {
+        try {
+          await purgeOrder(order, { reason, by: PURGE_ACTOR, now });
+          summary.orders++;
+        } catch (err) {
+          console.error(`❌ Purge of ${order.order_number} failed:`, err.message);
+        }
+      }
+      summary.unused = await sweepUnused(now);
+      summary.legacy = await sweepLegacyUploads(now);
+      summary.temp = await sweepTemp(now);
+      if (summary.orders || summary.unused || summary.legacy || summary.temp) {
+        console.log(`🧹 Purge: ${summary.orders} order(s), ${summary.unused} unused and ${summary.legacy} legacy upload(s), ${summary.temp} temp folder(s)`);
+      }
+      return summary;
+    } finally {
+      running = false;
+    }
+  }
+
+  // The student asked for their files to go. Orders at the printer keep
+  // them; an unpaid order is cancelled first, as it cannot print without.
+  async function deleteForStudent(order, student) {
+    if (order.files_purged_at) return order;
+    if (PRINTING_STATUSES.includes(order.status)) {
+      throw new RetentionError("Your order is being printed. You can delete its files once it is ready for pickup.");
+    }
+    if (order.status === "pending") {
+      const [submitted] = await store.find("payments", { order_id: order.id, status: "submitted" });
+      if (submitted) {
+        throw new RetentionError("Your payment is being checked. Ask the print station to cancel the order, or delete the files once it is printed.");
+      }
+      order = await transitionOrder(store, order, "cancelled", { changedBy: student.email, note: "Cancelled by the student to delete the files" });
+    }
+    return purgeOrder(order, { reason: "student request", by: student.email, keepRecentAnalyses: false });
+  }
+
+  function listen() {
+    const runLogged = () => run().catch(err => console.error("❌ Purge error:", err));
+    setTimeout(runLogged, 10 * 1000).unref();
+    setInterval(runLogged, policy.intervalMs).unref();
+    console.log(`🧹 Files are deleted ${policy.finishedMs / HOUR_MS} h after pickup or cancellation, `
+      + `${policy.abandonedMs / (24 * HOUR_MS)} day(s) after an order is abandoned`);
+  }
+
+  return { policy, purgeOrder, deleteForStudent, run, listen };
+}
@@ -1,18 +1,44 @@
 import express from "express";
 import cors from "cors";
-import { PDFDocument } from "pdf-lib";
-import multer from "multer";
-import nodemailer from "nodemailer";
 import dotenv from "dotenv";
 import path, { dirname, join } from "path";
-import { exec } from "child_process";
-import fs from "fs";
-import os from "os";
 import { fileURLToPath } from "url";
+import { createStore } from "./store/index.js";
+import { createOrderRouter } from "./orders.js";
+import { createOperatorRouter } from "./operator.js";
+import { createPaymentRouter } from "./payments.js";
+import { createTrackingRouter } from "./tracking.js";
+import { createAccountRouter } from "./accounts/index.js";
+import { createNotifier } from "./notifications/index.js";
+import { createPricing, createPricingRouter } from "./pricing.js";
+import { createStations, createStationRouter } from "./stations.js";
+import { createDispatcher, createPrintRouter } from "./printing/index.js";
+import { createReportRouter } from "./reports.js";
+import { analyzeColor } from "./color-analysis.js";
+import { analysisResponse, createAnalyzer, documentErrorStatus } from "./analysis.js";
+import { createAnalysisJobRouter } from "./analysis-jobs.js";
+import { createPreviewRouter } from "./preview.js";
+import { megabytes, receiveUploads } from "./uploads.js";
+import { createUploadRouter, createUploadSessions } from "./upload-sessions.js";
+import { createRetention } from "./retention.js";
+import { createCreditRouter, listenForRefunds } from "./credits.js";
+import { createVoucherRouter } from "./vouchers.js";
 
 dotenv.config();
 const app = express();
-const upload = multer({ storage: multer.memoryStorage() });
+const store = createStore();
+console.log(`🗄️ Using ${store.name} store`);
+const pricing = createPricing();
+const stations = createStations();
+const analyzer = createAnalyzer({ store });
+const receiveFile = receiveUploads(
+  { maxBytes: analyzer.limits.maxBytes, tooLarge: `Files must be ${megabytes(analyzer.limits.maxBytes)} or smaller` },
+  upload => upload.single("file")
+);
+const notifier = createNotifier({ store, stations });
+notifier.listen();
+const dispatcher = createDispatcher({ store, stations });
+dispatcher.listen();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -26,76 +52,110 @@ app.use(express.urlencoded({ extended: true }));
 const frontendPath = join(__dirname, "../../../");
 app.use(express.static(frontendPath));
 
-// ================== EMAIL API ==================
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.GMAIL_USER,
-    pass: process.env.GMAIL_PASSWORD,
-  },
-});
-
-app.post("/send-email", async (req, res) => {
+// ================== DOCX → PDF PAGE COUNT API ==================
+// Kept for older clients; /analyze below returns the same count and more.
+app.post("/convert-docx", receiveFile, async (req, res) => {
   try {
-    const { to, subject, message } = req.body;
-    if (!to || !subject || !message)
-      return res.status(400).json({ error: "Missing required fields" });
-
-    const qrPath = path.join(__dirname, "../../img/GCash-MyQR.jpg");
-    const mailOptions = {
-      from: process.env.GMAIL_USER,
-      to,
-      subject,
-      text: message,
-      attachments: [{ filename: "GCash-MyQR.jpg", path: qrPath }],
-    };
-
-    const info = await transporter.sendMail(mailOptions);
-    console.log("📨 Email sent:", info.response);
-    res.status(200).json({ messageId: info.messageId || info.response });
+    if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+
+    const analysis = await analyzer.analyze(req.file.buffer, req.file.originalname);
+    res.json({ originalName: req.file.originalname, pages: analysis.page_count });
   } catch (err) {
-    console.error("❌ Email error:", err);
+    const status = documentErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    console.error("❌ DOCX analyze error:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// ================== DOCX → PDF PAGE COUNT API ==================
-app.post("/convert-docx", upload.single("file"), async (req, res) => {
+// ================== PRICING & ORDERS API ==================
+app.use(createPricingRouter({ pricing }));
+// Pickup stations with their hours, supported options and current queue.
+app.use(createStationRouter({ store, stations }));
+// Chunked, resumable uploads; orders then refer to the stored files by id.
+const uploads = createUploadSessions({ store, maxBytes: analyzer.limits.maxBytes });
+app.use(createUploadRouter({ uploads }));
+// Deletes uploaded files once their orders are done (PRINTQ_RETENTION_*).
+const retention = createRetention({ store, uploads });
+retention.listen();
+app.use(createOrderRouter({ store, pricing, analyzer, stations, uploads }));
+app.use(createPaymentRouter({ store }));
+// Prepaid print credit topped up by operators, refunded when a credit-paid
+// order is cancelled or rejected, and promo and sponsor vouchers.
+listenForRefunds({ store });
+app.use(createCreditRouter({ store }));
+app.use(createVoucherRouter({ store, stations }));
+
+// ================== OPERATOR DASHBOARD ==================
+app.get("/operator", (req, res) => {
+  res.sendFile(path.join(frontendPath, "operator.html"));
+});
+app.get("/operator/reports", (req, res) => {
+  res.sendFile(path.join(frontendPath, "reports.html"));
+});
+app.use(createOperatorRouter({ store, stations }));
+// Sales and usage by period, station, paper size and color, with CSV export.
+app.use(createReportRouter({ store, stations }));
+// Sends paid orders to the station printers and follows their jobs.
+app.use(createPrintRouter({ store, dispatcher }));
+
+// ================== ORDER TRACKING ==================
+app.use(createTrackingRouter({ store, stations, frontendPath }));
+
+// ================== STUDENT ACCOUNTS ==================
+// Magic-link sign-in for campus emails, order history, reorder and deleting
+// an order's files.
+app.use(createAccountRouter({ store, pricing, analyzer, stations, notifier, retention, frontendPath }));
+
+// ================== DOCUMENT ANALYSIS API ==================
+// Page count, page sizes, orientation and encryption for any supported
+// upload. Results are cached by content hash, so re-adding a file is instant.
+app.post("/analyze", receiveFile, async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: "No file uploaded" });
 
-    const tempDir = path.join("/tmp", "printq-temp");
-    if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir, { recursive: true });
+    const analysis = await analyzer.analyze(req.file.buffer, req.file.originalname);
+    res.json(analysisResponse(analysis, req.file.originalname));
+  } catch (err) {
+    const status = documentErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    console.error("❌ Analyze error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const inputPath = path.join(tempDir, `${Date.now()}_${req.file.originalname}`);
-    fs.writeFileSync(inputPath, req.file.buffer);
+// The same analysis as a background job: the upload returns a job id at
+// once and the cart polls for the result, so slow conversions don't block it.
+app.use(createAnalysisJobRouter({ analyzer }));
 
-    await new Promise((resolve, reject) => {
-      exec(`soffice --headless --convert-to pdf --outdir "${tempDir}" "${inputPath}"`, (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+// Page thumbnails of an analysed file as it will print, by content hash.
+app.use(createPreviewRouter({ store, analyzer }));
 
-    const pdfPath = inputPath.replace(/\.(docx|doc)$/i, ".pdf");
-    const pdfBytes = fs.readFileSync(pdfPath);
-    const pdfDoc = await PDFDocument.load(pdfBytes);
-    const pageCount = pdfDoc.getPageCount();
+// ================== PER-PAGE COLOR ANALYSIS API ==================
+// Renders each page and reports which ones actually carry color ink, for
+// the cart's "auto" color mode. Takes anything /analyze does.
+app.post("/analyze-color", receiveFile, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: "No file uploaded" });
 
-    fs.unlinkSync(inputPath);
-    fs.unlinkSync(pdfPath);
+    const analysis = await analyzer.analyze(req.file.buffer, req.file.originalname);
+    const result = await analyzeColor(await analyzer.loadPdf(analysis, req.file.buffer));
 
-    res.json({ originalName: req.file.originalname, pages: pageCount });
+    console.log(`🎨 ${req.file.originalname}: ${result.color_pages.length}/${result.pages.length} color page(s)`);
+    res.json({ originalName: req.file.originalname, ...result });
   } catch (err) {
-    console.error("❌ DOCX analyze error:", err);
+    const status = documentErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    console.error("❌ Color analyze error:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
 // ================== FALLBACK ROUTE ==================
 // Serve index.html only for non-API routes
+const API_PREFIXES = ["/convert-docx", "/analyze", "/pricing", "/stations", "/uploads", "/orders", "/vouchers", "/operator/", "/track/", "/auth/", "/account/"];
 app.use((req, res, next) => {
-  if (req.path.startsWith("/convert-docx") || req.path.startsWith("/send-email")) return next();
+  if (API_PREFIXES.some(prefix => req.path.startsWith(prefix))) return next();
   res.sendFile(path.join(frontendPath, "index.html"));
 });
 
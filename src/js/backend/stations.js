@@ -0,0 +1,194 @@
+import express from "express";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { COLOR_LABELS, PAPER_SIZES } from "./orders.js";
+import { abandonedAfterMs, isAbandoned } from "./order-status.js";
+import { estimateReadyAt, isOpen, parseHours, pickupSlots, stationColors } from "../stationSchedule.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_STATIONS_FILE = path.join(__dirname, "../../../config/stations.json");
+
+// Orders a station still has to print. Pending orders wait for payment and
+// do not hold up the printer.
+export const QUEUE_STATUSES = ["paid", "printing"];
+// Orders that hold their place in a pickup slot; a pending one only until
+// it is abandoned (see isAbandoned).
+const SLOT_STATUSES = ["pending", "paid", "printing", "ready", "claimed"];
+// How far ahead pickup slots are offered, unless stations.json says.
+const DEFAULT_SLOT_DAYS = 3;
+
+// ================== STATION CONFIG ==================
+// Throws on the first bad station so a broken config fails at load.
+function validateStations(config) {
+  if (!config.timezone) throw new Error("stations: timezone is required");
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: config.timezone });
+  } catch {
+    throw new Error(`stations: "${config.timezone}" is not a valid timezone`);
+  }
+  if (!Array.isArray(config.stations) || config.stations.length === 0) {
+    throw new Error("stations: at least one station is required");
+  }
+
+  const ids = new Set();
+  for (const station of config.stations) {
+    if (!/^[a-z0-9-]+$/.test(station.id || "")) throw new Error(`stations: "${station.id}" is not a valid id (a-z, 0-9 and -)`);
+    if (ids.has(station.id)) throw new Error(`stations: duplicate id "${station.id}"`);
+    ids.add(station.id);
+
+    if (!station.name || !station.location) throw new Error(`stations: ${station.id} needs a name and location`);
+    for (const [day, range] of Object.entries(station.hours || {})) {
+      if (!parseHours(range)) throw new Error(`stations: ${station.id} hours.${day} must look like "08:00-17:00"`);
+    }
+    if (!Array.isArray(station.paper_sizes) || station.paper_sizes.length === 0
+      || station.paper_sizes.some(size => !PAPER_SIZES.includes(size))) {
+      throw new Error(`stations: ${station.id} paper_sizes must be a non-empty list of ${PAPER_SIZES.join(", ")}`);
+    }
+    if (typeof station.color !== "boolean") throw new Error(`stations: ${station.id} color must be true or false`);
+    if (!(station.minutes_per_order >= 0) || !(station.sheets_per_minute > 0)) {
+      throw new Error(`stations: ${station.id} needs minutes_per_order >= 0 and sheets_per_minute > 0`);
+    }
+    if ((station.slot_minutes !== undefined || station.slot_capacity !== undefined)
+      && !(Number.isInteger(station.slot_minutes) && station.slot_minutes >= 5
+        && Number.isInteger(station.slot_capacity) && station.slot_capacity >= 1)) {
+      throw new Error(`stations: ${station.id} pickup slots need slot_minutes (5 or more) and slot_capacity (1 or more)`);
+    }
+  }
+  if (config.slot_days !== undefined && !(Number.isInteger(config.slot_days) && config.slot_days >= 1)) {
+    throw new Error("stations: slot_days must be a whole number of days, 1 or more");
+  }
+  return config;
+}
+
+// Reads PRINTQ_STATIONS_FILE (default config/stations.json), re-reading it
+// whenever the file changes, like the price table.
+export function createStations(file = process.env.PRINTQ_STATIONS_FILE || DEFAULT_STATIONS_FILE) {
+  let cached = null;
+  let cachedMtime = 0;
+
+  function get() {
+    const { mtimeMs } = fs.statSync(file);
+    if (!cached || mtimeMs !== cachedMtime) {
+      cached = validateStations(JSON.parse(fs.readFileSync(file, "utf8")));
+      cachedMtime = mtimeMs;
+      console.log(`📍 Loaded ${cached.stations.length} station(s) from ${file}`);
+    }
+    return cached;
+  }
+
+  function find(id) {
+    return get().stations.find(station => station.id === id) || null;
+  }
+
+  get();
+  return { get, find };
+}
+
+// ================== QUEUES ==================
+// Rush orders are printed before everything else, so a new rush order only
+// waits behind the rush orders already paid for.
+function queueOf(orders) {
+  return { orders: orders.length, sheets: orders.reduce((sum, order) => sum + (order.sheets || 0), 0) };
+}
+
+// Orders and sheets waiting at each station, by station id: `queue` is
+// everything, `rush_queue` the rush orders only.
+export async function stationQueues(store) {
+  const orders = await store.find("orders", { status: QUEUE_STATUSES });
+  const queues = {};
+  for (const order of orders) {
+    if (!order.station_id) continue;
+    if (!queues[order.station_id]) queues[order.station_id] = { all: [], rush: [] };
+    queues[order.station_id].all.push(order);
+    if (order.rush) queues[order.station_id].rush.push(order);
+  }
+  return Object.fromEntries(Object.entries(queues)
+    .map(([id, { all, rush }]) => [id, { queue: queueOf(all), rush_queue: queueOf(rush) }]));
+}
+
+// When a new order of `sheets` sheets would be ready at `station` if paid
+// now, or null if the station has no open hours soon.
+export async function newOrderReadyAt(store, stations, station, { sheets, rush }) {
+  const queues = (await stationQueues(store))[station.id];
+  const queue = queues ? (rush ? queues.rush_queue : queues.queue) : { orders: 0, sheets: 0 };
+  return estimateReadyAt(station, stations.get().timezone, { queue, sheets });
+}
+
+// When an order already in its station's queue should be ready, counting
+// only the orders printed before it: earlier orders of its own kind and,
+// for a regular order, every rush order. Null once it has left the queue.
+export async function orderReadyEstimate(store, stations, order) {
+  const station = order.station_id ? stations.find(order.station_id) : null;
+  if (!station || !QUEUE_STATUSES.includes(order.status)) return null;
+
+  const ahead = (await store.find("orders", { station_id: station.id, status: QUEUE_STATUSES }))
+    .filter(other => other.id !== order.id
+      && ((other.rush && !order.rush) || (Boolean(other.rush) === Boolean(order.rush) && other.created_at < order.created_at)));
+  return estimateReadyAt(station, stations.get().timezone, { queue: queueOf(ahead), sheets: order.sheets || 0 });
+}
+
+// ================== PICKUP SLOTS ==================
+// The lock orders for one slot are placed under (see locks.js), so its
+// bookings are counted and the new order saved before the next one counts.
+export function slotLock(station, pickupAt) {
+  return `slot:${station.id}:${pickupAt}`;
+}
+
+// The station's upcoming slots with how many orders already chose each.
+export async function stationSlots(store, stations, station, now = new Date()) {
+  const { timezone, slot_days: days = DEFAULT_SLOT_DAYS } = stations.get();
+  const slots = pickupSlots(station, timezone, { days, now });
+  if (slots.length === 0) return [];
+
+  const afterMs = abandonedAfterMs();
+  const booked = (await store.find("orders", {
+    station_id: station.id,
+    status: SLOT_STATUSES,
+    pickup_at: { gte: slots[0].start.toISOString() },
+  })).filter(order => !isAbandoned(order, afterMs, now.getTime()));
+  return slots.map(slot => ({
+    ...slot,
+    taken: booked.filter(order => Date.parse(order.pickup_at) === slot.start.getTime()).length,
+  }));
+}
+
+// What the cart needs to show a station, estimate its ready time and
+// offer its pickup slots.
+function stationView(station, timezone, { queue, rush_queue }, slots) {
+  return {
+    ...station,
+    colors: stationColors(station, Object.keys(COLOR_LABELS)),
+    open_now: isOpen(station, timezone),
+    queue,
+    rush_queue,
+    slots: slots.map(slot => ({
+      start: slot.start.toISOString(),
+      end: slot.end.toISOString(),
+      taken: slot.taken,
+    })),
+  };
+}
+
+// ================== ROUTES ==================
+export function createStationRouter({ store, stations }) {
+  const router = express.Router();
+
+  router.get("/stations", async (req, res) => {
+    try {
+      const { timezone, stations: list } = stations.get();
+      const queues = await stationQueues(store);
+      const empty = { queue: { orders: 0, sheets: 0 }, rush_queue: { orders: 0, sheets: 0 } };
+      const slots = await Promise.all(list.map(station => stationSlots(store, stations, station)));
+      res.json({
+        timezone,
+        stations: list.map((station, i) => stationView(station, timezone, queues[station.id] || empty, slots[i])),
+      });
+    } catch (err) {
+      console.error("❌ Stations error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
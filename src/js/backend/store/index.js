@@ -0,0 +1,96 @@
+import { createMemoryStore } from "./memory-store.js";
+import { createSupabaseStore } from "./supabase-store.js";
+
+// ================== STORE FACTORY ==================
+// PRINTQ_STORE=supabase|memory picks the backend. Without it, Supabase is used
+// whenever its credentials are configured and the memory store otherwise.
+export function createStore(env = process.env) {
+  const kind = env.PRINTQ_STORE || (env.SUPABASE_URL && env.SUPABASE_SERVICE_ROLE_KEY ? "supabase" : "memory");
+
+  let store;
+  if (kind === "supabase") {
+    if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_ROLE_KEY) {
+      throw new Error("PRINTQ_STORE=supabase needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY");
+    }
+    store = createSupabaseStore({
+      url: env.SUPABASE_URL,
+      key: env.SUPABASE_SERVICE_ROLE_KEY,
+      bucket: env.SUPABASE_BUCKET || "ready2print-files",
+    });
+  } else if (kind === "memory") {
+    store = createMemoryStore({
+      dataFile: env.PRINTQ_DATA_FILE,
+      storageDir: env.PRINTQ_STORAGE_DIR,
+    });
+  } else {
+    throw new Error(`Unknown PRINTQ_STORE: ${kind}`);
+  }
+
+  store.transaction = (work) => runTransaction(store, work);
+  return store;
+}
+
+// ================== TRANSACTIONS ==================
+// Neither backend gives us a real multi-table transaction, so writes made
+// through `tx` are journaled and undone in reverse if `work` throws.
+// Object deletes are deferred until the work has succeeded. A transaction
+// started through `tx` joins this one.
+async function runTransaction(store, work) {
+  const undo = [];
+  const pendingRemovals = [];
+
+  const tx = {
+    ...store,
+
+    transaction: (nested) => nested(tx),
+
+    async insert(table, rows) {
+      const inserted = await store.insert(table, rows);
+      undo.push(() => store.remove(table, inserted.map(r => r.id)));
+      return inserted;
+    },
+
+    async update(table, id, patch) {
+      const before = await store.get(table, id);
+      const row = await store.update(table, id, patch);
+      const restore = Object.fromEntries(Object.keys(patch).map(k => [k, before?.[k] ?? null]));
+      undo.push(() => store.update(table, id, restore));
+      return row;
+    },
+
+    async remove(table, ids) {
+      const rows = await store.find(table, { id: ids });
+      await store.remove(table, ids);
+      undo.push(() => store.insert(table, rows));
+    },
+
+    files: {
+      ...store.files,
+
+      async upload(key, buffer, contentType) {
+        const stored = await store.files.upload(key, buffer, contentType);
+        undo.push(() => store.files.remove([stored]));
+        return stored;
+      },
+
+      async remove(keys) {
+        pendingRemovals.push(...keys);
+      },
+    },
+  };
+
+  try {
+    const result = await work(tx);
+    if (pendingRemovals.length) await store.files.remove(pendingRemovals);
+    return result;
+  } catch (err) {
+    for (const step of undo.reverse()) {
+      try {
+        await step();
+      } catch (rollbackErr) {
+        console.error("❌ Rollback step failed:", rollbackErr);
+      }
+    }
+    throw err;
+  }
+}
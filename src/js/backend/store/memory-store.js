@@ -0,0 +1,148 @@
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+
+// ================== MEMORY STORE ==================
+// Local stand-in for the Supabase project. Rows live in memory and are
+// optionally mirrored to a JSON file (dataFile); uploaded objects are kept
+// in memory or written under storageDir.
+export function createMemoryStore({ dataFile, storageDir } = {}) {
+  let tables = {};
+  const objects = new Map();
+  const objectTimes = new Map();
+
+  if (dataFile && fs.existsSync(dataFile)) {
+    tables = JSON.parse(fs.readFileSync(dataFile, "utf8"));
+  }
+
+  function rowsOf(table) {
+    if (!tables[table]) tables[table] = [];
+    return tables[table];
+  }
+
+  function persist() {
+    if (!dataFile) return;
+    fs.mkdirSync(path.dirname(dataFile), { recursive: true });
+    fs.writeFileSync(dataFile, JSON.stringify(tables, null, 2));
+  }
+
+  // A list matches any of its values; { gte, lt } is a range (either end
+  // may be left out), compared as strings for timestamps; null matches an
+  // empty column.
+  function matches(row, where) {
+    return Object.entries(where).every(([key, value]) => {
+      if (value === null) return row[key] === null || row[key] === undefined;
+      if (Array.isArray(value)) return value.includes(row[key]);
+      if (value && typeof value === "object") {
+        if (row[key] === undefined || row[key] === null) return false;
+        return (value.gte === undefined || row[key] >= value.gte) && (value.lt === undefined || row[key] < value.lt);
+      }
+      return row[key] === value;
+    });
+  }
+
+  function objectPath(key) {
+    const resolved = path.resolve(storageDir, key);
+    if (!resolved.startsWith(path.resolve(storageDir) + path.sep)) {
+      throw new Error(`Invalid storage path: ${key}`);
+    }
+    return resolved;
+  }
+
+  return {
+    name: "memory",
+
+    async insert(table, rows) {
+      const inserted = rows.map(row => ({
+        id: randomUUID(),
+        created_at: new Date().toISOString(),
+        ...row,
+      }));
+      rowsOf(table).push(...inserted);
+      persist();
+      return structuredClone(inserted);
+    },
+
+    async find(table, where = {}, { orderBy, ascending = true, limit } = {}) {
+      let rows = rowsOf(table).filter(row => matches(row, where));
+      if (orderBy) {
+        rows = [...rows].sort((a, b) => {
+          if (a[orderBy] === b[orderBy]) return 0;
+          return (a[orderBy] > b[orderBy] ? 1 : -1) * (ascending ? 1 : -1);
+        });
+      }
+      if (limit) rows = rows.slice(0, limit);
+      return structuredClone(rows);
+    },
+
+    async get(table, id) {
+      const row = rowsOf(table).find(r => r.id === id);
+      return row ? structuredClone(row) : null;
+    },
+
+    async update(table, id, patch) {
+      const row = rowsOf(table).find(r => r.id === id);
+      if (!row) throw new Error(`${table} row not found: ${id}`);
+      Object.assign(row, patch);
+      persist();
+      return structuredClone(row);
+    },
+
+    async remove(table, ids) {
+      tables[table] = rowsOf(table).filter(r => !ids.includes(r.id));
+      persist();
+    },
+
+    files: {
+      async upload(key, buffer) {
+        if (storageDir) {
+          const target = objectPath(key);
+          if (fs.existsSync(target)) throw new Error(`Object already exists: ${key}`);
+          fs.mkdirSync(path.dirname(target), { recursive: true });
+          fs.writeFileSync(target, buffer);
+        } else {
+          if (objects.has(key)) throw new Error(`Object already exists: ${key}`);
+          objects.set(key, Buffer.from(buffer));
+          objectTimes.set(key, new Date().toISOString());
+        }
+        return key;
+      },
+
+      async download(key) {
+        if (storageDir) {
+          const target = objectPath(key);
+          if (!fs.existsSync(target)) throw new Error(`Object not found: ${key}`);
+          return fs.readFileSync(target);
+        }
+        if (!objects.has(key)) throw new Error(`Object not found: ${key}`);
+        return objects.get(key);
+      },
+
+      async remove(keys) {
+        for (const key of keys) {
+          if (storageDir) fs.rmSync(objectPath(key), { force: true });
+          else objects.delete(key);
+          objectTimes.delete(key);
+        }
+      },
+
+      // Objects directly inside the `prefix` folder: [{ key, created_at }].
+      async list(prefix) {
+        const folder = prefix.replace(/\/$/, "");
+        if (storageDir) {
+          const dir = objectPath(folder);
+          if (!fs.existsSync(dir)) return [];
+          return fs.readdirSync(dir, { withFileTypes: true })
+            .filter(entry => entry.isFile())
+            .map(entry => ({
+              key: `${folder}/${entry.name}`,
+              created_at: fs.statSync(path.join(dir, entry.name)).mtime.toISOString(),
+            }));
+        }
+        return [...objects.keys()]
+          .filter(key => key.startsWith(`${folder}/`) && !key.slice(folder.length + 1).includes("/"))
+          .map(key => ({ key, created_at: objectTimes.get(key) }));
+      },
+    },
+  };
+}
@@ -0,0 +1,336 @@
+-- PrintQ tables for the Supabase backend (PRINTQ_STORE=supabase).
+-- Run in the Supabase SQL editor. The memory store needs no setup.
+
+-- ================== ORDERS ==================
+create table if not exists orders (
+  id uuid primary key default gen_random_uuid(),
+  order_number text not null unique,
+  customer_email text not null,
+  papersize text not null,
+  color text not null,
+  total_cost numeric(10, 2) not null,
+  status text not null default 'pending',
+  created_at timestamptz not null default now()
+);
+
+create table if not exists order_items (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references orders (id) on delete cascade,
+  filename text not null,
+  file_path text not null,
+  pagecount integer not null,
+  papersize text not null,
+  color text not null,
+  cost numeric(10, 2) not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists order_items_order_id_idx on order_items (order_id);
+
+-- ================== STATUS WORKFLOW ==================
+alter table orders add column if not exists status_changed_at timestamptz;
+alter table orders add column if not exists status_changed_by text;
+
+create table if not exists order_status_events (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references orders (id) on delete cascade,
+  from_status text not null,
+  to_status text not null,
+  changed_by text not null,
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists order_status_events_order_id_idx on order_status_events (order_id);
+
+-- ================== PAGE RANGES & COPIES ==================
+alter table order_items add column if not exists page_range text;
+alter table order_items add column if not exists copies integer not null default 1;
+alter table order_items add column if not exists print_pages integer;
+
+-- ================== PRINT LAYOUT ==================
+alter table orders add column if not exists duplex text not null default 'none';
+alter table orders add column if not exists nup integer not null default 1;
+alter table orders add column if not exists orientation text not null default 'auto';
+alter table orders add column if not exists sides integer;
+alter table orders add column if not exists sheets integer;
+alter table orders add column if not exists print_file_path text;
+
+alter table order_items add column if not exists sides integer;
+alter table order_items add column if not exists sheets integer;
+alter table order_items add column if not exists in_print_file boolean not null default false;
+
+-- ================== PRICING ==================
+alter table orders add column if not exists subtotal numeric(10, 2);
+alter table orders add column if not exists discount numeric(10, 2) not null default 0;
+
+-- ================== PER-PAGE COLOR ==================
+alter table order_items add column if not exists color_pages integer[];
+alter table order_items add column if not exists color_sides integer not null default 0;
+
+-- ================== DOCUMENT ANALYSIS ==================
+-- Keyed by the upload's SHA-256; converted PDFs live under converted/ in the bucket.
+create table if not exists document_analyses (
+  id uuid primary key default gen_random_uuid(),
+  hash text not null unique,
+  original_name text not null,
+  kind text not null,
+  page_count integer not null,
+  pages jsonb not null,
+  orientation text not null,
+  encrypted boolean not null default false,
+  pdf_path text,
+  created_at timestamptz not null default now()
+);
+
+alter table order_items add column if not exists converted_path text;
+
+-- ================== IMAGE LAYOUT ==================
+-- Pixel size and resolution of each frame of an image upload.
+alter table document_analyses add column if not exists images jsonb;
+
+alter table order_items add column if not exists image_fit text;
+alter table order_items add column if not exists photos_per_sheet integer;
+alter table order_items add column if not exists auto_rotate boolean;
+alter table order_items add column if not exists image_dpi integer;
+
+-- ================== PAGE PREVIEWS ==================
+-- The upload itself (originals/<hash>), so previews can be drawn from the
+-- hash alone.
+alter table document_analyses add column if not exists original_path text;
+-- When the upload was last kept; the retention purge deletes it
+-- PRINTQ_RETENTION_UNUSED_HOURS later.
+alter table document_analyses add column if not exists original_kept_at timestamptz;
+
+-- ================== GCASH PAYMENTS ==================
+-- One row per GCash reference number. Customers submit them against an
+-- order; statement imports add the amount GCash actually received.
+-- status: submitted | unmatched (statement row with no order) | verified | rejected
+create table if not exists payments (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid references orders (id) on delete set null,
+  order_number text,
+  method text not null default 'gcash',
+  reference text not null unique,
+  amount numeric(10, 2) not null,
+  screenshot_path text,
+  source text not null,
+  status text not null,
+  statement_amount numeric(10, 2),
+  statement_paid_at text,
+  statement_description text,
+  reviewed_by text,
+  reviewed_at timestamptz,
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists payments_order_id_idx on payments (order_id);
+create index if not exists payments_status_idx on payments (status);
+
+-- ================== ORDER TRACKING ==================
+-- Short code printed on the confirmation and shown at pickup; /track/<code>.
+alter table orders add column if not exists claim_code text unique;
+
+-- ================== NOTIFICATIONS ==================
+-- One row per email the notifier finished with, sent or given up on.
+create table if not exists notifications (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid references orders (id) on delete cascade,
+  template text not null,
+  recipient text not null,
+  transport text not null,
+  status text not null,
+  attempts integer not null default 1,
+  message_id text,
+  error text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notifications_order_id_idx on notifications (order_id);
+
+-- ================== STUDENT ACCOUNTS ==================
+-- Students sign in with a magic link to their campus email. Orders belong
+-- to the account; customer_email is kept as a copy of its address.
+create table if not exists users (
+  id uuid primary key default gen_random_uuid(),
+  email text not null unique,
+  last_sign_in_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+alter table orders add column if not exists user_id uuid references users (id) on delete set null;
+create index if not exists orders_user_id_idx on orders (user_id);
+
+-- Links issued by the local sign-in provider (PRINTQ_AUTH=local). Only a
+-- hash of the token is stored.
+create table if not exists magic_links (
+  id uuid primary key default gen_random_uuid(),
+  email text not null,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists magic_links_email_idx on magic_links (email);
+
+-- ================== PICKUP STATIONS ==================
+-- Stations are configured in config/stations.json; orders keep the id of
+-- the one they are picked up at.
+alter table orders add column if not exists station_id text;
+create index if not exists orders_station_id_idx on orders (station_id, status);
+
+-- ================== PRINTER DISPATCH ==================
+-- One row per job sent to a station's CUPS/IPP printer. `state` is the IPP
+-- job state (pending, processing, processing-stopped, completed, aborted,
+-- canceled) or "failed" when the printer never took the job; `error` holds
+-- the last problem reaching the printer while the job was open.
+create table if not exists print_jobs (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references orders (id) on delete cascade,
+  station_id text not null,
+  printer text not null,
+  job_id text,
+  state text not null,
+  reasons text[] not null default '{}',
+  message text,
+  error text,
+  manual_items integer not null default 0,
+  sent_by text not null,
+  finished_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists print_jobs_order_id_idx on print_jobs (order_id);
+create index if not exists print_jobs_state_idx on print_jobs (state);
+
+-- ================== RESUMABLE UPLOADS ==================
+-- A file the cart sends in chunks before the order is placed. Each chunk is
+-- stored as chunks/<upload id>/<index>; once all have arrived they are
+-- joined into incoming/<upload id> (file_path) and the upload is "stored".
+-- Orders copy the file, after which the upload is removed.
+create table if not exists upload_sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users (id) on delete cascade,
+  filename text not null,
+  mimetype text not null,
+  size bigint not null,
+  sha256 text,
+  chunk_size integer not null,
+  total_chunks integer not null,
+  status text not null default 'uploading' check (status in ('uploading', 'stored')),
+  file_path text,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists upload_sessions_user_id_idx on upload_sessions (user_id);
+
+create table if not exists upload_chunks (
+  id uuid primary key default gen_random_uuid(),
+  upload_id uuid not null references upload_sessions (id) on delete cascade,
+  chunk_index integer not null,
+  size integer not null,
+  path text not null,
+  created_at timestamptz not null default now(),
+  unique (upload_id, chunk_index)
+);
+
+-- ================== REPORTS ==================
+-- Reports select orders by when they were placed.
+create index if not exists orders_created_at_idx on orders (created_at);
+
+-- ================== PICKUP SLOTS & RUSH ==================
+-- pickup_at is the start of the slot the student chose (null: as soon as
+-- it is ready); due_at is that slot, or the ready estimate when the order
+-- was placed. The operator queue is sorted by due_at. Rush orders skip the
+-- regular queue and pay rush_surcharge (config/pricing.json), which is
+-- included in total_cost.
+alter table orders add column if not exists pickup_at timestamptz;
+alter table orders add column if not exists due_at timestamptz;
+alter table orders add column if not exists rush boolean not null default false;
+alter table orders add column if not exists rush_surcharge numeric(10, 2) not null default 0;
+create index if not exists orders_pickup_at_idx on orders (station_id, pickup_at);
+
+-- ================== RETENTION ==================
+-- Files are deleted some time after an order ends (see retention.js); the
+-- order keeps its rows and gets files_purged_at. content_hash ties each item
+-- to its cached analysis in document_analyses.
+alter table orders add column if not exists files_purged_at timestamptz;
+alter table order_items add column if not exists content_hash text;
+create index if not exists order_items_content_hash_idx on order_items (content_hash);
+
+-- One row per deletion: the order's files, unused uploads or temp folders.
+-- paths lists the storage keys (or temp paths) that were removed.
+create table if not exists file_purges (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid references orders (id) on delete set null,
+  order_number text,
+  reason text not null,
+  requested_by text not null,
+  paths jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists file_purges_order_id_idx on file_purges (order_id);
+
+-- ================== PREFLIGHT ==================
+-- What the analysis found that may print wrong (see preflight.js):
+-- { password, blank_pages, missing_fonts, image_dpi }. Null for images and
+-- for files analysed before the check existed.
+alter table document_analyses add column if not exists preflight jsonb;
+
+-- scale_to_fit: the student agreed to shrink pages larger than the paper.
+-- preflight_warnings: the warnings the order was placed with, for the
+-- operator ([{ code, message }]).
+alter table order_items add column if not exists scale_to_fit boolean not null default false;
+alter table order_items add column if not exists preflight_warnings jsonb;
+
+-- ================== PRINT CREDIT & VOUCHERS ==================
+-- Prepaid print credit, one wallet per campus email (see credits.js). Every
+-- top-up, order charge, refund and adjustment is one row; amount is signed
+-- and the balance is the sum of a customer's rows. user_id is set once the
+-- student has an account.
+create table if not exists credit_ledger (
+  id uuid primary key default gen_random_uuid(),
+  customer_email text not null,
+  user_id uuid references users (id) on delete set null,
+  amount numeric(10, 2) not null,
+  balance_after numeric(10, 2) not null,
+  kind text not null check (kind in ('top_up', 'adjustment', 'order', 'refund')),
+  order_id uuid references orders (id) on delete set null,
+  order_number text,
+  note text,
+  created_by text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists credit_ledger_customer_email_idx on credit_ledger (customer_email, created_at);
+create index if not exists credit_ledger_order_id_idx on credit_ledger (order_id);
+
+-- Promo and sponsor codes (see vouchers.js). value is a percentage or an
+-- amount in pesos, by kind. Null limits and restrictions mean none.
+create table if not exists vouchers (
+  id uuid primary key default gen_random_uuid(),
+  code text not null unique,
+  description text,
+  kind text not null check (kind in ('percent', 'fixed')),
+  value numeric(10, 2) not null,
+  expires_at timestamptz,
+  max_uses integer,
+  max_uses_per_customer integer,
+  station_ids jsonb,
+  colors jsonb,
+  active boolean not null default true,
+  created_by text not null,
+  created_at timestamptz not null default now()
+);
+
+-- voucher_discount is already taken off total_cost; credit_applied is the
+-- part of total_cost paid from print credit (all of it or nothing).
+alter table orders add column if not exists voucher_id uuid references vouchers (id);
+alter table orders add column if not exists voucher_code text;
+alter table orders add column if not exists voucher_discount numeric(10, 2) not null default 0;
+alter table orders add column if not exists credit_applied numeric(10, 2) not null default 0;
+create index if not exists orders_voucher_id_idx on orders (voucher_id);
@@ -0,0 +1,94 @@
+import { createClient } from "@supabase/supabase-js";
+
+// Objects per storage listing request.
+const LIST_PAGE_SIZE = 1000;
+
+// ================== SUPABASE STORE ==================
+// Hosted backend: rows go through PostgREST, uploads go to the storage bucket.
+// Needs the service role key since the server writes on behalf of customers.
+export function createSupabaseStore({ url, key, bucket = "ready2print-files" }) {
+  const supabase = createClient(url, key, { auth: { persistSession: false } });
+
+  function applyWhere(query, where) {
+    for (const [column, value] of Object.entries(where)) {
+      if (value === null) query = query.is(column, null);
+      else if (Array.isArray(value)) query = query.in(column, value);
+      else if (value && typeof value === "object") {
+        if (value.gte !== undefined) query = query.gte(column, value.gte);
+        if (value.lt !== undefined) query = query.lt(column, value.lt);
+      } else query = query.eq(column, value);
+    }
+    return query;
+  }
+
+  function unwrap({ data, error }, action) {
+    if (error) throw new Error(`Supabase ${action} failed: ${error.message}`);
+    return data;
+  }
+
+  return {
+    name: "supabase",
+    client: supabase,
+
+    async insert(table, rows) {
+      return unwrap(await supabase.from(table).insert(rows).select(), `insert into ${table}`);
+    },
+
+    async find(table, where = {}, { orderBy, ascending = true, limit } = {}) {
+      let query = applyWhere(supabase.from(table).select("*"), where);
+      if (orderBy) query = query.order(orderBy, { ascending });
+      if (limit) query = query.limit(limit);
+      return unwrap(await query, `select from ${table}`);
+    },
+
+    async get(table, id) {
+      return unwrap(
+        await supabase.from(table).select("*").eq("id", id).maybeSingle(),
+        `select from ${table}`
+      );
+    },
+
+    async update(table, id, patch) {
+      return unwrap(
+        await supabase.from(table).update(patch).eq("id", id).select().single(),
+        `update ${table}`
+      );
+    },
+
+    async remove(table, ids) {
+      unwrap(await supabase.from(table).delete().in("id", ids), `delete from ${table}`);
+    },
+
+    files: {
+      async upload(key, buffer, contentType) {
+        const result = await supabase.storage.from(bucket).upload(key, buffer, { contentType });
+        return unwrap(result, `upload of ${key}`).path;
+      },
+
+      async download(key) {
+        const blob = unwrap(await supabase.storage.from(bucket).download(key), `download of ${key}`);
+        return Buffer.from(await blob.arrayBuffer());
+      },
+
+      async remove(keys) {
+        if (keys.length === 0) return;
+        unwrap(await supabase.storage.from(bucket).remove(keys), "storage delete");
+      },
+
+      // Objects directly inside the `prefix` folder: [{ key, created_at }].
+      // Sub-folders come back without an id and are left out.
+      async list(prefix) {
+        const folder = prefix.replace(/\/$/, "");
+        const objects = [];
+        for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+          const page = unwrap(
+            await supabase.storage.from(bucket).list(folder, { limit: LIST_PAGE_SIZE, offset }),
+            `listing of ${folder}`
+          );
+          objects.push(...page.filter(entry => entry.id).map(entry => ({ key: `${folder}/${entry.name}`, created_at: entry.created_at })));
+          if (page.length < LIST_PAGE_SIZE) return objects;
+        }
+      },
+    },
+  };
+}
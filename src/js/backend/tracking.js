@@ -0,0 +1,159 @@
+import express from "express";
+import path from "path";
+import { randomInt } from "crypto";
+import { orderEvents } from "./order-status.js";
+import { orderReadyEstimate } from "./stations.js";
+import { paidAtCheckout } from "./credits.js";
+
+// No 0/O, 1/I/L or 5/S, so codes survive being read out at the counter.
+const CLAIM_CODE_ALPHABET = "ABCDEFGHJKMNPQRTUVWXYZ2346789";
+const CLAIM_CODE_LENGTH = 6;
+// Proxies in front of the server close SSE connections that stay quiet.
+const HEARTBEAT_MS = 25000;
+
+// ================== CLAIM CODES ==================
+export function normalizeClaimCode(value) {
+  return String(value ?? "").trim().toUpperCase();
+}
+
+// A short code the student shows when picking up, unique among orders.
+export async function generateClaimCode(store) {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const code = Array.from({ length: CLAIM_CODE_LENGTH },
+      () => CLAIM_CODE_ALPHABET[randomInt(CLAIM_CODE_ALPHABET.length)]).join("");
+    const [taken] = await store.find("orders", { claim_code: code });
+    if (!taken) return code;
+  }
+  throw new Error("Could not find a free claim code");
+}
+
+// ================== TRACKING VIEW ==================
+// The latest payment decides what the student sees: a rejected payment
+// followed by a new submission shows as submitted again.
+function paymentState(payments) {
+  const latest = payments[payments.length - 1];
+  if (!latest) return "unpaid";
+  return latest.status === "unmatched" ? "unpaid" : latest.status;
+}
+
+// What anyone holding the claim code may see. The customer's email and the
+// operators' names stay out of it.
+async function loadTracking(store, stations, code) {
+  const [order] = await store.find("orders", { claim_code: code });
+  if (!order) return null;
+  const [items, history, payments] = await Promise.all([
+    store.find("order_items", { order_id: order.id }, { orderBy: "created_at" }),
+    store.find("order_status_events", { order_id: order.id }, { orderBy: "created_at" }),
+    store.find("payments", { order_id: order.id }, { orderBy: "created_at" }),
+  ]);
+  const station = order.station_id ? stations.find(order.station_id) : null;
+  const readyBy = await orderReadyEstimate(store, stations, order);
+
+  return {
+    order_number: order.order_number,
+    claim_code: order.claim_code,
+    status: order.status,
+    placed_at: order.created_at,
+    status_changed_at: order.status_changed_at || order.created_at,
+    station: station && { name: station.name, location: station.location },
+    ready_by: readyBy?.toISOString() ?? null,
+    pickup_at: order.pickup_at || null,
+    rush: Boolean(order.rush),
+    papersize: order.papersize,
+    color: order.color,
+    duplex: order.duplex,
+    nup: order.nup,
+    sheets: order.sheets,
+    subtotal: order.subtotal,
+    discount: order.discount,
+    voucher_code: order.voucher_code || null,
+    voucher_discount: order.voucher_discount || 0,
+    total_cost: order.total_cost,
+    // Orders paid when placed say how ("credit", "voucher" or "free").
+    payment: paidAtCheckout(order) || paymentState(payments),
+    items: items.map(item => ({
+      filename: item.filename,
+      page_range: item.page_range,
+      pagecount: item.pagecount,
+      copies: item.copies,
+      sides: item.sides,
+      cost: item.cost,
+    })),
+    history: history.map(event => ({ status: event.to_status, at: event.created_at, note: event.note })),
+  };
+}
+
+// ================== ROUTES ==================
+export function createTrackingRouter({ store, stations, frontendPath }) {
+  const router = express.Router();
+  // claim code → open SSE responses
+  const watchers = new Map();
+
+  async function push(orderId) {
+    const order = await store.get("orders", orderId);
+    const clients = order?.claim_code && watchers.get(order.claim_code);
+    if (!clients?.size) return;
+
+    const tracking = await loadTracking(store, stations, order.claim_code);
+    const message = `event: order\ndata: ${JSON.stringify(tracking)}\n\n`;
+    clients.forEach(res => res.write(message));
+  }
+
+  function pushSafely(orderId) {
+    push(orderId).catch(err => console.error("❌ Tracking push error:", err));
+  }
+
+  orderEvents.on("status", ({ order }) => pushSafely(order.id));
+  orderEvents.on("payment", ({ orderId }) => pushSafely(orderId));
+
+  router.get("/track/:code", (req, res) => {
+    res.sendFile(path.join(frontendPath, "track.html"));
+  });
+
+  router.get("/track/:code/order", async (req, res) => {
+    try {
+      const tracking = await loadTracking(store, stations, normalizeClaimCode(req.params.code));
+      if (!tracking) return res.status(404).json({ error: "No order with this claim code" });
+      res.json({ order: tracking });
+    } catch (err) {
+      console.error("❌ Tracking lookup error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Server-Sent Events: the current state straight away, then again after
+  // every status change or payment update of this order.
+  router.get("/track/:code/events", async (req, res) => {
+    const code = normalizeClaimCode(req.params.code);
+    try {
+      const tracking = await loadTracking(store, stations, code);
+      if (!tracking) return res.status(404).json({ error: "No order with this claim code" });
+
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+      res.write(`event: order\ndata: ${JSON.stringify(tracking)}\n\n`);
+
+      if (!watchers.has(code)) watchers.set(code, new Set());
+      watchers.get(code).add(res);
+      const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), HEARTBEAT_MS);
+
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        const clients = watchers.get(code);
+        clients?.delete(res);
+        if (clients?.size === 0) watchers.delete(code);
+      });
+    } catch (err) {
+      console.error("❌ Tracking stream error:", err);
+      if (!res.headersSent) res.status(500).json({ error: err.message });
+      else res.end();
+    }
+  });
+
+  return router;
+}
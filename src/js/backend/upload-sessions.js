@@ -0,0 +1,310 @@
+import express from "express";
+import { createHash } from "crypto";
+import { requireStudent } from "./auth.js";
+import { megabytes } from "./uploads.js";
+import { withLock } from "./locks.js";
+
+// Each chunk is one request, small enough to get through a flaky campus
+// Wi-Fi connection; only the chunks that did not arrive are sent again.
+export const CHUNK_SIZE = 1024 * 1024;
+// Uploads not used in an order by then are removed on a later sweep.
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+// Unfinished or unused uploads one student may hold at a time.
+const MAX_OPEN_UPLOADS = 30;
+
+// The upload cannot be used as asked: wrong chunk, missing chunks, too
+// large… `status` is the HTTP status the route answers with.
+export class UploadError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = "UploadError";
+    this.status = status;
+    Object.assign(this, details);
+  }
+}
+
+function chunkKey(upload, index) {
+  return `chunks/${upload.id}/${index}`;
+}
+
+function expectedChunkSize(upload, index) {
+  return index === upload.total_chunks - 1
+    ? upload.size - index * upload.chunk_size
+    : upload.chunk_size;
+}
+
+// ================== UPLOAD SESSIONS ==================
+// A file arrives as numbered chunks, each stored on its own. Completing the
+// upload joins them into incoming/<id> and checks the size (and SHA-256 when
+// the browser sent one); only "stored" uploads can go into an order. A
+// stored upload keeps its SHA-256, the hash its analysis is cached under,
+// so previews can tell whose file it is.
+export function createUploadSessions({ store, maxBytes, chunkSize = CHUNK_SIZE, ttlMs = UPLOAD_TTL_MS }) {
+  // Removes the upload with everything stored for it; returns the removed
+  // object keys.
+  async function discard(upload) {
+    const chunks = await store.find("upload_chunks", { upload_id: upload.id });
+    const keys = chunks.map(chunk => chunk.path);
+    if (upload.file_path) keys.push(upload.file_path);
+    if (keys.length) await store.files.remove(keys);
+    if (chunks.length) await store.remove("upload_chunks", chunks.map(chunk => chunk.id));
+    await store.remove("upload_sessions", [upload.id]);
+    return keys;
+  }
+
+  // Drops this student's expired uploads; the rest count against the limit.
+  async function sweep(userId) {
+    const now = new Date().toISOString();
+    const uploads = await store.find("upload_sessions", { user_id: userId });
+    const expired = uploads.filter(upload => upload.expires_at < now);
+    for (const upload of expired) await discard(upload);
+    return uploads.length - expired.length;
+  }
+
+  // Drops every student's expired uploads, for the scheduled purge (see
+  // retention.js). Returns the removed object keys.
+  async function sweepExpired(now = new Date()) {
+    const expired = await store.find("upload_sessions", { expires_at: { lt: now.toISOString() } });
+    const keys = [];
+    for (const upload of expired) keys.push(...await discard(upload));
+    return { uploads: expired.length, keys };
+  }
+
+  async function create(user, { filename, size, mimetype, sha256 }) {
+    if (!filename || typeof filename !== "string") throw new UploadError("filename is required");
+    if (!Number.isInteger(size) || size <= 0) throw new UploadError("size must be a positive number of bytes");
+    if (size > maxBytes) throw new UploadError(`Each file must be ${megabytes(maxBytes)} or smaller`, 413);
+    if (sha256 !== undefined && !/^[a-f0-9]{64}$/.test(sha256)) throw new UploadError("sha256 must be a hex SHA-256 digest");
+    if (await sweep(user.id) >= MAX_OPEN_UPLOADS) {
+      throw new UploadError("Too many unfinished uploads, remove some files and try again", 429);
+    }
+
+    const [upload] = await store.insert("upload_sessions", [{
+      user_id: user.id,
+      filename: filename.slice(0, 255),
+      mimetype: mimetype || "application/octet-stream",
+      size,
+      sha256: sha256 || null,
+      chunk_size: chunkSize,
+      total_chunks: Math.ceil(size / chunkSize),
+      status: "uploading",
+      file_path: null,
+      expires_at: new Date(Date.now() + ttlMs).toISOString(),
+    }]);
+    console.log(`📦 Upload ${upload.id} started: ${upload.filename} (${upload.total_chunks} chunk(s))`);
+    return upload;
+  }
+
+  // The student's own upload, or null. Ids are UUIDs; anything else would
+  // only make the hosted store fail the query.
+  async function get(user, id) {
+    if (!/^[0-9a-f-]{36}$/i.test(id)) return null;
+    const upload = await store.get("upload_sessions", id);
+    return upload && upload.user_id === user.id ? upload : null;
+  }
+
+  async function receivedChunks(upload) {
+    const chunks = await store.find("upload_chunks", { upload_id: upload.id });
+    return chunks.map(chunk => chunk.chunk_index).sort((a, b) => a - b);
+  }
+
+  // The lock chunks and completion of one upload run under (see locks.js),
+  // so a late chunk cannot land while the file is joined, and two
+  // completions cannot both join it.
+  function uploadLock(upload) {
+    return `upload:${upload.id}`;
+  }
+
+  // The upload as stored now; it may have been removed while the caller
+  // waited for its lock.
+  async function current(upload) {
+    const latest = await store.get("upload_sessions", upload.id);
+    if (!latest) throw new UploadError("Upload not found, please add the file again", 404);
+    return latest;
+  }
+
+  // Stores one chunk. Sending a chunk that already arrived is a no-op, so
+  // the browser can always retry a request whose answer it never saw.
+  function putChunk(upload, index, buffer, sha256) {
+    return withLock(uploadLock(upload), async () => {
+      upload = await current(upload);
+      if (upload.status !== "uploading") return;
+      if (!Number.isInteger(index) || index < 0 || index >= upload.total_chunks) {
+        throw new UploadError(`Chunk ${index} is out of range (0-${upload.total_chunks - 1})`);
+      }
+      if (buffer.length !== expectedChunkSize(upload, index)) {
+        throw new UploadError(`Chunk ${index} should be ${expectedChunkSize(upload, index)} bytes, got ${buffer.length}`);
+      }
+      if (sha256 && createHash("sha256").update(buffer).digest("hex") !== sha256) {
+        throw new UploadError(`Chunk ${index} arrived damaged, please send it again`, 422);
+      }
+
+      const [existing] = await store.find("upload_chunks", { upload_id: upload.id, chunk_index: index });
+      if (existing) return;
+      // A previous attempt may have stored the object without its row.
+      const key = chunkKey(upload, index);
+      await store.files.remove([key]);
+      await store.files.upload(key, buffer, "application/octet-stream");
+      await store.insert("upload_chunks", [{ upload_id: upload.id, chunk_index: index, size: buffer.length, path: key }]);
+    });
+  }
+
+  // Joins the chunks once all of them are in. Missing chunks are listed on
+  // the error so the browser knows what to send again.
+  function complete(upload) {
+    return withLock(uploadLock(upload), async () => {
+      upload = await current(upload);
+      if (upload.status === "stored") return upload;
+
+      const chunks = await store.find("upload_chunks", { upload_id: upload.id }, { orderBy: "chunk_index" });
+      const have = new Set(chunks.map(chunk => chunk.chunk_index));
+      const missing = [];
+      for (let index = 0; index < upload.total_chunks; index++) {
+        if (!have.has(index)) missing.push(index);
+      }
+      if (missing.length) throw new UploadError(`${missing.length} chunk(s) have not arrived yet`, 409, { missing });
+
+      const buffer = Buffer.concat(await Promise.all(chunks.map(chunk => store.files.download(chunk.path))));
+      if (buffer.length !== upload.size) {
+        throw new UploadError(`The file arrived as ${buffer.length} bytes instead of ${upload.size}`, 422);
+      }
+      const sha256 = createHash("sha256").update(buffer).digest("hex");
+      if (upload.sha256 && sha256 !== upload.sha256) {
+        throw new UploadError("The file arrived damaged, please upload it again", 422);
+      }
+
+      const filePath = `incoming/${upload.id}`;
+      await store.files.remove([filePath]);
+      await store.files.upload(filePath, buffer, upload.mimetype);
+      const stored = await store.update("upload_sessions", upload.id, { status: "stored", file_path: filePath, sha256 });
+
+      await store.files.remove(chunks.map(chunk => chunk.path));
+      await store.remove("upload_chunks", chunks.map(chunk => chunk.id));
+      console.log(`✅ Upload ${upload.id} stored: ${upload.filename} (${megabytes(upload.size)})`);
+      return stored;
+    });
+  }
+
+  // Files for placeOrder from the student's stored uploads, in `ids` order.
+  // Ids that are unknown, someone else's or not complete yet are returned
+  // in `missing` instead.
+  async function load(user, ids) {
+    const uploads = await Promise.all(ids.map(id => get(user, String(id))));
+    const missing = ids.filter((id, i) => uploads[i]?.status !== "stored");
+    if (missing.length) return { files: null, uploads, missing };
+
+    const files = await Promise.all(uploads.map(async upload => ({
+      originalname: upload.filename,
+      buffer: await store.files.download(upload.file_path),
+      mimetype: upload.mimetype,
+    })));
+    return { files, uploads, missing: [] };
+  }
+
+  return { create, get, receivedChunks, putChunk, complete, load, discard, sweepExpired };
+}
+
+// What the browser needs to resume an upload.
+async function uploadView(uploads, upload) {
+  return {
+    id: upload.id,
+    filename: upload.filename,
+    size: upload.size,
+    chunk_size: upload.chunk_size,
+    total_chunks: upload.total_chunks,
+    status: upload.status,
+    received: upload.status === "stored"
+      ? Array.from({ length: upload.total_chunks }, (_, i) => i)
+      : await uploads.receivedChunks(upload),
+    expires_at: upload.expires_at,
+  };
+}
+
+function sendError(res, err, label) {
+  if (err instanceof UploadError) {
+    return res.status(err.status).json({ error: err.message, ...(err.missing && { missing: err.missing }) });
+  }
+  console.error(`❌ ${label} error:`, err);
+  res.status(500).json({ error: err.message });
+}
+
+// ================== ROUTES ==================
+// POST /uploads starts an upload, PUT /uploads/:id/chunks/:index sends each
+// chunk as application/octet-stream (with an optional X-Chunk-SHA256), GET
+// /uploads/:id lists the chunks that arrived and POST /uploads/:id/complete
+// joins them. The order then names the upload ids instead of sending files.
+export function createUploadRouter({ uploads }) {
+  const router = express.Router();
+  const parseChunk = express.raw({ type: "application/octet-stream", limit: CHUNK_SIZE + 1024 });
+  // Answers body-parser's errors (e.g. an oversized chunk) as JSON.
+  const receiveChunk = (req, res, next) => parseChunk(req, res, (err) => {
+    if (!err) return next();
+    res.status(err.status || 400).json({ error: err.type === "entity.too.large" ? `Chunks must be ${megabytes(CHUNK_SIZE)} or smaller` : err.message });
+  });
+
+  async function findUpload(req, res, next) {
+    try {
+      req.upload = await uploads.get(req.student, req.params.id);
+      if (!req.upload) return res.status(404).json({ error: "Upload not found, please add the file again" });
+      next();
+    } catch (err) {
+      sendError(res, err, "Upload lookup");
+    }
+  }
+
+  router.post("/uploads", requireStudent, async (req, res) => {
+    try {
+      const upload = await uploads.create(req.student, {
+        filename: req.body?.filename,
+        size: Number(req.body?.size),
+        mimetype: req.body?.mimetype,
+        sha256: req.body?.sha256,
+      });
+      res.status(201).json({ upload: await uploadView(uploads, upload) });
+    } catch (err) {
+      sendError(res, err, "Upload start");
+    }
+  });
+
+  router.get("/uploads/:id", requireStudent, findUpload, async (req, res) => {
+    try {
+      res.set("Cache-Control", "no-store");
+      res.json({ upload: await uploadView(uploads, req.upload) });
+    } catch (err) {
+      sendError(res, err, "Upload status");
+    }
+  });
+
+  router.put("/uploads/:id/chunks/:index", requireStudent, findUpload, receiveChunk, async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body)) {
+        return res.status(415).json({ error: "Send the chunk as application/octet-stream" });
+      }
+      await uploads.putChunk(req.upload, Number(req.params.index), req.body, req.get("X-Chunk-SHA256"));
+      res.json({ received: Number(req.params.index) });
+    } catch (err) {
+      sendError(res, err, "Upload chunk");
+    }
+  });
+
+  router.post("/uploads/:id/complete", requireStudent, findUpload, async (req, res) => {
+    try {
+      const upload = await uploads.complete(req.upload);
+      res.json({ upload: await uploadView(uploads, upload) });
+    } catch (err) {
+      sendError(res, err, "Upload complete");
+    }
+  });
+
+  // The student removed the file from the cart.
+  router.delete("/uploads/:id", requireStudent, findUpload, async (req, res) => {
+    try {
+      await uploads.discard(req.upload);
+      res.status(204).end();
+    } catch (err) {
+      sendError(res, err, "Upload delete");
+    }
+  });
+
+  return router;
+}
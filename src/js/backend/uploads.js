@@ -0,0 +1,18 @@
+import multer from "multer";
+
+// ================== UPLOADS ==================
+// Multer memory storage capped at `maxBytes` per file. `pick` chooses the
+// fields, e.g. upload => upload.single("file"). Multer's errors are answered
+// as JSON (413 for oversized files) instead of Express's HTML error page.
+export function receiveUploads({ maxBytes, tooLarge }, pick) {
+  const middleware = pick(multer({ storage: multer.memoryStorage(), limits: { fileSize: maxBytes } }));
+  return (req, res, next) => middleware(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") return res.status(413).json({ error: tooLarge });
+    res.status(400).json({ error: err.message });
+  });
+}
+
+export function megabytes(bytes) {
+  return `${Math.round(bytes / 1024 / 1024)} MB`;
+}
@@ -0,0 +1,198 @@
+import express from "express";
+import { requireOperator, requireStudent } from "./auth.js";
+import { COLOR_LABELS } from "./orders.js";
+import { abandonedAfterMs, isAbandoned } from "./order-status.js";
+import { roundMoney, voucherApplies } from "../priceTable.js";
+
+// ================== VOUCHERS ==================
+// Promo and sponsor codes: a percentage or a fixed amount off the order
+// total (see priceTable.js). A voucher may expire, be limited to max_uses
+// orders in all and max_uses_per_customer per student, and be restricted
+// to some stations (station_ids) or print types (colors). The orders that
+// used it carry its voucher_id; cancelled, rejected and abandoned ones
+// give the use back.
+export const VOUCHER_KINDS = ["percent", "fixed"];
+const RELEASED_STATUSES = ["cancelled", "rejected"];
+const CODE_PATTERN = /^[A-Z0-9-]{3,32}$/;
+
+// `status` is the HTTP status the routes answer with.
+export class VoucherError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "VoucherError";
+    this.status = status;
+  }
+}
+
+export function normalizeVoucherCode(value) {
+  return String(value ?? "").trim().toUpperCase();
+}
+
+// The lock an order using the voucher is placed under (see locks.js), so
+// two orders cannot take its last use.
+export function voucherLock(voucher) {
+  return `voucher:${voucher.id}`;
+}
+
+// What the cart needs to price an order with the voucher.
+export function publicVoucher(voucher) {
+  const { code, description, kind, value, expires_at, station_ids, colors } = voucher;
+  return { code, description, kind, value, expires_at, station_ids, colors };
+}
+
+function listOf(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(", ")} or ${names[names.length - 1]}` : names[0];
+}
+
+// Orders that count against the voucher's limits. An abandoned order keeps
+// its "pending" status (see isAbandoned) but no longer holds a use.
+async function voucherUses(store, voucher, now = new Date()) {
+  const afterMs = abandonedAfterMs();
+  return (await store.find("orders", { voucher_id: voucher.id }))
+    .filter(order => !RELEASED_STATUSES.includes(order.status) && !isAbandoned(order, afterMs, now.getTime()));
+}
+
+// The voucher named by `code`, if `email` may use it for an order of print
+// type `color` at `station`. Otherwise throws a VoucherError saying why.
+export async function checkVoucher({ store, stations }, code, { email, station, color, now = new Date() }) {
+  const normalized = normalizeVoucherCode(code);
+  if (!normalized) throw new VoucherError("Enter a voucher code");
+  const [voucher] = await store.find("vouchers", { code: normalized });
+  if (!voucher?.active) throw new VoucherError(`There is no voucher ${normalized}`, 404);
+
+  if (voucher.expires_at && Date.parse(voucher.expires_at) <= now.getTime()) {
+    const expired = new Date(voucher.expires_at).toLocaleString("en-US", { timeZone: stations.get().timezone, dateStyle: "medium", timeStyle: "short" });
+    throw new VoucherError(`Voucher ${normalized} expired on ${expired}`);
+  }
+  if (!voucherApplies(voucher, { stationId: station?.id, color })) {
+    throw new VoucherError(voucher.station_ids?.length && !voucher.station_ids.includes(station?.id)
+      ? `Voucher ${normalized} is only valid at ${listOf(voucher.station_ids.map(id => stations.find(id)?.name || id))}`
+      : `Voucher ${normalized} is only valid for ${listOf(voucher.colors.map(c => COLOR_LABELS[c] || c))} prints`);
+  }
+
+  const uses = await voucherUses(store, voucher, now);
+  if (voucher.max_uses && uses.length >= voucher.max_uses) {
+    throw new VoucherError(`Voucher ${normalized} has been used up`, 409);
+  }
+  const perCustomer = voucher.max_uses_per_customer;
+  if (perCustomer && uses.filter(order => order.customer_email === email).length >= perCustomer) {
+    throw new VoucherError(`You have already used voucher ${normalized}${perCustomer > 1 ? ` ${perCustomer} times` : ""}`, 409);
+  }
+  return voucher;
+}
+
+// ================== OPERATOR INPUT ==================
+function optionalCount(value, name) {
+  if (value === undefined || value === null || value === "") return null;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) throw new VoucherError(`${name} must be a whole number, 1 or more`);
+  return count;
+}
+
+function optionalList(value, allowed, name) {
+  const list = (Array.isArray(value) ? value : String(value ?? "").split(",")).map(v => String(v).trim()).filter(Boolean);
+  const unknown = list.filter(v => !allowed.includes(v));
+  if (unknown.length) throw new VoucherError(`${name} has unknown values: ${unknown.join(", ")}`);
+  return list.length ? [...new Set(list)] : null;
+}
+
+function parseVoucher(body, stations) {
+  const code = normalizeVoucherCode(body?.code);
+  if (!CODE_PATTERN.test(code)) throw new VoucherError("Codes are 3 to 32 letters, digits or dashes");
+  if (!VOUCHER_KINDS.includes(body?.kind)) throw new VoucherError(`kind must be one of ${VOUCHER_KINDS.join(", ")}`);
+  const value = roundMoney(Number(body.value));
+  if (!(value > 0) || (body.kind === "percent" && value > 100)) {
+    throw new VoucherError(body.kind === "percent" ? "The percentage must be above 0 and at most 100" : "The amount must be above 0");
+  }
+  const expiresAt = body.expires_at ? new Date(body.expires_at) : null;
+  if (expiresAt && Number.isNaN(expiresAt.getTime())) throw new VoucherError("expires_at is not a valid date");
+
+  return {
+    code,
+    description: String(body.description ?? "").trim() || null,
+    kind: body.kind,
+    value,
+    expires_at: expiresAt?.toISOString() ?? null,
+    max_uses: optionalCount(body.max_uses, "max_uses"),
+    max_uses_per_customer: optionalCount(body.max_uses_per_customer, "max_uses_per_customer"),
+    station_ids: optionalList(body.station_ids, stations.get().stations.map(station => station.id), "station_ids"),
+    colors: optionalList(body.colors, Object.keys(COLOR_LABELS), "colors"),
+  };
+}
+
+// ================== ROUTES ==================
+export function createVoucherRouter({ store, stations }) {
+  const router = express.Router();
+
+  function sendError(res, err, label) {
+    if (err instanceof VoucherError) return res.status(err.status).json({ error: err.message });
+    console.error(`❌ ${label}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+
+  // The cart checks a code as it is entered: ?station_id=&color= are the
+  // order's current choices. The order itself is checked again when placed.
+  router.get("/vouchers/:code", requireStudent, async (req, res) => {
+    try {
+      const voucher = await checkVoucher({ store, stations }, req.params.code, {
+        email: req.student.email,
+        station: req.query.station_id ? stations.find(String(req.query.station_id)) : null,
+        color: req.query.color ? String(req.query.color) : null,
+      });
+      res.json({ voucher: publicVoucher(voucher) });
+    } catch (err) {
+      sendError(res, err, "Voucher check error");
+    }
+  });
+
+  // Vouchers apply across stations, so only operators who see every
+  // station manage them.
+  router.use("/operator/vouchers", requireOperator, (req, res, next) => {
+    if (req.operatorStation) return res.status(403).json({ error: "Vouchers are managed by operators for every station" });
+    next();
+  });
+
+  router.get("/operator/vouchers", async (req, res) => {
+    try {
+      const vouchers = await store.find("vouchers", {}, { orderBy: "created_at", ascending: false });
+      const uses = await Promise.all(vouchers.map(voucher => voucherUses(store, voucher)));
+      res.json({
+        kinds: VOUCHER_KINDS,
+        vouchers: vouchers.map((voucher, i) => ({ ...voucher, uses: uses[i].length })),
+      });
+    } catch (err) {
+      sendError(res, err, "Voucher list error");
+    }
+  });
+
+  router.post("/operator/vouchers", async (req, res) => {
+    try {
+      const fields = parseVoucher(req.body, stations);
+      const [existing] = await store.find("vouchers", { code: fields.code });
+      if (existing) throw new VoucherError(`There is already a voucher ${fields.code}`, 409);
+
+      const [voucher] = await store.insert("vouchers", [{ ...fields, active: true, created_by: req.operator }]);
+      console.log(`🎟️ Voucher ${voucher.code} created by ${req.operator}`);
+      res.status(201).json({ voucher: { ...voucher, uses: 0 } });
+    } catch (err) {
+      sendError(res, err, "Voucher create error");
+    }
+  });
+
+  // Switches a voucher off (or back on with { active: true }). Vouchers are
+  // never deleted, as orders point at them.
+  router.post("/operator/vouchers/:id/active", async (req, res) => {
+    try {
+      const voucher = await store.get("vouchers", req.params.id);
+      if (!voucher) return res.status(404).json({ error: "Voucher not found" });
+
+      const updated = await store.update("vouchers", voucher.id, { active: req.body?.active === true });
+      console.log(`🎟️ Voucher ${voucher.code} ${updated.active ? "enabled" : "disabled"} by ${req.operator}`);
+      res.json({ voucher: { ...updated, uses: (await voucherUses(store, updated)).length } });
+    } catch (err) {
+      sendError(res, err, "Voucher update error");
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,106 @@
+// Image page layout shared by the cart (printLogic.js) and the backend.
+// Images are placed in a grid of cells on the chosen paper size; with one
+// photo per sheet the grid is a single cell covering the printable area.
+
+import { PAPER_DIMENSIONS } from "./printLayout.js";
+
+export const IMAGE_FITS = ["fit", "fill", "actual"];
+export const PHOTOS_PER_SHEET = [1, 2, 4, 6, 9];
+export const DEFAULT_IMAGE_OPTIONS = { fit: "fit", perSheet: 1, autoRotate: true };
+
+// Printers cannot reach the paper edge, and photos need room to be cut apart.
+const PAGE_MARGIN = 18;
+const GUTTER = 9;
+// Below this many pixels per printed inch a photo visibly blurs.
+export const LOW_DPI_WARNING = 150;
+// Images without resolution metadata are assumed to be this many pixels per inch.
+export const DEFAULT_IMAGE_DPI = 96;
+
+const GRIDS = { 1: [1, 1], 2: [1, 2], 4: [2, 2], 6: [2, 3], 9: [3, 3] };
+
+// Throws an Error with a user-facing message for unknown options.
+export function validateImageOptions({ fit, perSheet, autoRotate }) {
+  if (!IMAGE_FITS.includes(fit)) throw new Error(`Image fit must be one of ${IMAGE_FITS.join(", ")}`);
+  if (!PHOTOS_PER_SHEET.includes(perSheet)) throw new Error(`Photos per sheet must be one of ${PHOTOS_PER_SHEET.join(", ")}`);
+  return { fit, perSheet, autoRotate: autoRotate !== false };
+}
+
+// Cell boxes in PDF points for a portrait sheet, in reading order.
+export function imageCells(paperSize, perSheet) {
+  const [width, height] = PAPER_DIMENSIONS[paperSize];
+  const [cols, rows] = GRIDS[perSheet];
+  const cellWidth = (width - 2 * PAGE_MARGIN - (cols - 1) * GUTTER) / cols;
+  const cellHeight = (height - 2 * PAGE_MARGIN - (rows - 1) * GUTTER) / rows;
+
+  const cells = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      cells.push({
+        x: PAGE_MARGIN + col * (cellWidth + GUTTER),
+        y: height - PAGE_MARGIN - (row + 1) * cellHeight - row * GUTTER,
+        width: cellWidth,
+        height: cellHeight,
+      });
+    }
+  }
+  return { size: [width, height], cells };
+}
+
+// A single image fills every cell of its sheet (ID-photo grids); several
+// frames, like a multi-page TIFF, fill the cells one after another.
+export function composedPageCount(frames, perSheet) {
+  return frames <= 1 ? 1 : Math.ceil(frames / perSheet);
+}
+
+// Composed pages that carry a color frame, from the 1-based color frames.
+export function composedColorPages(frames, perSheet, colorFrames) {
+  if (frames <= 1) return colorFrames.length > 0 ? [1] : [];
+  return [...new Set(colorFrames.map(frame => Math.ceil(frame / perSheet)))].sort((a, b) => a - b);
+}
+
+// Where an image of `width` x `height` pixels lands in `cell`: the source
+// crop (in pixels, after rotation) and the drawn box (in points).
+export function placeImage({ width, height, dpi = DEFAULT_IMAGE_DPI }, cell, { fit, autoRotate }) {
+  const rotate = autoRotate && (width > height) !== (cell.width > cell.height) && width !== height;
+  const w = rotate ? height : width;
+  const h = rotate ? width : height;
+
+  let scale, cropWidth = w, cropHeight = h;
+  if (fit === "fit") {
+    scale = Math.min(cell.width / w, cell.height / h);
+  } else if (fit === "fill") {
+    scale = Math.max(cell.width / w, cell.height / h);
+    cropWidth = Math.min(w, cell.width / scale);
+    cropHeight = Math.min(h, cell.height / scale);
+  } else {
+    scale = 72 / dpi;
+    cropWidth = Math.min(w, cell.width / scale);
+    cropHeight = Math.min(h, cell.height / scale);
+  }
+
+  const drawnWidth = cropWidth * scale;
+  const drawnHeight = cropHeight * scale;
+  return {
+    rotate,
+    crop: { x: (w - cropWidth) / 2, y: (h - cropHeight) / 2, width: cropWidth, height: cropHeight },
+    box: {
+      x: cell.x + (cell.width - drawnWidth) / 2,
+      y: cell.y + (cell.height - drawnHeight) / 2,
+      width: drawnWidth,
+      height: drawnHeight,
+    },
+    dpi: Math.round(72 / scale),
+  };
+}
+
+// Warnings for images that will print blurry with these options.
+// `images` are [{ width, height, dpi }] in pixels, one per frame.
+export function imageWarnings(images, paperSize, options) {
+  const { cells } = imageCells(paperSize, options.perSheet);
+  return images
+    .map((image, i) => ({ frame: i + 1, dpi: placeImage(image, cells[0], options).dpi }))
+    .filter(({ dpi }) => dpi < LOW_DPI_WARNING)
+    .map(({ frame, dpi }) => images.length > 1
+      ? `Image ${frame} is only ${dpi} dpi at this size and will print blurry`
+      : `Only ${dpi} dpi at this size, it will print blurry`);
+}
@@ -0,0 +1,738 @@
+// Operator dashboard, served by the same Express app as the API.
+const API_URL = "";
+
+// ================== STATE ==================
+let operatorToken = sessionStorage.getItem("printq-operator-token");
+let operatorName = sessionStorage.getItem("printq-operator-name");
+// Set for operators tied to one pickup station; their queue only shows it.
+let operatorStation = sessionStorage.getItem("printq-operator-station");
+let stations = [];
+// Station printers from GET /operator/printers, for the dispatch buttons.
+let printers = [];
+// The camera while scanning a cover sheet's QR code.
+let cameraStream = null;
+
+const STATUS_COLORS = {
+  pending: "#f59e0b",
+  paid: "#2563eb",
+  printing: "#7c3aed",
+  ready: "#059669",
+  claimed: "#6b7280",
+  cancelled: "#9ca3af",
+  rejected: "#dc2626",
+};
+
+// Printer and print job states that need someone to look at the printer.
+const PRINTER_PROBLEMS = ["stopped", "unreachable", "processing-stopped", "aborted", "canceled", "failed"];
+
+const PAYMENT_COLORS = {
+  submitted: "#f59e0b",
+  unmatched: "#9ca3af",
+  verified: "#059669",
+  rejected: "#dc2626",
+};
+
+const CREDIT_KIND_LABELS = {
+  top_up: "Top-up",
+  adjustment: "Adjustment",
+  order: "Order",
+  refund: "Refund",
+};
+const VOUCHER_COLOR_LABELS = { bw: "B&W", color: "Color", auto: "Auto" };
+
+// ================== HELPERS ==================
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, ch => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+  })[ch]);
+}
+
+async function api(path, options = {}) {
+  const response = await fetch(`${API_URL}${path}`, {
+    ...options,
+    headers: {
+      ...(options.body && !(options.body instanceof FormData) ? { "Content-Type": "application/json" } : {}),
+      Authorization: `Bearer ${operatorToken}`,
+      ...options.headers
+    }
+  });
+
+  if (response.status === 401) {
+    logoutOperator();
+    throw new Error("Session expired, please sign in again.");
+  }
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Request failed (status ${response.status})`);
+  }
+  return response;
+}
+
+// ================== LOGIN ==================
+function showPage() {
+  const signedIn = Boolean(operatorToken);
+  document.getElementById("loginPage").style.display = signedIn ? "none" : "flex";
+  document.getElementById("queuePage").style.display = signedIn ? "block" : "none";
+  document.getElementById("operatorName").textContent = signedIn ? `👤 ${operatorName}` : "";
+  document.getElementById("filterStationLabel").style.display = operatorStation ? "none" : "";
+  // Vouchers apply across stations, so station operators do not manage them.
+  document.getElementById("voucherSection").style.display = signedIn && !operatorStation ? "block" : "none";
+  if (signedIn) {
+    loadStations().then(loadQueue);
+    loadPayments();
+    loadCredits();
+    if (!operatorStation) loadVouchers();
+  }
+}
+
+// Names for the station ids on orders, and the station filter for
+// operators who see every station.
+async function loadStations() {
+  try {
+    const response = await fetch(`${API_URL}/stations`);
+    if (!response.ok) throw new Error(`Status ${response.status}`);
+    stations = (await response.json()).stations;
+  } catch (err) {
+    console.error("❌ Stations load error:", err);
+    stations = [];
+  }
+
+  const station = stations.find(s => s.id === operatorStation);
+  if (operatorStation) {
+    document.getElementById("operatorName").textContent = `👤 ${operatorName} · 📍 ${station?.name || operatorStation}`;
+  }
+  const select = document.getElementById("filterStation");
+  if (select.options.length === 1) stations.forEach(s => select.add(new Option(s.name, s.id)));
+  const voucherStations = document.getElementById("newVoucherStations");
+  if (voucherStations.options.length === 0) stations.forEach(s => voucherStations.add(new Option(s.name, s.id)));
+}
+
+function stationName(id) {
+  return stations.find(s => s.id === id)?.name || id || "";
+}
+
+document.getElementById("loginForm").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const errorEl = document.getElementById("loginError");
+  errorEl.textContent = "";
+
+  try {
+    const response = await fetch(`${API_URL}/operator/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        username: document.getElementById("operatorUsername").value.trim(),
+        password: document.getElementById("operatorPassword").value
+      })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || "Sign-in failed");
+
+    operatorToken = data.token;
+    operatorName = data.username;
+    operatorStation = data.station;
+    sessionStorage.setItem("printq-operator-token", operatorToken);
+    sessionStorage.setItem("printq-operator-name", operatorName);
+    if (operatorStation) sessionStorage.setItem("printq-operator-station", operatorStation);
+    else sessionStorage.removeItem("printq-operator-station");
+    showPage();
+  } catch (err) {
+    errorEl.textContent = `❌ ${err.message}`;
+  }
+});
+
+window.logoutOperator = function () {
+  operatorToken = null;
+  operatorName = null;
+  operatorStation = null;
+  sessionStorage.removeItem("printq-operator-token");
+  sessionStorage.removeItem("printq-operator-name");
+  sessionStorage.removeItem("printq-operator-station");
+  showPage();
+};
+
+// ================== QUEUE ==================
+window.loadQueue = async function () {
+  const params = new URLSearchParams();
+  const status = document.getElementById("filterStatus").value;
+  const paperSize = document.getElementById("filterPaperSize").value;
+  const color = document.getElementById("filterColor").value;
+  const station = document.getElementById("filterStation").value;
+  if (station && !operatorStation) params.set("station", station);
+  if (status) params.set("status", status);
+  if (paperSize) params.set("papersize", paperSize);
+  if (color) params.set("color", color);
+
+  try {
+    const [response] = await Promise.all([api(`/operator/orders?${params}`), loadPrinters()]);
+    const data = await response.json();
+    fillStatusFilter(data.statuses);
+    renderQueue(data.orders);
+  } catch (err) {
+    console.error("❌ Queue load error:", err);
+    alert(`❌ ${err.message}`);
+  }
+};
+
+function fillStatusFilter(statuses) {
+  const select = document.getElementById("filterStatus");
+  if (select.options.length > 1) return;
+  statuses.forEach(status => select.add(new Option(status, status)));
+}
+
+function renderQueue(orders) {
+  const body = document.getElementById("queueBody");
+
+  if (orders.length === 0) {
+    body.innerHTML = `<tr><td colspan="8" style="color:#6b7280;">No orders match these filters</td></tr>`;
+    return;
+  }
+
+  body.innerHTML = orders.map(order => `
+    <tr>
+      <td>
+        <strong>${escapeHtml(order.order_number)}</strong>
+        ${order.rush ? `<span class="status-badge" style="background:#ea580c;">⚡ rush</span>` : ""}
+        ${order.overdue ? `<span class="status-badge" style="background:#dc2626;">overdue</span>` : ""}
+        ${order.claim_code ? `<div style="color:#6b7280; font-size:12px;">Claim code ${escapeHtml(order.claim_code)}</div>` : ""}
+        ${order.station_id && !operatorStation ? `<div style="color:#6b7280; font-size:12px;">📍 ${escapeHtml(stationName(order.station_id))}</div>` : ""}
+      </td>
+      <td>
+        ${new Date(order.created_at).toLocaleString()}
+        ${order.due_at ? `<div class="${order.overdue ? "overdue-note" : ""}" style="font-size:12px;">${order.pickup_at ? "🕒 Pickup" : "Due"} ${new Date(order.due_at).toLocaleString()}</div>` : ""}
+      </td>
+      <td>${escapeHtml(order.customer_email)}</td>
+      <td>
+        ${order.files_purged_at ? `<div style="color:#6b7280; font-size:12px;">🗑 Files deleted ${new Date(order.files_purged_at).toLocaleString()}</div>` : ""}
+        ${order.items.map(item => `
+          <div>
+            ${order.files_purged_at ? `📄 ${escapeHtml(item.filename)}` : `<a href="#" onclick="downloadFile('${order.id}', '${item.id}', this); return false;"
+               data-filename="${escapeHtml(item.filename)}">📄 ${escapeHtml(item.filename)}</a>`}
+            <span style="color:#6b7280; font-size:12px;">
+              (${item.page_range ? `pages ${escapeHtml(item.page_range)} of ${item.pagecount}` : `${item.pagecount}p`}${item.copies > 1 ? `, ${item.copies} copies` : ""}${item.color_pages ? `, color p. ${item.color_pages.join(",") || "none"}` : ""}${item.image_fit ? `, ${item.image_fit} ×${item.photos_per_sheet}/sheet, ${item.image_dpi} dpi` : ""})
+            </span>
+            ${item.in_print_file ? "" : `<span class="status-badge" style="background:#f59e0b;">print manually</span>`}
+            ${(item.preflight_warnings || []).map(warning => `<div style="color:#b45309; font-size:12px;">⚠️ ${escapeHtml(warning.message)}</div>`).join("")}
+          </div>`).join("")}
+        ${order.print_file_path
+          ? `<a href="#" onclick="downloadFile('${order.id}', null, this); return false;"
+               data-filename="${escapeHtml(order.order_number)}.pdf">🖨️ Print-ready PDF</a>
+             <span style="color:#6b7280; font-size:12px;">(${order.sheets} sheet${order.sheets === 1 ? "" : "s"} + cover)</span>`
+          : ""}
+        <div>
+          <a href="#" onclick="downloadCoverSheet('${order.id}', this); return false;"
+             data-filename="${escapeHtml(order.order_number)}-cover.pdf" style="font-size:12px;">🧾 Cover sheet only</a>
+        </div>
+      </td>
+      <td>
+        ${escapeHtml(order.papersize)} / ${escapeHtml(order.color)}
+        <div style="color:#6b7280; font-size:12px;">${layoutSummary(order)}</div>
+      </td>
+      <td>
+        ₱${Number(order.total_cost).toFixed(2)}
+        ${order.voucher_code ? `<div style="color:#6b7280; font-size:12px;">🎟 ${escapeHtml(order.voucher_code)} −₱${Number(order.voucher_discount).toFixed(2)}</div>` : ""}
+        ${Number(order.credit_applied) > 0 ? `<div style="color:#6b7280; font-size:12px;">🪙 paid with credit</div>` : ""}
+      </td>
+      <td>
+        <span class="status-badge" style="background:${STATUS_COLORS[order.status] || "#6b7280"};">${escapeHtml(order.status)}</span>
+        ${order.status_changed_by
+          ? `<div style="color:#6b7280; font-size:12px;">by ${escapeHtml(order.status_changed_by)}, ${new Date(order.status_changed_at).toLocaleString()}</div>`
+          : ""}
+        ${printJobHtml(order)}
+      </td>
+      <td>
+        ${order.status === "paid" && order.print_file_path && printers.some(p => p.station_id === order.station_id)
+          ? `<button class="option-button" onclick="dispatchOrder('${order.id}')">🖨️ Send to printer</button>`
+          : ""}
+        ${order.next_statuses.map(next => `
+          <button class="option-button" onclick="changeStatus('${order.id}', '${next}')">→ ${next}</button>`).join("")}
+        <button class="option-button" onclick="toggleHistory('${order.id}')">History</button>
+      </td>
+    </tr>
+    <tr id="history-${order.id}" style="display:none;"><td colspan="8"></td></tr>`).join("");
+}
+
+// The order's latest printer job, with whatever the printer reports.
+function printJobHtml(order) {
+  const job = order.print_job;
+  if (!job) return "";
+  const detail = [job.message, ...(job.reasons || []), job.error].filter(Boolean).join(", ");
+  const problem = PRINTER_PROBLEMS.includes(job.state) || job.error;
+  return `<div style="font-size:12px; color:${problem ? "#dc2626" : "#6b7280"};">
+    🖨️ ${job.job_id ? `Job ${escapeHtml(job.job_id)}` : "Not sent"}: ${escapeHtml(job.state)}${detail ? ` (${escapeHtml(detail)})` : ""}
+  </div>`;
+}
+
+function layoutSummary(order) {
+  const parts = [];
+  if (order.duplex && order.duplex !== "none") parts.push(`duplex (${order.duplex})`);
+  if (order.nup > 1) parts.push(`${order.nup}-up`);
+  if (order.orientation && order.orientation !== "auto") parts.push(order.orientation);
+  return escapeHtml(parts.join(", ") || "single-sided");
+}
+
+window.dispatchOrder = async function (orderId) {
+  try {
+    const response = await api(`/operator/orders/${orderId}/dispatch`, { method: "POST" });
+    const { job } = await response.json();
+    console.log(`🖨️ Sent as job ${job.job_id}`);
+    await loadQueue();
+  } catch (err) {
+    console.error("❌ Dispatch error:", err);
+    alert(`❌ ${err.message}`);
+    await loadQueue();
+  }
+};
+
+window.changeStatus = async function (orderId, status) {
+  let note = null;
+  if (status === "cancelled" || status === "rejected") {
+    note = prompt(`Reason for marking this order ${status}:`);
+    if (note === null) return;
+  }
+
+  try {
+    await api(`/operator/orders/${orderId}/status`, {
+      method: "POST",
+      body: JSON.stringify({ status, note })
+    });
+    await loadQueue();
+  } catch (err) {
+    console.error("❌ Status change error:", err);
+    alert(`❌ ${err.message}`);
+  }
+};
+
+window.toggleHistory = async function (orderId) {
+  const row = document.getElementById(`history-${orderId}`);
+  if (row.style.display !== "none") {
+    row.style.display = "none";
+    return;
+  }
+
+  try {
+    const response = await api(`/operator/orders/${orderId}`);
+    const { order } = await response.json();
+    row.firstElementChild.innerHTML = order.history.length === 0
+      ? `<span style="color:#6b7280;">No status changes yet</span>`
+      : `<ul class="status-history">${order.history.map(event => `
+          <li>${new Date(event.created_at).toLocaleString()} —
+            <strong>${escapeHtml(event.from_status)} → ${escapeHtml(event.to_status)}</strong>
+            by ${escapeHtml(event.changed_by)}${event.note ? ` (${escapeHtml(event.note)})` : ""}</li>`).join("")}
+        </ul>`;
+    row.style.display = "table-row";
+  } catch (err) {
+    console.error("❌ History load error:", err);
+    alert(`❌ ${err.message}`);
+  }
+};
+
+// ================== PRINTERS ==================
+async function loadPrinters() {
+  try {
+    const response = await api("/operator/printers");
+    printers = (await response.json()).printers;
+  } catch (err) {
+    console.error("❌ Printers load error:", err);
+    printers = [];
+  }
+  renderPrinters();
+}
+
+function renderPrinters() {
+  document.getElementById("printerSection").style.display = printers.length ? "block" : "none";
+  document.getElementById("printerList").innerHTML = printers.map(printer => {
+    const problem = PRINTER_PROBLEMS.includes(printer.state) || printer.reasons.some(reason => reason.endsWith("-error"));
+    const detail = [printer.message, ...printer.reasons].filter(Boolean).join(", ");
+    return `
+      <li>
+        <strong>${escapeHtml(stationName(printer.station_id))}</strong> — ${escapeHtml(printer.printer)}
+        <span class="status-badge" style="background:${problem ? "#dc2626" : printer.state === "processing" ? "#7c3aed" : "#059669"};">${escapeHtml(printer.state)}</span>
+        ${printer.queued ? `<span style="color:#6b7280; font-size:12px;">${printer.queued} job(s) queued</span>` : ""}
+        ${detail ? `<div style="font-size:12px; color:${problem ? "#dc2626" : "#6b7280"};">${escapeHtml(detail)}</div>` : ""}
+      </li>`;
+  }).join("");
+}
+
+// ================== PAYMENTS ==================
+window.loadPayments = async function () {
+  const status = document.getElementById("filterPaymentStatus").value;
+  try {
+    const response = await api(`/operator/payments${status ? `?status=${encodeURIComponent(status)}` : ""}`);
+    const data = await response.json();
+    fillPaymentStatusFilter(data.statuses);
+    renderPayments(data.payments);
+  } catch (err) {
+    console.error("❌ Payments load error:", err);
+    alert(`❌ ${err.message}`);
+  }
+};
+
+function fillPaymentStatusFilter(statuses) {
+  const select = document.getElementById("filterPaymentStatus");
+  if (select.options.length > 2) return;
+  statuses.forEach(status => select.add(new Option(status, status)));
+}
+
+function renderPayments(payments) {
+  const body = document.getElementById("paymentsBody");
+
+  if (payments.length === 0) {
+    body.innerHTML = `<tr><td colspan="7" style="color:#6b7280;">No payments to review</td></tr>`;
+    return;
+  }
+
+  body.innerHTML = payments.map(payment => {
+    const open = payment.status === "submitted" || payment.status === "unmatched";
+    return `
+    <tr>
+      <td>
+        <strong>${escapeHtml(payment.reference)}</strong>
+        ${payment.screenshot_path
+          ? `<div><a href="#" onclick="viewScreenshot('${payment.id}'); return false;">🧾 Screenshot</a></div>`
+          : ""}
+      </td>
+      <td>${new Date(payment.created_at).toLocaleString()}
+        <div style="color:#6b7280; font-size:12px;">${payment.source === "statement" ? "from statement" : "by customer"}</div>
+      </td>
+      <td>
+        ${payment.order
+          ? `${escapeHtml(payment.order.order_number)}
+             <div style="color:#6b7280; font-size:12px;">${escapeHtml(payment.order.customer_email)}, ${escapeHtml(payment.order.status)}</div>`
+          : `<span style="color:#6b7280;">No order</span>`}
+      </td>
+      <td>
+        ₱${Number(payment.amount).toFixed(2)}
+        ${payment.order
+          ? `<div style="font-size:12px; color:${payment.amount_matches ? "#059669" : "#dc2626"};">
+               of ₱${Number(payment.order.total_cost).toFixed(2)} ${payment.amount_matches ? "✓" : "✗"}</div>`
+          : ""}
+      </td>
+      <td>
+        ${payment.statement_amount === null || payment.statement_amount === undefined
+          ? `<span style="color:#6b7280;">Not in a statement yet</span>`
+          : `₱${Number(payment.statement_amount).toFixed(2)}
+             <div style="color:#6b7280; font-size:12px;">${escapeHtml(payment.statement_paid_at || "")} ${escapeHtml(payment.statement_description || "")}</div>`}
+      </td>
+      <td>
+        <span class="status-badge" style="background:${PAYMENT_COLORS[payment.status] || "#6b7280"};">${escapeHtml(payment.status)}</span>
+        ${payment.reviewed_by
+          ? `<div style="color:#6b7280; font-size:12px;">by ${escapeHtml(payment.reviewed_by)}${payment.note ? ` (${escapeHtml(payment.note)})` : ""}</div>`
+          : ""}
+      </td>
+      <td>
+        ${open ? `<button class="option-button" onclick="matchPayment('${payment.id}')">Match</button>` : ""}
+        ${payment.status === "submitted" ? `<button class="option-button" onclick="verifyPayment('${payment.id}')">✓ Accept</button>` : ""}
+        ${open ? `<button class="option-button" onclick="rejectPayment('${payment.id}')">✗ Reject</button>` : ""}
+      </td>
+    </tr>`;
+  }).join("");
+}
+
+async function paymentAction(id, action, body = {}) {
+  try {
+    await api(`/operator/payments/${id}/${action}`, { method: "POST", body: JSON.stringify(body) });
+    await Promise.all([loadPayments(), loadQueue()]);
+  } catch (err) {
+    console.error(`❌ Payment ${action} error:`, err);
+    alert(`❌ ${err.message}`);
+  }
+}
+
+window.matchPayment = function (id) {
+  const orderNumber = prompt("Order number this payment is for:");
+  if (orderNumber) paymentAction(id, "match", { order_number: orderNumber.trim() });
+};
+
+window.verifyPayment = function (id) {
+  if (confirm("Accept this payment and mark its order paid?")) paymentAction(id, "verify");
+};
+
+window.rejectPayment = function (id) {
+  const note = prompt("Reason for rejecting this payment:");
+  if (note !== null) paymentAction(id, "reject", { note });
+};
+
+window.viewScreenshot = async function (id) {
+  try {
+    const response = await api(`/operator/payments/${id}/screenshot`);
+    const url = URL.createObjectURL(await response.blob());
+    window.open(url, "_blank");
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  } catch (err) {
+    console.error("❌ Screenshot error:", err);
+    alert(`❌ ${err.message}`);
+  }
+};
+
+document.getElementById("statementForm").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const summaryEl = document.getElementById("importSummary");
+  const formData = new FormData();
+  formData.append("statement", document.getElementById("statementFile").files[0]);
+
+  try {
+    const response = await api("/operator/payments/import", { method: "POST", body: formData });
+    const summary = await response.json();
+    summaryEl.textContent = `✅ ${summary.rows} incoming transaction(s): ${summary.verified} verified, `
+      + `${summary.confirmed} need review, ${summary.unmatched} unmatched, ${summary.already_imported} already imported`;
+    e.target.reset();
+    await Promise.all([loadPayments(), loadQueue()]);
+  } catch (err) {
+    console.error("❌ Statement import error:", err);
+    summaryEl.textContent = `❌ ${err.message}`;
+  }
+});
+
+// ================== PRINT CREDIT ==================
+function money(amount) {
+  return `₱${Math.abs(Number(amount)).toFixed(2)}`;
+}
+
+window.loadCredits = async function () {
+  const email = document.getElementById("creditLookupEmail").value.trim();
+  const summaryEl = document.getElementById("creditLookupSummary");
+  try {
+    const response = await api(`/operator/credits${email ? `?email=${encodeURIComponent(email)}` : ""}`);
+    const data = await response.json();
+    summaryEl.textContent = data.email ? `${data.email}: balance ${money(data.balance)}` : "";
+    renderCredits(data.ledger);
+  } catch (err) {
+    console.error("❌ Credit load error:", err);
+    summaryEl.textContent = `❌ ${err.message}`;
+  }
+};
+
+function renderCredits(ledger) {
+  const body = document.getElementById("creditBody");
+  if (ledger.length === 0) {
+    body.innerHTML = `<tr><td colspan="6" style="color:#6b7280;">No credit movements</td></tr>`;
+    return;
+  }
+
+  body.innerHTML = ledger.map(row => `
+    <tr>
+      <td>${new Date(row.created_at).toLocaleString()}</td>
+      <td>${escapeHtml(row.customer_email)}</td>
+      <td>
+        ${escapeHtml(CREDIT_KIND_LABELS[row.kind] || row.kind)}${row.order_number ? ` ${escapeHtml(row.order_number)}` : ""}
+        ${row.note ? `<div style="color:#6b7280; font-size:12px;">${escapeHtml(row.note)}</div>` : ""}
+      </td>
+      <td style="color:${Number(row.amount) < 0 ? "#dc2626" : "#059669"};">${Number(row.amount) < 0 ? "−" : "+"}${money(row.amount)}</td>
+      <td>${money(row.balance_after)}</td>
+      <td>${escapeHtml(row.created_by || "")}</td>
+    </tr>`).join("");
+}
+
+document.getElementById("creditLookupForm").addEventListener("submit", (e) => {
+  e.preventDefault();
+  loadCredits();
+});
+
+document.getElementById("topUpForm").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const messageEl = document.getElementById("topUpMessage");
+  const amount = Number(document.getElementById("topUpAmount").value);
+  const emails = document.getElementById("topUpEmails").value;
+  const count = emails.split(/[\s,;]+/).filter(Boolean).length;
+  if (!confirm(`${amount < 0 ? "Take" : "Add"} ${money(amount)} ${amount < 0 ? "off" : "to"} the credit of ${count} student(s)?`)) return;
+
+  try {
+    const response = await api("/operator/credits", {
+      method: "POST",
+      body: JSON.stringify({ emails, amount, note: document.getElementById("topUpNote").value.trim() })
+    });
+    const { entries } = await response.json();
+    messageEl.textContent = `✅ ${entries.map(entry => `${entry.customer_email}: ${money(entry.balance_after)}`).join(", ")}`;
+    e.target.reset();
+    if (entries.length === 1) document.getElementById("creditLookupEmail").value = entries[0].customer_email;
+    await loadCredits();
+  } catch (err) {
+    console.error("❌ Top-up error:", err);
+    messageEl.textContent = `❌ ${err.message}`;
+  }
+});
+
+// ================== VOUCHERS ==================
+window.loadVouchers = async function () {
+  try {
+    const response = await api("/operator/vouchers");
+    renderVouchers((await response.json()).vouchers);
+  } catch (err) {
+    console.error("❌ Voucher load error:", err);
+    document.getElementById("voucherMessage").textContent = `❌ ${err.message}`;
+  }
+};
+
+function renderVouchers(vouchers) {
+  const body = document.getElementById("voucherBody");
+  if (vouchers.length === 0) {
+    body.innerHTML = `<tr><td colspan="6" style="color:#6b7280;">No vouchers yet</td></tr>`;
+    return;
+  }
+
+  body.innerHTML = vouchers.map(voucher => {
+    const expired = voucher.expires_at && new Date(voucher.expires_at) <= new Date();
+    const validFor = [
+      voucher.station_ids?.length ? voucher.station_ids.map(stationName).join(", ") : "All stations",
+      voucher.colors?.length ? voucher.colors.map(c => VOUCHER_COLOR_LABELS[c] || c).join(", ") : "all print types",
+    ];
+    return `
+    <tr style="${voucher.active && !expired ? "" : "color:#9ca3af;"}">
+      <td>
+        <strong>${escapeHtml(voucher.code)}</strong>
+        ${voucher.active ? "" : `<span class="status-badge" style="background:#9ca3af;">off</span>`}
+        ${voucher.description ? `<div style="font-size:12px;">${escapeHtml(voucher.description)}</div>` : ""}
+      </td>
+      <td>${voucher.kind === "percent" ? `${Number(voucher.value)}%` : money(voucher.value)}</td>
+      <td>${escapeHtml(validFor.join(", "))}</td>
+      <td>${voucher.expires_at ? new Date(voucher.expires_at).toLocaleString() : "Never"}</td>
+      <td>
+        ${voucher.uses}${voucher.max_uses ? ` of ${voucher.max_uses}` : ""}
+        ${voucher.max_uses_per_customer ? `<div style="color:#6b7280; font-size:12px;">${voucher.max_uses_per_customer} per student</div>` : ""}
+      </td>
+      <td>
+        <button class="option-button" onclick="setVoucherActive('${voucher.id}', ${!voucher.active})">${voucher.active ? "Disable" : "Enable"}</button>
+      </td>
+    </tr>`;
+  }).join("");
+}
+
+window.setVoucherActive = async function (id, active) {
+  try {
+    await api(`/operator/vouchers/${id}/active`, { method: "POST", body: JSON.stringify({ active }) });
+    await loadVouchers();
+  } catch (err) {
+    console.error("❌ Voucher update error:", err);
+    alert(`❌ ${err.message}`);
+  }
+};
+
+function selectedValues(select) {
+  return [...select.selectedOptions].map(option => option.value);
+}
+
+document.getElementById("voucherCreateForm").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const messageEl = document.getElementById("voucherMessage");
+  const expires = document.getElementById("newVoucherExpires").value;
+
+  try {
+    const response = await api("/operator/vouchers", {
+      method: "POST",
+      body: JSON.stringify({
+        code: document.getElementById("newVoucherCode").value,
+        description: document.getElementById("newVoucherDescription").value,
+        kind: document.getElementById("newVoucherKind").value,
+        value: document.getElementById("newVoucherValue").value,
+        // datetime-local is the browser's local time.
+        expires_at: expires ? new Date(expires).toISOString() : null,
+        max_uses: document.getElementById("newVoucherMaxUses").value,
+        max_uses_per_customer: document.getElementById("newVoucherMaxPerCustomer").value,
+        station_ids: selectedValues(document.getElementById("newVoucherStations")),
+        colors: selectedValues(document.getElementById("newVoucherColors"))
+      })
+    });
+    const { voucher } = await response.json();
+    messageEl.textContent = `✅ Voucher ${voucher.code} created`;
+    e.target.reset();
+    await loadVouchers();
+  } catch (err) {
+    console.error("❌ Voucher create error:", err);
+    messageEl.textContent = `❌ ${err.message}`;
+  }
+});
+
+// ================== PICKUP ==================
+// Handheld scanners type the cover sheet's QR code into the field and press
+// Enter, so scanning and typing the code both submit the form.
+async function claimOrder(code) {
+  const messageEl = document.getElementById("claimMessage");
+  try {
+    const response = await api("/operator/claims", {
+      method: "POST",
+      body: JSON.stringify({ claim_code: code })
+    });
+    const { order } = await response.json();
+    messageEl.textContent = `✅ ${order.order_number} claimed`;
+    document.getElementById("claimCode").value = "";
+    await loadQueue();
+  } catch (err) {
+    console.error("❌ Claim error:", err);
+    messageEl.textContent = `❌ ${err.message}`;
+  }
+  document.getElementById("claimCode").focus();
+}
+
+document.getElementById("claimForm").addEventListener("submit", (e) => {
+  e.preventDefault();
+  claimOrder(document.getElementById("claimCode").value);
+});
+
+function stopCameraScan() {
+  cameraStream?.getTracks().forEach(track => track.stop());
+  cameraStream = null;
+  document.getElementById("scanVideo").style.display = "none";
+  document.getElementById("cameraScanButton").textContent = "📷 Scan with camera";
+}
+
+// Browsers with BarcodeDetector can read the QR code from the camera.
+window.toggleCameraScan = async function () {
+  if (cameraStream) return stopCameraScan();
+  const video = document.getElementById("scanVideo");
+  try {
+    cameraStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" } });
+  } catch (err) {
+    console.error("❌ Camera error:", err);
+    document.getElementById("claimMessage").textContent = `❌ Cannot use the camera: ${err.message}`;
+    return;
+  }
+  video.srcObject = cameraStream;
+  video.style.display = "block";
+  document.getElementById("cameraScanButton").textContent = "✖ Stop camera";
+  await video.play();
+
+  const detector = new BarcodeDetector({ formats: ["qr_code"] });
+  const scan = async () => {
+    if (!cameraStream) return;
+    const [code] = await detector.detect(video).catch(() => []);
+    if (!code) return setTimeout(scan, 300);
+    stopCameraScan();
+    await claimOrder(code.rawValue);
+  };
+  scan();
+};
+
+// ================== FILE DOWNLOAD ==================
+// Downloads go through fetch so the operator token can be attached.
+async function saveDownload(path, filename) {
+  try {
+    const response = await api(path);
+    const url = URL.createObjectURL(await response.blob());
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (err) {
+    console.error("❌ Download error:", err);
+    alert(`❌ ${err.message}`);
+  }
+}
+
+// Without an itemId the order's print-ready PDF, with its cover sheet, is
+// downloaded.
+window.downloadFile = function (orderId, itemId, link) {
+  return saveDownload(itemId
+    ? `/operator/orders/${orderId}/items/${itemId}/file`
+    : `/operator/orders/${orderId}/print-file`, link.dataset.filename);
+};
+
+window.downloadCoverSheet = function (orderId, link) {
+  return saveDownload(`/operator/orders/${orderId}/cover-sheet`, link.dataset.filename);
+};
+
+// ================== INIT ==================
+console.log("🚀 PrintQ operator dashboard initialized");
+document.getElementById("cameraScanButton").style.display = "BarcodeDetector" in window ? "" : "none";
+showPage();
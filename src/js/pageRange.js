@@ -0,0 +1,48 @@
+// Page range parsing shared by the cart (printLogic.js) and the backend.
+// A spec like "1-3,7,10-12" selects pages 1, 2, 3, 7, 10, 11 and 12.
+// An empty spec selects every page.
+
+export const MAX_COPIES = 100;
+
+// Returns the selected 1-based page numbers in print order.
+// Throws an Error with a user-facing message if the spec is invalid.
+export function parsePageRange(spec, totalPages) {
+  const text = String(spec ?? "").replace(/\s+/g, "");
+  if (!text) return Array.from({ length: totalPages }, (_, i) => i + 1);
+
+  const pages = [];
+  for (const part of text.split(",")) {
+    const match = /^(\d+)(?:-(\d+))?$/.exec(part);
+    if (!match) throw new Error(`"${part}" is not a page or range (e.g. 1-3,7)`);
+
+    const start = Number(match[1]);
+    const end = match[2] === undefined ? start : Number(match[2]);
+    if (start < 1 || end < 1) throw new Error("Page numbers start at 1");
+    if (start > end) throw new Error(`Range ${part} goes backwards`);
+    if (end > totalPages) {
+      throw new Error(`Page ${end} is past the end of the document (${totalPages} page${totalPages > 1 ? "s" : ""})`);
+    }
+
+    for (let page = start; page <= end; page++) pages.push(page);
+  }
+  return pages;
+}
+
+// The reverse of parsePageRange: [1, 2, 3, 7] becomes "1-3,7".
+export function formatPageRange(pages) {
+  const parts = [];
+  for (let i = 0; i < pages.length; i++) {
+    let end = i;
+    while (end + 1 < pages.length && pages[end + 1] === pages[end] + 1) end++;
+    parts.push(end > i ? `${pages[i]}-${pages[end]}` : String(pages[i]));
+    i = end;
+  }
+  return parts.join(",");
+}
+
+export function validateCopies(copies) {
+  if (!Number.isInteger(copies) || copies < 1 || copies > MAX_COPIES) {
+    throw new Error(`Copies must be a whole number from 1 to ${MAX_COPIES}`);
+  }
+  return copies;
+}
@@ -0,0 +1,137 @@
+// Preflight checks shared by the cart (printLogic.js) and the backend.
+// The server reads each file once into a report (backend/preflight.js);
+// these turn that report into issues for the options the file is ordered
+// with. An "error" stops the order until it is fixed, a "warning" only says
+// what will happen. `fixes` are the one-click changes that apply.
+
+import { formatPageRange } from "./pageRange.js";
+import { PAPER_DIMENSIONS } from "./printLayout.js";
+import { LOW_DPI_WARNING, imageWarnings } from "./imageLayout.js";
+
+// Pages shrunk further than this to fit the paper need the student's OK:
+// A3 on Letter prints at 65%, while A4 on Letter (94%) goes through.
+export const MIN_FIT_SCALE = 0.9;
+
+// Page sizes named in messages, in points (portrait).
+const NAMED_SIZES = {
+  ...PAPER_DIMENSIONS,
+  A3: [841.89, 1190.55],
+  A5: [419.53, 595.28],
+  Tabloid: [792, 1224],
+};
+
+const MM_PER_POINT = 25.4 / 72;
+
+function shortLong({ width, height }) {
+  return width < height ? [width, height] : [height, width];
+}
+
+// The box one page gets on a side of `paperSize` with `nup` pages per side.
+function cellSize(paperSize, nup) {
+  const [short, long] = PAPER_DIMENSIONS[paperSize];
+  if (nup === 2) return shortLong({ width: short, height: long / 2 });
+  if (nup === 4) return [short / 2, long / 2];
+  return [short, long];
+}
+
+// How much a page of `size` is scaled to fit its box (below 1 shrinks it),
+// turned to match the way print-ready.js does with orientation "auto".
+export function fitScale(size, paperSize, nup = 1) {
+  const [pageShort, pageLong] = shortLong(size);
+  const [cellShort, cellLong] = cellSize(paperSize, nup);
+  return Math.min(cellShort / pageShort, cellLong / pageLong);
+}
+
+function describeSize(size) {
+  const [short, long] = shortLong(size);
+  const mm = `${Math.round(short * MM_PER_POINT)} × ${Math.round(long * MM_PER_POINT)} mm`;
+  const name = Object.keys(NAMED_SIZES).find((key) => {
+    const [width, height] = NAMED_SIZES[key];
+    return Math.abs(width - short) / width < 0.02 && Math.abs(height - long) / height < 0.02;
+  });
+  return name ? `${name} (${mm})` : mm;
+}
+
+// "page 3" or "pages 1-4,7".
+function pagesLabel(pages) {
+  return pages.length === 1 ? `page ${pages[0]}` : `pages ${formatPageRange(pages)}`;
+}
+
+// "Page 3 is" or "Pages 1-4,7 are".
+function pagesAre(pages) {
+  const label = pagesLabel(pages);
+  return `${label[0].toUpperCase()}${label.slice(1)} ${pages.length === 1 ? "is" : "are"}`;
+}
+
+function issue(code, level, message, fixes = []) {
+  return { code, level, message, fixes };
+}
+
+// The page range that prints `selection` without its blank pages.
+export function skipBlankPages(selection, report) {
+  const blank = new Set(report?.blank_pages || []);
+  return formatPageRange(selection.filter(page => !blank.has(page)));
+}
+
+// `file` is what the analysis found: { kind, pageSizes, encrypted, images,
+// report }, where `report` is null for files that were not checked.
+// `options` are the item's selected pages and the order's paper and layout:
+// { selection, paperSize, nup, imageOptions, scaleToFit }.
+export function preflightIssues({ kind, pageSizes, encrypted, images, report }, { selection, paperSize, nup, imageOptions, scaleToFit }) {
+  if (report?.password) {
+    return [issue("password", "error", "This file is password-protected, so it cannot be printed. Save or print it to a new PDF without the password and add that instead.")];
+  }
+
+  const issues = [];
+  if (encrypted) issues.push(issue("locked", "warning", "This PDF is locked against changes, so the station prints it by hand as it is."));
+  // Photos and scans are laid out by the image options instead of page by page.
+  if (images) {
+    return issues.concat(imageWarnings(images, paperSize, imageOptions).map(message => issue("low_res", "warning", message)));
+  }
+
+  const selected = [...new Set(selection)].sort((a, b) => a - b);
+  const sizeOf = page => pageSizes[page - 1];
+
+  // With 2 or 4 pages per side shrinking is what the student asked for.
+  const oversize = nup === 1 ? selected.filter(page => fitScale(sizeOf(page), paperSize) < MIN_FIT_SCALE) : [];
+  if (oversize.length && scaleToFit) {
+    const percent = Math.round(Math.min(...oversize.map(page => fitScale(sizeOf(page), paperSize))) * 100);
+    issues.push(issue("oversize", "warning", `${pagesAre(oversize)} shrunk to ${percent}% to fit ${paperSize} paper.`));
+  } else if (oversize.length) {
+    const papers = Object.keys(PAPER_DIMENSIONS)
+      .filter(paper => paper !== paperSize && oversize.every(page => fitScale(sizeOf(page), paper) >= MIN_FIT_SCALE));
+    issues.push(issue("oversize", "error", `${pagesAre(oversize)} ${describeSize(sizeOf(oversize[0]))}, larger than ${paperSize} paper.`, [
+      { action: "scale_to_fit", label: `Scale to fit ${paperSize}` },
+      ...papers.map(paper => ({ action: "paper", value: paper, label: `Print on ${paper}` })),
+    ]));
+  }
+
+  const blank = new Set(report?.blank_pages || []);
+  const blankSelected = selected.filter(page => blank.has(page));
+  if (blankSelected.length && blankSelected.length === selected.length) {
+    issues.push(issue("blank", "error", selected.length === 1 ? "The page to print is blank." : "Every page to print is blank or almost blank."));
+  } else if (blankSelected.length) {
+    issues.push(issue("blank", "warning", `${pagesAre(blankSelected)} blank or almost blank but would still be printed and charged.`, [
+      { action: "skip_blank", label: "Skip blank pages" },
+    ]));
+  }
+
+  if (report?.missing_fonts?.length) {
+    const fonts = report.missing_fonts.join(", ");
+    issues.push(issue("fonts", "warning", kind === "pdf"
+      ? `Some fonts are not embedded in the PDF (${fonts}), so the printer uses stand-ins and text may look different. Export the PDF with fonts embedded to keep it as it is.`
+      : `The print server does not have some fonts this file uses (${fonts}), so others were used and the layout may differ from yours. Save it as PDF in your own editor to keep it as you see it.`));
+  }
+
+  // Image resolution at print size: shrinking a page sharpens its images.
+  const blurry = (report?.image_dpi || [])
+    .filter(({ page }) => selected.includes(page))
+    .map(({ page, dpi }) => ({ page, dpi: Math.round(dpi / fitScale(sizeOf(page), paperSize, nup)) }))
+    .filter(({ dpi }) => dpi < LOW_DPI_WARNING);
+  if (blurry.length) {
+    issues.push(issue("low_res", "warning",
+      `Images on ${pagesLabel(blurry.map(({ page }) => page))} print at only ${Math.min(...blurry.map(({ dpi }) => dpi))} dpi and will look blurry.`));
+  }
+
+  return issues;
+}
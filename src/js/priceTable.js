@@ -0,0 +1,99 @@
+// Price calculation shared by the cart (printLogic.js) and the backend.
+// The table itself comes from config/pricing.json, served at GET /pricing.
+//
+// Every printed side is charged at the rate for its color, paper size and
+// whether the order is duplex. Blank backs added for duplex are free. In
+// "auto" color mode only the sides with color on them get the color rate.
+// The largest matching quantity tier discounts the subtotal, and the total
+// never drops below the minimum charge. Rush orders then pay the table's
+// rush surcharge: a flat fee plus a percentage of that total. A voucher
+// takes its percentage or fixed amount off the result, down to zero.
+
+export function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Per-side rate, or null if the table has no price for this combination.
+export function rateFor(table, { color, papersize, duplex = "none" }) {
+  const rates = table?.rates?.[color]?.[papersize];
+  if (!rates) return null;
+  return duplex === "none" ? rates.single : rates.duplex;
+}
+
+// The surcharge for rushing an order that costs `total`.
+export function rushSurcharge(table, total) {
+  return roundMoney(table.rush.flat + total * table.rush.percent / 100);
+}
+
+// What a voucher ({ kind: "percent" | "fixed", value }) takes off `total`.
+export function voucherDiscount(voucher, total) {
+  const value = Number(voucher.value);
+  const amount = voucher.kind === "percent" ? total * value / 100 : value;
+  return roundMoney(Math.min(Math.max(amount, 0), total));
+}
+
+// Whether a voucher may be used at `stationId` for print type `color`. Empty
+// restrictions allow every station or print type.
+export function voucherApplies(voucher, { stationId, color }) {
+  return (!voucher.station_ids?.length || voucher.station_ids.includes(stationId))
+    && (!voucher.colors?.length || voucher.colors.includes(color));
+}
+
+// items: [{ sides, color_sides }], where color_sides is only read in "auto"
+// mode. `voucher` is one the caller has already checked (see
+// voucherApplies). Returns the per-item amounts and the order total.
+// Throws an Error if the table has no rate for the selection, or for a rush
+// order when the table has no rush surcharge.
+export function quoteOrder(table, { color, papersize, duplex = "none", items, rush = false, voucher = null }) {
+  const bwRate = rateFor(table, { color: "bw", papersize, duplex });
+  const colorRate = rateFor(table, { color: "color", papersize, duplex });
+  const rate = color === "auto" ? null : rateFor(table, { color, papersize, duplex });
+  if (typeof bwRate !== "number" || typeof colorRate !== "number" || (color !== "auto" && typeof rate !== "number")) {
+    throw new Error(`No price for ${color} on ${papersize}${duplex === "none" ? "" : " duplex"}`);
+  }
+
+  const quotedItems = items.map(item => {
+    const colorSides = color === "auto" ? item.color_sides || 0 : color === "color" ? item.sides : 0;
+    const bwSides = item.sides - colorSides;
+    return {
+      sides: item.sides,
+      bw_sides: bwSides,
+      color_sides: colorSides,
+      amount: roundMoney(bwSides * bwRate + colorSides * colorRate),
+    };
+  });
+  const sides = quotedItems.reduce((sum, item) => sum + item.sides, 0);
+  const subtotal = roundMoney(quotedItems.reduce((sum, item) => sum + item.amount, 0));
+
+  const tier = (table.quantity_tiers || [])
+    .filter(t => sides >= t.min_sides)
+    .sort((a, b) => b.min_sides - a.min_sides)[0];
+  const discountPercent = tier ? tier.discount_percent : 0;
+  const discount = roundMoney(subtotal * discountPercent / 100);
+
+  const minimumCharge = table.minimum_charge || 0;
+  const beforeMinimum = roundMoney(subtotal - discount);
+  const minimumApplied = sides > 0 && beforeMinimum < minimumCharge;
+  const printTotal = minimumApplied ? minimumCharge : beforeMinimum;
+  if (rush && !table.rush) throw new Error("Rush orders are not offered");
+  const surcharge = rush && sides > 0 ? rushSurcharge(table, printTotal) : 0;
+  const beforeVoucher = roundMoney(printTotal + surcharge);
+  const voucherAmount = voucher && sides > 0 ? voucherDiscount(voucher, beforeVoucher) : 0;
+
+  return {
+    items: quotedItems,
+    sides,
+    bw_sides: quotedItems.reduce((sum, item) => sum + item.bw_sides, 0),
+    color_sides: quotedItems.reduce((sum, item) => sum + item.color_sides, 0),
+    rate,
+    bw_rate: bwRate,
+    color_rate: colorRate,
+    subtotal,
+    discount_percent: discountPercent,
+    discount,
+    minimum_applied: minimumApplied,
+    rush_surcharge: surcharge,
+    voucher_discount: voucherAmount,
+    total: roundMoney(beforeVoucher - voucherAmount),
+  };
+}
@@ -0,0 +1,42 @@
+// Print layout options shared by the cart (printLogic.js) and the backend.
+
+export const DUPLEX_MODES = ["none", "long-edge", "short-edge"];
+export const PAGES_PER_SHEET = [1, 2, 4];
+export const ORIENTATIONS = ["auto", "portrait", "landscape"];
+
+export const DEFAULT_LAYOUT = { duplex: "none", nup: 1, orientation: "auto" };
+
+// Paper sizes in PDF points (1/72 inch), portrait.
+export const PAPER_DIMENSIONS = {
+  Letter: [612, 792],
+  Legal: [612, 1008],
+  A4: [595.28, 841.89],
+};
+
+// Throws an Error with a user-facing message for unknown options.
+export function validateLayout({ duplex, nup, orientation }) {
+  if (!DUPLEX_MODES.includes(duplex)) throw new Error(`duplex must be one of ${DUPLEX_MODES.join(", ")}`);
+  if (!PAGES_PER_SHEET.includes(nup)) throw new Error(`nup must be one of ${PAGES_PER_SHEET.join(", ")}`);
+  if (!ORIENTATIONS.includes(orientation)) throw new Error(`orientation must be one of ${ORIENTATIONS.join(", ")}`);
+  return { duplex, nup, orientation };
+}
+
+// Printed sides and sheets of paper for `pages` selected pages, `copies`
+// times. Every copy starts on a fresh sheet, so with duplex an odd number of
+// sides leaves the back of its last sheet blank.
+export function countSheets({ pages, copies = 1, nup = 1, duplex = "none" }) {
+  const sidesPerCopy = Math.ceil(pages / nup);
+  const sheetsPerCopy = duplex === "none" ? sidesPerCopy : Math.ceil(sidesPerCopy / 2);
+  return { sides: sidesPerCopy * copies, sheets: sheetsPerCopy * copies };
+}
+
+// Printed sides that carry at least one color page. `pages` are the selected
+// 1-based page numbers in print order and `colorPages` the ones with color.
+export function countColorSides({ pages, colorPages, copies = 1, nup = 1 }) {
+  const color = new Set(colorPages);
+  let sides = 0;
+  for (let i = 0; i < pages.length; i += nup) {
+    if (pages.slice(i, i + nup).some(page => color.has(page))) sides++;
+  }
+  return sides * copies;
+}
@@ -1,4 +1,12 @@
-import { supabase } from "./supabase.js";
+import { parsePageRange, validateCopies, MAX_COPIES } from "./pageRange.js";
+import { countColorSides, countSheets, DEFAULT_LAYOUT } from "./printLayout.js";
+import { quoteOrder, rateFor, voucherApplies } from "./priceTable.js";
+import {
+  composedColorPages, composedPageCount, DEFAULT_IMAGE_OPTIONS, IMAGE_FITS, PHOTOS_PER_SHEET
+} from "./imageLayout.js";
+import { preflightIssues, skipBlankPages } from "./preflight.js";
+import { clearStudentSession, loadStudentSession } from "./studentSession.js";
+import { estimateReadyAt, slotUnavailableReason, stationClock, WEEKDAYS } from "./stationSchedule.js";
 
 const pdfjsLib = window['pdfjs-dist/build/pdf'];
 
@@ -12,65 +20,158 @@ console.log(`🌐 Backend URL: ${BACKEND_URL}`);
 
 // ================== STATE ==================
 let uploadedFiles = [];
-let currentPricePerPage = 2;
+// Files of a type the cart does not take, with the reason, until the next upload.
+let rejectedFiles = [];
+let nextFileId = 1;
+let pricingTable = null;
+let currentQuote = null;
 let currentTotal = 0;
 let currentPrintType = 'bw';
 let currentPaperSize = 'Letter';
+let currentLayout = { ...DEFAULT_LAYOUT };
+let studentSession = loadStudentSession();
+// From GET /stations; the chosen station is remembered between visits.
+let stationConfig = null;
+let currentStationId = localStorage.getItem("printq-station");
+// The chosen pickup slot's start (ISO), or null for as soon as it is ready.
+let currentPickupAt = null;
+let currentRush = false;
+// Set while Place Order waits for the last chunks to arrive.
+let waitingForUploads = false;
+// The voucher the server accepted (see GET /vouchers/:code), and why the
+// last code was refused.
+let currentVoucher = null;
+let voucherError = "";
+// The signed-in student's print credit, or null while it is unknown.
+let creditBalance = null;
+let currentUseCredit = false;
+
+// ================== ORDER API ==================
+// Sends the whole cart in one request, naming each file by its finished
+// upload. The server stores every file and line item together, or nothing
+// at all if any part fails. The order goes to the signed-in student's
+// account.
+async function submitOrder({ files, stationId, pickupAt, rush, paperSize, printType, layout, voucherCode, useCredit, expectedTotal }) {
+  const body = {
+    station_id: stationId,
+    pickup_at: pickupAt,
+    rush,
+    papersize: paperSize,
+    color: printType,
+    duplex: layout.duplex,
+    nup: layout.nup,
+    orientation: layout.orientation,
+    voucher_code: voucherCode,
+    use_credit: useCredit,
+    expected_total: expectedTotal,
+    items: files.map(f => ({
+      upload_id: f.upload.id,
+      pages: f.pages,
+      page_range: f.pageRange,
+      copies: f.copies,
+      scale_to_fit: f.scaleToFit,
+      ...(f.imageOptions && {
+        image_fit: f.imageOptions.fit,
+        photos_per_sheet: f.imageOptions.perSheet,
+        auto_rotate: f.imageOptions.autoRotate
+      })
+    }))
+  };
+
+  const response = await fetch(`${BACKEND_URL}/orders`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${studentSession.token}`, "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
 
-// ================== SUPABASE SAVE ==================
-async function savePrintJob(jobData) {
-  try {
-    const { data, error } = await supabase
-      .from('orders')
-      .insert([{
-        color: jobData.color,
-        cost: jobData.cost,
-        filename: jobData.filename,          // ✅ fixed
-        pagecount: jobData.pagecount,        // ✅ fixed
-        papersize: jobData.papersize,        // ✅ fixed
-        status: jobData.status || "pending", // ✅ fallback
-        created_at: new Date().toISOString(),
-        customer_email: jobData.customer_email // ✅ fixed
-      }])
-      .select();
-
-    if (error) {
-      console.error("❌ Order insert error:", error.message);
-      return null;
-    }
-
-    const inserted = Array.isArray(data) ? data[0] : data;
-    console.log("✅ Order inserted:", inserted.id);
-    return inserted;
-  } catch (err) {
-    console.error("❌ Save error:", err);
-    return null;
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 401) {
+    signOutStudent();
+    throw new Error("Your sign-in has expired. Please sign in again, then place your order.");
   }
+  if (data.missing_uploads) {
+    // E.g. an upload that expired: those files show as failed with Retry.
+    files
+      .filter(f => data.missing_uploads.includes(f.upload.id))
+      .forEach(f => Object.assign(f.upload, { state: "failed", id: null, sent: 0, error: "the server no longer has this file" }));
+    renderFileList();
+  }
+  if (!response.ok) {
+    throw new Error(data.error || `Order failed (status ${response.status})`);
+  }
+
+  console.log("✅ Order created:", data.order_number);
+  return data.order;
 }
 
-window.savePrintJob = savePrintJob;
+// ================== STUDENT SIGN-IN ==================
+// The magic link opens the account page in a new tab; the shared session in
+// localStorage then signs this page in too (see studentSession.js).
+function renderAccountBox() {
+  document.getElementById("signedInBox").style.display = studentSession ? "block" : "none";
+  document.getElementById("signedOutBox").style.display = studentSession ? "none" : "block";
+  document.getElementById("studentEmail").textContent = studentSession?.user.email || "";
+}
 
-// ================== UPLOAD TO SUPABASE ==================
-async function uploadFileToSupabase(file) {
-  try {
-    const timestamp = Date.now();
-    const fileName = `uploads/${timestamp}_${file.name}`;
-    
-    const { data, error } = await supabase.storage
-      .from('ready2print-files')
-      .upload(fileName, file);
+function signOutStudent() {
+  clearStudentSession();
+  studentSession = null;
+  creditBalance = null;
+  currentVoucher = null;
+  renderAccountBox();
+  updateCostCalculation();
+}
+window.signOutStudent = signOutStudent;
 
-    if (error) {
-      console.error("❌ Upload error:", error.message);
-      return null;
-    }
+window.addEventListener("storage", () => {
+  studentSession = loadStudentSession();
+  renderAccountBox();
+  renderFileList();
+  updatePayButtonState();
+  pumpUploads();
+  loadCredit();
+});
 
-    console.log("✅ File uploaded:", data.path);
-    return data.path;
+document.getElementById("signInForm").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const messageEl = document.getElementById("signInMessage");
+  messageEl.textContent = "⏳ Sending…";
+  try {
+    const response = await fetch(`${BACKEND_URL}/auth/magic-link`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ email: document.getElementById("customerEmail").value })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Status ${response.status}`);
+    messageEl.textContent = "📨 Check your inbox and open the sign-in link. This page signs in by itself.";
   } catch (err) {
-    console.error("❌ Upload exception:", err);
-    return null;
+    console.error("❌ Sign-in link error:", err.message);
+    messageEl.textContent = `❌ ${err.message}`;
   }
+});
+
+// ================== ORDER CONFIRMATION ==================
+function showConfirmation(order) {
+  document.getElementById("confirmOrderNumber").textContent = order.order_number;
+  document.getElementById("confirmClaimCode").textContent = order.claim_code;
+  const station = stationConfig?.stations.find(s => s.id === order.station_id);
+  document.getElementById("confirmStation").textContent = (station ? `${station.name}, ${station.location}` : "the print station")
+    + (order.pickup_at && stationConfig ? `, ${formatStationTime(new Date(order.pickup_at))}` : "");
+  document.getElementById("confirmTotal").textContent = `₱${Number(order.total_cost).toFixed(2)}`;
+  // Orders paid by credit, or free with a voucher, are paid already.
+  const paid = order.status === "paid";
+  document.getElementById("confirmPayGcash").style.display = paid ? "none" : "block";
+  document.getElementById("confirmPaid").style.display = paid ? "block" : "none";
+  document.getElementById("confirmPaid").textContent = Number(order.credit_applied) > 0
+    ? `Paid ₱${Number(order.credit_applied).toFixed(2)} with your print credit. Your order is in the print queue.`
+    : "Your voucher covers the total, so there is nothing to pay. Your order is in the print queue.";
+  document.getElementById("confirmTrackLink").href = `${BACKEND_URL}/track/${encodeURIComponent(order.claim_code)}`;
+  document.getElementById("orderConfirmation").style.display = "flex";
+}
+
+window.closeConfirmation = function () {
+  document.getElementById("orderConfirmation").style.display = "none";
 }
 
 /* ================== EMAIL API (deprecated for supabase api)==================
@@ -144,118 +245,1145 @@ if (uploadArea) {
 
 fileInput.addEventListener("change", (e) => handleFiles(e.target.files));
 
-async function handleFiles(fileList) {
+function handleFiles(fileList) {
   const files = Array.from(fileList);
-  const allowedExtensions = [".pdf", ".doc", ".docx", ".png", ".jpg", ".jpeg", ".webp", ".jfif"];
+  rejectedFiles = [];
+  const allowedExtensions = [
+    ".pdf", ".doc", ".docx", ".odt", ".rtf", ".txt", ".xls", ".xlsx", ".ods", ".ppt", ".pptx", ".odp",
+    ".png", ".jpg", ".jpeg", ".webp", ".jfif", ".tif", ".tiff"
+  ];
   
   for (const file of files) {
     const lowerName = file.name.toLowerCase();
     const isAllowed = allowedExtensions.some(ext => lowerName.endsWith(ext));
     
-    if (!isAllowed) continue;
+    if (!isAllowed) {
+      rejectedFiles.push({ name: file.name, error: "unsupported file type" });
+      continue;
+    }
 
-    await processSingleFile(file);
+    addFile(file);
   }
 
   renderFileList();
   updateCostCalculation();
 }
 
-async function processSingleFile(file) {
-  console.log(`🔄 Processing: ${file.name}`);
-
+// Adds the file to the cart straight away and reads it in the background.
+// Until it is "ready" it counts as 0 pages and the order cannot be placed.
+function addFile(file) {
   const dup = uploadedFiles.find(f => f.name === file.name && f.size === file.size);
-  if (dup) return;
+  if (dup) {
+    if (dup.status === "failed") startAnalysis(dup);
+    if (dup.upload.state === "failed") retryUpload(dup.id);
+    return;
+  }
+
+  const f = {
+    id: nextFileId++,
+    file,
+    name: file.name,
+    size: file.size,
+    status: "queued",
+    jobId: null,
+    error: null,
+    retryable: false,
+    pages: 0,
+    analysis: null,
+    imageOptions: null,
+    pageRange: "",
+    copies: 1,
+    selection: [],
+    optionError: null,
+    // The student agreed to shrink pages larger than the paper.
+    scaleToFit: false,
+    colorPages: null,
+    colorStatus: null,
+    preview: null,
+    upload: { state: "waiting", id: null, sent: 0, total: 0, retrying: false, error: null }
+  };
+  uploadedFiles.push(f);
+  startAnalysis(f);
+  pumpUploads();
+}
+
+// ================== ANALYSIS JOBS ==================
+// The server answers with a job id at once; pollJobs picks up the result.
+const JOB_POLL_MS = 1000;
+// The server takes this many ids per poll.
+const MAX_POLL_IDS = 50;
+let pollTimer = null;
+
+async function startAnalysis(f) {
+  console.log(`🔄 Processing: ${f.name}`);
+  Object.assign(f, { status: "queued", jobId: null, error: null, retryable: false });
+  renderFileList();
+  updateCostCalculation();
+
+  const formData = new FormData();
+  formData.append("file", f.file);
+
+  let response;
+  try {
+    response = await fetch(`${BACKEND_URL}/analyze/jobs`, {
+      method: "POST",
+      body: formData
+    });
+  } catch (err) {
+    console.error("❌ Analysis request failed:", err.message);
+    // Without the server, only PDFs can still be counted in the browser.
+    const pageCount = await countPdfPagesLocally(f.file);
+    if (pageCount) markReady(f, { pages: pageCount, images: null }, false);
+    else markFailed(f, "could not reach the server to read this file", true);
+    return;
+  }
 
-  let pageCount = 1;
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    // The server's message says why (too large, unsupported, busy…).
+    console.error(`❌ ${f.name} refused: ${data.error || response.status}`);
+    markFailed(f, data.error || `could not be read (status ${response.status})`, ![413, 415].includes(response.status));
+    return;
+  }
+
+  f.jobId = data.job.id;
+  applyJob(f, data.job);
+}
+
+function applyJob(f, job) {
+  if (job.status === "ready") markReady(f, job.result, true);
+  else if (job.status === "failed") markFailed(f, job.error, job.retryable);
+  else {
+    f.status = job.status;
+    schedulePoll();
+    renderFileList();
+  }
+}
+
+// Both ignore files removed from the cart while they were being read.
+function markReady(f, analysis, fromServer) {
+  if (!uploadedFiles.includes(f)) return;
+  const pageCount = analysis.images
+    ? composedPageCount(analysis.images.length, DEFAULT_IMAGE_OPTIONS.perSheet)
+    : analysis.pages;
+  Object.assign(f, {
+    status: "ready",
+    pages: pageCount,
+    analysis: fromServer ? analysis : null,
+    imageOptions: analysis.images ? { ...DEFAULT_IMAGE_OPTIONS } : null,
+    selection: parsePageRange(f.pageRange, pageCount)
+  });
+  console.log(`✅ ${f.name}: ${pageCount} pages${analysis.cached ? " (cached)" : ""}`);
+
+  renderFileList();
+  updateCostCalculation();
+  if (currentPrintType === "auto") analyzeFileColor(f);
+}
+
+function markFailed(f, error, retryable) {
+  if (!uploadedFiles.includes(f)) return;
+  Object.assign(f, { status: "failed", error, retryable });
+  renderFileList();
+  updateCostCalculation();
+}
+
+function schedulePoll() {
+  if (!pollTimer) pollTimer = setTimeout(pollJobs, JOB_POLL_MS);
+}
+
+// One request for every file still waiting. A failed poll is tried again
+// on the next tick; a job the server no longer knows (e.g. after a
+// restart) is shown as failed so it can be retried.
+async function pollJobs() {
+  pollTimer = null;
+  const waiting = uploadedFiles
+    .filter(f => f.jobId && (f.status === "queued" || f.status === "converting"))
+    .slice(0, MAX_POLL_IDS);
+  if (waiting.length === 0) return;
 
   try {
-    if (file.type === "application/pdf" || file.name.toLowerCase().endsWith(".pdf")) {
-      const buf = await file.arrayBuffer();
-      const pdf = await pdfjsLib.getDocument({ data: buf }).promise;
-      pageCount = pdf.numPages || 1;
-    } 
-    else if (file.type.startsWith("image/")) {
-      pageCount = 1;
-    } 
-    else if (file.name.toLowerCase().endsWith(".doc") || file.name.toLowerCase().endsWith(".docx")) {
-      console.log("📝 Converting DOCX to PDF...");
-      const formData = new FormData();
-      formData.append("file", file);
+    const ids = waiting.map(f => f.jobId).join(",");
+    const response = await fetch(`${BACKEND_URL}/analyze/jobs?ids=${encodeURIComponent(ids)}`);
+    if (!response.ok) throw new Error(`Status ${response.status}`);
+
+    const { jobs, missing } = await response.json();
+    // Match on the job id again: a file may have been retried or removed meanwhile.
+    jobs.forEach(job => {
+      const f = uploadedFiles.find(entry => entry.jobId === job.id);
+      if (f) applyJob(f, job);
+    });
+    missing.forEach(id => {
+      const f = uploadedFiles.find(entry => entry.jobId === id);
+      if (f) markFailed(f, "the server lost track of this file", true);
+    });
+  } catch (err) {
+    console.error("❌ Job status check failed:", err.message);
+  }
+
+  if (uploadedFiles.some(f => f.jobId && (f.status === "queued" || f.status === "converting"))) schedulePoll();
+}
+
+window.retryFile = function (id) {
+  const f = uploadedFiles.find(entry => entry.id === id);
+  if (f && f.status === "failed") startAnalysis(f);
+};
+
+// ================== RESUMABLE UPLOADS ==================
+// Files go to the server in chunks while the student sets up the order, so
+// placing it only has to name them (see upload-sessions.js on the server).
+// A chunk that fails is sent again after a pause; a file that still fails
+// is shown with Retry, which resumes from the chunks that did arrive.
+const UPLOAD_RETRY_DELAYS_MS = [1000, 3000, 8000, 15000];
+// Files uploading at once; the others wait their turn.
+const PARALLEL_UPLOADS = 2;
+// Statuses worth another try: timeouts, a busy or restarting server, and a
+// chunk that arrived damaged.
+const RETRY_STATUSES = [408, 422, 429, 500, 502, 503, 504];
+
+class UploadRequestError extends Error {
+  constructor(message, status, data = {}) {
+    super(message);
+    this.name = "UploadRequestError";
+    this.status = status;
+    this.data = data;
+  }
+}
+
+async function uploadRequest(path, options = {}) {
+  const response = await fetch(`${BACKEND_URL}${path}`, {
+    ...options,
+    headers: { Authorization: `Bearer ${studentSession.token}`, ...options.headers }
+  });
+  const data = response.status === 204 ? {} : await response.json().catch(() => ({}));
+  if (response.status === 401) {
+    signOutStudent();
+    throw new UploadRequestError("your sign-in has expired, please sign in again", 401);
+  }
+  if (!response.ok) throw new UploadRequestError(data.error || `status ${response.status}`, response.status, data);
+  return data;
+}
+
+// fetch throws a TypeError when the connection drops.
+function isRetryable(err) {
+  return !(err instanceof UploadRequestError) || RETRY_STATUSES.includes(err.status);
+}
+
+// The file is still in the cart and has not been restarted meanwhile.
+function isCurrentUpload(f, upload) {
+  return uploadedFiles.includes(f) && f.upload === upload;
+}
+
+async function withRetries(f, upload, task) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await task();
+      if (upload.retrying) {
+        upload.retrying = false;
+        renderUploadStatus(f);
+      }
+      return result;
+    } catch (err) {
+      if (!isRetryable(err) || attempt >= UPLOAD_RETRY_DELAYS_MS.length || !isCurrentUpload(f, upload)) throw err;
+      console.warn(`⚠️ ${f.name}: ${err.message}, trying again`);
+      upload.retrying = true;
+      renderUploadStatus(f);
+      await new Promise(resolve => setTimeout(resolve, UPLOAD_RETRY_DELAYS_MS[attempt]));
+    }
+  }
+}
 
+async function sha256Hex(bytes) {
+  // crypto.subtle only exists on https pages (and localhost).
+  if (!window.crypto?.subtle) return null;
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// The server's record of this file's upload: the existing one when
+// resuming, or a new one if it is unknown (e.g. expired).
+async function openUploadSession(f, upload) {
+  if (upload.id) {
+    try {
+      return (await withRetries(f, upload, () => uploadRequest(`/uploads/${upload.id}`))).upload;
+    } catch (err) {
+      if (err.status !== 404) throw err;
+    }
+  }
+  const data = await withRetries(f, upload, () => uploadRequest("/uploads", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ filename: f.name, size: f.size, mimetype: f.file.type })
+  }));
+  return data.upload;
+}
+
+async function sendChunks(f, upload, session, received) {
+  for (let index = 0; index < session.total_chunks; index++) {
+    if (received.has(index)) continue;
+    if (!isCurrentUpload(f, upload)) return false;
+
+    const bytes = await f.file.slice(index * session.chunk_size, (index + 1) * session.chunk_size).arrayBuffer();
+    const digest = await sha256Hex(bytes);
+    await withRetries(f, upload, () => uploadRequest(`/uploads/${session.id}/chunks/${index}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/octet-stream", ...(digest && { "X-Chunk-SHA256": digest }) },
+      body: bytes
+    }));
+    received.add(index);
+    upload.sent = received.size;
+    renderUploadStatus(f);
+  }
+  return true;
+}
+
+async function uploadFile(f) {
+  const upload = f.upload;
+  Object.assign(upload, { state: "uploading", retrying: false, error: null });
+  renderUploadStatus(f);
+
+  try {
+    const session = await openUploadSession(f, upload);
+    const received = new Set(session.received);
+    Object.assign(upload, { id: session.id, sent: received.size, total: session.total_chunks });
+    renderUploadStatus(f);
+
+    if (session.status !== "stored") {
+      if (!await sendChunks(f, upload, session, received)) return;
       try {
-        const response = await fetch(`${BACKEND_URL}/convert-docx`, {
-          method: "POST",
-          body: formData
-        });
-
-        if (!response.ok) {
-          throw new Error(`Status ${response.status}`);
-        }
-
-        const data = await response.json();
-        pageCount = data.pages || 1;
-        console.log(`✅ DOCX converted: ${pageCount} pages`);
+        await withRetries(f, upload, () => uploadRequest(`/uploads/${session.id}/complete`, { method: "POST" }));
       } catch (err) {
-        console.error("❌ Conversion failed:", err.message);
-        pageCount = 1;
+        // Chunks the server lost in the meantime: send those once more.
+        if (err.status !== 409 || !err.data.missing) throw err;
+        err.data.missing.forEach(index => received.delete(index));
+        if (!await sendChunks(f, upload, session, received)) return;
+        await withRetries(f, upload, () => uploadRequest(`/uploads/${session.id}/complete`, { method: "POST" }));
       }
     }
+
+    if (!isCurrentUpload(f, upload)) return;
+    upload.state = "stored";
+    console.log(`☁️ ${f.name} uploaded`);
+    refreshPreviews();
+  } catch (err) {
+    if (!isCurrentUpload(f, upload)) return;
+    console.error(`❌ Upload of ${f.name} failed:`, err.message);
+    Object.assign(upload, { state: "failed", retrying: false, error: err.message });
+  } finally {
+    pumpUploads();
+  }
+  renderFileList();
+  updatePayButtonState();
+}
+
+// Starts waiting uploads while fewer than PARALLEL_UPLOADS are running.
+// Uploads need the student's sign-in, so they wait for it.
+function pumpUploads() {
+  if (!studentSession) return;
+  let running = uploadedFiles.filter(f => f.upload.state === "uploading").length;
+  for (const f of uploadedFiles) {
+    if (running >= PARALLEL_UPLOADS) break;
+    if (f.upload.state !== "waiting") continue;
+    running++;
+    uploadFile(f);
+  }
+}
+
+function uploadsPending() {
+  return uploadedFiles.some(f => f.upload.state === "waiting" || f.upload.state === "uploading");
+}
+
+function waitForUploads() {
+  return new Promise(resolve => {
+    const check = () => (uploadsPending() ? setTimeout(check, 250) : resolve());
+    check();
+  });
+}
+
+// Percent of all files' chunks that have arrived, for the pay button.
+function uploadProgress() {
+  const total = uploadedFiles.reduce((sum, f) => sum + Math.max(f.upload.total, 1), 0);
+  const sent = uploadedFiles.reduce((sum, f) => sum + (f.upload.state === "stored" ? Math.max(f.upload.total, 1) : f.upload.sent), 0);
+  return total ? Math.floor((sent / total) * 100) : 100;
+}
+
+// Keeps the chunks that already arrived; a new server-side upload is only
+// started if the old one is gone.
+function retryUpload(id) {
+  const f = uploadedFiles.find(entry => entry.id === id);
+  if (!f || f.upload.state !== "failed") return;
+  f.upload = { ...f.upload, state: "waiting", retrying: false, error: null };
+  renderFileList();
+  updatePayButtonState();
+  pumpUploads();
+}
+window.retryUpload = retryUpload;
+
+// Drops the server's copy of a file taken out of the cart.
+function discardUpload(f) {
+  if (!f.upload.id || !studentSession) return;
+  uploadRequest(`/uploads/${f.upload.id}`, { method: "DELETE" })
+    .catch(err => console.warn(`⚠️ Could not remove the upload of ${f.name}:`, err.message));
+}
+
+// Page count of a PDF read with pdf.js, or null for other files or when
+// the PDF cannot be opened.
+async function countPdfPagesLocally(file) {
+  if (file.type !== "application/pdf" && !file.name.toLowerCase().endsWith(".pdf")) return null;
+  try {
+    const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+    return pdf.numPages;
   } catch (err) {
     console.error("❌ File processing error:", err);
-    pageCount = 1;
+    return null;
   }
+}
 
-  uploadedFiles.push({ file, name: file.name, size: file.size, pages: pageCount });
+// ================== COLOR DETECTION ==================
+// Asks the server which pages carry color, for "auto" color pricing.
+async function analyzeFileColor(f) {
+  if (f.status !== "ready" || f.colorStatus === "pending" || f.colorStatus === "done") return;
+  f.colorStatus = "pending";
+  renderFileList();
+  updateCostCalculation();
+
+  try {
+    const formData = new FormData();
+    formData.append("file", f.file);
+    const response = await fetch(`${BACKEND_URL}/analyze-color`, {
+      method: "POST",
+      body: formData
+    });
+    if (!response.ok) throw new Error(`Status ${response.status}`);
+
+    const data = await response.json();
+    f.colorPages = data.color_pages;
+    f.colorStatus = "done";
+    console.log(`🎨 ${f.name}: color on pages ${f.colorPages.join(", ") || "none"}`);
+  } catch (err) {
+    console.error("❌ Color analysis failed:", err.message);
+    f.colorStatus = "failed";
+  }
+
+  renderFileList();
+  updateCostCalculation();
+}
+
+// For images the server reports color per image; map it onto the laid-out pages.
+function fileColorPages(f) {
+  if (!f.imageOptions) return f.colorPages;
+  return composedColorPages(f.analysis.images.length, f.imageOptions.perSheet, f.colorPages);
+}
+
+function colorSummary(f) {
+  if (currentPrintType !== "auto" || !f.colorStatus) return "";
+  if (f.colorStatus === "pending") return "🎨 checking for color…";
+  if (f.colorStatus === "failed") return "🎨 color check failed, priced as color";
+  const colorPages = fileColorPages(f);
+  if (colorPages.length === 0) return "🎨 no color pages";
+  return `🎨 color on page${colorPages.length > 1 ? 's' : ''} ${colorPages.join(", ")}`;
 }
 
+// ================== PAGE RANGE & COPIES ==================
+// Sides and sheets one file takes in the current layout: the selected range
+// times the number of copies. Files with an invalid range count as 0.
+// Until a file's color map is known, every side is assumed to be color.
+// Files still being read count as 0 until they are ready.
+function fileSheets(f) {
+  if (f.status !== "ready" || f.optionError) return { sides: 0, sheets: 0, color_sides: 0 };
+  const counts = countSheets({
+    pages: f.selection.length,
+    copies: f.copies,
+    nup: currentLayout.nup,
+    duplex: currentLayout.duplex
+  });
+  const colorSides = f.colorStatus === "done"
+    ? countColorSides({ pages: f.selection, colorPages: fileColorPages(f), copies: f.copies, nup: currentLayout.nup })
+    : counts.sides;
+  return { ...counts, color_sides: colorSides };
+}
+
+window.updateFileOption = function (id, field, value) {
+  const f = uploadedFiles.find(entry => entry.id === id);
+  if (!f) return;
+
+  if (field === "pageRange") f.pageRange = value.trim();
+  if (field === "copies") f.copies = Number(value);
+  if (field === "fit") f.imageOptions.fit = value;
+  if (field === "perSheet") f.imageOptions.perSheet = Number(value);
+  if (field === "autoRotate") f.imageOptions.autoRotate = value;
+  if (f.imageOptions) f.pages = composedPageCount(f.analysis.images.length, f.imageOptions.perSheet);
+
+  try {
+    f.selection = parsePageRange(f.pageRange, f.pages);
+    validateCopies(f.copies);
+    f.optionError = null;
+  } catch (err) {
+    f.optionError = err.message;
+  }
+
+  renderFileList();
+  updateCostCalculation();
+};
+
 // ================== UI RENDER ==================
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, ch => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+  })[ch]);
+}
+
+const IMAGE_FIT_LABELS = { fit: "Fit to page", fill: "Fill & crop", actual: "Actual size" };
+
+// Layout controls for photos and scans: how each image fills its cell, how
+// many go on a sheet and whether they may turn to match the paper.
+function imageOptionsHtml(f) {
+  if (!f.imageOptions) return "";
+  const { fit, perSheet, autoRotate } = f.imageOptions;
+  return `
+    <li class="file-options image-options">
+      <label>Image
+        <select onchange="updateFileOption(${f.id}, 'fit', this.value)">
+          ${IMAGE_FITS.map(option => `<option value="${option}"${option === fit ? ' selected' : ''}>${IMAGE_FIT_LABELS[option]}</option>`).join("")}
+        </select>
+      </label>
+      <label>Per sheet
+        <select onchange="updateFileOption(${f.id}, 'perSheet', this.value)">
+          ${PHOTOS_PER_SHEET.map(count => `<option value="${count}"${count === perSheet ? ' selected' : ''}>${count}</option>`).join("")}
+        </select>
+      </label>
+      <label>
+        <input type="checkbox"${autoRotate ? ' checked' : ''} onchange="updateFileOption(${f.id}, 'autoRotate', this.checked)" />
+        Auto-rotate
+      </label>
+    </li>`;
+}
+
+// ================== PREFLIGHT ==================
+// What may print wrong with the file in the current options (see
+// preflight.js). Files counted in the browser without the server were not
+// checked.
+function fileIssues(f) {
+  if (f.status !== "ready" || !f.analysis || f.optionError) return [];
+  return preflightIssues({
+    kind: f.analysis.kind,
+    pageSizes: f.analysis.page_sizes,
+    encrypted: f.analysis.encrypted,
+    images: f.analysis.images,
+    report: f.analysis.preflight
+  }, {
+    selection: f.selection,
+    paperSize: currentPaperSize,
+    nup: currentLayout.nup,
+    imageOptions: f.imageOptions,
+    scaleToFit: f.scaleToFit
+  });
+}
+
+// Errors stop the order until a fix is picked or the file is removed.
+// Paper sizes the chosen station does not stock are not offered.
+function preflightHtml(f) {
+  const station = currentStation();
+  return fileIssues(f).map(issue => `
+      <li class="file-preflight ${issue.level}">
+        <span>${issue.level === "error" ? "❌" : "⚠️"} ${escapeHtml(f.name)}: ${escapeHtml(issue.message)}</span>
+        ${issue.fixes
+          .filter(fix => fix.action !== "paper" || !station || station.paper_sizes.includes(fix.value))
+          .map(fix => `<button class="preflight-fix" onclick="applyPreflightFix(${f.id}, '${fix.action}', '${fix.value || ""}')">${escapeHtml(fix.label)}</button>`)
+          .join("")}
+      </li>`).join("");
+}
+
+window.applyPreflightFix = function (id, action, value) {
+  const f = uploadedFiles.find(entry => entry.id === id);
+  if (!f) return;
+
+  if (action === "skip_blank") return window.updateFileOption(id, "pageRange", skipBlankPages(f.selection, f.analysis.preflight));
+  if (action === "paper") return setPaperSize(value);
+  if (action === "scale_to_fit") f.scaleToFit = true;
+  renderFileList();
+  updateCostCalculation();
+};
+
+const FILE_STATUS_LABELS = { queued: "⏳ waiting to be read…", converting: "🔄 reading…" };
+
+// The file's upload: waiting, a progress bar, stored, or failed with Retry.
+function uploadStatusHtml(f) {
+  const { state, sent, total, retrying, error } = f.upload;
+  if (state === "stored") return `<span class="upload-note">☁️ Uploaded</span>`;
+  if (state === "failed") {
+    return `
+      <span class="upload-note failed">❌ Upload failed: ${escapeHtml(error)}</span>
+      <button class="file-retry" onclick="retryUpload(${f.id})">↻ Retry upload</button>`;
+  }
+  if (state === "waiting") {
+    return `<span class="upload-note">${studentSession ? "⏳ Waiting to upload…" : "⏸️ Uploads once you sign in"}</span>`;
+  }
+  const percent = total ? Math.floor((sent / total) * 100) : 0;
+  return `
+      <span class="upload-progress"><span class="upload-progress-bar" style="width:${percent}%"></span></span>
+      <span class="upload-note">${retrying ? "📶 Connection trouble, retrying…" : `⬆️ Uploading ${percent}%`}</span>`;
+}
+
+function uploadStatusRow(f) {
+  return `<li class="file-upload-status" data-upload-file="${f.id}">${uploadStatusHtml(f)}</li>`;
+}
+
+// Updates one file's progress without redrawing the list, so typing in a
+// page range is not interrupted by every chunk.
+function renderUploadStatus(f) {
+  const row = document.querySelector(`[data-upload-file="${f.id}"]`);
+  if (row) row.innerHTML = uploadStatusHtml(f);
+  if (waitingForUploads) updatePayButtonState("uploading");
+}
+
+// A file that is still being read, or that failed with a retry button.
+function pendingFileHtml(f) {
+  const status = f.status === "failed"
+    ? `<span class="file-status failed">❌ ${escapeHtml(f.error)}</span>`
+    : `<span class="file-status">${FILE_STATUS_LABELS[f.status]}</span>`;
+  return `
+      <li class="file-pending">
+        <span>📄 ${escapeHtml(f.name)} ${status}</span>
+        <span>
+          ${f.status === "failed" && f.retryable ? `<button class="file-retry" onclick="retryFile(${f.id})">↻ Retry</button>` : ""}
+          <button style="background:#ef4444; color:white; border:none; padding:2px 6px; border-radius:4px; cursor:pointer;"
+                  onclick="removeFile('${f.name}', ${f.size})">✕</button>
+        </span>
+      </li>
+      ${uploadStatusRow(f)}`;
+}
+
 function renderFileList() {
   const listEl = document.getElementById("fileList");
   if (!listEl) return;
 
+  const rejectedHtml = rejectedFiles
+    .map(r => `<li class="file-option-error">❌ ${escapeHtml(r.name)}: ${escapeHtml(r.error)}</li>`).join("");
+
   if (uploadedFiles.length === 0) {
-    listEl.innerHTML = `<li style="color:#6b7280;">No file uploaded yet</li>`;
+    listEl.innerHTML = rejectedHtml || `<li style="color:#6b7280;">No file uploaded yet</li>`;
     return;
   }
 
-  listEl.innerHTML = uploadedFiles.map(f => {
-    const fileUrl = URL.createObjectURL(f.file);
+  listEl.innerHTML = rejectedHtml + uploadedFiles.map(f => {
+    if (f.status !== "ready") return pendingFileHtml(f);
     return `
       <li style="margin-bottom:8px; display:flex; justify-content:space-between; align-items:center;">
-        <span class="file-name" data-url="${fileUrl}">
+        <span class="file-name" data-file-id="${f.id}">
           📄 ${f.name}
           <span style="color:#6b7280; font-size:12px;">(${f.pages} page${f.pages > 1 ? 's' : ''})</span>
         </span>
+        <span class="file-options">
+          <label>Pages
+            <input type="text" value="${f.pageRange}" placeholder="All (e.g. 1-3,7)"
+                   onchange="updateFileOption(${f.id}, 'pageRange', this.value)" />
+          </label>
+          <label>Copies
+            <input type="number" min="1" max="${MAX_COPIES}" value="${f.copies}"
+                   onchange="updateFileOption(${f.id}, 'copies', this.value)" />
+          </label>
+        </span>
         <button style="background:#ef4444; color:white; border:none; padding:2px 6px; border-radius:4px; cursor:pointer;"
                 onclick="removeFile('${f.name}', ${f.size})">✕</button>
-      </li>`;
+      </li>
+      ${uploadStatusRow(f)}
+      ${imageOptionsHtml(f)}
+      ${preflightHtml(f)}
+      ${f.optionError ? `<li class="file-option-error">⚠️ ${f.name}: ${f.optionError}</li>` : ""}
+      ${colorSummary(f) ? `<li class="file-color-note">${colorSummary(f)}</li>` : ""}`;
   }).join("");
+  schedulePreviews();
+}
+
+// ================== PAGE PREVIEW ==================
+// Thumbnails from the server of each side as it will print: converted,
+// fitted to the paper and in gray for B&W. They are fetched again whenever
+// an option that changes the printout changes.
+const PREVIEW_DELAY_MS = 300;
+let previewTimer = null;
+
+function previewQuery(f) {
+  const params = new URLSearchParams({
+    papersize: currentPaperSize,
+    color: currentPrintType,
+    nup: currentLayout.nup,
+    orientation: currentLayout.orientation,
+    pages: f.optionError ? "" : f.pageRange
+  });
+  if (f.imageOptions) {
+    params.set("image_fit", f.imageOptions.fit);
+    params.set("photos_per_sheet", f.imageOptions.perSheet);
+    params.set("auto_rotate", f.imageOptions.autoRotate);
+  }
+  return params.toString();
+}
+
+// Waits for typing and quick option flips to settle before fetching.
+function schedulePreviews() {
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(refreshPreviews, PREVIEW_DELAY_MS);
+}
+
+// The server only previews a file the student has uploaded.
+function refreshPreviews() {
+  uploadedFiles
+    .filter(f => f.status === "ready" && f.analysis?.hash && f.upload.state === "stored" && studentSession)
+    .forEach(f => {
+      const query = previewQuery(f);
+      if (f.preview?.query !== query) loadPreview(f, query);
+    });
+  renderPreviews();
+}
+
+async function loadPreview(f, query) {
+  f.preview = { query, status: "loading" };
+  try {
+    const response = await fetch(`${BACKEND_URL}/analyze/${f.analysis.hash}/preview?${query}`, {
+      headers: { Authorization: `Bearer ${studentSession.token}` }
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Status ${response.status}`);
+    // A newer request replaced this one while it was loading.
+    if (f.preview?.query !== query) return;
+    f.preview = { query, status: "ready", ...data };
+  } catch (err) {
+    if (f.preview?.query !== query) return;
+    console.error(`❌ Preview of ${f.name} failed:`, err.message);
+    f.preview = { query, status: "failed", error: err.message };
+  }
+  renderPreviews();
+}
+
+function previewHtml(f) {
+  const preview = f.preview;
+  if (!f.analysis) return `<div class="preview-note">Preview unavailable while the server is unreachable.</div>`;
+  if (f.upload.state !== "stored") return `<div class="preview-note">⏳ The preview appears once the file is uploaded.</div>`;
+  if (!preview || preview.status === "loading") return `<div class="preview-note">⏳ Loading preview…</div>`;
+  if (preview.status === "failed") return `<div class="preview-note failed">❌ ${escapeHtml(preview.error)}</div>`;
+
+  const more = preview.total_sides - preview.sides.length;
+  return `
+    <div class="preview-strip">
+      ${preview.sides.map(side => `
+        <figure>
+          <img src="${side.image}" width="${side.width}" height="${side.height}" alt="${escapeHtml(f.name)}, side ${side.side}" />
+          <figcaption>${side.side}</figcaption>
+        </figure>`).join("")}
+      ${more > 0 ? `<div class="preview-more">+${more} more side${more > 1 ? 's' : ''}</div>` : ""}
+    </div>`;
+}
+
+function renderPreviews() {
+  const listEl = document.getElementById("fileListPreview");
+  if (!listEl) return;
+
+  listEl.innerHTML = uploadedFiles
+    .filter(f => f.status === "ready")
+    .map(f => `
+      <li class="preview-file" id="preview-${f.id}">
+        <div class="preview-title">📄 ${escapeHtml(f.name)}</div>
+        ${previewHtml(f)}
+      </li>`).join("");
 }
 
 window.removeFile = function(name, size) {
+  uploadedFiles
+    .filter(f => f.name === name && f.size === size)
+    .forEach(discardUpload);
   uploadedFiles = uploadedFiles.filter(f => !(f.name === name && f.size === size));
+  pumpUploads();
   renderFileList();
   updateCostCalculation();
 };
 
 // ================== COST ==================
+// Same calculation the server runs on the order (see priceTable.js).
 function updateCostCalculation() {
-  const totalPages = uploadedFiles.reduce((sum, f) => sum + f.pages, 0);
+  const totalPages = uploadedFiles.reduce((sum, f) => sum + fileSheets(f).sides, 0);
+  const totalSheets = uploadedFiles.reduce((sum, f) => sum + fileSheets(f).sheets, 0);
   document.getElementById('pageCount').textContent = `${totalPages} pages`;
-  document.getElementById('pricePerPage').textContent = `₱${currentPricePerPage.toFixed(2)}`;
-  currentTotal = totalPages * currentPricePerPage;
-  document.getElementById('totalCost').textContent = `₱${currentTotal.toFixed(2)}`;
+  document.getElementById('sheetCount').textContent = `${totalSheets} sheet${totalSheets === 1 ? '' : 's'}`;
+
+  currentQuote = null;
+  if (pricingTable) {
+    try {
+      currentQuote = quoteOrder(pricingTable, {
+        color: currentPrintType,
+        papersize: currentPaperSize,
+        duplex: currentLayout.duplex,
+        items: uploadedFiles.map(fileSheets),
+        rush: currentRush,
+        voucher: appliedVoucher()
+      });
+    } catch (err) {
+      console.error("❌ Pricing error:", err.message);
+    }
+  }
+
+  const discountRow = document.getElementById('discountRow');
+  discountRow.style.display = currentQuote?.discount ? 'flex' : 'none';
+  if (currentQuote?.discount) {
+    document.getElementById('discountLabel').textContent = `Bulk discount (${currentQuote.discount_percent}%):`;
+    document.getElementById('discountAmount').textContent = `−₱${currentQuote.discount.toFixed(2)}`;
+  }
+  const rushRow = document.getElementById('rushRow');
+  rushRow.style.display = currentQuote?.rush_surcharge ? 'flex' : 'none';
+  if (currentQuote?.rush_surcharge) {
+    document.getElementById('rushAmount').textContent = `+₱${currentQuote.rush_surcharge.toFixed(2)}`;
+  }
+  const voucherRow = document.getElementById('voucherRow');
+  voucherRow.style.display = currentQuote?.voucher_discount ? 'flex' : 'none';
+  if (currentQuote?.voucher_discount) {
+    document.getElementById('voucherLabel').textContent = `Voucher ${currentVoucher.code}:`;
+    document.getElementById('voucherAmount').textContent = `−₱${currentQuote.voucher_discount.toFixed(2)}`;
+  }
+  document.getElementById('minimumNote').style.display = currentQuote?.minimum_applied ? 'block' : 'none';
+  renderColorBreakdown();
+
+  document.getElementById('pricePerPage').textContent = !currentQuote ? '—'
+    : currentQuote.rate === null ? 'mixed' : `₱${currentQuote.rate.toFixed(2)}`;
+  currentTotal = currentQuote ? currentQuote.total : 0;
+  document.getElementById('totalCost').textContent = currentQuote ? `₱${currentTotal.toFixed(2)}` : '—';
+  renderVoucher();
+  renderCreditOption();
+  // Ready times depend on how many sheets the cart takes.
+  if (stationConfig) renderStations();
+  renderPickupOptions();
+  renderReadyEstimate();
   updatePayButtonState();
 }
 
+// ================== VOUCHERS & PRINT CREDIT ==================
+// The entered voucher, if it is valid for the chosen station and print
+// type. The server checks it again, with its expiry and limits, when the
+// order is placed.
+function appliedVoucher() {
+  return currentVoucher && voucherApplies(currentVoucher, { stationId: currentStationId, color: currentPrintType })
+    ? currentVoucher : null;
+}
+
+function voucherText(voucher) {
+  const off = voucher.kind === "percent" ? `${Number(voucher.value)}% off` : `₱${Number(voucher.value).toFixed(2)} off`;
+  return voucher.description ? `${voucher.description}: ${off}` : off;
+}
+
+function renderVoucher() {
+  const messageEl = document.getElementById('voucherMessage');
+  document.getElementById('voucherCode').readOnly = Boolean(currentVoucher);
+  document.getElementById('voucherButton').textContent = currentVoucher ? 'Remove' : 'Apply';
+  if (!currentVoucher) messageEl.textContent = voucherError ? `❌ ${voucherError}` : '';
+  else if (!appliedVoucher()) messageEl.textContent = `⚠️ Voucher ${currentVoucher.code} is not valid for this station or print type`;
+  else messageEl.textContent = `🎟️ ${voucherText(currentVoucher)}`;
+}
+
+// Credit pays the whole order or none of it.
+function payingWithCredit() {
+  return currentUseCredit && creditBalance !== null && currentTotal > 0 && creditBalance + 0.005 >= currentTotal;
+}
+
+function renderCreditOption() {
+  const option = document.getElementById('creditOption');
+  const enough = creditBalance !== null && creditBalance + 0.005 >= currentTotal;
+  option.style.display = creditBalance > 0 ? '' : 'none';
+  option.classList.toggle('disabled', !enough);
+  document.getElementById('creditCheckbox').disabled = !enough;
+  document.getElementById('creditCheckbox').checked = payingWithCredit();
+  document.getElementById('creditBalance').textContent = creditBalance === null ? ''
+    : `(₱${creditBalance.toFixed(2)}${enough ? '' : ', not enough for this order'})`;
+}
+
+window.setUseCredit = function (checked) {
+  currentUseCredit = checked;
+  renderCreditOption();
+};
+
+async function loadCredit() {
+  if (!studentSession) {
+    creditBalance = null;
+    return updateCostCalculation();
+  }
+  try {
+    const response = await fetch(`${BACKEND_URL}/account/credit`, {
+      headers: { Authorization: `Bearer ${studentSession.token}` }
+    });
+    if (!response.ok) throw new Error(`Status ${response.status}`);
+    creditBalance = (await response.json()).balance;
+  } catch (err) {
+    console.error("❌ Could not load print credit:", err.message);
+    creditBalance = null;
+  }
+  updateCostCalculation();
+}
+
+// Checks the code for the current station and print type; "Remove" takes
+// an applied voucher off again.
+document.getElementById("voucherForm").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const input = document.getElementById("voucherCode");
+  voucherError = "";
+  if (currentVoucher || !input.value.trim()) {
+    currentVoucher = null;
+    input.value = "";
+    return updateCostCalculation();
+  }
+
+  try {
+    if (!studentSession) throw new Error("Sign in to use a voucher.");
+    const params = new URLSearchParams({ color: currentPrintType });
+    if (currentStationId) params.set("station_id", currentStationId);
+    const response = await fetch(`${BACKEND_URL}/vouchers/${encodeURIComponent(input.value.trim())}?${params}`, {
+      headers: { Authorization: `Bearer ${studentSession.token}` }
+    });
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+      signOutStudent();
+      throw new Error("Your sign-in has expired. Please sign in again.");
+    }
+    if (!response.ok) throw new Error(data.error || `Status ${response.status}`);
+    currentVoucher = data.voucher;
+    input.value = currentVoucher.code;
+    console.log(`🎟️ Voucher ${currentVoucher.code} applied`);
+  } catch (err) {
+    console.error("❌ Voucher error:", err.message);
+    voucherError = err.message;
+  }
+  updateCostCalculation();
+});
+
+// In auto mode, how many sides are charged at each rate, file by file.
+function renderColorBreakdown() {
+  const el = document.getElementById('colorBreakdown');
+  if (currentPrintType !== "auto" || !currentQuote || uploadedFiles.length === 0) {
+    el.style.display = 'none';
+    return;
+  }
+
+  el.style.display = 'block';
+  el.innerHTML = `
+    <div class="cost-row">
+      <span>B&amp;W pages: ${currentQuote.bw_sides} × ₱${currentQuote.bw_rate.toFixed(2)}</span>
+      <span>₱${(currentQuote.bw_sides * currentQuote.bw_rate).toFixed(2)}</span>
+    </div>
+    <div class="cost-row">
+      <span>Color pages: ${currentQuote.color_sides} × ₱${currentQuote.color_rate.toFixed(2)}</span>
+      <span>₱${(currentQuote.color_sides * currentQuote.color_rate).toFixed(2)}</span>
+    </div>
+    ${uploadedFiles.map((f, i) => `
+      <div class="color-breakdown-file">
+        ${f.name}: ${currentQuote.items[i].color_sides} color / ${currentQuote.items[i].bw_sides} B&amp;W
+      </div>`).join("")}`;
+}
+
+// ================== PICKUP STATIONS ==================
+// Queues change as other orders are paid and printed.
+const STATION_REFRESH_MS = 60 * 1000;
+
+function currentStation() {
+  return stationConfig?.stations.find(s => s.id === currentStationId) || null;
+}
+
+async function loadStations() {
+  try {
+    const response = await fetch(`${BACKEND_URL}/stations`);
+    if (!response.ok) throw new Error(`Status ${response.status}`);
+    stationConfig = await response.json();
+  } catch (err) {
+    console.error("❌ Could not load stations:", err.message);
+    stationConfig = null;
+  }
+  applyStationLimits();
+  renderStations();
+  updateCostCalculation();
+}
+
+// Times are shown on the station's clock, which is the campus clock.
+function formatStationTime(date) {
+  const sameDay = stationClock(stationConfig.timezone, date).day === stationClock(stationConfig.timezone).day
+    && date - Date.now() < 24 * 60 * 60 * 1000;
+  const time = date.toLocaleTimeString([], { timeZone: stationConfig.timezone, hour: "numeric", minute: "2-digit" });
+  if (sameDay) return `today ${time}`;
+  return `${date.toLocaleDateString([], { timeZone: stationConfig.timezone, weekday: "short" })} ${time}`;
+}
+
+// When the current cart would be ready if placed now, behind the orders
+// already waiting at the station (only the rush ones for a rush order).
+function readyEstimate(station, rush = false) {
+  const sheets = uploadedFiles.reduce((sum, f) => sum + fileSheets(f).sheets, 0);
+  return estimateReadyAt(station, stationConfig.timezone, { queue: rush ? station.rush_queue : station.queue, sheets });
+}
+
+function stationHoursText(station) {
+  const hours = station.hours[WEEKDAYS[stationClock(stationConfig.timezone).day]];
+  if (station.open_now) return `Open now, ${hours}`;
+  return hours ? `Closed now, open today ${hours}` : "Closed today";
+}
+
+function renderStations() {
+  const container = document.querySelector('#stationOptions .station-buttons');
+  if (!stationConfig) {
+    container.innerHTML = `<div class="payment-note">Pickup stations are unavailable right now.</div>`;
+    return;
+  }
+
+  container.innerHTML = stationConfig.stations.map(station => {
+    const ready = readyEstimate(station);
+    const waiting = station.queue.orders;
+    return `
+      <button class="option-button station-button${station.id === currentStationId ? ' selected' : ''}" onclick="selectStation('${station.id}')">
+        <strong>${escapeHtml(station.name)}</strong>
+        <span class="station-detail">${escapeHtml(station.location)}</span>
+        <span class="station-detail${station.open_now ? '' : ' closed'}">${escapeHtml(stationHoursText(station))}</span>
+        <span class="station-detail">${station.paper_sizes.join(", ")} · ${station.color ? "color & B&amp;W" : "B&amp;W only"}</span>
+        <span class="station-detail">${waiting === 0 ? "No queue" : `${waiting} order${waiting === 1 ? "" : "s"} in queue`}
+          · ready ${ready ? formatStationTime(ready) : "—"}</span>
+      </button>`;
+  }).join("");
+}
+
+function renderReadyEstimate() {
+  const station = currentStation();
+  const ready = station && readyEstimate(station, currentRush);
+  document.getElementById('readyLabel').textContent = station ? `Ready at ${station.name}:` : "Estimated ready:";
+  document.getElementById('readyEstimate').textContent = !station ? "Choose a pickup station"
+    : currentPickupAt ? `pick up ${formatStationTime(new Date(currentPickupAt))}`
+    : ready ? `about ${formatStationTime(ready)}, once paid` : "No opening hours soon";
+}
+
+// The chosen station's pickup slots, grouped by day. Slots the cart cannot
+// be ready for, or that are full, are shown but cannot be picked; a chosen
+// slot that stops fitting (a bigger cart, a refresh) goes back to "as soon
+// as it is ready".
+function renderPickupOptions() {
+  const station = currentStation();
+  const rushOffered = Boolean(pricingTable?.rush);
+  if (!rushOffered) currentRush = false;
+  const slots = station?.slots || [];
+  document.getElementById('pickupOptions').style.display = station && (slots.length || rushOffered) ? '' : 'none';
+  if (!station) return;
+
+  const readyAt = readyEstimate(station, currentRush);
+  const days = new Map();
+  let chosenFits = false;
+  for (const slot of slots) {
+    const start = new Date(slot.start);
+    const reason = slotUnavailableReason(station, { start }, { readyAt, taken: slot.taken });
+    if (slot.start === currentPickupAt && !reason) chosenFits = true;
+    const day = start.toLocaleDateString([], { timeZone: stationConfig.timezone, weekday: "long", month: "short", day: "numeric" });
+    const time = (date) => date.toLocaleTimeString([], { timeZone: stationConfig.timezone, hour: "numeric", minute: "2-digit" });
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push(`<option value="${slot.start}"${reason ? " disabled" : ""}>${time(start)}–${time(new Date(slot.end))}${reason ? ` (${reason})` : ""}</option>`);
+  }
+  if (currentPickupAt && !chosenFits) currentPickupAt = null;
+
+  const select = document.getElementById('pickupSlot');
+  select.style.display = slots.length ? '' : 'none';
+  select.innerHTML = `<option value="">As soon as it is ready</option>`
+    + [...days].map(([day, options]) => `<optgroup label="${escapeHtml(day)}">${options.join("")}</optgroup>`).join("");
+  select.value = currentPickupAt || "";
+
+  document.getElementById('rushOption').style.display = rushOffered ? '' : 'none';
+  document.getElementById('rushCheckbox').checked = currentRush;
+  if (rushOffered) {
+    const { flat, percent } = pricingTable.rush;
+    document.getElementById('rushPrice').textContent = `(+₱${flat.toFixed(2)}${percent ? ` + ${percent}%` : ""}, printed first)`;
+  }
+}
+
+window.selectPickupSlot = function (value) {
+  currentPickupAt = value || null;
+  renderReadyEstimate();
+};
+
+window.setRush = function (checked) {
+  currentRush = checked;
+  updateCostCalculation();
+};
+
+// Paper sizes and print types the chosen station cannot do are disabled,
+// and a selection it cannot do moves to one it can.
+function applyStationLimits() {
+  const station = currentStation();
+  if (currentStationId && stationConfig && !station) {
+    currentStationId = null;
+    localStorage.removeItem("printq-station");
+  }
+
+  document.querySelectorAll('#paperSizeOptions .option-button').forEach(btn => {
+    btn.disabled = Boolean(station) && !station.paper_sizes.includes(btn.dataset.size);
+    btn.title = btn.disabled ? `Not stocked at ${station.name}` : "";
+  });
+  if (station && !station.paper_sizes.includes(currentPaperSize)) {
+    setPaperSize(station.paper_sizes[0]);
+  }
+  if (station && !station.colors.includes(currentPrintType)) {
+    currentPrintType = "bw";
+    renderFileList();
+  }
+  renderPrintTypeButtons();
+}
+
+window.selectStation = function (id) {
+  currentStationId = id;
+  currentPickupAt = null;
+  localStorage.setItem("printq-station", id);
+  applyStationLimits();
+  renderFileList();
+  updateCostCalculation();
+};
+
+// ================== PRICING ==================
+async function loadPricing() {
+  try {
+    const response = await fetch(`${BACKEND_URL}/pricing`);
+    if (!response.ok) throw new Error(`Status ${response.status}`);
+    pricingTable = await response.json();
+    console.log("💲 Price table loaded");
+  } catch (err) {
+    console.error("❌ Could not load prices:", err.message);
+    pricingTable = null;
+  }
+  renderPrintTypeButtons();
+  updateCostCalculation();
+}
+
+// Price buttons show the per-page rate for the current paper size and sides.
+function renderPrintTypeButtons() {
+  const container = document.querySelector('#printTypeOptions .print-type-buttons');
+  if (!pricingTable) {
+    container.innerHTML = `<div class="payment-note">Prices are unavailable right now.</div>`;
+    return;
+  }
+
+  const rate = (color) => rateFor(pricingTable, { color, papersize: currentPaperSize, duplex: currentLayout.duplex });
+  const station = currentStation();
+  container.innerHTML = Object.entries(pricingTable.colors).map(([type, label]) => {
+    const price = type === "auto"
+      ? `₱${rate("color")} color pages, ₱${rate("bw")} others`
+      : `₱${rate(type)}/page`;
+    const unavailable = station && !station.colors.includes(type);
+    return `
+      <button class="print-type-button${type === currentPrintType ? ' selected' : ''}" onclick="selectPrintType(this, '${type}')"
+        ${unavailable ? `disabled title="${escapeHtml(station.name)} prints black &amp; white only"` : ""}>
+        <div>${label}</div>
+        <div style="font-weight:600;margin-top:5px;">${price}</div>
+      </button>`;
+  }).join("");
+}
+
 // ================== BUTTON STATE ==================
 function updatePayButtonState(state = null) {
   const payButton = document.getElementById("payButton");
-  const totalPages = uploadedFiles.reduce((sum, f) => sum + f.pages, 0);
-
+  const totalPages = uploadedFiles.reduce((sum, f) => sum + fileSheets(f).sides, 0);
+  const hasOptionError = uploadedFiles.some(f => f.optionError);
+  const hasPreflightError = uploadedFiles.some(f => fileIssues(f).some(issue => issue.level === "error"));
+  const colorPending = currentPrintType === "auto" && uploadedFiles.some(f => f.colorStatus === "pending");
+  // Failed files and failed uploads must be retried or removed first.
+  const filesNotReady = uploadedFiles.some(f => f.status !== "ready" || f.upload.state === "failed");
+
+  if (!state && waitingForUploads) state = "uploading";
   if (!state) {
-    state = (uploadedFiles.length === 0 || totalPages === 0) ? "inactive" : "active";
+    state = (uploadedFiles.length === 0 || totalPages === 0 || hasOptionError || hasPreflightError || colorPending || filesNotReady
+      || !currentQuote || !studentSession || !currentStation()) ? "inactive" : "active";
   }
 
   payButton.classList.remove("active", "processing");
@@ -285,6 +1413,14 @@ function updatePayButtonState(state = null) {
       payButton.style.cursor = "wait";
       break;
 
+    case "uploading":
+      payButton.disabled = true;
+      payButton.textContent = `⬆️ Uploading files… ${uploadProgress()}%`;
+      payButton.style.backgroundColor = "#fbbf24";
+      payButton.style.color = "black";
+      payButton.style.cursor = "wait";
+      break;
+
     case "reset":
       uploadedFiles = [];
       currentTotal = 0;
@@ -381,60 +1517,99 @@ window.processPayment = async function () {
   payButton.style.backgroundColor = "#d1d5db";
 
   try {
-    const customerEmail = document.getElementById("customerEmail").value.trim();
-    if (!customerEmail) throw new Error("Please enter a Gmail address.");
+    if (!studentSession) throw new Error("Please sign in with your campus email first.");
+    if (!currentStation()) throw new Error("Please choose a pickup station.");
     if (uploadedFiles.length === 0) throw new Error("No files uploaded.");
 
+    // The order is only sent once every file is stored on the server.
+    waitingForUploads = true;
+    updatePayButtonState("uploading");
+    pumpUploads();
+    await waitForUploads();
+    waitingForUploads = false;
+    const failed = uploadedFiles.filter(f => f.upload.state !== "stored");
+    if (failed.length) {
+      throw new Error(`${failed.map(f => f.name).join(", ")} could not be uploaded. Retry or remove ${failed.length > 1 ? "them" : "it"}, then place the order again.`);
+    }
+    updatePayButtonState("processing");
+
     console.log("💳 Starting payment process...");
 
-    // Upload files and save orders
-    for (const f of uploadedFiles) {
-      const filePath = await uploadFileToSupabase(f.file);
-      if (!filePath) continue;
+    const order = await submitOrder({
+      files: uploadedFiles,
+      stationId: currentStationId,
+      pickupAt: currentPickupAt,
+      rush: currentRush,
+      paperSize: currentPaperSize,
+      printType: currentPrintType,
+      layout: currentLayout,
+      voucherCode: appliedVoucher()?.code ?? null,
+      useCredit: payingWithCredit(),
+      expectedTotal: currentTotal
+    });
 
-      const cost = f.pages * currentPricePerPage;
-      const orderData = {
-        filename: f.name,                                                                     
-        pagecount: f.pages,                                  
-        papersize: currentPaperSize,                         
-        color: currentPrintType === "bw" ? "Black & White" : "Colored", 
-        cost,                                                 
-        status: "pending",                                    
-        customer_email: customerEmail                         
-      };
-      // Save to Supabase
-      const order = await savePrintJob(orderData);
-      console.log("✅ Order inserted:", order);
-
-      // ✅ Trigger email function right after each insert
-      if (order) {
-        try {
-          //await fetch("https://ncpxwgbvvfqybqzckhrs.functions.supabase.co/order-email"
-            await fetch ("https://ncpxwgbvvfqybqzckhrs.supabase.co/functions/v1/order-email", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ record: order }),
-          });
-          console.log("📨 Edge Function triggered for:", order.customer_email);
-        } catch (err) {
-          console.error("❌ Edge Function trigger failed:", err);
-        }
-      }
+    // The server emails the confirmation itself once the order is saved.
+    showConfirmation(order);
+    if (order.status === "pending") {
+      document.getElementById("gcashOrderNumber").value = order.order_number;
+      document.getElementById("gcashAmount").value = Number(order.total_cost).toFixed(2);
     }
-
-    alert("✅ Your order has been placed! Thank you for using our online servce!");
+    currentVoucher = null;
+    currentUseCredit = false;
+    document.getElementById("voucherCode").value = "";
     updatePayButtonState("reset");
+    loadStations();
+    loadCredit();
 
   } catch (err) {
+    waitingForUploads = false;
     console.error("❌ Payment error:", err);
     alert(`❌ ${err.message}`);
-    updatePayButtonState("active");
+    await Promise.all([loadPricing(), loadStations(), loadCredit()]);
+    updatePayButtonState();
   }
 };
 
+// ================== GCASH PAYMENT ==================
+// Records the customer's GCash reference against their order. The order
+// only moves to "paid" once the payment is verified.
+document.getElementById("gcashForm").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const messageEl = document.getElementById("gcashMessage");
+  const orderNumber = document.getElementById("gcashOrderNumber").value.trim();
+  const screenshot = document.getElementById("gcashScreenshot").files[0];
+
+  const formData = new FormData();
+  formData.append("reference", document.getElementById("gcashReference").value);
+  formData.append("amount", document.getElementById("gcashAmount").value);
+  if (screenshot) formData.append("screenshot", screenshot);
+
+  messageEl.textContent = "⏳ Submitting…";
+  try {
+    if (!studentSession) throw new Error("Please sign in with the campus email you ordered with.");
+    const response = await fetch(`${BACKEND_URL}/orders/${encodeURIComponent(orderNumber)}/payments`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${studentSession.token}` },
+      body: formData
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Payment failed (status ${response.status})`);
+
+    console.log(`💸 Payment ${data.payment.reference} ${data.payment.status}`);
+    messageEl.textContent = data.payment.status === "verified"
+      ? "✅ Payment verified! Your order is now in the print queue."
+      : "✅ Payment submitted. We'll verify it shortly and then print your order.";
+    e.target.reset();
+  } catch (err) {
+    console.error("❌ GCash payment error:", err);
+    messageEl.textContent = `❌ ${err.message}`;
+  }
+});
+
 // ================== RESET ==================
 function resetForm() {
   uploadedFiles = [];
+  rejectedFiles = [];
   currentTotal = 0;
   fileInput.value = "";
   renderFileList();
@@ -442,30 +1617,46 @@ function resetForm() {
 }
 
 // ================== PAPER & PRINT TYPE ==================
+function setPaperSize(size) {
+  document.querySelectorAll('#paperSizeOptions .option-button').forEach(btn => {
+    btn.classList.toggle('selected', btn.dataset.size === size);
+  });
+  currentPaperSize = size;
+  renderPrintTypeButtons();
+  renderFileList();
+  updateCostCalculation();
+}
+
 window.selectPaperSize = function (button, size) {
-  document.querySelectorAll('.option-button').forEach(btn => btn.classList.remove('selected'));
+  setPaperSize(size);
+};
+
+window.selectLayout = function (button, option, value) {
+  button.parentElement.querySelectorAll('.option-button').forEach(btn => btn.classList.remove('selected'));
   button.classList.add('selected');
-  currentPaperSize = size;
+  currentLayout[option] = value;
+  renderPrintTypeButtons();
+  // Pages per side change what fits on the paper.
+  renderFileList();
+  updateCostCalculation();
 };
 
-window.selectPrintType = function (button, type, price) {
+window.selectPrintType = function (button, type) {
   document.querySelectorAll('.print-type-button').forEach(btn => btn.classList.remove('selected'));
   button.classList.add('selected');
   currentPrintType = type;
-  currentPricePerPage = price;
+  if (type === "auto") uploadedFiles.forEach(analyzeFileColor);
+  renderFileList();
   updateCostCalculation();
 };
 
 // ================== FILE PREVIEW ==================
+// Clicking a file name jumps to its page preview.
 document.getElementById("fileList").addEventListener("click", function (e) {
-  if (e.target && e.target.matches("span.file-name")) {
-    const fileUrl = e.target.getAttribute("data-url");
-    if (fileUrl) {
-      window.open(fileUrl, "_blank");
-    } else {
-      alert("Preview unavailable for this file.");
-    }
-  }
+  const nameEl = e.target?.closest("span.file-name");
+  if (!nameEl) return;
+  const previewEl = document.getElementById(`preview-${nameEl.getAttribute("data-file-id")}`);
+  if (previewEl) previewEl.scrollIntoView({ behavior: "smooth", block: "nearest" });
 });
 
 // ================== ENTER KEY ==================
@@ -487,5 +1678,10 @@ document.addEventListener("keydown", (e) => {
 
 // ================== INIT ==================
 console.log("🚀 PrintQ initialized");
+renderAccountBox();
 renderFileList();
 updateCostCalculation();
+loadPricing();
+loadStations();
+loadCredit();
+setInterval(loadStations, STATION_REFRESH_MS);
@@ -0,0 +1,155 @@
+// Operator reports page, served at /operator/reports. It uses the sign-in
+// from the operator dashboard (same tab session).
+const API_URL = "";
+
+// ================== STATE ==================
+const operatorToken = sessionStorage.getItem("printq-operator-token");
+const operatorName = sessionStorage.getItem("printq-operator-name");
+// Operators tied to one station only get that station's numbers.
+const operatorStation = sessionStorage.getItem("printq-operator-station");
+
+const GROUP_TITLES = { day: "Day", week: "Week", month: "Month", station: "Station", papersize: "Paper size", color: "Color" };
+
+// ================== HELPERS ==================
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, ch => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+  })[ch]);
+}
+
+function peso(amount) {
+  return `₱${Number(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+// "95 min" or "2 h 5 min"; turnaround spans closing hours, so it can be long.
+function duration(minutes) {
+  if (minutes === null) return "—";
+  if (minutes < 60) return `${minutes} min`;
+  if (minutes < 48 * 60) return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+  return `${(minutes / 1440).toFixed(1)} days`;
+}
+
+async function api(path) {
+  const response = await fetch(`${API_URL}${path}`, {
+    headers: { Authorization: `Bearer ${operatorToken}` }
+  });
+  if (response.status === 401) {
+    sessionStorage.removeItem("printq-operator-token");
+    showPage();
+    throw new Error("Session expired, please sign in again on the dashboard.");
+  }
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Request failed (status ${response.status})`);
+  }
+  return response;
+}
+
+function reportQuery(extra = {}) {
+  const params = new URLSearchParams({
+    from: document.getElementById("reportFrom").value,
+    to: document.getElementById("reportTo").value,
+    ...extra
+  });
+  const station = document.getElementById("reportStation").value;
+  if (station && !operatorStation) params.set("station", station);
+  return `/operator/reports/${document.getElementById("reportGroup").value}?${params}`;
+}
+
+// ================== PAGE ==================
+function showPage() {
+  const signedIn = Boolean(sessionStorage.getItem("printq-operator-token"));
+  document.getElementById("signedOutPage").style.display = signedIn ? "none" : "flex";
+  document.getElementById("reportPage").style.display = signedIn ? "block" : "none";
+  document.getElementById("operatorName").textContent = signedIn ? `👤 ${operatorName}` : "";
+  document.getElementById("reportStationLabel").style.display = operatorStation ? "none" : "";
+}
+
+async function loadStations() {
+  try {
+    const response = await fetch(`${API_URL}/stations`);
+    if (!response.ok) throw new Error(`Status ${response.status}`);
+    const { stations } = await response.json();
+    const select = document.getElementById("reportStation");
+    stations.forEach(s => select.add(new Option(s.name, s.id)));
+    const own = stations.find(s => s.id === operatorStation);
+    if (operatorStation) document.getElementById("operatorName").textContent = `👤 ${operatorName} · 📍 ${own?.name || operatorStation}`;
+  } catch (err) {
+    console.error("❌ Stations load error:", err);
+  }
+}
+
+function reportRowHtml(row, tag = "td") {
+  return `
+    <tr>
+      <${tag}>${escapeHtml(row.label)}</${tag}>
+      <${tag}>${row.orders}</${tag}>
+      <${tag}>${row.paid_orders}</${tag}>
+      <${tag}>${row.pages.toLocaleString()}</${tag}>
+      <${tag}>${row.sheets.toLocaleString()}</${tag}>
+      <${tag}>${peso(row.revenue)}</${tag}>
+      <${tag}>${row.credit_payments ? peso(row.credit_payments) : "—"}</${tag}>
+      <${tag}>${row.discounts ? peso(row.discounts) : "—"}</${tag}>
+      <${tag}>${row.voucher_discounts ? peso(row.voucher_discounts) : "—"}</${tag}>
+      <${tag}>${duration(row.avg_turnaround_minutes)}</${tag}>
+      <${tag}>${row.unpaid_orders ? `${row.unpaid_orders} · ${peso(row.unpaid_amount)}` : "—"}</${tag}>
+      <${tag}>${row.abandoned_orders ? `${row.abandoned_orders} · ${peso(row.abandoned_amount)}` : "—"}</${tag}>
+      <${tag}>${row.cancelled_orders || "—"}</${tag}>
+    </tr>`;
+}
+
+function renderReport(report) {
+  document.getElementById("reportGroupTitle").textContent = GROUP_TITLES[report.group];
+  document.getElementById("reportSummary").textContent =
+    `${report.from} to ${report.to} (${report.timezone})${report.station ? ` · ${document.getElementById("reportStation").selectedOptions[0]?.text || report.station}` : ""}`
+    // Credit is counted as revenue when orders are paid with it, not when sold.
+    + (report.credit_sold ? ` · 🪙 ${peso(report.credit_sold)} print credit sold (not in revenue)` : "");
+  document.getElementById("reportBody").innerHTML = report.rows.length
+    ? report.rows.map(row => reportRowHtml(row)).join("")
+    : `<tr><td colspan="13" style="color:#6b7280;">No orders in this range</td></tr>`;
+  document.getElementById("reportTotals").innerHTML = reportRowHtml(report.totals, "th");
+}
+
+async function loadReport() {
+  try {
+    const response = await api(reportQuery());
+    renderReport((await response.json()).report);
+  } catch (err) {
+    console.error("❌ Report load error:", err);
+    alert(`❌ ${err.message}`);
+  }
+}
+
+document.getElementById("reportForm").addEventListener("submit", (e) => {
+  e.preventDefault();
+  loadReport();
+});
+
+// The file name comes from the server (Content-Disposition).
+window.downloadReport = async function () {
+  try {
+    const response = await api(reportQuery({ format: "csv" }));
+    const disposition = response.headers.get("Content-Disposition") || "";
+    const url = URL.createObjectURL(await response.blob());
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = /filename="?([^";]+)"?/.exec(disposition)?.[1] || "printq-report.csv";
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (err) {
+    console.error("❌ Report download error:", err);
+    alert(`❌ ${err.message}`);
+  }
+};
+
+// ================== INIT ==================
+// The last 30 days up to today by default, in the browser's own date.
+const today = new Date();
+const monthAgo = new Date(today.getTime() - 29 * 24 * 60 * 60 * 1000);
+const isoDay = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+document.getElementById("reportFrom").value = isoDay(monthAgo);
+document.getElementById("reportTo").value = isoDay(today);
+
+console.log("🚀 PrintQ reports initialized");
+showPage();
+if (operatorToken) loadStations().then(loadReport);
@@ -0,0 +1,128 @@
+// Opening hours, supported options and ready-time estimates for pickup
+// stations, shared by the cart (printLogic.js) and the backend. The stations
+// themselves come from config/stations.json, served at GET /stations.
+//
+// Hours are "HH:MM-HH:MM" per weekday ("mon" … "sun") in the campus time
+// zone; a missing day means the station is closed. The estimate assumes the
+// station works through its queue in order and only while it is open.
+// Stations with slot_minutes and slot_capacity also offer pickup slots.
+
+export const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+// Orders further out than this are reported as having no estimate.
+const ESTIMATE_HORIZON_DAYS = 14;
+
+// "07:30-19:00" → { open: 450, close: 1140 } in minutes after midnight, or
+// null for a malformed range.
+export function parseHours(range) {
+  const match = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/.exec(String(range ?? "").trim());
+  if (!match) return null;
+  const [openH, openM, closeH, closeM] = match.slice(1).map(Number);
+  const open = openH * 60 + openM;
+  const close = closeH * 60 + closeM;
+  if (openM > 59 || closeM > 59 || close > 24 * 60 || open >= close) return null;
+  return { open, close };
+}
+
+// The weekday and minutes after midnight at `date` in `timeZone`.
+export function stationClock(timeZone, date = new Date()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone, weekday: "short", hour: "numeric", minute: "numeric", hourCycle: "h23"
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    day: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+function hoursOn(station, day) {
+  return parseHours(station.hours?.[WEEKDAYS[day]]);
+}
+
+export function isOpen(station, timeZone, now = new Date()) {
+  const { day, minutes } = stationClock(timeZone, now);
+  const hours = hoursOn(station, day);
+  return Boolean(hours && minutes >= hours.open && minutes < hours.close);
+}
+
+// ================== SUPPORTED OPTIONS ==================
+// Stations without a color printer take black & white orders only; "auto"
+// needs color too, for the pages that have it.
+export function stationColors(station, colors) {
+  return station.color ? colors : colors.filter(color => color === "bw");
+}
+
+// Returns why `station` cannot print this selection, or null if it can.
+export function stationSupportError(station, { papersize, color }) {
+  if (!station.paper_sizes.includes(papersize)) {
+    return `${station.name} does not stock ${papersize} paper (${station.paper_sizes.join(", ")} only)`;
+  }
+  if (color !== "bw" && !station.color) return `${station.name} prints black & white only`;
+  return null;
+}
+
+// ================== READY ESTIMATE ==================
+// Minutes of printer time for `orders` orders of `sheets` sheets in total.
+export function workMinutes(station, { orders, sheets }) {
+  return orders * station.minutes_per_order + sheets / station.sheets_per_minute;
+}
+
+// When an order of `sheets` sheets should be ready if it joins the back of
+// `queue` ({ orders, sheets } already waiting) now. Work only happens during
+// opening hours, so an order placed after closing is ready the next open day.
+// Returns a Date, or null if the station has no open hours in the next two
+// weeks.
+export function estimateReadyAt(station, timeZone, { queue, sheets, now = new Date() }) {
+  let remaining = Math.ceil(workMinutes(station, {
+    orders: queue.orders + 1,
+    sheets: queue.sheets + sheets,
+  }));
+  const clock = stationClock(timeZone, now);
+
+  for (let offset = 0; offset < ESTIMATE_HORIZON_DAYS; offset++) {
+    const hours = hoursOn(station, (clock.day + offset) % 7);
+    if (!hours) continue;
+    const start = offset === 0 ? Math.max(hours.open, clock.minutes) : hours.open;
+    const available = hours.close - start;
+    if (available <= 0) continue;
+    if (remaining <= available) {
+      // Whole minutes from now, counted on the station's own clock.
+      const minutesFromNow = offset * 24 * 60 + start + remaining - clock.minutes;
+      return new Date(now.getTime() + minutesFromNow * 60 * 1000);
+    }
+    remaining -= available;
+  }
+  return null;
+}
+
+// ================== PICKUP SLOTS ==================
+// Slots of `station.slot_minutes` through the opening hours of today and
+// the following `days - 1` days, leaving out slots that are already over.
+// Returns [{ start, end }] as Dates; a slot is named by start.toISOString().
+export function pickupSlots(station, timeZone, { days, now = new Date() }) {
+  if (!station.slot_minutes) return [];
+  // Slot times are whole minutes, so they come out the same on every call.
+  const minuteStart = new Date(Math.floor(now.getTime() / 60000) * 60000);
+  const clock = stationClock(timeZone, minuteStart);
+  const slots = [];
+
+  for (let offset = 0; offset < days; offset++) {
+    const hours = hoursOn(station, (clock.day + offset) % 7);
+    if (!hours) continue;
+    for (let start = hours.open; start + station.slot_minutes <= hours.close; start += station.slot_minutes) {
+      const end = start + station.slot_minutes;
+      if (offset === 0 && end <= clock.minutes) continue;
+      const at = (minutes) => new Date(minuteStart.getTime() + (offset * 24 * 60 + minutes - clock.minutes) * 60 * 1000);
+      slots.push({ start: at(start), end: at(end) });
+    }
+  }
+  return slots;
+}
+
+// Why an order ready at `readyAt` cannot be picked up in `slot` when
+// `taken` orders already chose it, or null if it can. An order only fits a
+// slot it will be ready for.
+export function slotUnavailableReason(station, slot, { readyAt, taken }) {
+  if (taken >= station.slot_capacity) return "full";
+  if (!readyAt || readyAt > slot.start) return "too soon";
+  return null;
+}
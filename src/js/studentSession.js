@@ -0,0 +1,23 @@
+// Student sign-in shared by the cart (printLogic.js) and the account page.
+// The session is { token, user: { id, email } } from POST /auth/session and
+// is kept in localStorage so the magic link, opened in a new tab, signs in
+// every open Print-Q page.
+
+const STORAGE_KEY = "printq-student";
+
+export function loadStudentSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return session?.token && session?.user ? session : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveStudentSession(session) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ token: session.token, user: session.user }));
+}
+
+export function clearStudentSession() {
+  localStorage.removeItem(STORAGE_KEY);
+}
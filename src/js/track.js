@@ -0,0 +1,123 @@
+// Order tracking page, served by the Express app at /track/<claim code>.
+const API_URL = "";
+
+const STEPS = ["pending", "paid", "printing", "ready", "claimed"];
+const STEP_LABELS = {
+  pending: "Order placed",
+  paid: "Payment verified",
+  printing: "Printing",
+  ready: "Ready for pickup",
+  claimed: "Claimed",
+};
+const STATUS_NOTES = {
+  pending: "We'll start printing once your GCash payment is verified.",
+  paid: "Your payment is verified and your order is in the print queue.",
+  printing: "Your files are printing now.",
+  ready: "Your printout is ready! Show your claim code at the counter.",
+  claimed: "Picked up. Thank you for using Print-Q!",
+  cancelled: "This order was cancelled.",
+  rejected: "This order was rejected by the print station.",
+};
+const PAYMENT_LABELS = {
+  unpaid: "⏳ Not paid yet. Send the total with GCash and submit your reference number on the order page.",
+  submitted: "🔎 Payment submitted, waiting for verification.",
+  verified: "✅ Payment verified.",
+  rejected: "❌ Your payment could not be verified. Please check your reference number and submit it again.",
+  credit: "✅ Paid with print credit.",
+  voucher: "✅ Nothing to pay: your voucher covers the total.",
+  free: "✅ Nothing to pay for this order.",
+};
+
+const claimCode = decodeURIComponent(location.pathname.split("/").filter(Boolean)[1] || "");
+
+// ================== HELPERS ==================
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, ch => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+  })[ch]);
+}
+
+function showError(message) {
+  const el = document.getElementById("trackError");
+  el.textContent = `❌ ${message}`;
+  el.style.display = "block";
+  document.getElementById("trackOrder").style.display = "none";
+}
+
+// ================== RENDER ==================
+function render(order) {
+  document.getElementById("trackError").style.display = "none";
+  document.getElementById("trackOrder").style.display = "block";
+  document.getElementById("trackOrderNumber").textContent = order.order_number;
+  document.getElementById("trackClaimCode").textContent = order.claim_code;
+  document.getElementById("trackPlacedAt").textContent = new Date(order.placed_at).toLocaleString();
+
+  const reached = STEPS.indexOf(order.status);
+  document.getElementById("trackSteps").innerHTML = STEPS.map((step, i) => `
+    <li class="${reached >= 0 && i < reached ? "done" : i === reached ? "current" : ""}">${STEP_LABELS[step]}</li>`).join("");
+  document.getElementById("trackStatusNote").textContent = STATUS_NOTES[order.status] || order.status;
+
+  document.getElementById("trackPickup").style.display = order.station ? "block" : "none";
+  if (order.station) {
+    document.getElementById("trackStation").innerHTML = `
+      <strong>${escapeHtml(order.station.name)}</strong>, ${escapeHtml(order.station.location)}
+      ${order.rush ? `<div class="payment-note" style="text-align:left;">⚡ Rush order</div>` : ""}
+      ${order.pickup_at ? `<div class="payment-note" style="text-align:left;">Pickup slot ${new Date(order.pickup_at).toLocaleString()}</div>` : ""}
+      ${order.ready_by ? `<div class="payment-note" style="text-align:left;">Estimated ready by ${new Date(order.ready_by).toLocaleString()}</div>` : ""}`;
+  }
+
+  document.getElementById("trackPayment").textContent = PAYMENT_LABELS[order.payment] || order.payment;
+
+  document.getElementById("trackItems").innerHTML = order.items.map(item => `
+    <tr>
+      <td>${escapeHtml(item.filename)}</td>
+      <td>${item.page_range ? `${escapeHtml(item.page_range)} of ${item.pagecount}` : `All ${item.pagecount}`}</td>
+      <td>${item.copies}</td>
+      <td>₱${Number(item.cost).toFixed(2)}</td>
+    </tr>`).join("");
+  const options = [order.papersize, order.color];
+  if (order.duplex && order.duplex !== "none") options.push(`duplex (${order.duplex})`);
+  if (order.nup > 1) options.push(`${order.nup}-up`);
+  options.push(`${order.sheets} sheet${order.sheets === 1 ? "" : "s"}`);
+  document.getElementById("trackOptions").textContent = options.join(" · ");
+  document.getElementById("trackTotal").textContent = `₱${Number(order.total_cost).toFixed(2)}`;
+
+  document.getElementById("trackHistory").innerHTML = [
+    `<li>${new Date(order.placed_at).toLocaleString()} — <strong>placed</strong></li>`,
+    ...order.history.map(event => `
+      <li>${new Date(event.at).toLocaleString()} — <strong>${escapeHtml(STEP_LABELS[event.status] || event.status)}</strong>${event.note ? ` (${escapeHtml(event.note)})` : ""}</li>`)
+  ].join("");
+}
+
+// ================== LIVE UPDATES ==================
+// The stream sends the whole order on connect and after every change.
+// EventSource reconnects by itself; the note just tells the student.
+function watch() {
+  const live = document.getElementById("trackLive");
+  const source = new EventSource(`${API_URL}/track/${encodeURIComponent(claimCode)}/events`);
+
+  source.addEventListener("order", (e) => {
+    render(JSON.parse(e.data));
+    live.textContent = "🟢 Live: this page updates by itself";
+  });
+  source.onerror = () => {
+    live.textContent = "🟡 Reconnecting…";
+  };
+}
+
+async function init() {
+  if (!claimCode) return showError("No claim code in the link");
+  try {
+    const response = await fetch(`${API_URL}/track/${encodeURIComponent(claimCode)}/order`);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Status ${response.status}`);
+    render(data.order);
+    watch();
+  } catch (err) {
+    console.error("❌ Tracking error:", err);
+    showError(err.message);
+  }
+}
+
+console.log("🚀 PrintQ tracking page initialized");
+init();
@@ -0,0 +1,44 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument, rgb } from "pdf-lib";
+import { countColorSides } from "../src/js/printLayout.js";
+import { quoteOrder } from "../src/js/priceTable.js";
+import { analyzeColor } from "../src/js/backend/color-analysis.js";
+
+const TABLE = {
+  rates: { bw: { A4: { single: 2, duplex: 1.75 } }, color: { A4: { single: 5, duplex: 4.5 } } },
+  quantity_tiers: [],
+  minimum_charge: 0,
+};
+
+test("a side is a color side when any page on it has color", () => {
+  assert.equal(countColorSides({ pages: [1, 2, 3, 4], colorPages: [2] }), 1);
+  assert.equal(countColorSides({ pages: [1, 2, 3, 4], colorPages: [2, 3], nup: 2 }), 2);
+  assert.equal(countColorSides({ pages: [1, 2, 3, 4], colorPages: [2, 3], nup: 4, copies: 3 }), 3);
+  assert.equal(countColorSides({ pages: [1, 3], colorPages: [2] }), 0);
+});
+
+test("auto color charges the color rate for color sides only", () => {
+  const quote = quoteOrder(TABLE, { color: "auto", papersize: "A4", items: [{ sides: 10, color_sides: 3 }, { sides: 2 }] });
+  assert.equal(quote.rate, null);
+  assert.deepEqual(quote.items.map(item => [item.bw_sides, item.color_sides, item.amount]), [[7, 3, 29], [2, 0, 4]]);
+  assert.equal(quote.color_sides, 3);
+  assert.equal(quote.total, 33);
+});
+
+test("color and bw print every side at their own rate", () => {
+  const items = [{ sides: 4, color_sides: 1 }];
+  assert.equal(quoteOrder(TABLE, { color: "color", papersize: "A4", items }).total, 20);
+  assert.equal(quoteOrder(TABLE, { color: "bw", papersize: "A4", items }).total, 8);
+});
+
+test("analyzeColor finds the pages with color on them", async () => {
+  const pdf = await PDFDocument.create();
+  pdf.addPage([300, 300]).drawRectangle({ x: 20, y: 20, width: 200, height: 200, color: rgb(0, 0, 0) });
+  pdf.addPage([300, 300]).drawRectangle({ x: 20, y: 20, width: 200, height: 200, color: rgb(0.9, 0.1, 0.1) });
+  pdf.addPage([300, 300]).drawText("plain", { x: 20, y: 20 });
+
+  const result = await analyzeColor(Buffer.from(await pdf.save()));
+  assert.deepEqual(result.color_pages, [2]);
+  assert.deepEqual(result.pages.map(page => page.color), [false, true, false]);
+});
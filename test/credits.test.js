@@ -0,0 +1,136 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { createStore } from "../src/js/backend/store/index.js";
+import { withLock } from "../src/js/backend/locks.js";
+import {
+  chargeOrder,
+  creditBalance,
+  creditLock,
+  listenForRefunds,
+  paidAtCheckout,
+  refundOrder,
+  sweepRefunds,
+  topUpCredit,
+} from "../src/js/backend/credits.js";
+
+const EMAIL = "a@school.edu";
+
+async function creditOrder(store, fields = {}) {
+  const [order] = await store.insert("orders", [{
+    order_number: "PQ-TEST-1",
+    customer_email: EMAIL,
+    user_id: null,
+    status: "paid",
+    total_cost: 30,
+    credit_applied: 30,
+    ...fields,
+  }]);
+  return order;
+}
+
+// An order paid from the wallet, charged the way placeOrder charges it.
+async function chargedOrder(store, fields = {}) {
+  const order = await creditOrder(store, fields);
+  await withLock(creditLock(EMAIL), () => store.transaction(tx => chargeOrder(tx, order)));
+  return order;
+}
+
+test("top-ups and adjustments add up to the balance", async () => {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  const first = await topUpCredit(store, { email: EMAIL, amount: 100, by: "admin" });
+  const second = await topUpCredit(store, { email: EMAIL, amount: -25.5, note: "Entered twice", by: "admin" });
+
+  assert.equal(first.kind, "top_up");
+  assert.equal(second.kind, "adjustment");
+  assert.equal(second.balance_after, 74.5);
+  assert.equal(await creditBalance(store, EMAIL), 74.5);
+});
+
+test("an adjustment cannot take the balance below zero", async () => {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  await topUpCredit(store, { email: EMAIL, amount: 10, by: "admin" });
+  await assert.rejects(
+    topUpCredit(store, { email: EMAIL, amount: -20, note: "x", by: "admin" }),
+    { name: "CreditError", status: 409 }
+  );
+  assert.equal(await creditBalance(store, EMAIL), 10);
+});
+
+test("concurrent top-ups each count once", async () => {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  await Promise.all([1, 2, 3, 4].map(() => topUpCredit(store, { email: EMAIL, amount: 5, by: "admin" })));
+  const rows = await store.find("credit_ledger", { customer_email: EMAIL }, { orderBy: "created_at" });
+  assert.deepEqual(rows.map(row => row.balance_after).sort((a, b) => a - b), [5, 10, 15, 20]);
+  assert.equal(await creditBalance(store, EMAIL), 20);
+});
+
+test("chargeOrder takes the order total from the wallet", async () => {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  await topUpCredit(store, { email: EMAIL, amount: 50, by: "admin" });
+  const order = await chargedOrder(store);
+
+  const [charge] = await store.find("credit_ledger", { order_id: order.id });
+  assert.equal(charge.kind, "order");
+  assert.equal(charge.amount, -30);
+  assert.equal(await creditBalance(store, EMAIL), 20);
+  assert.equal(paidAtCheckout(order), "credit");
+});
+
+test("a charge the wallet cannot cover is rolled back with its order", async () => {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  await topUpCredit(store, { email: EMAIL, amount: 10, by: "admin" });
+  await assert.rejects(store.transaction(async (tx) => {
+    const [order] = await tx.insert("orders", [{ order_number: "PQ-TEST-1", customer_email: EMAIL, status: "paid", total_cost: 30 }]);
+    await chargeOrder(tx, order);
+  }), { name: "CreditError" });
+  assert.deepEqual(await store.find("orders", {}), []);
+  assert.equal(await creditBalance(store, EMAIL), 10);
+});
+
+test("refundOrder puts the credit back once", async () => {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  await topUpCredit(store, { email: EMAIL, amount: 50, by: "admin" });
+  const order = await chargedOrder(store, { status: "cancelled" });
+
+  const [first, second] = await Promise.all([
+    refundOrder(store, order, { by: "admin" }),
+    refundOrder(store, order, { by: "admin" }),
+  ]);
+  assert.equal(first.id, second.id);
+  assert.equal(first.amount, 30);
+  assert.equal(await creditBalance(store, EMAIL), 50);
+});
+
+test("the listener refunds an order when it is cancelled", async () => {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  const events = new EventEmitter();
+  listenForRefunds({ store, events });
+  await topUpCredit(store, { email: EMAIL, amount: 50, by: "admin" });
+  const paid = await chargedOrder(store);
+  const order = await store.update("orders", paid.id, { status: "cancelled", status_changed_by: "maria" });
+
+  events.emit("status", { order: paid, from: "paid", to: "printing", changedBy: "maria" });
+  events.emit("status", { order, from: "paid", to: "cancelled", changedBy: "maria", note: "Duplicate" });
+  await withLock(creditLock(EMAIL), async () => {});
+
+  const [refund] = await store.find("credit_ledger", { order_id: order.id, kind: "refund" });
+  assert.equal(refund.created_by, "maria");
+  assert.equal(refund.note, "Order PQ-TEST-1 cancelled: Duplicate");
+  assert.equal(await creditBalance(store, EMAIL), 50);
+});
+
+test("sweepRefunds refunds what the listener missed, once", async () => {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  await topUpCredit(store, { email: EMAIL, amount: 100, by: "admin" });
+  const missed = await chargedOrder(store, { order_number: "PQ-TEST-1", status: "rejected", status_changed_by: "maria" });
+  const done = await chargedOrder(store, { order_number: "PQ-TEST-2", status: "cancelled" });
+  await refundOrder(store, done, { by: "admin" });
+  await chargedOrder(store, { order_number: "PQ-TEST-3", status: "paid" });
+  await creditOrder(store, { order_number: "PQ-TEST-4", status: "cancelled", credit_applied: 0 });
+
+  const refunds = await sweepRefunds(store);
+  assert.deepEqual(refunds.map(row => [row.order_id, row.created_by]), [[missed.id, "maria"]]);
+  assert.deepEqual(await sweepRefunds(store), []);
+  assert.equal(await creditBalance(store, EMAIL), 70);
+});
@@ -0,0 +1,147 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument } from "pdf-lib";
+import { createStore } from "../src/js/backend/store/index.js";
+import { createStations } from "../src/js/backend/stations.js";
+import { createDispatcher, DispatchError } from "../src/js/backend/printing/index.js";
+
+const stations = createStations();
+
+// Takes every job it is given and says it is still pending.
+function fakePrinter() {
+  const jobs = [];
+  return {
+    name: "Library printer",
+    jobs,
+    async submit(job) {
+      jobs.push(job);
+      return { jobId: jobs.length };
+    },
+    async jobStatus() {
+      return { state: "pending", reasons: [], message: null };
+    },
+    async status() {
+      return { state: "idle", reasons: [], message: null };
+    },
+  };
+}
+
+async function paidOrder(store, fields = {}) {
+  const pdf = await PDFDocument.create();
+  pdf.addPage([595, 842]);
+  const printFilePath = await store.files.upload("print/PQ-TEST-1.pdf", Buffer.from(await pdf.save()), "application/pdf");
+  const [order] = await store.insert("orders", [{
+    order_number: "PQ-TEST-1",
+    claim_code: "123456",
+    station_id: "library",
+    customer_email: "a@school.edu",
+    status: "paid",
+    papersize: "A4",
+    color: "Black & White",
+    duplex: "none",
+    nup: 1,
+    orientation: "auto",
+    sides: 1,
+    sheets: 1,
+    subtotal: 2,
+    total_cost: 2,
+    print_file_path: printFilePath,
+    ...fields,
+  }]);
+  await store.insert("order_items", [{
+    order_id: order.id,
+    filename: "notes.pdf",
+    file_path: "uploads/PQ-TEST-1/1_notes.pdf",
+    pagecount: 1,
+    page_range: null,
+    copies: 1,
+    print_pages: 1,
+    sides: 1,
+    sheets: 1,
+    in_print_file: true,
+    color_sides: 0,
+    papersize: "A4",
+    color: "Black & White",
+    cost: 2,
+  }]);
+  return order;
+}
+
+function dispatcherFor(store, printer) {
+  return createDispatcher({ store, stations, env: {}, printers: { library: printer } });
+}
+
+test("dispatch sends a paid order behind its cover sheet and marks it printing", async () => {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  const printer = fakePrinter();
+  const order = await paidOrder(store);
+
+  const job = await dispatcherFor(store, printer).dispatch(order, { by: "maria" });
+  assert.equal(job.state, "pending");
+  assert.equal(job.sent_by, "maria");
+  assert.equal(printer.jobs.length, 1);
+  assert.equal(printer.jobs[0].title, "PQ-TEST-1");
+  assert.equal(printer.jobs[0].ticket.colorMode, "monochrome");
+  assert.equal((await PDFDocument.load(printer.jobs[0].document)).getPageCount(), 2);
+  assert.equal((await store.get("orders", order.id)).status, "printing");
+});
+
+test("an order dispatched twice at once is sent once", async () => {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  const printer = fakePrinter();
+  const order = await paidOrder(store);
+  const dispatcher = dispatcherFor(store, printer);
+
+  const results = await Promise.allSettled([
+    dispatcher.dispatch(order, { by: "printer" }),
+    dispatcher.dispatch(order, { by: "maria" }),
+  ]);
+  assert.deepEqual(results.map(r => r.status), ["fulfilled", "rejected"]);
+  assert.ok(results[1].reason instanceof DispatchError);
+  assert.equal(printer.jobs.length, 1);
+  assert.equal((await store.find("print_jobs", { order_id: order.id })).length, 1);
+});
+
+test("dispatch refuses orders that are not paid", async () => {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  const printer = fakePrinter();
+  const order = await paidOrder(store, { status: "pending" });
+
+  await assert.rejects(
+    dispatcherFor(store, printer).dispatch(order, { by: "maria" }),
+    { name: "DispatchError", status: 409, message: /Only paid orders/ }
+  );
+  assert.equal(printer.jobs.length, 0);
+  assert.equal((await store.get("orders", order.id)).status, "pending");
+});
+
+test("a job the printer refuses is recorded and the order stays paid", async () => {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  const printer = { ...fakePrinter(), submit: async () => { throw new Error("media-empty"); } };
+  const order = await paidOrder(store);
+
+  await assert.rejects(dispatcherFor(store, printer).dispatch(order, { by: "maria" }), { name: "DispatchError", status: 502 });
+  const [job] = await store.find("print_jobs", { order_id: order.id });
+  assert.equal(job.state, "failed");
+  assert.equal(job.message, "media-empty");
+  assert.equal((await store.get("orders", order.id)).status, "paid");
+});
+
+test("an order cancelled while its job is prepared is not sent", async () => {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  const printer = fakePrinter();
+  const order = await paidOrder(store);
+  const download = store.files.download;
+  store.files.download = async (key) => {
+    await store.update("orders", order.id, { status: "cancelled" });
+    return download(key);
+  };
+
+  await assert.rejects(
+    dispatcherFor(store, printer).dispatch(order, { by: "maria" }),
+    { name: "DispatchError", status: 409, message: "Order PQ-TEST-1 is already cancelled" }
+  );
+  assert.equal(printer.jobs.length, 0);
+  assert.deepEqual(await store.find("print_jobs", { order_id: order.id }), []);
+  assert.equal((await store.get("orders", order.id)).status, "cancelled");
+});
@@ -0,0 +1,66 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { decodeResponse, encodeRequest, groupAttributes, httpUrl } from "../src/js/backend/printing/ipp.js";
+
+test("encodeRequest writes the version, operation, request id and groups", () => {
+  const request = encodeRequest({
+    operation: "Get-Job-Attributes",
+    requestId: 7,
+    operationAttributes: [["uri", "printer-uri", "ipp://p/q"], ["integer", "job-id", 42]],
+  });
+  assert.deepEqual([...request.subarray(0, 9)], [0x01, 0x01, 0x00, 0x09, 0, 0, 0, 7, 0x01]);
+  // charset: tag, name length, name, value length, value.
+  assert.deepEqual(request.subarray(9, 12), Buffer.from([0x47, 0x00, 0x12]));
+  assert.equal(request.toString("utf8", 12, 30), "attributes-charset");
+  assert.equal(request.at(-1), 0x03);
+});
+
+test("decodeResponse reads back what encodeRequest wrote", () => {
+  const document = Buffer.from("%PDF-1.7 …");
+  const request = encodeRequest({
+    operation: "Print-Job",
+    requestId: 3,
+    operationAttributes: [["uri", "printer-uri", "ipp://p/q"], ["mimeMediaType", "document-format", "application/pdf"]],
+    jobAttributes: [["integer", "copies", 2], ["keyword", "sides", "two-sided-long-edge"], ["enum", "finishings", [4, 5]], ["boolean", "x-flag", true]],
+    document,
+  });
+  assert.deepEqual(request.subarray(-document.length), document);
+
+  const decoded = decodeResponse(request);
+  assert.equal(decoded.status, 0x0002);
+  assert.equal(decoded.requestId, 3);
+  assert.deepEqual(groupAttributes(decoded, "operation"), {
+    "attributes-charset": "utf-8",
+    "attributes-natural-language": "en",
+    "printer-uri": "ipp://p/q",
+    "document-format": "application/pdf",
+  });
+  assert.deepEqual(groupAttributes(decoded, "job"), {
+    copies: 2,
+    sides: "two-sided-long-edge",
+    finishings: [4, 5],
+    "x-flag": true,
+  });
+  assert.deepEqual(groupAttributes(decoded, "printer"), {});
+});
+
+test("decodeResponse reads a printer's status and state", () => {
+  const response = Buffer.concat([
+    Buffer.from([0x01, 0x01, 0x04, 0x06, 0, 0, 0, 9]),
+    Buffer.from([0x04, 0x23, 0x00, 0x0d]), Buffer.from("printer-state"), Buffer.from([0x00, 0x04, 0, 0, 0, 5]),
+    Buffer.from([0x30, 0x00, 0x01, 0x78, 0x00, 0x01, 0xff]),
+    Buffer.from([0x03]),
+  ]);
+  const decoded = decodeResponse(response);
+  assert.equal(decoded.status, 0x0406);
+  assert.equal(decoded.requestId, 9);
+  // Value types this client does not read come back as bytes.
+  assert.deepEqual(groupAttributes(decoded, "printer"), { "printer-state": 5, x: Buffer.from([0xff]) });
+  assert.throws(() => decodeResponse(Buffer.from([0x01, 0x01])), { name: "IppError" });
+});
+
+test("httpUrl sends ipp to port 631 over HTTP and ipps over HTTPS", () => {
+  assert.equal(httpUrl("ipp://printer.local/ipp/print"), "http://printer.local:631/ipp/print");
+  assert.equal(httpUrl("IPPS://user:pw@cups:8631/printers/lab"), "https://user:pw@cups:8631/printers/lab");
+  assert.equal(httpUrl("http://cups:631/printers/lab"), "http://cups:631/printers/lab");
+});
@@ -0,0 +1,95 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createStore } from "../src/js/backend/store/index.js";
+import {
+  canTransition,
+  isAbandoned,
+  orderEvents,
+  StatusTransitionError,
+  transitionOrder,
+} from "../src/js/backend/order-status.js";
+
+async function placedOrder(store, fields = {}) {
+  const [order] = await store.insert("orders", [{ order_number: "PQ-TEST-1", status: "pending", ...fields }]);
+  return order;
+}
+
+test("the workflow allows only its listed moves", () => {
+  assert.equal(canTransition("pending", "paid"), true);
+  assert.equal(canTransition("printing", "paid"), true);
+  assert.equal(canTransition("pending", "printing"), false);
+  assert.equal(canTransition("claimed", "cancelled"), false);
+  assert.equal(canTransition("unknown", "paid"), false);
+});
+
+test("transitionOrder updates the order and records the change", async () => {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  const order = await placedOrder(store);
+  const emitted = [];
+  const onStatus = event => emitted.push(event);
+  orderEvents.on("status", onStatus);
+  try {
+    const updated = await transitionOrder(store, order, "paid", { changedBy: "admin", note: "cash" });
+    assert.equal(updated.status, "paid");
+    assert.equal(updated.status_changed_by, "admin");
+    assert.equal((await store.get("orders", order.id)).status, "paid");
+
+    const events = await store.find("order_status_events", { order_id: order.id });
+    assert.deepEqual(events.map(e => [e.from_status, e.to_status, e.changed_by, e.note]), [["pending", "paid", "admin", "cash"]]);
+    assert.deepEqual(emitted.map(e => [e.from, e.to, e.order.id]), [["pending", "paid", order.id]]);
+  } finally {
+    orderEvents.off("status", onStatus);
+  }
+});
+
+test("transitionOrder refuses a move the workflow does not allow", async () => {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  const order = await placedOrder(store, { status: "claimed" });
+  await assert.rejects(transitionOrder(store, order, "cancelled", { changedBy: "admin" }), StatusTransitionError);
+  assert.equal((await store.get("orders", order.id)).status, "claimed");
+  assert.deepEqual(await store.find("order_status_events", { order_id: order.id }), []);
+});
+
+test("transitionOrder refuses a move from a status the order has left", async () => {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  const order = await placedOrder(store);
+  await transitionOrder(store, order, "cancelled", { changedBy: "admin" });
+  await assert.rejects(
+    transitionOrder(store, order, "paid", { changedBy: "admin" }),
+    { name: "StatusTransitionError", message: "Order PQ-TEST-1 is already cancelled" }
+  );
+  assert.equal((await store.get("orders", order.id)).status, "cancelled");
+});
+
+test("of two moves made at once only the first applies", async () => {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  const order = await placedOrder(store, { status: "paid" });
+  const results = await Promise.allSettled([
+    transitionOrder(store, order, "printing", { changedBy: "maria" }),
+    transitionOrder(store, order, "cancelled", { changedBy: "admin" }),
+  ]);
+  assert.deepEqual(results.map(r => r.status), ["fulfilled", "rejected"]);
+  assert.ok(results[1].reason instanceof StatusTransitionError);
+  assert.equal((await store.get("orders", order.id)).status, "printing");
+  assert.equal((await store.find("order_status_events", { order_id: order.id })).length, 1);
+});
+
+test("a failed transaction leaves the order's status as it was", async () => {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  const order = await placedOrder(store);
+  await assert.rejects(store.transaction(async (tx) => {
+    await transitionOrder(tx, order, "paid", { changedBy: "admin" });
+    throw new Error("payment update failed");
+  }), /payment update failed/);
+  assert.equal((await store.get("orders", order.id)).status, "pending");
+  assert.deepEqual(await store.find("order_status_events", { order_id: order.id }), []);
+});
+
+test("only pending orders past the cut-off are abandoned", () => {
+  const now = Date.parse("2026-10-19T12:00:00Z");
+  const hour = 60 * 60 * 1000;
+  const placed = "2026-10-17T11:00:00Z";
+  assert.equal(isAbandoned({ status: "pending", created_at: placed }, 48 * hour, now), true);
+  assert.equal(isAbandoned({ status: "pending", created_at: placed }, 72 * hour, now), false);
+  assert.equal(isAbandoned({ status: "paid", created_at: placed }, 48 * hour, now), false);
+});
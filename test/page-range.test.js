@@ -0,0 +1,39 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { formatPageRange, MAX_COPIES, parsePageRange, validateCopies } from "../src/js/pageRange.js";
+
+test("an empty spec selects every page", () => {
+  assert.deepEqual(parsePageRange("", 3), [1, 2, 3]);
+  assert.deepEqual(parsePageRange(null, 2), [1, 2]);
+  assert.deepEqual(parsePageRange("  ", 1), [1]);
+});
+
+test("pages and ranges are selected in the order given", () => {
+  assert.deepEqual(parsePageRange("1-3,7,10-12", 12), [1, 2, 3, 7, 10, 11, 12]);
+  assert.deepEqual(parsePageRange("5, 1 - 2", 5), [5, 1, 2]);
+  assert.deepEqual(parsePageRange("2,2", 3), [2, 2]);
+});
+
+test("invalid specs are refused with a message for the student", () => {
+  assert.throws(() => parsePageRange("a-3", 5), /"a-3" is not a page or range/);
+  assert.throws(() => parsePageRange("1-", 5), /is not a page or range/);
+  assert.throws(() => parsePageRange("0-2", 5), /Page numbers start at 1/);
+  assert.throws(() => parsePageRange("4-2", 5), /Range 4-2 goes backwards/);
+  assert.throws(() => parsePageRange("3-6", 5), /Page 6 is past the end of the document \(5 pages\)/);
+  assert.throws(() => parsePageRange("2", 1), /\(1 page\)/);
+});
+
+test("formatPageRange folds consecutive pages back into ranges", () => {
+  assert.equal(formatPageRange([1, 2, 3, 7, 10, 11]), "1-3,7,10-11");
+  assert.equal(formatPageRange([4]), "4");
+  assert.equal(formatPageRange([]), "");
+  assert.equal(formatPageRange(parsePageRange("2-4,9", 9)), "2-4,9");
+});
+
+test("copies are whole numbers from 1 to the maximum", () => {
+  assert.equal(validateCopies(1), 1);
+  assert.equal(validateCopies(MAX_COPIES), MAX_COPIES);
+  for (const copies of [0, -1, 1.5, MAX_COPIES + 1, "2", null]) {
+    assert.throws(() => validateCopies(copies), /Copies must be a whole number/);
+  }
+});
@@ -0,0 +1,89 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createStore } from "../src/js/backend/store/index.js";
+import {
+  AUTO_VERIFIER,
+  importStatement,
+  normalizeReference,
+  parseCsv,
+  readStatement,
+} from "../src/js/backend/payments.js";
+
+const STATEMENT = [
+  "\uFEFFDate and Time,Description,Reference No.,Debit,Credit,Balance",
+  '2026-10-01 09:15,"Received from JUAN, PQ-261001-ABC123",1012 345 678901,,"1,250.00",1500.00',
+  "2026-10-01 10:02,Sent to Load,2012345678901,50.00,,1450.00",
+  "2026-10-01 11:30,Received from ANA,3012345678901,,₱ 12.50,1462.50",
+  "",
+].join("\r\n");
+
+test("normalizeReference keeps the digits of a grouped reference", () => {
+  assert.equal(normalizeReference("1012 345 678901"), "1012345678901");
+  assert.equal(normalizeReference(" ref: 12-34 "), "1234");
+  assert.equal(normalizeReference(null), "");
+});
+
+test("parseCsv reads quoted fields, doubled quotes and CRLF", () => {
+  assert.deepEqual(parseCsv('a,"b, c","say ""hi"""\r\n1,2,3\n\n,,\nlast,row'), [
+    ["a", "b, c", 'say "hi"'],
+    ["1", "2", "3"],
+    ["last", "row"],
+  ]);
+  assert.deepEqual(parseCsv('"line\nbreak",x'), [["line\nbreak", "x"]]);
+});
+
+test("readStatement keeps the incoming transactions of a GCash export", () => {
+  assert.deepEqual(readStatement(STATEMENT), [
+    { reference: "1012345678901", amount: 1250, paid_at: "2026-10-01 09:15", description: "Received from JUAN, PQ-261001-ABC123" },
+    { reference: "3012345678901", amount: 12.5, paid_at: "2026-10-01 11:30", description: "Received from ANA" },
+  ]);
+});
+
+test("readStatement falls back to an amount column and needs a reference", () => {
+  assert.deepEqual(readStatement("Ref No,Amount\n4012345678901,20"), [
+    { reference: "4012345678901", amount: 20, paid_at: null, description: "" },
+  ]);
+  assert.throws(() => readStatement(""), { name: "PaymentValidationError", message: "The statement is empty" });
+  assert.throws(() => readStatement("Date,Credit\n2026-10-01,20"), /reference number column/);
+});
+
+async function setUp() {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  const [covered, short] = await store.insert("orders", [
+    { order_number: "PQ-261001-ABC123", status: "pending", total_cost: 1250 },
+    { order_number: "PQ-261001-DEF456", status: "pending", total_cost: 40 },
+  ]);
+  await store.insert("payments", [{
+    method: "gcash", reference: "3012345678901", source: "customer", order_id: short.id,
+    order_number: short.order_number, amount: 40, status: "submitted",
+  }]);
+  return { store, covered, short };
+}
+
+test("importStatement verifies what covers its order and leaves the rest for review", async () => {
+  const { store, covered, short } = await setUp();
+  const entries = [
+    ...readStatement(STATEMENT),
+    { reference: "5012345678901", amount: 100, paid_at: null, description: "no order number" },
+  ];
+
+  assert.deepEqual(await importStatement(store, entries), {
+    rows: 3, verified: 1, confirmed: 1, unmatched: 1, already_imported: 0,
+  });
+  assert.equal((await store.get("orders", covered.id)).status, "paid");
+  assert.equal((await store.get("orders", short.id)).status, "pending");
+
+  const [auto] = await store.find("payments", { reference: "1012345678901" });
+  assert.equal(auto.status, "verified");
+  assert.equal(auto.reviewed_by, AUTO_VERIFIER);
+  const [claimed] = await store.find("payments", { reference: "3012345678901" });
+  assert.equal(claimed.status, "submitted");
+  assert.equal(claimed.statement_amount, 12.5);
+  const [unmatched] = await store.find("payments", { reference: "5012345678901" });
+  assert.equal(unmatched.status, "unmatched");
+  assert.equal(unmatched.order_id, null);
+
+  assert.deepEqual(await importStatement(store, entries), {
+    rows: 3, verified: 0, confirmed: 0, unmatched: 0, already_imported: 3,
+  });
+});
@@ -0,0 +1,79 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createStore } from "../src/js/backend/store/index.js";
+import { createStations, stationSlots } from "../src/js/backend/stations.js";
+import { pickupSlots, slotUnavailableReason } from "../src/js/stationSchedule.js";
+import { quoteOrder } from "../src/js/priceTable.js";
+
+const ZONE = "Asia/Manila";
+const STATION = {
+  id: "annex",
+  hours: { sat: "09:00-12:00", mon: "08:00-09:00" },
+  slot_minutes: 30,
+  slot_capacity: 3,
+};
+const TABLE = {
+  rates: { bw: { A4: { single: 2, duplex: 1.75 } }, color: { A4: { single: 5, duplex: 4.5 } } },
+  quantity_tiers: [],
+  minimum_charge: 5,
+  rush: { flat: 20, percent: 10 },
+};
+
+const times = slots => slots.map(slot => [slot.start.toISOString(), slot.end.toISOString()]);
+
+test("pickupSlots cuts the open hours into slots and skips the ones already over", () => {
+  // Saturday 2026-10-24, 11:10:45 in Manila; Sunday is closed.
+  const slots = pickupSlots(STATION, ZONE, { days: 3, now: new Date("2026-10-24T03:10:45Z") });
+  assert.deepEqual(times(slots), [
+    ["2026-10-24T03:00:00.000Z", "2026-10-24T03:30:00.000Z"],
+    ["2026-10-24T03:30:00.000Z", "2026-10-24T04:00:00.000Z"],
+    ["2026-10-26T00:00:00.000Z", "2026-10-26T00:30:00.000Z"],
+    ["2026-10-26T00:30:00.000Z", "2026-10-26T01:00:00.000Z"],
+  ]);
+  assert.deepEqual(pickupSlots(STATION, ZONE, { days: 1, now: new Date("2026-10-24T04:00:00Z") }), []);
+  assert.deepEqual(pickupSlots({ ...STATION, slot_minutes: 0 }, ZONE, { days: 3 }), []);
+});
+
+test("a slot is unavailable when full or before the order is ready", () => {
+  const slot = { start: new Date("2026-10-24T03:00:00Z") };
+  assert.equal(slotUnavailableReason(STATION, slot, { readyAt: new Date("2026-10-24T02:00:00Z"), taken: 3 }), "full");
+  assert.equal(slotUnavailableReason(STATION, slot, { readyAt: new Date("2026-10-24T03:01:00Z"), taken: 0 }), "too soon");
+  assert.equal(slotUnavailableReason(STATION, slot, { readyAt: null, taken: 0 }), "too soon");
+  assert.equal(slotUnavailableReason(STATION, slot, { readyAt: slot.start, taken: 2 }), null);
+});
+
+test("stationSlots counts the orders holding each slot", async () => {
+  const stations = createStations();
+  const library = stations.find("library");
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  // Monday 18:40 in Manila: the library's last slot today starts at 18:30.
+  const now = new Date("2026-10-19T10:40:00Z");
+  const pickupAt = "2026-10-19T10:30:00.000Z";
+  await store.insert("orders", [
+    { station_id: "library", pickup_at: pickupAt, status: "paid" },
+    { station_id: "library", pickup_at: pickupAt, status: "pending", created_at: "2026-10-19T10:00:00Z" },
+    // Unpaid for longer than PRINTQ_ABANDONED_HOURS.
+    { station_id: "library", pickup_at: pickupAt, status: "pending", created_at: "2026-10-17T10:00:00Z" },
+    { station_id: "library", pickup_at: pickupAt, status: "cancelled" },
+    { station_id: "engineering", pickup_at: pickupAt, status: "paid" },
+  ]);
+
+  const [first, second] = await stationSlots(store, stations, library, now);
+  assert.equal(first.start.toISOString(), pickupAt);
+  assert.equal(first.taken, 2);
+  assert.equal(second.start.toISOString(), "2026-10-19T23:30:00.000Z");
+  assert.equal(second.taken, 0);
+});
+
+test("quoteOrder adds the rush surcharge on top of the minimum charge", () => {
+  const items = [{ sides: 1 }];
+  const rush = quoteOrder(TABLE, { color: "bw", papersize: "A4", items, rush: true });
+  assert.equal(rush.minimum_applied, true);
+  assert.equal(rush.rush_surcharge, 20.5);
+  assert.equal(rush.total, 25.5);
+  assert.equal(quoteOrder(TABLE, { color: "bw", papersize: "A4", items: [], rush: true }).rush_surcharge, 0);
+  assert.throws(
+    () => quoteOrder({ ...TABLE, rush: undefined }, { color: "bw", papersize: "A4", items, rush: true }),
+    { message: "Rush orders are not offered" }
+  );
+});
@@ -0,0 +1,83 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { quoteOrder, rateFor, roundMoney } from "../src/js/priceTable.js";
+import { createPricing } from "../src/js/backend/pricing.js";
+
+const TABLE = {
+  rates: {
+    bw: { A4: { single: 2, duplex: 1.75 }, Legal: { single: 3, duplex: 2.5 } },
+    color: { A4: { single: 5, duplex: 4.5 }, Legal: { single: 6, duplex: 5.5 } },
+  },
+  quantity_tiers: [
+    { min_sides: 50, discount_percent: 5 },
+    { min_sides: 200, discount_percent: 10 },
+  ],
+  minimum_charge: 5,
+};
+
+function quote(options) {
+  return quoteOrder(TABLE, { color: "bw", papersize: "A4", ...options });
+}
+
+test("rateFor picks the single or duplex rate, or null when there is none", () => {
+  assert.equal(rateFor(TABLE, { color: "bw", papersize: "A4" }), 2);
+  assert.equal(rateFor(TABLE, { color: "color", papersize: "Legal", duplex: "long-edge" }), 5.5);
+  assert.equal(rateFor(TABLE, { color: "bw", papersize: "Letter" }), null);
+});
+
+test("every printed side is charged at its rate", () => {
+  const result = quote({ items: [{ sides: 4 }, { sides: 6 }] });
+  assert.deepEqual(result.items.map(item => item.amount), [8, 12]);
+  assert.equal(result.sides, 10);
+  assert.equal(result.subtotal, 20);
+  assert.equal(result.discount, 0);
+  assert.equal(result.total, 20);
+
+  assert.equal(quote({ color: "color", duplex: "long-edge", items: [{ sides: 10 }] }).total, 45);
+});
+
+test("the largest quantity tier reached discounts the subtotal", () => {
+  assert.equal(quote({ items: [{ sides: 49 }] }).discount_percent, 0);
+  const tier1 = quote({ items: [{ sides: 50 }] });
+  assert.equal(tier1.discount_percent, 5);
+  assert.equal(tier1.discount, 5);
+  assert.equal(tier1.total, 95);
+  const tier2 = quote({ items: [{ sides: 150 }, { sides: 50 }] });
+  assert.equal(tier2.discount_percent, 10);
+  assert.equal(tier2.total, 360);
+});
+
+test("the total never drops below the minimum charge", () => {
+  const small = quote({ items: [{ sides: 1 }] });
+  assert.equal(small.minimum_applied, true);
+  assert.equal(small.total, 5);
+  assert.equal(quote({ items: [{ sides: 3 }] }).minimum_applied, false);
+  assert.equal(quote({ items: [] }).total, 0);
+});
+
+test("a selection the table has no rate for is refused", () => {
+  assert.throws(() => quote({ papersize: "Letter", items: [{ sides: 1 }] }), /No price for bw on Letter/);
+  assert.throws(() => quote({ color: "color", papersize: "Letter", duplex: "long-edge", items: [{ sides: 1 }] }), /No price for color on Letter duplex/);
+});
+
+test("amounts are rounded to centavos", () => {
+  assert.equal(roundMoney(1.234), 1.23);
+  assert.equal(roundMoney(0.1 + 0.2), 0.3);
+  assert.equal(quote({ duplex: "long-edge", items: [{ sides: 3 }] }).total, 5.25);
+});
+
+test("createPricing refuses a table with a missing rate", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "printq-pricing-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "pricing.json");
+  fs.writeFileSync(file, JSON.stringify({ rates: { bw: {}, color: {} } }));
+  assert.throws(() => createPricing(file), /pricing: rates\.bw\.Letter needs numeric "single" and "duplex"/);
+});
+
+test("the shipped price table loads", () => {
+  const table = createPricing().get();
+  assert.ok(quoteOrder(table, { color: "color", papersize: "Legal", duplex: "short-edge", items: [{ sides: 2 }] }).total > 0);
+});
@@ -0,0 +1,70 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument } from "pdf-lib";
+import { countSheets, DEFAULT_LAYOUT, PAPER_DIMENSIONS, validateLayout } from "../src/js/printLayout.js";
+import { buildOrderPdf } from "../src/js/backend/print-ready.js";
+import { OrderValidationError, parseLayout } from "../src/js/backend/orders.js";
+
+// A PDF with one page per [width, height], each with something drawn on it.
+async function pdfWithPages(sizes) {
+  const pdf = await PDFDocument.create();
+  for (const size of sizes) pdf.addPage(size).drawText("x", { x: 10, y: 10 });
+  return Buffer.from(await pdf.save());
+}
+
+test("validateLayout accepts the listed options only", () => {
+  assert.deepEqual(validateLayout(DEFAULT_LAYOUT), DEFAULT_LAYOUT);
+  assert.deepEqual(validateLayout({ duplex: "short-edge", nup: 4, orientation: "landscape" }), { duplex: "short-edge", nup: 4, orientation: "landscape" });
+  assert.throws(() => validateLayout({ ...DEFAULT_LAYOUT, duplex: "both" }), /duplex must be one of/);
+  assert.throws(() => validateLayout({ ...DEFAULT_LAYOUT, nup: 3 }), /nup must be one of 1, 2, 4/);
+  assert.throws(() => validateLayout({ ...DEFAULT_LAYOUT, orientation: "sideways" }), /orientation must be one of/);
+});
+
+test("parseLayout fills in defaults and reads nup as a number", () => {
+  assert.deepEqual(parseLayout({}), DEFAULT_LAYOUT);
+  assert.deepEqual(parseLayout({ duplex: "long-edge", nup: "2" }), { duplex: "long-edge", nup: 2, orientation: "auto" });
+  assert.throws(() => parseLayout({ nup: "two" }), OrderValidationError);
+});
+
+test("countSheets imposes pages per side and sides per sheet", () => {
+  assert.deepEqual(countSheets({ pages: 5 }), { sides: 5, sheets: 5 });
+  assert.deepEqual(countSheets({ pages: 5, nup: 2 }), { sides: 3, sheets: 3 });
+  assert.deepEqual(countSheets({ pages: 5, nup: 4, copies: 2 }), { sides: 4, sheets: 4 });
+  assert.deepEqual(countSheets({ pages: 4, duplex: "long-edge" }), { sides: 4, sheets: 2 });
+});
+
+test("with duplex every copy starts on a fresh sheet", () => {
+  assert.deepEqual(countSheets({ pages: 3, copies: 2, duplex: "long-edge" }), { sides: 6, sheets: 4 });
+  assert.deepEqual(countSheets({ pages: 3, copies: 2 }), { sides: 6, sheets: 6 });
+});
+
+test("buildOrderPdf lays pages out on the paper size with blank backs for duplex copies", async () => {
+  const buffer = await pdfWithPages([[612, 792], [612, 792], [612, 792]]);
+  const output = await PDFDocument.load(await buildOrderPdf(
+    [{ buffer, pages: [1, 2, 3], copies: 2 }],
+    { paperSize: "A4", duplex: "long-edge" }
+  ));
+  const { sheets } = countSheets({ pages: 3, copies: 2, duplex: "long-edge" });
+  assert.equal(output.getPageCount(), sheets * 2);
+  const { width, height } = output.getPage(0).getSize();
+  assert.deepEqual([width, height], PAPER_DIMENSIONS.A4);
+});
+
+test("2-up turns the sheet sideways and follows the page selection", async () => {
+  const buffer = await pdfWithPages([[612, 792], [612, 792], [612, 792], [612, 792]]);
+  const output = await PDFDocument.load(await buildOrderPdf(
+    [{ buffer, pages: [4, 1, 2] }],
+    { paperSize: "Letter", nup: 2 }
+  ));
+  assert.equal(output.getPageCount(), 2);
+  const { width, height } = output.getPage(0).getSize();
+  assert.deepEqual([width, height], [792, 612]);
+});
+
+test("auto orientation follows the first page, forced orientation overrides it", async () => {
+  const buffer = await pdfWithPages([[792, 612]]);
+  const auto = await PDFDocument.load(await buildOrderPdf([{ buffer, pages: [1] }], { paperSize: "Letter" }));
+  assert.deepEqual(Object.values(auto.getPage(0).getSize()), [792, 612]);
+  const portrait = await PDFDocument.load(await buildOrderPdf([{ buffer, pages: [1] }], { paperSize: "Letter", orientation: "portrait" }));
+  assert.deepEqual(Object.values(portrait.getPage(0).getSize()), [612, 792]);
+});
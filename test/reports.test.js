@@ -0,0 +1,103 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createStore } from "../src/js/backend/store/index.js";
+import { createStations } from "../src/js/backend/stations.js";
+import { buildReport, reportCsv } from "../src/js/backend/reports.js";
+
+const stations = createStations();
+const HOUR_MS = 60 * 60 * 1000;
+// Campus dates are Manila dates (UTC+8).
+const RANGE = { from: "2026-10-05", to: "2026-10-11", abandonedAfterMs: 48 * HOUR_MS, now: Date.parse("2026-10-08T01:00:00Z") };
+
+async function setUp() {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  const order = fields => ({ station_id: "library", papersize: "A4", color: "bw", total_cost: 0, ...fields });
+  const [paid, claimed] = await store.insert("orders", [
+    // 07:30 on the 5th in Manila.
+    order({ created_at: "2026-10-04T23:30:00Z", status: "paid", sides: 10, sheets: 5, total_cost: 25, credit_applied: 10, discount: 1 }),
+    order({ created_at: "2026-10-06T02:00:00Z", status: "claimed", station_id: "engineering", papersize: "Letter", sides: 4, sheets: 4, total_cost: 8.5, voucher_discount: 2 }),
+    order({ created_at: "2026-10-07T02:00:00Z", status: "pending", total_cost: 12 }),
+    order({ created_at: "2026-10-05T05:00:00Z", status: "pending", total_cost: 7 }),
+    order({ created_at: "2026-10-06T05:00:00Z", status: "cancelled", total_cost: 9 }),
+    // The 12th and the 4th in Manila, outside the range.
+    order({ created_at: "2026-10-11T16:30:00Z", status: "paid", sides: 1, total_cost: 100 }),
+    order({ created_at: "2026-10-04T15:00:00Z", status: "paid", sides: 1, total_cost: 3 }),
+  ]);
+  await store.insert("order_status_events", [
+    { order_id: paid.id, to_status: "ready", created_at: "2026-10-05T00:30:00Z" },
+    { order_id: claimed.id, to_status: "ready", created_at: "2026-10-06T05:00:00Z" },
+    { order_id: claimed.id, to_status: "ready", created_at: "2026-10-06T03:30:00Z" },
+  ]);
+  await store.insert("credit_ledger", [
+    { kind: "top_up", amount: 50, created_at: "2026-10-05T01:00:00Z" },
+    { kind: "adjustment", amount: -5, created_at: "2026-10-06T01:00:00Z" },
+    { kind: "payment", amount: -10, created_at: "2026-10-06T01:00:00Z" },
+    { kind: "top_up", amount: 20, created_at: "2026-10-11T17:00:00Z" },
+  ]);
+  return store;
+}
+
+test("buildReport totals the orders placed in the range by campus date", async () => {
+  const report = await buildReport(await setUp(), stations, { group: "day", ...RANGE });
+  assert.deepEqual(report.rows.map(row => row.key), [
+    "2026-10-05", "2026-10-06", "2026-10-07", "2026-10-08", "2026-10-09", "2026-10-10", "2026-10-11",
+  ]);
+  assert.deepEqual(report.totals, {
+    key: "total",
+    label: "Total",
+    orders: 5,
+    paid_orders: 2,
+    pages: 14,
+    sheets: 9,
+    revenue: 33.5,
+    credit_payments: 10,
+    discounts: 1,
+    voucher_discounts: 2,
+    avg_turnaround_minutes: 75,
+    unpaid_orders: 1,
+    unpaid_amount: 12,
+    abandoned_orders: 1,
+    abandoned_amount: 7,
+    cancelled_orders: 1,
+  });
+  const [first] = report.rows;
+  assert.equal(first.orders, 2);
+  assert.equal(first.revenue, 25);
+  assert.equal(first.avg_turnaround_minutes, 60);
+  assert.equal(first.abandoned_orders, 1);
+  assert.equal(report.rows[3].orders, 0);
+  assert.equal(report.credit_sold, 45);
+});
+
+test("buildReport groups by week, station and paper size", async () => {
+  const store = await setUp();
+  const weeks = await buildReport(store, stations, { ...RANGE, group: "week", from: "2026-10-01" });
+  assert.deepEqual(weeks.rows.map(row => [row.label, row.revenue]), [["Week of 2026-09-28", 3], ["Week of 2026-10-05", 33.5]]);
+
+  const byStation = await buildReport(store, stations, { group: "station", ...RANGE });
+  assert.deepEqual(byStation.rows.map(row => [row.label, row.orders, row.revenue]), [
+    ["Main Library", 4, 25],
+    ["Engineering Building", 1, 8.5],
+  ]);
+  const byPaper = await buildReport(store, stations, { group: "papersize", ...RANGE });
+  assert.deepEqual(byPaper.rows.map(row => row.key), ["A4", "Letter"]);
+
+  const oneStation = await buildReport(store, stations, { group: "color", station: "engineering", ...RANGE });
+  assert.equal(oneStation.totals.orders, 1);
+  assert.equal(oneStation.credit_sold, null);
+  await assert.rejects(buildReport(store, stations, { group: "year", ...RANGE }), { name: "ReportError" });
+});
+
+test("reportCsv writes the rows, the totals and the credit sold", async () => {
+  const report = await buildReport(await setUp(), stations, { group: "station", ...RANGE });
+  const csv = reportCsv(report);
+  assert.ok(csv.startsWith("\uFEFFStation,Orders,Paid orders,Pages,"));
+  const lines = csv.slice(1).split("\r\n");
+  assert.equal(lines[1], "Main Library,4,1,10,5,25.00,10.00,1.00,0.00,60,1,12.00,1,7.00,1");
+  assert.equal(lines[3], "Total,5,2,14,9,33.50,10.00,1.00,2.00,75,1,12.00,1,7.00,1");
+  assert.deepEqual(lines.slice(4), ["", "\"Print credit sold, not in revenue (PHP)\",45.00", ""]);
+
+  const quoted = reportCsv({ ...report, credit_sold: null, rows: [{ ...report.rows[0], label: "Hall \"B\", 2F" }] });
+  assert.equal(quoted.split("\r\n")[1].split(",4,")[0], "\"Hall \"\"B\"\", 2F\"");
+  assert.equal(quoted.split("\r\n").length, 4);
+});
@@ -0,0 +1,154 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createStore } from "../src/js/backend/store/index.js";
+import { createRetention, PURGE_ACTOR, studentCanDeleteFiles } from "../src/js/backend/retention.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const STUDENT = { id: "student-1", email: "a@school.edu" };
+
+async function setUp(t) {
+  // Node 20's test runner sometimes fails to read a file's results when they
+  // come between log lines, and every purge logs what it deleted.
+  t.mock.method(console, "log", () => {});
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "retention-test-"));
+  t.after(() => fs.rm(tempDir, { recursive: true, force: true }));
+  const uploads = { sweepExpired: async () => ({ uploads: 0, keys: [] }) };
+  const retention = createRetention({ store, uploads, env: {}, tempDir });
+  return { store, retention, tempDir };
+}
+
+async function put(store, ...keys) {
+  for (const key of keys) await store.files.upload(key, Buffer.from(key), "application/pdf");
+}
+
+async function exists(store, key) {
+  return store.files.download(key).then(() => true, () => false);
+}
+
+// An order holding one file with `hash`, placed `ageHours` ago.
+async function orderWith(store, { number, hash, ageHours = 1, ...fields }) {
+  const [order] = await store.insert("orders", [{
+    order_number: number,
+    user_id: STUDENT.id,
+    created_at: new Date(Date.now() - ageHours * HOUR_MS).toISOString(),
+    files_purged_at: null,
+    print_file_path: `print/${number}.pdf`,
+    ...fields,
+  }]);
+  await store.insert("order_items", [{ order_id: order.id, file_path: `orders/${number}/1.pdf`, content_hash: hash }]);
+  await put(store, `orders/${number}/1.pdf`, order.print_file_path);
+  return order;
+}
+
+async function analysisOf(store, hash, { ageHours, keptHours = ageHours }) {
+  const ago = hours => new Date(Date.now() - hours * HOUR_MS).toISOString();
+  await store.insert("document_analyses", [{
+    hash,
+    created_at: ago(ageHours),
+    original_path: `originals/${hash}`,
+    original_kept_at: ago(keptHours),
+    pdf_path: `converted/${hash}.pdf`,
+  }]);
+  await put(store, `originals/${hash}`, `converted/${hash}.pdf`);
+}
+
+test("run deletes the files of finished and abandoned orders only", async (t) => {
+  const { store, retention } = await setUp(t);
+  const old = new Date(Date.now() - 48 * HOUR_MS).toISOString();
+  const claimed = await orderWith(store, { number: "PQ-1", hash: "h1", status: "claimed", status_changed_at: old });
+  const [payment] = await store.insert("payments", [{ order_id: claimed.id, screenshot_path: "payments/PQ-1/s.png" }]);
+  await put(store, payment.screenshot_path);
+  const recent = await orderWith(store, { number: "PQ-2", hash: "h2", status: "claimed", status_changed_at: new Date().toISOString() });
+  // Unpaid for 48 hours plus 7 days by default.
+  const abandoned = await orderWith(store, { number: "PQ-3", hash: "h3", status: "pending", ageHours: 10 * 24 });
+  const unpaid = await orderWith(store, { number: "PQ-4", hash: "h4", status: "pending", ageHours: 3 * 24 });
+  const printing = await orderWith(store, { number: "PQ-5", hash: "h5", status: "printing", ageHours: 30 * 24 });
+
+  const summary = await retention.run();
+  assert.equal(summary.orders, 2);
+
+  for (const order of [claimed, abandoned]) {
+    const row = await store.get("orders", order.id);
+    assert.ok(row.files_purged_at);
+    assert.equal(row.print_file_path, null);
+    assert.equal(await exists(store, `orders/${order.order_number}/1.pdf`), false);
+  }
+  assert.equal(abandoned.status, (await store.get("orders", abandoned.id)).status);
+  assert.equal((await store.get("payments", payment.id)).screenshot_path, null);
+  for (const order of [recent, unpaid, printing]) {
+    assert.equal((await store.get("orders", order.id)).files_purged_at, null);
+    assert.equal(await exists(store, `orders/${order.order_number}/1.pdf`), true);
+  }
+
+  const purges = await store.find("file_purges", { order_id: claimed.id });
+  assert.deepEqual(purges.map(purge => [purge.reason, purge.requested_by, purge.paths]), [
+    ["claimed", PURGE_ACTOR, ["orders/PQ-1/1.pdf", "print/PQ-1.pdf", "payments/PQ-1/s.png"]],
+  ]);
+  assert.equal((await store.find("file_purges", { order_id: abandoned.id }))[0].reason, "abandoned");
+  assert.equal((await retention.run()).orders, 0);
+});
+
+test("run drops unused analyses and expires the kept uploads of ordered ones", async (t) => {
+  const { store, retention } = await setUp(t);
+  await orderWith(store, { number: "PQ-1", hash: "ordered", status: "paid" });
+  await analysisOf(store, "ordered", { ageHours: 72, keptHours: 30 });
+  await analysisOf(store, "resent", { ageHours: 72, keptHours: 1 });
+  await analysisOf(store, "unused", { ageHours: 48 });
+  await analysisOf(store, "fresh", { ageHours: 1 });
+  // "resent" is only kept while it may still be in a cart.
+  await orderWith(store, { number: "PQ-2", hash: "resent", status: "paid" });
+
+  const summary = await retention.run();
+  assert.equal(summary.unused, 3);
+  const analyses = Object.fromEntries((await store.find("document_analyses", {})).map(analysis => [analysis.hash, analysis]));
+  assert.deepEqual(Object.keys(analyses).sort(), ["fresh", "ordered", "resent"]);
+  assert.equal(analyses.ordered.original_path, null);
+  assert.equal(await exists(store, "originals/ordered"), false);
+  assert.equal(await exists(store, "converted/ordered.pdf"), true);
+  assert.equal(analyses.resent.original_path, "originals/resent");
+  assert.equal(await exists(store, "originals/unused"), false);
+
+  const [purge] = await store.find("file_purges", { reason: "unused upload" });
+  assert.deepEqual(purge.paths.sort(), ["converted/unused.pdf", "originals/ordered", "originals/unused"]);
+});
+
+test("run removes temp folders left over from a crash", async (t) => {
+  const { retention, tempDir } = await setUp(t);
+  for (const name of ["printq-convert-old", "printq-convert-new", "other-old"]) {
+    await fs.mkdir(path.join(tempDir, name));
+  }
+  const twoHoursAgo = new Date(Date.now() - 2 * HOUR_MS);
+  await fs.utimes(path.join(tempDir, "printq-convert-old"), twoHoursAgo, twoHoursAgo);
+  await fs.utimes(path.join(tempDir, "other-old"), twoHoursAgo, twoHoursAgo);
+
+  assert.equal((await retention.run()).temp, 1);
+  assert.deepEqual((await fs.readdir(tempDir)).sort(), ["other-old", "printq-convert-new"]);
+});
+
+test("deleteForStudent keeps files at the printer and cancels unpaid orders first", async (t) => {
+  const { store, retention } = await setUp(t);
+  const printing = await orderWith(store, { number: "PQ-1", hash: "h1", status: "printing" });
+  assert.equal(studentCanDeleteFiles(printing), false);
+  await assert.rejects(retention.deleteForStudent(printing, STUDENT), { name: "RetentionError", status: 409 });
+
+  const checking = await orderWith(store, { number: "PQ-2", hash: "h2", status: "pending" });
+  await store.insert("payments", [{ order_id: checking.id, status: "submitted" }]);
+  await assert.rejects(retention.deleteForStudent(checking, STUDENT), /payment is being checked/);
+
+  const unpaid = await orderWith(store, { number: "PQ-3", hash: "h3", status: "pending" });
+  assert.equal(studentCanDeleteFiles(unpaid), true);
+  const purged = await retention.deleteForStudent(unpaid, STUDENT);
+  assert.equal(purged.status, "cancelled");
+  assert.ok(purged.files_purged_at);
+  assert.equal(studentCanDeleteFiles(purged), false);
+  assert.equal(await exists(store, "orders/PQ-3/1.pdf"), false);
+  const [purge] = await store.find("file_purges", { order_id: unpaid.id });
+  assert.equal(purge.reason, "student request");
+  assert.equal(purge.requested_by, STUDENT.email);
+
+  assert.equal(await retention.deleteForStudent(purged, STUDENT), purged);
+});
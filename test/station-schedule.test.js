@@ -0,0 +1,66 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  estimateReadyAt,
+  isOpen,
+  parseHours,
+  stationColors,
+  stationSupportError,
+  workMinutes,
+} from "../src/js/stationSchedule.js";
+
+// Manila keeps UTC+8 all year, so the expected times below do not move.
+const ZONE = "Asia/Manila";
+const STATION = {
+  name: "Library",
+  hours: { mon: "08:00-17:00", tue: "08:00-17:00", wed: "08:00-17:00", thu: "08:00-17:00", fri: "08:00-17:00", sat: "09:00-12:00" },
+  paper_sizes: ["A4", "Letter"],
+  color: false,
+  minutes_per_order: 2,
+  sheets_per_minute: 10,
+};
+
+test("parseHours reads HH:MM-HH:MM and refuses anything else", () => {
+  assert.deepEqual(parseHours("07:30-19:00"), { open: 450, close: 1140 });
+  assert.deepEqual(parseHours(" 8:00-24:00 "), { open: 480, close: 1440 });
+  for (const range of ["", null, "8-17", "08:60-17:00", "17:00-08:00", "09:00-09:00", "08:00-24:01"]) {
+    assert.equal(parseHours(range), null, String(range));
+  }
+});
+
+test("isOpen follows the station's hours in the campus time zone", () => {
+  // Monday 2026-10-19.
+  assert.equal(isOpen(STATION, ZONE, new Date("2026-10-19T00:00:00Z")), true);
+  assert.equal(isOpen(STATION, ZONE, new Date("2026-10-18T23:59:00Z")), false);
+  assert.equal(isOpen(STATION, ZONE, new Date("2026-10-19T09:00:00Z")), false);
+  // Sunday has no hours.
+  assert.equal(isOpen(STATION, ZONE, new Date("2026-10-25T02:00:00Z")), false);
+});
+
+test("a station without color takes black & white only", () => {
+  assert.deepEqual(stationColors(STATION, ["bw", "color", "auto"]), ["bw"]);
+  assert.deepEqual(stationColors({ ...STATION, color: true }, ["bw", "auto"]), ["bw", "auto"]);
+  assert.equal(stationSupportError(STATION, { papersize: "A4", color: "bw" }), null);
+  assert.equal(stationSupportError(STATION, { papersize: "Legal", color: "bw" }), "Library does not stock Legal paper (A4, Letter only)");
+  assert.equal(stationSupportError(STATION, { papersize: "A4", color: "auto" }), "Library prints black & white only");
+});
+
+test("estimateReadyAt adds the order to the back of the queue", () => {
+  assert.equal(workMinutes(STATION, { orders: 2, sheets: 30 }), 7);
+  // Monday 10:00 in Manila.
+  const readyAt = estimateReadyAt(STATION, ZONE, { queue: { orders: 1, sheets: 20 }, sheets: 10, now: new Date("2026-10-19T02:00:00Z") });
+  assert.equal(readyAt.toISOString(), "2026-10-19T02:07:00.000Z");
+});
+
+test("estimateReadyAt carries work past closing to the next open day", () => {
+  // 21 minutes of work at Monday 16:55: 5 today, 16 on Tuesday morning.
+  const tuesday = estimateReadyAt(STATION, ZONE, { queue: { orders: 4, sheets: 100 }, sheets: 10, now: new Date("2026-10-19T08:55:00Z") });
+  assert.equal(tuesday.toISOString(), "2026-10-20T00:16:00.000Z");
+  // Friday evening waits for Saturday's later opening.
+  const saturday = estimateReadyAt(STATION, ZONE, { queue: { orders: 0, sheets: 0 }, sheets: 10, now: new Date("2026-10-23T10:00:00Z") });
+  assert.equal(saturday.toISOString(), "2026-10-24T01:03:00.000Z");
+});
+
+test("estimateReadyAt has no estimate for a station that never opens", () => {
+  assert.equal(estimateReadyAt({ ...STATION, hours: {} }, ZONE, { queue: { orders: 0, sheets: 0 }, sheets: 1 }), null);
+});
@@ -0,0 +1,111 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "crypto";
+import { createStore } from "../src/js/backend/store/index.js";
+import { createUploadSessions } from "../src/js/backend/upload-sessions.js";
+
+const STUDENT = { id: "student-1" };
+const FILE = Buffer.from("0123456789");
+const sha256 = buffer => createHash("sha256").update(buffer).digest("hex");
+
+function setUp(options = {}) {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  const uploads = createUploadSessions({ store, maxBytes: 16, chunkSize: 4, ...options });
+  return { store, uploads };
+}
+
+function chunksOf(buffer, size = 4) {
+  const chunks = [];
+  for (let offset = 0; offset < buffer.length; offset += size) chunks.push(buffer.subarray(offset, offset + size));
+  return chunks;
+}
+
+test("create splits the file into chunks and checks the request", async () => {
+  const { uploads } = setUp();
+  const upload = await uploads.create(STUDENT, { filename: "notes.pdf", size: 10, mimetype: "application/pdf" });
+  assert.equal(upload.total_chunks, 3);
+  assert.equal(upload.status, "uploading");
+  assert.equal(await uploads.get(STUDENT, upload.id).then(row => row.id), upload.id);
+  assert.equal(await uploads.get({ id: "student-2" }, upload.id), null);
+  assert.equal(await uploads.get(STUDENT, "not-a-uuid"), null);
+
+  await assert.rejects(uploads.create(STUDENT, { size: 10 }), { message: "filename is required" });
+  await assert.rejects(uploads.create(STUDENT, { filename: "a", size: 0 }), { status: 400 });
+  await assert.rejects(uploads.create(STUDENT, { filename: "a", size: 17 }), { name: "UploadError", status: 413 });
+  await assert.rejects(uploads.create(STUDENT, { filename: "a", size: 1, sha256: "abc" }), /hex SHA-256/);
+});
+
+test("putChunk checks each chunk and ignores one that already arrived", async () => {
+  const { uploads } = setUp();
+  const upload = await uploads.create(STUDENT, { filename: "notes.pdf", size: 10 });
+  await assert.rejects(uploads.putChunk(upload, 3, Buffer.alloc(4)), /out of range \(0-2\)/);
+  await assert.rejects(uploads.putChunk(upload, 2, Buffer.alloc(4)), { message: "Chunk 2 should be 2 bytes, got 4" });
+  await assert.rejects(uploads.putChunk(upload, 0, Buffer.from("0123"), sha256(Buffer.from("x"))), { status: 422 });
+
+  await uploads.putChunk(upload, 2, Buffer.from("89"), sha256(Buffer.from("89")));
+  await uploads.putChunk(upload, 2, Buffer.from("89"));
+  assert.deepEqual(await uploads.receivedChunks(upload), [2]);
+});
+
+test("complete lists the missing chunks, then joins them in order", async () => {
+  const { store, uploads } = setUp();
+  const upload = await uploads.create(STUDENT, { filename: "notes.pdf", size: 10, sha256: sha256(FILE) });
+  const [first, second, third] = chunksOf(FILE);
+  await uploads.putChunk(upload, 2, third);
+  await uploads.putChunk(upload, 0, first);
+  await assert.rejects(uploads.complete(upload), { status: 409, missing: [1] });
+
+  await uploads.putChunk(upload, 1, second);
+  const stored = await uploads.complete(upload);
+  assert.equal(stored.status, "stored");
+  assert.equal(stored.sha256, sha256(FILE));
+  assert.deepEqual(await store.files.download(stored.file_path), FILE);
+  assert.deepEqual(await store.find("upload_chunks", { upload_id: upload.id }), []);
+  assert.equal((await uploads.complete(upload)).file_path, stored.file_path);
+});
+
+test("complete refuses a file that does not match its SHA-256", async () => {
+  const { uploads } = setUp();
+  const upload = await uploads.create(STUDENT, { filename: "notes.pdf", size: 10, sha256: sha256(Buffer.from("something else")) });
+  for (const [index, chunk] of chunksOf(FILE).entries()) await uploads.putChunk(upload, index, chunk);
+  await assert.rejects(uploads.complete(upload), { status: 422, message: "The file arrived damaged, please upload it again" });
+});
+
+test("chunks sent while the upload completes all make it into the file", async () => {
+  const { store, uploads } = setUp();
+  const upload = await uploads.create(STUDENT, { filename: "notes.pdf", size: 10 });
+  const chunks = chunksOf(FILE);
+  await uploads.putChunk(upload, 0, chunks[0]);
+
+  const results = await Promise.allSettled([
+    uploads.putChunk(upload, 1, chunks[1]),
+    uploads.putChunk(upload, 2, chunks[2]),
+    uploads.complete(upload),
+  ]);
+  assert.deepEqual(results.map(result => result.status), ["fulfilled", "fulfilled", "fulfilled"]);
+  assert.deepEqual(await store.files.download(results[2].value.file_path), FILE);
+});
+
+test("load returns stored files and names the uploads that are not", async () => {
+  const { uploads } = setUp();
+  const done = await uploads.create(STUDENT, { filename: "done.pdf", size: 4, mimetype: "application/pdf" });
+  await uploads.putChunk(done, 0, Buffer.from("abcd"));
+  await uploads.complete(done);
+  const pending = await uploads.create(STUDENT, { filename: "pending.pdf", size: 4 });
+
+  assert.deepEqual((await uploads.load(STUDENT, [done.id, pending.id])).missing, [pending.id]);
+  const { files, missing } = await uploads.load(STUDENT, [done.id]);
+  assert.deepEqual(missing, []);
+  assert.deepEqual(files, [{ originalname: "done.pdf", buffer: Buffer.from("abcd"), mimetype: "application/pdf" }]);
+  assert.deepEqual((await uploads.load({ id: "student-2" }, [done.id])).missing, [done.id]);
+});
+
+test("sweepExpired removes expired uploads with their chunks", async () => {
+  const { store, uploads } = setUp({ ttlMs: -1000 });
+  const upload = await uploads.create(STUDENT, { filename: "old.pdf", size: 10 });
+  await uploads.putChunk(upload, 0, Buffer.from("0123"));
+
+  assert.deepEqual(await uploads.sweepExpired(), { uploads: 1, keys: [`chunks/${upload.id}/0`] });
+  assert.equal(await store.get("upload_sessions", upload.id), null);
+  await assert.rejects(uploads.putChunk(upload, 1, Buffer.from("4567")), { status: 404 });
+});
@@ -0,0 +1,100 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createStore } from "../src/js/backend/store/index.js";
+import { createStations } from "../src/js/backend/stations.js";
+import { checkVoucher, VoucherError } from "../src/js/backend/vouchers.js";
+import { quoteOrder } from "../src/js/priceTable.js";
+
+const stations = createStations();
+const library = stations.find("library");
+const TABLE = {
+  rates: { bw: { A4: { single: 2, duplex: 1.75 } }, color: { A4: { single: 5, duplex: 4.5 } } },
+  quantity_tiers: [],
+  minimum_charge: 2,
+  rush: { flat: 20, percent: 10 },
+};
+
+async function setUp(fields = {}) {
+  const store = createStore({ PRINTQ_STORE: "memory" });
+  const [voucher] = await store.insert("vouchers", [{ code: "HALF", kind: "percent", value: 50, active: true, ...fields }]);
+  return { store, voucher };
+}
+
+function redeem(store, { email = "a@school.edu", color = "bw", station = library, now } = {}) {
+  return checkVoucher({ store, stations }, "half", { email, station, color, now });
+}
+
+async function orderWith(store, voucher, fields = {}) {
+  await store.insert("orders", [{ voucher_id: voucher.id, customer_email: "a@school.edu", status: "paid", ...fields }]);
+}
+
+test("checkVoucher finds an active voucher by its code in any case", async () => {
+  const { store, voucher } = await setUp();
+  assert.equal((await redeem(store)).id, voucher.id);
+});
+
+test("checkVoucher refuses unknown, inactive and expired vouchers", async () => {
+  const { store } = await setUp({ expires_at: "2026-10-01T00:00:00Z" });
+  await assert.rejects(checkVoucher({ store, stations }, "NOPE", { email: "a@school.edu", station: library, color: "bw" }), { status: 404 });
+  await assert.rejects(redeem(store, { now: new Date("2026-10-02T00:00:00Z") }), /expired/);
+  assert.ok(await redeem(store, { now: new Date("2026-09-30T00:00:00Z") }));
+
+  const inactive = await setUp({ active: false });
+  await assert.rejects(redeem(inactive.store), { name: "VoucherError", status: 404 });
+});
+
+test("checkVoucher keeps to the voucher's stations and print types", async () => {
+  const { store } = await setUp({ station_ids: ["engineering"], colors: ["color"] });
+  await assert.rejects(redeem(store, { color: "color" }), /only valid at Engineering Building/);
+
+  const colorOnly = await setUp({ colors: ["color"] });
+  await assert.rejects(redeem(colorOnly.store), /only valid for Colored prints/);
+  assert.ok(await redeem(colorOnly.store, { color: "color" }));
+});
+
+test("checkVoucher stops at max_uses", async () => {
+  const { store, voucher } = await setUp({ max_uses: 2 });
+  await orderWith(store, voucher, { customer_email: "b@school.edu" });
+  assert.ok(await redeem(store));
+  await orderWith(store, voucher, { customer_email: "c@school.edu" });
+  await assert.rejects(redeem(store), { name: "VoucherError", status: 409, message: "Voucher HALF has been used up" });
+});
+
+test("checkVoucher stops at max_uses_per_customer", async () => {
+  const { store, voucher } = await setUp({ max_uses_per_customer: 1 });
+  await orderWith(store, voucher);
+  await assert.rejects(redeem(store), { status: 409, message: "You have already used voucher HALF" });
+  assert.ok(await redeem(store, { email: "b@school.edu" }));
+});
+
+test("cancelled and rejected orders give their use back", async () => {
+  const { store, voucher } = await setUp({ max_uses: 1, max_uses_per_customer: 1 });
+  await orderWith(store, voucher, { status: "cancelled" });
+  await orderWith(store, voucher, { status: "rejected" });
+  assert.ok(await redeem(store));
+
+  await orderWith(store, voucher, { status: "pending" });
+  await assert.rejects(redeem(store), VoucherError);
+});
+
+test("quoteOrder takes the voucher off the total, rush included, down to zero", () => {
+  const items = [{ sides: 10 }];
+  const half = quoteOrder(TABLE, { color: "bw", papersize: "A4", items, rush: true, voucher: { kind: "percent", value: 50 } });
+  assert.equal(half.rush_surcharge, 22);
+  assert.equal(half.voucher_discount, 21);
+  assert.equal(half.total, 21);
+
+  const free = quoteOrder(TABLE, { color: "bw", papersize: "A4", items, voucher: { kind: "fixed", value: 1000 } });
+  assert.equal(free.voucher_discount, 20);
+  assert.equal(free.total, 0);
+
+  const empty = quoteOrder(TABLE, { color: "bw", papersize: "A4", items: [], voucher: { kind: "fixed", value: 5 } });
+  assert.equal(empty.voucher_discount, 0);
+});
+
+test("abandoned orders give their use back", async () => {
+  const { store, voucher } = await setUp({ max_uses_per_customer: 1 });
+  await orderWith(store, voucher, { status: "pending", created_at: "2026-10-01T00:00:00Z" });
+  await assert.rejects(redeem(store, { now: new Date("2026-10-02T00:00:00Z") }), VoucherError);
+  assert.ok(await redeem(store, { now: new Date("2026-10-04T00:00:00Z") }));
+});